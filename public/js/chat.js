@@ -6,7 +6,29 @@ class ChatInterface {
         this.chatMessages = document.getElementById('chatMessages');
         this.typingIndicator = document.getElementById('typingIndicator');
         
+        // Server-side conversation session, kept for the life of the browser tab
+        this.sessionId = sessionStorage.getItem('chatSessionId');
+        
         this.initializeEventListeners();
+        
+        // Waitlist offers arrive as a link to the chat with ?offer=<token>
+        const offerToken = new URLSearchParams(window.location.search).get('offer');
+        if (offerToken) this.showWaitlistOffer(offerToken);
+        
+        // Appointment reminders link here with ?reminder=<token> to confirm or cancel
+        const reminderToken = new URLSearchParams(window.location.search).get('reminder');
+        if (reminderToken) this.showReminder(reminderToken);
+    }
+    
+    setSessionId(sessionId) {
+        if (!sessionId) return;
+        this.sessionId = sessionId;
+        sessionStorage.setItem('chatSessionId', sessionId);
+    }
+    
+    resetSession() {
+        this.sessionId = null;
+        sessionStorage.removeItem('chatSessionId');
     }
     
     initializeEventListeners() {
@@ -23,6 +45,12 @@ class ChatInterface {
         // Quick action buttons
         document.querySelectorAll('.quick-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
+                // Appointment lookup needs verification, so it opens its form instead of chatting
+                if (btn.getAttribute('data-action') === 'lookup_appointments') {
+                    this.addMessage(btn.getAttribute('data-message'), 'user');
+                    this.showLookupForm();
+                    return;
+                }
                 const message = e.target.getAttribute('data-message');
                 this.sendMessage(message);
             });
@@ -48,10 +76,11 @@ class ChatInterface {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ message })
+                body: JSON.stringify({ message, sessionId: this.sessionId })
             });
             
             const data = await response.json();
+            this.setSessionId(data.sessionId);
             
             if (data.success && data.response) {
                 this.addBotResponse(data.response);
@@ -91,32 +120,83 @@ class ChatInterface {
         
         let actionsHtml = '';
         if (response.actions && response.actions.length > 0) {
-            actionsHtml = '<div class="message-actions">';
-            response.actions.forEach(action => {
-                actionsHtml += `
-                    <button class="action-btn" 
-                            data-type="${action.type}" 
-                            data-data="${action.data}"
-                            onclick="chatInterface.handleActionClick(this)">
-                        ${this.escapeHtml(action.text)}
-                    </button>
-                `;
-            });
-            actionsHtml += '</div>';
+            actionsHtml = `<div class="message-actions">${this.renderActionButtons(response.actions)}</div>`;
         }
         
+        const holdHtml = response.hold ? '<div class="hold-timer"></div>' : '';
+        const cardsHtml = response.appointments ? this.renderAppointmentCards(response.appointments) : '';
+        
         messageDiv.innerHTML = `
             <div class="message-content">
                 <p>${this.escapeHtml(response.content)}</p>
+                ${cardsHtml}
+                ${holdHtml}
                 <span class="message-time">${timestamp}</span>
             </div>
             ${actionsHtml}
         `;
         
         this.chatMessages.appendChild(messageDiv);
+        if (response.hold) this.startHoldTimer(messageDiv.querySelector('.hold-timer'), response.hold.expiresAt);
         this.scrollToBottom();
     }
     
+    renderActionButtons(actions) {
+        return actions.map(action => `
+                    <button class="action-btn" 
+                            data-type="${this.escapeHtml(action.type)}" 
+                            data-data="${this.escapeHtml(action.data)}"
+                            onclick="chatInterface.handleActionClick(this)">
+                        ${this.escapeHtml(action.text)}
+                    </button>
+                `).join('');
+    }
+    
+    // One card per upcoming appointment, each with its own buttons
+    renderAppointmentCards(appointments) {
+        return appointments.map(appt => `
+                <div class="appointment-card">
+                    <div class="appointment-card-header">
+                        <strong>${this.escapeHtml(appt.dateLabel)} at ${this.escapeHtml(appt.timeLabel)}</strong>
+                        <span class="appointment-status ${this.escapeHtml(appt.status)}">${this.escapeHtml(appt.status)}</span>
+                    </div>
+                    <p>Dr. ${this.escapeHtml(appt.doctorName)} (${this.escapeHtml(appt.specialty)})${appt.isVirtual ? ' · 🎥 Video visit' : ''}</p>
+                    <p class="appointment-confirmation">Confirmation #${this.escapeHtml(appt.confirmationNumber)}</p>
+                    <div class="message-actions">${this.renderActionButtons(appt.actions)}</div>
+                </div>
+            `).join('');
+    }
+    
+    // Counts down the time left on a slot hold; only the newest hold keeps ticking
+    startHoldTimer(element, expiresAt) {
+        clearInterval(this.holdTimer);
+        const expiry = new Date(expiresAt).getTime();
+        
+        const tick = () => {
+            const remaining = Math.max(0, Math.round((expiry - Date.now()) / 1000));
+            if (remaining === 0) {
+                clearInterval(this.holdTimer);
+                element.classList.add('expired');
+                element.textContent = '⌛ Your hold has expired. The time may still be free, but it is no longer reserved for you.';
+                return;
+            }
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+            element.textContent = `⏳ Held for you for ${minutes}:${seconds}`;
+        };
+        
+        tick();
+        this.holdTimer = setInterval(tick, 1000);
+    }
+    
+    stopHoldTimer() {
+        clearInterval(this.holdTimer);
+        document.querySelectorAll('.hold-timer:not(.expired)').forEach(el => {
+            el.classList.add('expired');
+            el.textContent = '✔️ Hold ended';
+        });
+    }
+    
     async handleActionClick(button) {
         // Prevent multiple clicks
         if (button.disabled) return;
@@ -124,6 +204,60 @@ class ChatInterface {
         const actionType = button.getAttribute('data-type');
         const actionData = button.getAttribute('data-data');
 
+        // The details form is rendered locally; nothing to send yet
+        if (actionType === 'collect_info') {
+            button.disabled = true;
+            this.showPatientForm(actionData);
+            return;
+        }
+        
+        if (actionType === 'lookup_appointments') {
+            button.disabled = true;
+            this.showLookupForm();
+            return;
+        }
+        
+        if (actionType === 'make_recurring') {
+            button.disabled = true;
+            this.showRecurrenceForm(actionData);
+            return;
+        }
+        
+        if (actionType === 'join_waitlist') {
+            button.disabled = true;
+            this.showWaitlistForm(actionData);
+            return;
+        }
+        
+        // Changing an appointment re-sends the details the patient verified with; ask again if we lost them
+        const changesAppointment = ['cancel_appointment', 'confirm_cancel', 'reschedule_appointment', 'reschedule_to'].includes(actionType);
+        if (changesAppointment && !this.lookupDetails) {
+            this.showLookupForm();
+            return;
+        }
+        
+        // Cancelling can't be undone, so ask first
+        if (actionType === 'cancel_appointment') {
+            this.addBotResponse({
+                content: `Are you sure you want to cancel appointment #${actionData}?`,
+                actions: [
+                    { type: 'confirm_cancel', text: '✖️ Yes, Cancel It', data: actionData },
+                    { type: 'show_email', text: '↩️ Keep It', data: 'No problem, your appointment is unchanged.' }
+                ]
+            });
+            return;
+        }
+        if (actionType === 'reminder_cancel') {
+            this.addBotResponse({
+                content: 'Are you sure you want to cancel this appointment?',
+                actions: [
+                    { type: 'reminder_confirm_cancel', text: '✖️ Yes, Cancel It', data: actionData },
+                    { type: 'show_email', text: '↩️ Keep It', data: 'No problem, your appointment is unchanged.' }
+                ]
+            });
+            return;
+        }
+
         // Disable the button to prevent double-clicks
         document.querySelectorAll('.action-btn').forEach(btn => {
             btn.disabled = true;
@@ -137,19 +271,68 @@ class ChatInterface {
                 response = await fetch('/api/select-doctor', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ doctorId: actionData })
+                    body: JSON.stringify({ doctorId: actionData, sessionId: this.sessionId })
+                });
+            } else if (actionType === 'select_visit_type') {
+                response = await fetch('/api/select-visit-type', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ appointmentTypeId: actionData, sessionId: this.sessionId })
                 });
             } else if (actionType === 'select_date') {
                 response = await fetch('/api/select-appointment', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ appointmentData: actionData })
+                    body: JSON.stringify({ appointmentData: actionData, sessionId: this.sessionId })
                 });
-            } else if (actionType === 'collect_info') {
+            } else if (actionType === 'confirm_booking') {
+                // Reuse the key if this exact booking is retried, so the server never books it twice
+                button.dataset.idempotencyKey = button.dataset.idempotencyKey || crypto.randomUUID();
                 response = await fetch('/api/complete-booking', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': button.dataset.idempotencyKey
+                    },
+                    body: JSON.stringify({ appointmentData: actionData, sessionId: this.sessionId })
+                });
+            } else if (actionType === 'confirm_cancel') {
+                response = await fetch('/api/appointments/cancel', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...this.lookupDetails, confirmationNumber: actionData, sessionId: this.sessionId })
+                });
+            } else if (actionType === 'reschedule_appointment') {
+                this.reschedulingNumber = actionData;
+                response = await fetch('/api/appointments/reschedule-options', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ appointmentData: actionData })
+                    body: JSON.stringify({ ...this.lookupDetails, confirmationNumber: actionData, sessionId: this.sessionId })
+                });
+            } else if (actionType === 'reschedule_to') {
+                const [date, time] = actionData.split(',');
+                response = await fetch('/api/appointments/reschedule', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        ...this.lookupDetails,
+                        confirmationNumber: this.reschedulingNumber,
+                        date,
+                        time,
+                        sessionId: this.sessionId
+                    })
+                });
+            } else if (actionType === 'accept_offer' || actionType === 'decline_offer') {
+                const decision = actionType === 'accept_offer' ? 'accept' : 'decline';
+                response = await fetch(`/api/waitlist/offers/${encodeURIComponent(actionData)}/${decision}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } else if (actionType === 'confirm_attendance' || actionType === 'reminder_confirm_cancel') {
+                const decision = actionType === 'confirm_attendance' ? 'confirm' : 'cancel';
+                response = await fetch(`/api/reminders/${encodeURIComponent(actionData)}/${decision}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' }
                 });
             } else if (actionType === 'show_email') {
                 this.addMessage(actionData, 'bot');
@@ -158,7 +341,20 @@ class ChatInterface {
                 window.open(actionData, '_blank');
                 this.addMessage('Calendar file download started! Check your downloads folder.', 'bot');
                 return;
+            } else if (actionType === 'join_video') {
+                window.open(actionData, '_blank', 'noopener');
+                return;
             } else if (actionType === 'start_over') {
+                this.stopHoldTimer();
+                if (this.sessionId) {
+                    // Give back any slot still held for this conversation
+                    fetch('/api/release-hold', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ sessionId: this.sessionId })
+                    }).catch(error => console.error('Release hold error:', error));
+                }
+                this.resetSession();
                 this.addMessage('How can I help you schedule your next appointment?', 'bot');
                 return;
             } else {
@@ -169,8 +365,12 @@ class ChatInterface {
 
             // Handle the response for API calls
             const data = await response.json();
+            this.setSessionId(data.sessionId);
             
-            if (data.success && data.response) {
+            if (['confirm_booking', 'accept_offer', 'decline_offer'].includes(actionType) && data.success) this.stopHoldTimer();
+            
+            // Failures can carry a response too, e.g. alternatives when a slot was just taken
+            if (data.response) {
                 this.addBotResponse(data.response);
             } else {
                 this.addMessage(data.message || 'Sorry, something went wrong.', 'bot');
@@ -182,6 +382,365 @@ class ChatInterface {
         }
     }
     
+    // Inline form for the patient's name, date of birth, email and phone
+    showPatientForm(appointmentData) {
+        const previous = this.patientDetails || {};
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot-message';
+        
+        messageDiv.innerHTML = `
+            <div class="message-content">
+                <p>Please enter your details:</p>
+                <form class="patient-form" novalidate>
+                    <label>Full name
+                        <input type="text" name="name" autocomplete="name" required value="${this.escapeHtml(previous.name || '')}">
+                    </label>
+                    <span class="field-error" data-field="name"></span>
+                    <label>Date of birth
+                        <input type="date" name="dateOfBirth" autocomplete="bday" required value="${this.escapeHtml(previous.dateOfBirth || '')}">
+                    </label>
+                    <span class="field-error" data-field="dateOfBirth"></span>
+                    <label>Email
+                        <input type="email" name="email" autocomplete="email" required value="${this.escapeHtml(previous.email || '')}">
+                    </label>
+                    <span class="field-error" data-field="email"></span>
+                    <label>Phone
+                        <input type="tel" name="phone" autocomplete="tel" required value="${this.escapeHtml(previous.phone || '')}">
+                    </label>
+                    <span class="field-error" data-field="phone"></span>
+                    <p class="form-message"></p>
+                    <button type="submit" class="action-btn">Review Booking</button>
+                </form>
+            </div>
+        `;
+        
+        const form = messageDiv.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPatientForm(form, appointmentData);
+        });
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.scrollToBottom();
+        form.querySelector('input').focus();
+    }
+    
+    async submitPatientForm(form, appointmentData) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const patient = Object.fromEntries(new FormData(form).entries());
+        
+        form.querySelectorAll('.field-error').forEach(el => el.textContent = '');
+        form.querySelector('.form-message').textContent = '';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Checking...';
+        
+        try {
+            const response = await fetch('/api/patient-details', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ appointmentData, patient, sessionId: this.sessionId })
+            });
+            
+            const data = await response.json();
+            this.setSessionId(data.sessionId);
+            
+            if (data.success && data.response) {
+                this.patientDetails = patient;
+                form.querySelectorAll('input, button').forEach(el => el.disabled = true);
+                submitBtn.textContent = 'Submitted';
+                this.addBotResponse(data.response);
+                return;
+            }
+            
+            Object.entries(data.errors || {}).forEach(([field, message]) => {
+                const el = form.querySelector(`.field-error[data-field="${field}"]`);
+                if (el) el.textContent = message;
+            });
+            form.querySelector('.form-message').textContent = data.message || 'Sorry, something went wrong.';
+        } catch (error) {
+            console.error('Patient details error:', error);
+            form.querySelector('.form-message').textContent = 'Sorry, I encountered an error. Please try again.';
+        }
+        
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Review Booking';
+    }
+    
+    // Confirmation number plus email or date of birth, checked by the server before anything is shown
+    showLookupForm() {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot-message';
+        
+        messageDiv.innerHTML = `
+            <div class="message-content">
+                <p>Enter your confirmation number and either your email or date of birth:</p>
+                <form class="patient-form lookup-form" novalidate>
+                    <label>Confirmation number
+                        <input type="text" name="confirmationNumber" required>
+                    </label>
+                    <label>Email
+                        <input type="email" name="email" autocomplete="email">
+                    </label>
+                    <label>or date of birth
+                        <input type="date" name="dateOfBirth" autocomplete="bday">
+                    </label>
+                    <p class="form-message"></p>
+                    <button type="submit" class="action-btn">Find My Appointments</button>
+                </form>
+            </div>
+        `;
+        
+        const form = messageDiv.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLookupForm(form);
+        });
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.scrollToBottom();
+        form.querySelector('input').focus();
+    }
+    
+    async submitLookupForm(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const lookup = Object.fromEntries(new FormData(form).entries());
+        
+        form.querySelector('.form-message').textContent = '';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Looking up...';
+        
+        try {
+            const response = await fetch('/api/appointments/lookup', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...lookup, sessionId: this.sessionId })
+            });
+            
+            const data = await response.json();
+            this.setSessionId(data.sessionId);
+            
+            if (data.success && data.response) {
+                this.lookupDetails = lookup;
+                form.querySelectorAll('input, button').forEach(el => el.disabled = true);
+                submitBtn.textContent = 'Found';
+                this.addBotResponse(data.response);
+                return;
+            }
+            
+            form.querySelector('.form-message').textContent = data.message || 'Sorry, something went wrong.';
+        } catch (error) {
+            console.error('Lookup error:', error);
+            form.querySelector('.form-message').textContent = 'Sorry, I encountered an error. Please try again.';
+        }
+        
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Find My Appointments';
+    }
+    
+    // How often and how many times to repeat the visit being booked
+    showRecurrenceForm(appointmentData) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot-message';
+        
+        messageDiv.innerHTML = `
+            <div class="message-content">
+                <p>How often should this visit repeat?</p>
+                <form class="patient-form recurrence-form" novalidate>
+                    <label>Repeat
+                        <select name="intervalWeeks">
+                            <option value="1">Every week</option>
+                            <option value="2">Every 2 weeks</option>
+                            <option value="3">Every 3 weeks</option>
+                            <option value="4">Every 4 weeks</option>
+                        </select>
+                    </label>
+                    <label>Number of visits
+                        <input type="number" name="count" min="1" max="52" value="6" required>
+                    </label>
+                    <p class="form-message"></p>
+                    <button type="submit" class="action-btn">Check Dates</button>
+                </form>
+            </div>
+        `;
+        
+        const form = messageDiv.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRecurrenceForm(form, appointmentData);
+        });
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+    
+    async submitRecurrenceForm(form, appointmentData) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const { intervalWeeks, count } = Object.fromEntries(new FormData(form).entries());
+        
+        form.querySelector('.form-message').textContent = '';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Checking...';
+        
+        try {
+            const response = await fetch('/api/recurrence', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ appointmentData, intervalWeeks, count, sessionId: this.sessionId })
+            });
+            
+            const data = await response.json();
+            this.setSessionId(data.sessionId);
+            
+            if (data.success && data.response) {
+                form.querySelectorAll('input, select, button').forEach(el => el.disabled = true);
+                submitBtn.textContent = 'Checked';
+                this.addBotResponse(data.response);
+                return;
+            }
+            
+            form.querySelector('.form-message').textContent = data.message || 'Sorry, something went wrong.';
+        } catch (error) {
+            console.error('Recurrence error:', error);
+            form.querySelector('.form-message').textContent = 'Sorry, I encountered an error. Please try again.';
+        }
+        
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Check Dates';
+    }
+    
+    async showWaitlistOffer(token) {
+        window.history.replaceState(null, '', window.location.pathname);
+        try {
+            const response = await fetch(`/api/waitlist/offers/${encodeURIComponent(token)}`);
+            const data = await response.json();
+            if (data.response) {
+                this.addBotResponse(data.response);
+            } else {
+                this.addMessage(data.message || 'Sorry, we could not find that offer.', 'bot');
+            }
+        } catch (error) {
+            console.error('Waitlist offer error:', error);
+            this.addMessage('Sorry, I encountered an error loading your offer.', 'bot');
+        }
+    }
+    
+    async showReminder(token) {
+        window.history.replaceState(null, '', window.location.pathname);
+        try {
+            const response = await fetch(`/api/reminders/${encodeURIComponent(token)}`);
+            const data = await response.json();
+            if (data.response) {
+                this.addBotResponse(data.response);
+            } else {
+                this.addMessage(data.message || 'Sorry, we could not find that appointment.', 'bot');
+            }
+        } catch (error) {
+            console.error('Reminder error:', error);
+            this.addMessage('Sorry, I encountered an error loading your appointment.', 'bot');
+        }
+    }
+    
+    // Dates, time of day and contact details for joining the waitlist
+    showWaitlistForm(target) {
+        const previous = this.patientDetails || {};
+        const [, , date] = target.split(':');
+        const from = date || new Date().toISOString().slice(0, 10);
+        const to = new Date(new Date(from + 'T00:00:00').getTime() + 14 * 86400000).toISOString().slice(0, 10);
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message bot-message';
+        
+        messageDiv.innerHTML = `
+            <div class="message-content">
+                <p>When could you come in? We'll offer you the first matching time that opens up.</p>
+                <form class="patient-form waitlist-form" novalidate>
+                    <label>From
+                        <input type="date" name="dateFrom" required value="${this.escapeHtml(from)}">
+                    </label>
+                    <label>To
+                        <input type="date" name="dateTo" required value="${this.escapeHtml(to)}">
+                    </label>
+                    <label>Time of day
+                        <select name="timeOfDay">
+                            <option value="any">Any time</option>
+                            <option value="morning">Morning</option>
+                            <option value="afternoon">Afternoon</option>
+                            <option value="evening">Evening</option>
+                        </select>
+                    </label>
+                    <label>Full name
+                        <input type="text" name="name" autocomplete="name" required value="${this.escapeHtml(previous.name || '')}">
+                    </label>
+                    <span class="field-error" data-field="name"></span>
+                    <label>Date of birth
+                        <input type="date" name="dateOfBirth" autocomplete="bday" required value="${this.escapeHtml(previous.dateOfBirth || '')}">
+                    </label>
+                    <span class="field-error" data-field="dateOfBirth"></span>
+                    <label>Email
+                        <input type="email" name="email" autocomplete="email" required value="${this.escapeHtml(previous.email || '')}">
+                    </label>
+                    <span class="field-error" data-field="email"></span>
+                    <label>Phone
+                        <input type="tel" name="phone" autocomplete="tel" required value="${this.escapeHtml(previous.phone || '')}">
+                    </label>
+                    <span class="field-error" data-field="phone"></span>
+                    <p class="form-message"></p>
+                    <button type="submit" class="action-btn">Join Waitlist</button>
+                </form>
+            </div>
+        `;
+        
+        const form = messageDiv.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitWaitlistForm(form, target);
+        });
+        
+        this.chatMessages.appendChild(messageDiv);
+        this.scrollToBottom();
+        form.querySelector('input').focus();
+    }
+    
+    async submitWaitlistForm(form, target) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const { dateFrom, dateTo, timeOfDay, ...patient } = Object.fromEntries(new FormData(form).entries());
+        
+        form.querySelectorAll('.field-error').forEach(el => el.textContent = '');
+        form.querySelector('.form-message').textContent = '';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Joining...';
+        
+        try {
+            const response = await fetch('/api/waitlist', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ target, dateFrom, dateTo, timeOfDay, patient, sessionId: this.sessionId })
+            });
+            
+            const data = await response.json();
+            this.setSessionId(data.sessionId);
+            
+            if (data.success && data.response) {
+                this.patientDetails = patient;
+                form.querySelectorAll('input, select, button').forEach(el => el.disabled = true);
+                submitBtn.textContent = 'Joined';
+                this.addBotResponse(data.response);
+                return;
+            }
+            
+            Object.entries(data.errors || {}).forEach(([field, message]) => {
+                const el = form.querySelector(`.field-error[data-field="${field}"]`);
+                if (el) el.textContent = message;
+            });
+            form.querySelector('.form-message').textContent = data.message || 'Sorry, something went wrong.';
+        } catch (error) {
+            console.error('Waitlist error:', error);
+            form.querySelector('.form-message').textContent = 'Sorry, I encountered an error. Please try again.';
+        }
+        
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Join Waitlist';
+    }
+    
     showTypingIndicator() {
         this.typingIndicator.style.display = 'block';
         this.scrollToBottom();
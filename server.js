@@ -1,5 +1,7 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
 const { Pool } = require('pg');
 const axios = require('axios');
 require('dotenv').config();
@@ -7,16 +9,207 @@ require('dotenv').config();
 const app = express();
 // ⚡ Changed default port to 3000 (running on 80 requires sudo/root)
 const PORT = process.env.PORT || 80;
+// Public address of this server, used in links sent to patients
+const APP_BASE_URL = (process.env.APP_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// =========================
+// LLM PROVIDERS
+// =========================
+
+// Every provider exposes converse({ system, messages, toolConfig, inferenceConfig }) -> { text, message, stopReason }.
+// Messages use the Bedrock Converse shape: { role, content: [{ text } | { toolUse } | { toolResult }] },
+// and stopReason is 'tool_use' when the returned assistant message asks for tool calls.
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'bedrock').toLowerCase();
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '30000');
+
+const DEFAULT_LLM_MODELS = {
+    bedrock: 'us.amazon.nova-micro-v1:0',
+    openai: 'gpt-4o-mini',
+    stub: 'stub'
+};
+
+function textFromContent(content) {
+    const text = (content || []).filter(block => block.text).map(block => block.text).join('\n').trim();
+    return text || null;
+}
 
 // --- Bearer token configuration ---
 const BEDROCK_API_BASE = process.env.BEDROCK_API_BASE || 'https://bedrock-runtime.us-east-1.amazonaws.com';
 const BEARER_TOKEN = process.env.AWS_BEARER_TOKEN_BEDROCK;
 
-if (!BEARER_TOKEN) {
-    console.error('❌ AWS_BEARER_TOKEN_BEDROCK is required in environment variables');
-    process.exit(1);
+function createBedrockProvider(model) {
+    return {
+        name: 'bedrock',
+        model,
+        async converse({ system, messages, toolConfig, inferenceConfig }) {
+            const response = await axios.post(
+                `${BEDROCK_API_BASE}/model/${model}/converse`,
+                { system, messages, toolConfig, inferenceConfig },
+                {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                        'Authorization': `Bearer ${BEARER_TOKEN}`
+                    },
+                    timeout: LLM_TIMEOUT_MS
+                }
+            );
+            console.log('✅ Bedrock API response received, status:', response.status);
+
+            const message = response.data?.output?.message;
+            if (!message) return { text: extractTextFromBedrockResponse(response), message: null, stopReason: 'end_turn' };
+            return { text: textFromContent(message.content), message, stopReason: response.data.stopReason };
+        }
+    };
+}
+
+// Any server speaking the OpenAI chat-completions API (OpenAI itself, Ollama, vLLM, LM Studio...)
+function createOpenAICompatibleProvider(model) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    // Converse messages -> chat-completions messages (tool results become role "tool" messages)
+    const toChatMessages = (system, messages) => {
+        const chatMessages = system.map(block => ({ role: 'system', content: block.text }));
+        messages.forEach(msg => {
+            const toolResults = msg.content.filter(block => block.toolResult);
+            toolResults.forEach(({ toolResult }) => chatMessages.push({
+                role: 'tool',
+                tool_call_id: toolResult.toolUseId,
+                content: JSON.stringify(toolResult.content.map(block => block.json ?? block.text))
+            }));
+
+            const toolUses = msg.content.filter(block => block.toolUse);
+            const text = textFromContent(msg.content);
+            if (toolUses.length > 0) {
+                chatMessages.push({
+                    role: 'assistant',
+                    content: text,
+                    tool_calls: toolUses.map(({ toolUse }) => ({
+                        id: toolUse.toolUseId,
+                        type: 'function',
+                        function: { name: toolUse.name, arguments: JSON.stringify(toolUse.input || {}) }
+                    }))
+                });
+            } else if (text) {
+                chatMessages.push({ role: msg.role, content: text });
+            }
+        });
+        return chatMessages;
+    };
+
+    return {
+        name: 'openai',
+        model,
+        async converse({ system, messages, toolConfig, inferenceConfig }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const body = {
+                model,
+                messages: toChatMessages(system, messages),
+                max_tokens: inferenceConfig.maxTokens,
+                temperature: inferenceConfig.temperature,
+                top_p: inferenceConfig.topP
+            };
+            if (toolConfig) {
+                body.tools = toolConfig.tools.map(({ toolSpec }) => ({
+                    type: 'function',
+                    function: { name: toolSpec.name, description: toolSpec.description, parameters: toolSpec.inputSchema.json }
+                }));
+            }
+
+            const response = await axios.post(`${baseUrl}/chat/completions`, body, { headers, timeout: LLM_TIMEOUT_MS });
+            console.log('✅ Chat-completions response received, status:', response.status);
+
+            const choice = response.data?.choices?.[0];
+            if (!choice?.message) return { text: null, message: null, stopReason: 'end_turn' };
+
+            const content = [];
+            if (choice.message.content) content.push({ text: choice.message.content });
+            (choice.message.tool_calls || []).forEach(call => {
+                let input = {};
+                try {
+                    input = JSON.parse(call.function.arguments || '{}');
+                } catch {
+                    console.log('⚠️ Tool call arguments were not valid JSON:', call.function.arguments);
+                }
+                content.push({ toolUse: { toolUseId: call.id, name: call.function.name, input } });
+            });
+
+            return {
+                text: choice.message.content || null,
+                message: { role: 'assistant', content },
+                stopReason: content.some(block => block.toolUse) ? 'tool_use' : 'end_turn'
+            };
+        }
+    };
+}
+
+// Deterministic, offline provider for development and tests.
+// LLM_STUB_SCRIPT may point to a JSON file of rules:
+//   [{ "match": "cardio", "reply": [{ "toolUse": { "name": "search_doctors", "input": { "specialty": "Cardiology" } } }, "Here are our cardiologists."] }]
+// The first rule whose regex matches the patient's latest message wins; a rule without "match" matches everything.
+// "reply" is a string, a { toolUse } step, or an array of steps played in order as tool results come back.
+// With no matching rule the stub returns no text, so the deterministic fallback answers.
+function createStubProvider(model) {
+    let rules = [];
+    if (process.env.LLM_STUB_SCRIPT) {
+        rules = JSON.parse(fs.readFileSync(path.resolve(process.env.LLM_STUB_SCRIPT), 'utf8'));
+    }
+
+    return {
+        name: 'stub',
+        model,
+        async converse({ messages }) {
+            // The patient's message is the last user turn that carries text rather than tool results
+            const patientIndex = messages.map(msg => msg.role === 'user' && !!textFromContent(msg.content)).lastIndexOf(true);
+            const userText = patientIndex >= 0 ? textFromContent(messages[patientIndex].content) : '';
+            const rule = rules.find(r => !r.match || new RegExp(r.match, 'i').test(userText));
+            if (!rule) return { text: null, message: null, stopReason: 'end_turn' };
+
+            const steps = Array.isArray(rule.reply) ? rule.reply : [rule.reply];
+            const stepIndex = messages.slice(patientIndex + 1).filter(msg => msg.role === 'assistant').length;
+            const step = steps[Math.min(stepIndex, steps.length - 1)];
+
+            if (step && step.toolUse) {
+                const toolUse = { toolUseId: `stub-${stepIndex}`, name: step.toolUse.name, input: step.toolUse.input || {} };
+                return { text: null, message: { role: 'assistant', content: [{ toolUse }] }, stopReason: 'tool_use' };
+            }
+            const text = typeof step === 'string' ? step : JSON.stringify(step);
+            return { text, message: { role: 'assistant', content: [{ text }] }, stopReason: 'end_turn' };
+        }
+    };
+}
+
+const LLM_PROVIDER_FACTORIES = {
+    bedrock: createBedrockProvider,
+    openai: createOpenAICompatibleProvider,
+    stub: createStubProvider
+};
+
+// Returns null when the configured provider can't be used; the chat then runs in fallback-only mode
+function createLLMProvider() {
+    const factory = LLM_PROVIDER_FACTORIES[LLM_PROVIDER];
+    if (!factory) {
+        console.error(`❌ Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected one of: ${Object.keys(LLM_PROVIDER_FACTORIES).join(', ')})`);
+        return null;
+    }
+    if (LLM_PROVIDER === 'bedrock' && !BEARER_TOKEN) {
+        console.warn('⚠️ AWS_BEARER_TOKEN_BEDROCK is not set - chat will run in fallback-only mode');
+        return null;
+    }
+
+    try {
+        return factory(process.env.LLM_MODEL || DEFAULT_LLM_MODELS[LLM_PROVIDER]);
+    } catch (error) {
+        console.error(`❌ Could not initialise LLM provider "${LLM_PROVIDER}":`, error.message);
+        return null;
+    }
 }
 
+const llmProvider = createLLMProvider();
+
 // --- Database connection ---
 const pool = new Pool({
     host: process.env.DB_HOST,
@@ -36,6 +229,402 @@ pool.connect((err, client, release) => {
     }
 });
 
+// =========================
+// DATABASE SCHEMA
+// =========================
+
+// Idempotent statements applied in order on startup, so columns and tables added
+// by newer features exist without a manual migration
+const SCHEMA_MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS appointment_types (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL
+    )`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS duration_minutes INTEGER NOT NULL DEFAULT 30`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS buffer_minutes INTEGER NOT NULL DEFAULT 0`,
+
+    // Booking exclusivity: each appointment carries the time range it occupies, kept current by a trigger,
+    // and active appointments for the same doctor may not overlap
+    `CREATE EXTENSION IF NOT EXISTS btree_gist`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS slot_range TSRANGE`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100)`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS appointments_idempotency_key_idx ON appointments (idempotency_key)`,
+    `CREATE OR REPLACE FUNCTION set_appointment_slot_range() RETURNS trigger AS $$
+    DECLARE
+        occupied_minutes INTEGER;
+    BEGIN
+        SELECT duration_minutes + buffer_minutes INTO occupied_minutes
+          FROM appointment_types WHERE id = NEW.appointment_type_id;
+        NEW.slot_range := tsrange(
+            NEW.appointment_date + NEW.appointment_time,
+            NEW.appointment_date + NEW.appointment_time + make_interval(mins => COALESCE(occupied_minutes, 30))
+        );
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql`,
+    `DROP TRIGGER IF EXISTS appointments_slot_range ON appointments`,
+    `CREATE TRIGGER appointments_slot_range
+        BEFORE INSERT OR UPDATE OF appointment_date, appointment_time, appointment_type_id ON appointments
+        FOR EACH ROW EXECUTE FUNCTION set_appointment_slot_range()`,
+    `UPDATE appointments SET appointment_time = appointment_time WHERE slot_range IS NULL`,
+    `DO $$
+    BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_no_overlap') THEN
+            ALTER TABLE appointments ADD CONSTRAINT appointments_no_overlap
+                EXCLUDE USING gist (doctor_id WITH =, slot_range WITH &&)
+                WHERE (status IN ('scheduled', 'confirmed'));
+        END IF;
+    END $$`,
+
+    `CREATE TABLE IF NOT EXISTS slot_holds (
+        id UUID PRIMARY KEY,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        hold_date DATE NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        appointment_type_id INTEGER,
+        session_id VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        released_at TIMESTAMP,
+        release_reason VARCHAR(20),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS slot_holds_active_idx ON slot_holds (doctor_id, hold_date) WHERE released_at IS NULL`,
+
+    `ALTER TABLE users ADD COLUMN IF NOT EXISTS date_of_birth DATE`,
+    // Bumped on every patient-visible change so calendar apps replace the old event
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0`,
+
+    // Waitlist: status is waiting -> offered -> booked, or back to waiting when an offer lapses
+    `CREATE TABLE IF NOT EXISTS waitlist_entries (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        doctor_id INTEGER REFERENCES doctors(id),
+        specialty VARCHAR(100),
+        appointment_type_id INTEGER NOT NULL DEFAULT 1,
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        time_of_day VARCHAR(20) NOT NULL DEFAULT 'any',
+        status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (doctor_id IS NOT NULL OR specialty IS NOT NULL)
+    )`,
+    `CREATE INDEX IF NOT EXISTS waitlist_entries_active_idx ON waitlist_entries (created_at) WHERE status IN ('waiting', 'offered')`,
+    `CREATE TABLE IF NOT EXISTS waitlist_offers (
+        id UUID PRIMARY KEY,
+        entry_id INTEGER NOT NULL REFERENCES waitlist_entries(id),
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        offer_date DATE NOT NULL,
+        start_time TIME NOT NULL,
+        token VARCHAR(64) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP,
+        appointment_id INTEGER REFERENCES appointments(id),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS waitlist_offers_entry_idx ON waitlist_offers (entry_id)`,
+
+    `CREATE TABLE IF NOT EXISTS appointment_series (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        appointment_type_id INTEGER NOT NULL DEFAULT 1,
+        start_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        interval_weeks INTEGER NOT NULL DEFAULT 1,
+        occurrence_count INTEGER,
+        end_date DATE,
+        idempotency_key VARCHAR(100) UNIQUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES appointment_series(id)`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_index INTEGER`,
+    `CREATE INDEX IF NOT EXISTS appointments_series_idx ON appointments (series_id, series_index) WHERE series_id IS NOT NULL`,
+
+    // Outbox for patient emails and texts; status is pending -> sending -> sent, or failed after the last retry
+    `CREATE TABLE IF NOT EXISTS notification_outbox (
+        id SERIAL PRIMARY KEY,
+        appointment_id INTEGER REFERENCES appointments(id),
+        user_id INTEGER REFERENCES users(id),
+        channel VARCHAR(10) NOT NULL,
+        kind VARCHAR(30) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        subject VARCHAR(255),
+        body TEXT NOT NULL,
+        calendar TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        transport VARCHAR(20),
+        dedupe_key VARCHAR(150) UNIQUE,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS notification_outbox_due_idx ON notification_outbox (next_attempt_at) WHERE status = 'pending'`,
+    `CREATE INDEX IF NOT EXISTS notification_outbox_appointment_idx ON notification_outbox (appointment_id)`,
+
+    // Reminder rules: hours before the visit, per appointment type. NULL uses REMINDER_OFFSETS_HOURS, '{}' sends none
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS reminder_offsets_hours INTEGER[]`,
+    // Reminders that fell due before a booking was made are skipped, so booking tomorrow's visit doesn't send one at once
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP`,
+    // Token in reminder links, letting the patient confirm or cancel without looking the appointment up
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reminder_token VARCHAR(64) UNIQUE`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP`,
+
+    // Subscribable calendar feeds, for one doctor or for every doctor at an office location
+    `CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        doctor_id INTEGER REFERENCES doctors(id),
+        office_location VARCHAR(255),
+        label VARCHAR(100),
+        token VARCHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_accessed_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        CHECK (doctor_id IS NOT NULL OR office_location IS NOT NULL)
+    )`,
+
+    // Staff accounts for the admin dashboard; physicians are linked to the doctor whose schedule they see
+    `CREATE TABLE IF NOT EXISTS staff_users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'front_desk', 'physician')),
+        doctor_id INTEGER REFERENCES doctors(id),
+        password_hash VARCHAR(255) NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (role <> 'physician' OR doctor_id IS NOT NULL)
+    )`,
+    `CREATE TABLE IF NOT EXISTS staff_sessions (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+        ip_address VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS staff_sessions_user_idx ON staff_sessions (user_id)`,
+
+    // Audit trail of staff actions and PHI access. Each entry's hash covers the previous entry's hash,
+    // so editing or removing a row breaks the chain; the trigger refuses updates and deletes outright.
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMPTZ NOT NULL,
+        actor_id INTEGER,
+        actor_email VARCHAR(255),
+        actor_role VARCHAR(20),
+        action VARCHAR(60) NOT NULL,
+        entity_type VARCHAR(40),
+        entity_id VARCHAR(64),
+        changes JSONB,
+        details JSONB,
+        ip_address VARCHAR(64),
+        prev_hash CHAR(64) NOT NULL,
+        hash CHAR(64) NOT NULL UNIQUE
+    )`,
+    `CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id)`,
+    `CREATE INDEX IF NOT EXISTS audit_log_occurred_idx ON audit_log (occurred_at)`,
+    `CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+    BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql`,
+    `DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log`,
+    `CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change()`,
+    `DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log`,
+    `CREATE TRIGGER audit_log_no_truncate
+        BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_change()`,
+
+    // Weekly working hours and one-off blocked time; databases set up by hand already have both tables
+    `CREATE TABLE IF NOT EXISTS doctor_availability (
+        id SERIAL PRIMARY KEY,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        CHECK (end_time > start_time)
+    )`,
+    `CREATE TABLE IF NOT EXISTS blocked_slots (
+        id SERIAL PRIMARY KEY,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        blocked_date DATE NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL
+    )`,
+    `ALTER TABLE blocked_slots ADD COLUMN IF NOT EXISTS reason VARCHAR(255)`,
+    `ALTER TABLE blocked_slots ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES staff_users(id)`,
+    `ALTER TABLE blocked_slots ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP`,
+    `CREATE INDEX IF NOT EXISTS blocked_slots_doctor_date_idx ON blocked_slots (doctor_id, blocked_date)`,
+
+    // Versions of a doctor's hours. Each applies from effective_from through effective_to (open-ended when
+    // null) and the latest-starting version covering a date wins, so a temporary schedule overrides the
+    // standard one and a new version takes over from its start date. With rotation_weeks > 1 the hours
+    // cycle week A, B, ... counted from the week effective_from falls in.
+    `CREATE TABLE IF NOT EXISTS availability_templates (
+        id SERIAL PRIMARY KEY,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        name VARCHAR(100),
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        rotation_weeks SMALLINT NOT NULL DEFAULT 1 CHECK (rotation_weeks BETWEEN 1 AND 4),
+        created_by INTEGER REFERENCES staff_users(id),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (effective_to IS NULL OR effective_to >= effective_from)
+    )`,
+    `CREATE INDEX IF NOT EXISTS availability_templates_doctor_idx ON availability_templates (doctor_id, effective_from)`,
+    `ALTER TABLE doctor_availability ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES availability_templates(id) ON DELETE CASCADE`,
+    `ALTER TABLE doctor_availability ADD COLUMN IF NOT EXISTS rotation_week SMALLINT NOT NULL DEFAULT 0`,
+    `CREATE INDEX IF NOT EXISTS doctor_availability_template_idx ON doctor_availability (template_id)`,
+    // Hours from before templates existed become each doctor's standard version
+    `WITH created AS (
+        INSERT INTO availability_templates (doctor_id, name, effective_from)
+        SELECT DISTINCT doctor_id, 'Standard hours', DATE '2000-01-01'
+        FROM doctor_availability WHERE template_id IS NULL
+        RETURNING id, doctor_id
+    )
+    UPDATE doctor_availability da SET template_id = created.id
+    FROM created WHERE da.doctor_id = created.doctor_id AND da.template_id IS NULL`,
+    // The one place versions and rotations are resolved: a doctor's working windows on each day in a range
+    `CREATE OR REPLACE FUNCTION doctor_working_windows(from_date DATE, to_date DATE, only_doctor INTEGER DEFAULT NULL)
+    RETURNS TABLE (doctor_id INTEGER, work_date DATE, start_time TIME, end_time TIME) AS $$
+        SELECT t.doctor_id, g.day::date, da.start_time, da.end_time
+        FROM generate_series(from_date, to_date, interval '1 day') AS g(day)
+        CROSS JOIN LATERAL (
+            SELECT DISTINCT ON (v.doctor_id) v.*
+            FROM availability_templates v
+            WHERE v.effective_from <= g.day::date
+              AND (v.effective_to IS NULL OR v.effective_to >= g.day::date)
+              AND (only_doctor IS NULL OR v.doctor_id = only_doctor)
+            ORDER BY v.doctor_id, v.effective_from DESC, v.id DESC
+        ) t
+        JOIN doctor_availability da
+            ON da.template_id = t.id
+           AND da.is_active = true
+           AND da.day_of_week = EXTRACT(DOW FROM g.day)
+           AND da.rotation_week = ((g.day::date - (t.effective_from - EXTRACT(DOW FROM t.effective_from)::int)) / 7) % t.rotation_weeks
+    $$ LANGUAGE sql STABLE`,
+
+    // Days the whole clinic (office_location null) or one office is closed, all day or for part of it.
+    // All-day closures run 00:00 - 23:59:59 like blocked time.
+    `CREATE TABLE IF NOT EXISTS clinic_closures (
+        id SERIAL PRIMARY KEY,
+        office_location VARCHAR(255),
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        start_time TIME NOT NULL DEFAULT '00:00',
+        end_time TIME NOT NULL DEFAULT '23:59:59',
+        reason VARCHAR(255) NOT NULL,
+        created_by INTEGER REFERENCES staff_users(id),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date),
+        CHECK (end_time > start_time)
+    )`,
+    `CREATE INDEX IF NOT EXISTS clinic_closures_dates_idx ON clinic_closures (start_date, end_date)`,
+    // Closures as they apply to each doctor and day, so the slot engine treats them like blocked time
+    `CREATE OR REPLACE FUNCTION doctor_closures(from_date DATE, to_date DATE, only_doctor INTEGER DEFAULT NULL)
+    RETURNS TABLE (doctor_id INTEGER, closure_id INTEGER, closed_date DATE, start_time TIME, end_time TIME, reason VARCHAR) AS $$
+        SELECT d.id, c.id, g.day::date, c.start_time, c.end_time, c.reason
+        FROM clinic_closures c
+        CROSS JOIN LATERAL generate_series(GREATEST(c.start_date, from_date), LEAST(c.end_date, to_date), interval '1 day') AS g(day)
+        JOIN doctors d
+            ON c.office_location IS NULL OR LOWER(d.office_location) = LOWER(c.office_location)
+        WHERE c.start_date <= to_date AND c.end_date >= from_date
+          AND (only_doctor IS NULL OR d.id = only_doctor)
+    $$ LANGUAGE sql STABLE`,
+
+    // Bulk cancel/reschedule when a doctor is out. changes holds each appointment's before and after
+    // so the whole operation can be undone until undo_until.
+    `CREATE TABLE IF NOT EXISTS bulk_operations (
+        id SERIAL PRIMARY KEY,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('cancel', 'reschedule')),
+        reason VARCHAR(255),
+        changes JSONB NOT NULL DEFAULT '[]',
+        blocked_slot_ids INTEGER[] NOT NULL DEFAULT '{}',
+        created_by INTEGER REFERENCES staff_users(id),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        undo_until TIMESTAMP NOT NULL,
+        undone_at TIMESTAMP,
+        undone_by INTEGER REFERENCES staff_users(id)
+    )`,
+
+    // Appointment type catalog. A type is offered by the doctors listed in appointment_type_doctors and by
+    // every doctor in one of its specialties; a type that lists neither is offered by everyone.
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS description TEXT`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS color VARCHAR(7) NOT NULL DEFAULT '#3498db'`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS specialties TEXT[] NOT NULL DEFAULT '{}'`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS new_patients_allowed BOOLEAN NOT NULL DEFAULT true`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS preparation_instructions TEXT`,
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true`,
+    `CREATE TABLE IF NOT EXISTS appointment_type_doctors (
+        appointment_type_id INTEGER NOT NULL REFERENCES appointment_types(id) ON DELETE CASCADE,
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        PRIMARY KEY (appointment_type_id, doctor_id)
+    )`,
+    // Unknown types (e.g. a default type that was never created) don't restrict anyone
+    `CREATE OR REPLACE FUNCTION doctor_offers_type(for_doctor INTEGER, for_type INTEGER) RETURNS BOOLEAN AS $$
+        SELECT COALESCE((
+            SELECT (cardinality(t.specialties) = 0
+                    AND NOT EXISTS (SELECT 1 FROM appointment_type_doctors td WHERE td.appointment_type_id = t.id))
+                OR EXISTS (SELECT 1 FROM appointment_type_doctors td WHERE td.appointment_type_id = t.id AND td.doctor_id = for_doctor)
+                OR EXISTS (SELECT 1 FROM doctors d, unnest(t.specialties) s WHERE d.id = for_doctor AND LOWER(d.specialty) = LOWER(s))
+            FROM appointment_types t
+            WHERE t.id = for_type
+        ), true)
+    $$ LANGUAGE sql STABLE`,
+
+    // Video visits: the type says the visit happens online, the appointment holds its meeting link
+    `ALTER TABLE appointment_types ADD COLUMN IF NOT EXISTS is_virtual BOOLEAN NOT NULL DEFAULT false`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS meeting_url TEXT`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS meeting_id VARCHAR(100)`,
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS meeting_provider VARCHAR(20)`,
+    `CREATE INDEX IF NOT EXISTS idx_appointments_meeting_id ON appointments (meeting_id) WHERE meeting_id IS NOT NULL`,
+
+    // Calendar files carry the patient's name, email and meeting link, so they are served by a random
+    // token that only the patient is sent rather than by appointment id
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) NOT NULL DEFAULT replace(gen_random_uuid()::text, '-', '')`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_calendar_token ON appointments (calendar_token)`,
+    `ALTER TABLE appointment_series ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) NOT NULL DEFAULT replace(gen_random_uuid()::text, '-', '')`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_series_calendar_token ON appointment_series (calendar_token)`,
+
+    // What a keyed booking asked for, so a reused idempotency key only replays the request it was first sent with
+    `ALTER TABLE appointments ADD COLUMN IF NOT EXISTS idempotency_request VARCHAR(64)`,
+    `ALTER TABLE appointment_series ADD COLUMN IF NOT EXISTS idempotency_request VARCHAR(64)`
+];
+
+// A failing statement is logged and skipped so one bad migration (e.g. legacy overlapping rows
+// blocking a constraint) doesn't stop the rest from applying
+async function ensureSchema() {
+    let failures = 0;
+    for (const statement of SCHEMA_MIGRATIONS) {
+        try {
+            await pool.query(statement);
+        } catch (err) {
+            failures++;
+            console.error('❌ Schema migration failed:', err.message, '\n', statement.split('\n')[0]);
+        }
+    }
+    return failures;
+}
+
+const schemaReady = ensureSchema()
+    .then(failures => {
+        if (failures === 0) console.log('✅ Database schema is up to date');
+        return ensureBootstrapAdmin();
+    });
+
 // --- Express config ---
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -43,6 +632,502 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// =========================
+// STAFF AUTHENTICATION
+// =========================
+
+// Staff sign in at /admin/login and get an HttpOnly session cookie. Sessions live in the database
+// (only a hash of the token is stored) so they survive restarts. Roles:
+//   admin      - everything, including staff accounts, doctors and clinic settings
+//   front_desk - appointments, patients, waitlist and notifications
+//   physician  - their own schedule only
+const STAFF_ROLES = ['admin', 'front_desk', 'physician'];
+const STAFF_SESSION_COOKIE = 'staff_session';
+const STAFF_SESSION_MS = parseInt(process.env.STAFF_SESSION_HOURS || '12') * 3600000;
+const STAFF_MIN_PASSWORD_LENGTH = 10;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW_MS = 15 * 60000;
+
+// scrypt with a per-password salt, stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(`scrypt$${salt}$${key.toString('hex')}`));
+    });
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, key) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === key.length && crypto.timingSafeEqual(key, expected));
+        });
+    });
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readCookie(req, name) {
+    for (const part of (req.get('Cookie') || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+function setSessionCookie(res, token, maxAgeMs) {
+    const secure = APP_BASE_URL.startsWith('https:') ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${STAFF_SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`);
+}
+
+// Failed sign-ins per IP and per email, so neither a single client nor a spread-out attack can keep guessing
+const loginFailures = new Map();
+
+function isLoginThrottled(keys) {
+    return keys.some(key => {
+        const entry = loginFailures.get(key);
+        return entry && Date.now() <= entry.resetAt && entry.count >= LOGIN_MAX_FAILURES;
+    });
+}
+
+function recordLoginFailure(keys) {
+    for (const key of keys) {
+        const entry = loginFailures.get(key);
+        if (!entry || Date.now() > entry.resetAt) {
+            loginFailures.set(key, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_MS });
+        } else {
+            entry.count++;
+        }
+    }
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+        if (now > entry.resetAt) loginFailures.delete(key);
+    }
+    pool.query('DELETE FROM staff_sessions WHERE expires_at < CURRENT_TIMESTAMP')
+        .catch(error => console.error('Error pruning staff sessions:', error.message));
+}, LOGIN_WINDOW_MS).unref();
+
+// The signed-in staff member for this request, or null
+async function getStaffFromRequest(req) {
+    const token = readCookie(req, STAFF_SESSION_COOKIE);
+    if (!token) return null;
+    const result = await pool.query(`
+        SELECT u.id, u.email, u.name, u.role, u.doctor_id, s.token_hash
+        FROM staff_sessions s
+        JOIN staff_users u ON u.id = s.user_id
+        WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = true
+    `, [hashSessionToken(token)]);
+    return result.rows[0] || null;
+}
+
+// Every /api/admin route needs a signed-in staff member; requireRole then narrows it per route
+async function requireStaff(req, res, next) {
+    try {
+        req.staff = await getStaffFromRequest(req);
+        if (!req.staff) {
+            return res.status(401).json({ success: false, message: 'Please sign in' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking staff session:', error);
+        res.status(500).json({ success: false, message: 'Error checking your session' });
+    }
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.staff || !roles.includes(req.staff.role)) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this' });
+        }
+        next();
+    };
+}
+
+// Physicians only ever see their own doctor's appointments; other staff may filter by any doctor
+function scopedDoctorId(req, requestedDoctorId = null) {
+    return req.staff.role === 'physician' ? req.staff.doctor_id : (requestedDoctorId || null);
+}
+
+app.use('/api/admin', requireStaff);
+
+// =========================
+// AUDIT LOG
+// =========================
+
+// recordAudit() appends one entry per staff write (with a before/after diff) and auditAccess() records
+// reads of patient data. Appends are serialised with an advisory lock so every entry links to the one before.
+const AUDIT_CHAIN_LOCK = 7426001;
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+// Never copied into the log; a change only shows as redacted
+const AUDIT_REDACTED_FIELDS = new Set(['password_hash', 'token', 'token_hash', 'notes']);
+
+// DATE columns come back as local midnight; show them as the calendar date they are
+function auditValue(value) {
+    if (value instanceof Date) {
+        const midnight = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0 && value.getMilliseconds() === 0;
+        return midnight ? toLocalDateString(value) : value.toISOString();
+    }
+    return value === undefined ? null : value;
+}
+
+// JSON with keys sorted at every level, so the hash doesn't depend on how JSONB reorders them
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// { field: { from, to } } for every field of `after` that differs from `before`.
+// before is null for creates; after is null for deletes, which list every field of before.
+function auditChanges(before, after) {
+    const changes = {};
+    for (const key of Object.keys(after || before || {})) {
+        if (key === 'updated_at') continue;
+        const from = before ? auditValue(before[key]) : null;
+        const to = after ? auditValue(after[key]) : null;
+        if (canonicalJson(from) === canonicalJson(to)) continue;
+        changes[key] = AUDIT_REDACTED_FIELDS.has(key)
+            ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+            : { from, to };
+    }
+    return changes;
+}
+
+function auditEntryHash(entry) {
+    return crypto.createHash('sha256').update(canonicalJson({
+        prev_hash: entry.prev_hash,
+        occurred_at: entry.occurred_at,
+        actor_id: entry.actor_id,
+        actor_email: entry.actor_email,
+        actor_role: entry.actor_role,
+        action: entry.action,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id,
+        changes: entry.changes,
+        details: entry.details,
+        ip_address: entry.ip_address
+    })).digest('hex');
+}
+
+// Appends an entry. Never throws: a logging problem is reported loudly but doesn't undo the action.
+// actor defaults to the signed-in staff member; sign-in attempts pass { email } instead.
+async function recordAudit(req, { action, entityType = null, entityId = null, before = null, after = null, details = null, actor = req.staff }) {
+    let client;
+    try {
+        const entry = {
+            occurred_at: new Date().toISOString(),
+            actor_id: actor?.id ?? null,
+            actor_email: actor?.email ?? null,
+            actor_role: actor?.role ?? null,
+            action,
+            entity_type: entityType,
+            entity_id: entityId === null ? null : String(entityId),
+            changes: before || after ? JSON.parse(JSON.stringify(auditChanges(before, after))) : null,
+            details: details ? JSON.parse(JSON.stringify(details)) : null,
+            ip_address: req.ip || null
+        };
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+        const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+        entry.prev_hash = last.rows[0]?.hash || AUDIT_GENESIS_HASH;
+        entry.hash = auditEntryHash(entry);
+        await client.query(`
+            INSERT INTO audit_log (occurred_at, actor_id, actor_email, actor_role, action, entity_type, entity_id,
+                                   changes, details, ip_address, prev_hash, hash)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, [entry.occurred_at, entry.actor_id, entry.actor_email, entry.actor_role, entry.action, entry.entity_type,
+            entry.entity_id, entry.changes, entry.details, entry.ip_address, entry.prev_hash, entry.hash]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client?.query('ROLLBACK').catch(() => {});
+        console.error(`❌ Audit log write failed for ${action}:`, error.message);
+    } finally {
+        client?.release();
+    }
+}
+
+// Route middleware for reads of patient data: records who looked at what once the response succeeds
+function auditAccess(action, entityType) {
+    return (req, res, next) => {
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+            const filters = Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''));
+            recordAudit(req, {
+                action,
+                entityType,
+                entityId: req.params.id ?? null,
+                details: Object.keys(filters).length > 0 ? { filters } : null
+            });
+        });
+        next();
+    };
+}
+
+// Current row for a before/after diff
+const AUDITED_TABLES = ['appointments', 'users', 'doctors', 'staff_users', 'waitlist_entries', 'calendar_feeds', 'appointment_types',
+    'notification_outbox', 'blocked_slots'];
+
+async function auditSnapshot(table, id) {
+    if (!AUDITED_TABLES.includes(table)) throw new Error(`Not an audited table: ${table}`);
+    const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Walks the chain in order and reports the first entry whose link or hash doesn't match
+async function verifyAuditChain() {
+    const BATCH = 1000;
+    let previousHash = AUDIT_GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+    for (;;) {
+        const result = await pool.query('SELECT * FROM audit_log WHERE id > $1 ORDER BY id LIMIT $2', [lastId, BATCH]);
+        for (const row of result.rows) {
+            const entry = { ...row, occurred_at: new Date(row.occurred_at).toISOString() };
+            if (row.prev_hash !== previousHash) {
+                return { valid: false, checked, brokenAt: row.id, reason: 'Entry does not link to the one before it (an entry was removed or reordered)' };
+            }
+            if (auditEntryHash(entry) !== row.hash) {
+                return { valid: false, checked, brokenAt: row.id, reason: 'Entry contents do not match its hash (the entry was modified)' };
+            }
+            previousHash = row.hash;
+            lastId = row.id;
+            checked++;
+        }
+        if (result.rows.length < BATCH) return { valid: true, checked, brokenAt: null, reason: null };
+    }
+}
+
+// First run: create the administrator from ADMIN_EMAIL / ADMIN_PASSWORD when there are no staff accounts yet
+async function ensureBootstrapAdmin() {
+    try {
+        const existing = await pool.query('SELECT 1 FROM staff_users LIMIT 1');
+        if (existing.rows.length > 0) return;
+
+        const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD || ADMIN_PASSWORD.length < STAFF_MIN_PASSWORD_LENGTH) {
+            console.warn(`⚠️ No staff accounts yet - set ADMIN_EMAIL and ADMIN_PASSWORD (${STAFF_MIN_PASSWORD_LENGTH}+ characters) to create the first administrator`);
+            return;
+        }
+        await pool.query(`
+            INSERT INTO staff_users (email, name, role, password_hash)
+            VALUES (LOWER($1), 'Administrator', 'admin', $2)
+            ON CONFLICT (email) DO NOTHING
+        `, [ADMIN_EMAIL, await hashPassword(ADMIN_PASSWORD)]);
+        console.log('🔐 Created administrator account:', ADMIN_EMAIL);
+    } catch (error) {
+        console.error('Error creating administrator account:', error.message);
+    }
+}
+
+app.get('/admin/login', async (req, res) => {
+    const staff = await getStaffFromRequest(req).catch(() => null);
+    if (staff) return res.redirect('/admin');
+    res.render('admin/login', { title: 'Staff Sign In' });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const throttleKeys = [`ip:${req.ip}`, `email:${email}`];
+
+    if (!email || !password) {
+        return res.status(400).json({ success: false, message: 'Please enter your email and password' });
+    }
+    if (isLoginThrottled(throttleKeys)) {
+        return res.status(429).json({ success: false, message: 'Too many failed attempts. Please wait 15 minutes and try again.' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM staff_users WHERE email = $1 AND is_active = true', [email]);
+        const user = result.rows[0];
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            recordLoginFailure(throttleKeys);
+            recordAudit(req, { action: 'auth.login_failed', actor: { email } });
+            return res.status(401).json({ success: false, message: 'Incorrect email or password' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await pool.query(`
+            INSERT INTO staff_sessions (token_hash, user_id, expires_at, ip_address)
+            VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3), $4)
+        `, [hashSessionToken(token), user.id, STAFF_SESSION_MS / 1000, req.ip]);
+        await pool.query('UPDATE staff_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+        setSessionCookie(res, token, STAFF_SESSION_MS);
+        console.log(`🔐 ${user.email} signed in (${user.role})`);
+        recordAudit(req, { action: 'auth.login', entityType: 'staff_user', entityId: user.id, actor: user });
+
+        res.json({ success: true, data: { id: user.id, email: user.email, name: user.name, role: user.role, doctor_id: user.doctor_id } });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ success: false, message: 'Error signing in' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const staff = await getStaffFromRequest(req);
+        if (staff) {
+            await pool.query('DELETE FROM staff_sessions WHERE token_hash = $1', [staff.token_hash]);
+            recordAudit(req, { action: 'auth.logout', entityType: 'staff_user', entityId: staff.id, actor: staff });
+        }
+        setSessionCookie(res, '', 0);
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        console.error('Error signing out:', error);
+        res.status(500).json({ success: false, message: 'Error signing out' });
+    }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const staff = await getStaffFromRequest(req);
+        if (!staff) {
+            return res.status(401).json({ success: false, message: 'Please sign in' });
+        }
+        const { token_hash, ...user } = staff;
+        res.json({ success: true, data: user });
+    } catch (error) {
+        console.error('Error loading session:', error);
+        res.status(500).json({ success: false, message: 'Error loading your session' });
+    }
+});
+
+// Staff change their own password; other sessions for the account are signed out
+app.post('/api/auth/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || String(newPassword).length < STAFF_MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `New password must be at least ${STAFF_MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        const staff = await getStaffFromRequest(req);
+        if (!staff) {
+            return res.status(401).json({ success: false, message: 'Please sign in' });
+        }
+        const result = await pool.query('SELECT password_hash FROM staff_users WHERE id = $1', [staff.id]);
+        if (!(await verifyPassword(String(currentPassword || ''), result.rows[0].password_hash))) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+
+        await pool.query(
+            'UPDATE staff_users SET password_hash = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [staff.id, await hashPassword(String(newPassword))]
+        );
+        await pool.query('DELETE FROM staff_sessions WHERE user_id = $1 AND token_hash <> $2', [staff.id, staff.token_hash]);
+        recordAudit(req, { action: 'auth.password_changed', entityType: 'staff_user', entityId: staff.id, actor: staff });
+        res.json({ success: true, message: 'Password changed' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ success: false, message: 'Error changing password' });
+    }
+});
+
+// =========================
+// CHAT SESSIONS
+// =========================
+
+// Conversation state lives in memory, keyed by the session id the chat client sends back
+const SESSION_TTL_MS = parseInt(process.env.CHAT_SESSION_TTL_MINUTES || '30') * 60000;
+const SESSION_MAX_TURNS = parseInt(process.env.CHAT_SESSION_MAX_TURNS || '20');
+const SESSION_MAX_TURN_CHARS = 2000;
+const SESSION_MAX_COUNT = parseInt(process.env.CHAT_SESSION_MAX_COUNT || '1000');
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const chatSessions = new Map();
+
+function createChatSession() {
+    // Evict the least recently used session once we hit the cap (Map keeps insertion order)
+    if (chatSessions.size >= SESSION_MAX_COUNT) {
+        const oldestId = chatSessions.keys().next().value;
+        chatSessions.delete(oldestId);
+    }
+
+    const session = {
+        id: crypto.randomUUID(),
+        turns: [],
+        booking: {
+            specialty: null,
+            doctorId: null,
+            appointmentTypeId: null,
+            date: null,
+            time: null,
+            hold: null,
+            recurrence: null,
+            details: {}
+        },
+        createdAt: Date.now(),
+        lastActiveAt: Date.now()
+    };
+    chatSessions.set(session.id, session);
+    return session;
+}
+
+// Returns the live session for this id, or a fresh one if it is unknown or expired
+function getChatSession(sessionId) {
+    if (sessionId && SESSION_ID_PATTERN.test(sessionId)) {
+        const session = chatSessions.get(sessionId);
+        if (session && Date.now() - session.lastActiveAt < SESSION_TTL_MS) {
+            // Re-insert so the Map stays ordered by last activity
+            chatSessions.delete(sessionId);
+            session.lastActiveAt = Date.now();
+            chatSessions.set(sessionId, session);
+            return session;
+        }
+        chatSessions.delete(sessionId);
+    }
+    return createChatSession();
+}
+
+function recordSessionTurn(session, role, text) {
+    if (!text) return;
+    session.turns.push({ role, text: String(text).slice(0, SESSION_MAX_TURN_CHARS) });
+    if (session.turns.length > SESSION_MAX_TURNS) {
+        session.turns.splice(0, session.turns.length - SESSION_MAX_TURNS);
+    }
+}
+
+function updateSessionBooking(session, changes) {
+    session.booking = { ...session.booking, ...changes };
+}
+
+// Converse requires the history to start with a user turn and strictly alternate roles
+function buildConversationMessages(session, userMessage) {
+    const messages = [];
+    const turns = [...session.turns, { role: 'user', text: userMessage }];
+
+    turns.forEach(turn => {
+        const last = messages[messages.length - 1];
+        if (last && last.role === turn.role) {
+            last.content[0].text += `\n\n${turn.text}`;
+        } else if (messages.length > 0 || turn.role === 'user') {
+            messages.push({ role: turn.role, content: [{ text: turn.text }] });
+        }
+    });
+
+    return messages;
+}
+
+function pruneChatSessions() {
+    const now = Date.now();
+    for (const [id, session] of chatSessions) {
+        if (now - session.lastActiveAt >= SESSION_TTL_MS) chatSessions.delete(id);
+    }
+}
+
+setInterval(pruneChatSessions, 60000).unref();
+
 // --- Routes ---
 app.get('/', (req, res) => {
     res.render('index', {
@@ -53,13 +1138,17 @@ app.get('/', (req, res) => {
 
 // --- API endpoint for chat ---
 app.post('/api/chat', async (req, res) => {
-    const { message } = req.body;
+    const { message, sessionId } = req.body;
+    const session = getChatSession(sessionId);
 
     try {
         const dbContext = await getDatabaseContext();
-        const botResponse = await generateAIResponse(message, dbContext);
+        const botResponse = await validateBotResponse(await generateAIResponse(message, dbContext, session, req.ip), dbContext, session);
+
+        recordSessionTurn(session, 'user', message);
+        recordSessionTurn(session, 'assistant', botResponse.content);
 
-        res.json({ success: true, response: botResponse });
+        res.json({ success: true, sessionId: session.id, response: botResponse });
     } catch (error) {
         console.error('Error processing chat message:', error);
         res.status(500).json({ success: false, error: 'Sorry, I encountered an error processing your request.' });
@@ -86,114 +1175,532 @@ function extractTextFromBedrockResponse(resp) {
 }
 
 // --- AI response function ---
-// Replace your generateAIResponse function with this smart interpreter approach
-async function generateAIResponse(userMessage, dbContext) {
-    console.log('🔍 generateAIResponse called with:', userMessage);
-    
-    try {
-        console.log('📋 Building system prompt...');
-        const systemPrompt = `# Medical Appointment Interpreter
-		## RESPONSE FORMAT - CRITICAL
-		Always return JSON with this EXACT structure:
-		{
-		  "content": "Your response text",
-		  "actions": [
-			{"type": "select_doctor", "text": "Dr. Johnson (Cardiology)", "data": "doctor_id"},
-			{"type": "select_date", "text": "Tomorrow 2:00 PM", "data": "doctor_id,date,time"}
-		  ]
-		}
-
-		NEVER use "options" arrays. NEVER use "slot" fields. Each action must have exactly: type, text, and data.
-
-		For select_date actions, the data field must be exactly: "doctorId,YYYY-MM-DD,HH:MM:SS"
+// The model works through tools that query Postgres; buttons are built from tool results, never from model text
+const MAX_TOOL_ROUNDS = 5;
+const TOOL_RESULT_LIMIT = 20;
 
-		Example: {"type": "select_date", "text": "Tuesday 2:00 PM", "data": "1,2025-09-16,14:00:00"}
-
-		## CURRENT DATA
-		Doctors: ${JSON.stringify(dbContext.doctors, null, 2)}
-		Available appointments: ${JSON.stringify(dbContext.upcoming_availability.slice(0, 10), null, 2)}
-
-		When user wants Dr. Sarah Johnson, create buttons like:
-		{"type": "select_date", "text": "Today 8:00 AM", "data": "1,2025-09-12,08:00:00"}
-		{"type": "select_date", "text": "Tomorrow 1:00 PM", "data": "1,2025-09-13,13:00:00"}
-
-		Use the EXACT data format shown above. Do NOT create nested objects or arrays.
-
-		Keep responses short and focused. If user asks about non-medical topics, politely redirect to appointment scheduling only.`;
-
-        console.log('📦 Building payload...');
-        const payload = {
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            text: `${systemPrompt}\n\nUser says: "${userMessage}"\n\nProvide a helpful response.`
-                        }
-                    ]
+const CHAT_TOOLS = [
+    {
+        toolSpec: {
+            name: 'search_doctors',
+            description: 'Search active doctors by name and/or specialty. Call with no arguments to list every doctor.',
+            inputSchema: {
+                json: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Part of the doctor\'s name, e.g. "Johnson"' },
+                        specialty: { type: 'string', description: 'Medical specialty, e.g. "Cardiology"' }
+                    }
                 }
-            ],
-            inferenceConfig: {
-                maxTokens: 800,
-                temperature: 0.3,
-                topP: 0.9
             }
+        }
+    },
+    {
+        toolSpec: {
+            name: 'find_open_slots',
+            description: 'Find open appointment slots. Filter by doctor or specialty, a date range and time of day.',
+            inputSchema: {
+                json: {
+                    type: 'object',
+                    properties: {
+                        doctor_id: { type: 'integer', description: 'Doctor id from search_doctors' },
+                        specialty: { type: 'string', description: 'Medical specialty, used when no doctor is chosen' },
+                        date_from: { type: 'string', description: 'First date to search, YYYY-MM-DD (defaults to today)' },
+                        date_to: { type: 'string', description: 'Last date to search, YYYY-MM-DD (defaults to two weeks out)' },
+                        time_of_day: { type: 'string', enum: ['morning', 'afternoon', 'evening', 'any'] },
+                        appointment_type_id: { type: 'integer', description: 'Visit type id from VISIT TYPES (defaults to the one already chosen)' }
+                    }
+                }
+            }
+        }
+    },
+    {
+        toolSpec: {
+            name: 'hold_slot',
+            description: 'Reserve a slot the patient picked so they can continue to booking. Only use slots returned by find_open_slots.',
+            inputSchema: {
+                json: {
+                    type: 'object',
+                    properties: {
+                        doctor_id: { type: 'integer' },
+                        date: { type: 'string', description: 'YYYY-MM-DD' },
+                        time: { type: 'string', description: 'HH:MM:SS' },
+                        appointment_type_id: { type: 'integer', description: 'Visit type id from VISIT TYPES (defaults to the one already chosen)' }
+                    },
+                    required: ['doctor_id', 'date', 'time']
+                }
+            }
+        }
+    },
+    {
+        toolSpec: {
+            name: 'lookup_my_appointments',
+            description: 'List the patient\'s upcoming appointments. Requires their confirmation number plus the email or date of birth on file.',
+            inputSchema: {
+                json: {
+                    type: 'object',
+                    properties: {
+                        confirmation_number: { type: 'string' },
+                        email: { type: 'string' },
+                        date_of_birth: { type: 'string', description: 'YYYY-MM-DD' }
+                    },
+                    required: ['confirmation_number']
+                }
+            }
+        }
+    }
+];
+
+const TIME_OF_DAY_RANGES = {
+    morning: ['00:00:00', '12:00:00'],
+    afternoon: ['12:00:00', '17:00:00'],
+    evening: ['17:00:00', '23:59:59'],
+    any: ['00:00:00', '23:59:59']
+};
+
+function isISODate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value + 'T00:00:00'));
+}
+
+function isISOTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+// Opens the verified lookup form in the chat client
+const LOOKUP_ACTION = { type: 'lookup_appointments', text: '🔍 Find My Appointments', data: 'lookup' };
+
+// Runs one tool call and returns { result, actions[, appointments] } - result goes back to the model,
+// actions (and appointment cards) to the browser. clientIp is the chatting patient's, for lookup throttling.
+async function executeChatTool(name, input, session, clientIp) {
+    input = input || {};
+
+    if (name === 'search_doctors') {
+        const params = [];
+        let query = `SELECT id, name, specialty, office_location FROM doctors WHERE is_active = true`;
+        if (input.name) {
+            params.push(`%${input.name.replace(/^dr\.?\s*/i, '')}%`);
+            query += ` AND name ILIKE $${params.length}`;
+        }
+        if (input.specialty) {
+            params.push(`%${input.specialty}%`);
+            query += ` AND specialty ILIKE $${params.length}`;
+        }
+        query += ` ORDER BY name LIMIT ${TOOL_RESULT_LIMIT}`;
+
+        const result = await pool.query(query, params);
+        if (input.specialty) updateSessionBooking(session, { specialty: input.specialty });
+        return {
+            result: { doctors: result.rows },
+            actions: result.rows.slice(0, 6).map(doc => ({
+                type: 'select_doctor',
+                text: `Dr. ${doc.name} (${doc.specialty})`,
+                data: doc.id.toString()
+            }))
         };
+    }
 
-        console.log('🚀 Making Bedrock API call...');
-        const response = await axios.post(
-            `${BEDROCK_API_BASE}/model/us.amazon.nova-micro-v1:0/converse`,
-            payload,
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${BEARER_TOKEN}`
-                },
-                timeout: 30000
-            }
-        );
+    if (name === 'find_open_slots') {
+        if (input.appointment_type_id && !await chooseSessionAppointmentType(session, input.appointment_type_id)) {
+            return { result: { slots: [], error: 'Unknown visit type. Use an id from VISIT TYPES.' }, actions: [] };
+        }
+        const slots = await findOpenSlots({
+            doctorId: input.doctor_id,
+            specialty: input.specialty,
+            dateFrom: input.date_from,
+            dateTo: input.date_to,
+            timeOfDay: input.time_of_day,
+            appointmentTypeId: sessionAppointmentTypeId(session),
+            sessionId: session.id
+        });
+        // Closures in the searched range, so the model can explain why days are missing
+        const from = isISODate(input.date_from) ? input.date_from : toLocalDateString(new Date());
+        const to = isISODate(input.date_to) ? input.date_to : addDays(from, 13);
+        const closures = (await getUpcomingClosures())
+            .filter(closure => closure.start_date <= to && closure.end_date >= from)
+            .map(closure => ({ office_location: closure.office_location || 'all offices', notice: describeClosure(closure) }));
 
-        console.log('✅ Bedrock API response received, status:', response.status);
-        const aiRaw = extractTextFromBedrockResponse(response);
-        console.log('📝 AI raw response:', aiRaw ? aiRaw.substring(0, 100) + '...' : 'NULL');
+        if (slots.length === 0) {
+            const target = input.doctor_id
+                ? { doctorId: parseInt(input.doctor_id), date: isISODate(input.date_from) ? input.date_from : null }
+                : input.specialty && { specialty: String(input.specialty).slice(0, 100), date: isISODate(input.date_from) ? input.date_from : null };
+            return {
+                result: { slots, closures, note: 'Nothing open. The patient has a button to join the waitlist.' },
+                actions: target && parseWaitlistTarget(waitlistAction(target).data) ? [waitlistAction(target)] : []
+            };
+        }
+        return {
+            result: closures.length > 0 ? { slots, closures } : { slots },
+            actions: slots.slice(0, 8).map(slot => ({
+                type: 'select_date',
+                text: `${slot.doctor_name}: ${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+                data: `${slot.doctor_id},${slot.available_date},${slot.start_time}`
+            }))
+        };
+    }
 
-        if (!aiRaw) {
-            console.log('⚠️ No AI response, using fallback');
-            return generateSmartFallback(userMessage, dbContext);
+    if (name === 'hold_slot') {
+        if (!input.doctor_id || !isISODate(input.date) || !isISOTime(input.time)) {
+            return { result: { held: false, error: 'doctor_id, date (YYYY-MM-DD) and time (HH:MM:SS) are required' }, actions: [] };
+        }
+        if (input.appointment_type_id && !await chooseSessionAppointmentType(session, input.appointment_type_id)) {
+            return { result: { held: false, error: 'Unknown visit type. Use an id from VISIT TYPES.' }, actions: [] };
+        }
+        const doctorResult = await pool.query('SELECT id, name, specialty FROM doctors WHERE id = $1 AND is_active = true', [input.doctor_id]);
+        const doctor = doctorResult.rows[0];
+        const time = input.time.length === 5 ? `${input.time}:00` : input.time;
+        const holdResult = doctor
+            ? await placeSlotHold({ sessionId: session.id, doctorId: doctor.id, date: input.date, time, appointmentTypeId: sessionAppointmentTypeId(session) })
+            : { held: false };
+        if (!holdResult.held) {
+            return { result: { held: false, error: 'That slot is not available. Call find_open_slots for current openings.' }, actions: [] };
         }
 
-        try {
-            const parsed = JSON.parse(aiRaw);
-            console.log('✅ Successfully parsed AI JSON response');
-			console.log('AI Actions:', JSON.stringify(parsed.actions, null, 2));
-            return parsed;
-        } catch (parseError) {
-            console.log('⚠️ AI response not JSON, using fallback. Raw response:', aiRaw);
-            return generateSmartFallback(userMessage, dbContext, aiRaw);
+        const hold = describeHold(holdResult.hold);
+        updateSessionBooking(session, { doctorId: doctor.id, specialty: doctor.specialty, date: input.date, time, hold, recurrence: null });
+        return {
+            result: { held: true, doctor: doctor.name, date: input.date, time, held_for_minutes: HOLD_DURATION_MINUTES },
+            actions: [{
+                type: 'collect_info',
+                text: 'Continue to Book',
+                data: `${doctor.id},${input.date},${time}`
+            }]
+        };
+    }
+
+    if (name === 'lookup_my_appointments') {
+        // Wrong guesses count against the same per-IP limit as the lookup form
+        if (isLookupThrottled(clientIp)) {
+            return { result: { verified: false, note: 'Too many attempts. Ask the patient to try again later or call us at (540) 555-CARE.' }, actions: [] };
+        }
+        const appointments = await lookupPatientAppointments({
+            confirmationNumber: input.confirmation_number,
+            email: input.email,
+            dateOfBirth: input.date_of_birth
+        });
+        if (!appointments) {
+            recordLookupFailure(clientIp);
+            return { result: { verified: false, note: 'Those details did not match. Ask the patient to use the Find My Appointments form.' }, actions: [LOOKUP_ACTION] };
+        }
+        return {
+            // Meeting links and calendar tokens are for the patient's eyes only
+            result: { verified: true, appointments: appointments.map(({ meeting_url, calendar_token, ...appointment }) => appointment) },
+            actions: [],
+            appointments: buildAppointmentCards(appointments)
+        };
+    }
+
+    return { result: { error: `Unknown tool: ${name}` }, actions: [] };
+}
+
+// The model sees whether contact details were collected, never the details themselves
+function describeBookingForPrompt(booking) {
+    const { patient, ...details } = booking.details;
+    return { ...booking, details: { ...details, patientDetailsCollected: !!patient } };
+}
+
+async function generateAIResponse(userMessage, dbContext, session, clientIp) {
+    console.log('🔍 generateAIResponse called with:', userMessage);
+    
+    if (!llmProvider) {
+        return generateSmartFallback(userMessage, dbContext, session);
+    }
+    
+    try {
+        console.log('📋 Building system prompt...');
+        const specialties = [...new Set(dbContext.doctors.map(d => d.specialty))];
+        const systemPrompt = `# Medical Appointment Assistant
+		You help patients of HealthCare Medical Center find and book appointments.
+
+		## TOOLS
+		- Use search_doctors to find doctors and find_open_slots to find openings. NEVER invent doctors, dates or times.
+		- When the patient picks a time, call hold_slot with the exact doctor_id, date and time from find_open_slots.
+		- When the patient asks about appointments they already have, or wants to cancel or reschedule one, they get a secure lookup form. Only call lookup_my_appointments if they have already typed their confirmation number and email or date of birth.
+		- The patient sees buttons for whatever your last tool call returned, so describe the options briefly instead of listing every one.
+		- If the patient asks about a date during a closure below, tell them we're closed and why before offering other days. A closure at one office only affects doctors at that office.
+		- Work out the visit type from what the patient tells you, and ask when it isn't clear. Pass its id as appointment_type_id to find_open_slots and hold_slot so the slots are the right length. Types for existing patients only can't be booked by someone who hasn't been seen here before.
+
+		## CONTEXT
+		Today is ${dbContext.current_date}.
+		Specialties we offer: ${specialties.join(', ') || 'unknown'}
+
+		## VISIT TYPES
+		${(dbContext.appointment_types || []).map(type => describeAppointmentTypeForPrompt(type, dbContext.doctors)).join('\n\t\t') || 'Only general appointments.'}
+
+		## CLINIC CLOSURES
+		${(dbContext.upcoming_closures || []).map(describeClosure).join('\n\t\t') || 'None coming up.'}
+
+		## BOOKING SO FAR
+		${JSON.stringify(describeBookingForPrompt(session.booking), null, 2)}
+		Use the earlier conversation and this booking state; don't ask again for anything the patient already told you.
+
+		Reply in plain text. Keep responses short and focused. If user asks about non-medical topics, politely redirect to appointment scheduling only.`;
+
+        const messages = buildConversationMessages(session, userMessage);
+        let actions = [];
+        let appointments = null;
+
+        for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+            console.log(`🚀 Calling ${llmProvider.name} provider (${llmProvider.model}), round ${round + 1}...`);
+            const reply = await llmProvider.converse({
+                system: [{ text: systemPrompt }],
+                messages,
+                toolConfig: { tools: CHAT_TOOLS },
+                inferenceConfig: {
+                    maxTokens: 800,
+                    temperature: 0.3,
+                    topP: 0.9
+                }
+            });
+
+            const toolUses = (reply.message?.content || []).filter(block => block.toolUse).map(block => block.toolUse);
+
+            if (reply.stopReason !== 'tool_use' || toolUses.length === 0) {
+                console.log('📝 AI final response:', reply.text ? reply.text.substring(0, 100) + '...' : 'NULL');
+                if (!reply.text) {
+                    console.log('⚠️ No AI response, using fallback');
+                    return generateSmartFallback(userMessage, dbContext, session);
+                }
+                // Some models still answer in the old {"content", "actions"} JSON shape; accept it and let validation sort out the actions
+                try {
+                    const parsed = JSON.parse(reply.text);
+                    if (parsed && typeof parsed.content === 'string') {
+                        return { content: parsed.content, actions: [...actions, ...(parsed.actions || [])], appointments, source: 'model' };
+                    }
+                } catch {
+                    // Plain text, as asked
+                }
+                return { content: reply.text, actions, appointments, source: 'model' };
+            }
+
+            messages.push(reply.message);
+            const toolResults = [];
+            for (const toolUse of toolUses) {
+                console.log('🔧 Tool call:', toolUse.name, JSON.stringify(toolUse.input));
+                try {
+                    const outcome = await executeChatTool(toolUse.name, toolUse.input, session, clientIp);
+                    if (outcome.actions.length > 0) actions = outcome.actions;
+                    if (outcome.appointments) appointments = outcome.appointments;
+                    toolResults.push({ toolResult: { toolUseId: toolUse.toolUseId, content: [{ json: outcome.result }] } });
+                } catch (toolError) {
+                    console.error('❌ Tool failed:', toolUse.name, toolError.message);
+                    toolResults.push({
+                        toolResult: { toolUseId: toolUse.toolUseId, content: [{ text: 'The tool failed. Try again or ask the patient to call us.' }], status: 'error' }
+                    });
+                }
+            }
+            messages.push({ role: 'user', content: toolResults });
         }
+
+        console.log(`⚠️ No final answer after ${MAX_TOOL_ROUNDS} tool rounds, using fallback`);
+        return generateSmartFallback(userMessage, dbContext, session);
     } catch (error) {
         console.log('❌ Function failed at some point:', error.message);
         console.log('❌ Stack trace:', error.stack);
-        return generateSmartFallback(userMessage, dbContext);
+        return generateSmartFallback(userMessage, dbContext, session);
+    }
+}
+
+// =========================
+// AI RESPONSE VALIDATION
+// =========================
+
+// Every action the browser receives must be one ChatInterface.handleActionClick knows how to handle
+const KNOWN_ACTION_TYPES = [
+    'select_doctor', 'select_date', 'collect_info', 'confirm_booking', 'show_email', 'download_calendar', 'start_over',
+    'lookup_appointments', 'join_waitlist', 'select_visit_type'
+];
+const SLOT_ACTION_TYPES = ['select_date', 'collect_info', 'confirm_booking'];
+const MAX_RESPONSE_ACTIONS = 8;
+
+// Running counters so we can see how often model output needed repair (exposed on /api/admin/stats)
+const responseValidationStats = {
+    model: { responses: 0, repairedResponses: 0, actionsChecked: 0, actionsRepaired: 0, actionsDropped: 0 },
+    fallback: { responses: 0, repairedResponses: 0, actionsChecked: 0, actionsRepaired: 0, actionsDropped: 0 }
+};
+
+// Parses "doctorId,YYYY-MM-DD,HH:MM[:SS]" into normalised parts, or null if it can't be salvaged
+function parseSlotData(data) {
+    const parts = String(data || '').split(',').map(part => part.trim());
+    if (parts.length !== 3) return null;
+
+    let [doctorId, date, time] = parts;
+    if (!/^\d+$/.test(doctorId)) return null;
+    if (!isISODate(date)) {
+        const parsed = new Date(date);
+        if (isNaN(parsed)) return null;
+        date = parsed.toISOString().split('T')[0];
+    }
+    if (!isISOTime(time)) return null;
+    if (time.length === 5) time = `${time}:00`;
+
+    return { doctorId: parseInt(doctorId), date, time };
+}
+
+async function validateAction(action, doctorsById, session, typesById) {
+    if (!action || typeof action !== 'object' || !KNOWN_ACTION_TYPES.includes(action.type)) {
+        return { action: null, dropped: true };
+    }
+
+    const checked = { type: action.type, text: String(action.text || ''), data: action.data == null ? '' : String(action.data) };
+
+    if (checked.type === 'select_doctor') {
+        const doctor = doctorsById.get(parseInt(checked.data));
+        if (!doctor) return { action: null, dropped: true };
+        checked.data = doctor.id.toString();
+        checked.text = `Dr. ${doctor.name} (${doctor.specialty})`;
+    } else if (SLOT_ACTION_TYPES.includes(checked.type)) {
+        const slot = parseSlotData(checked.data);
+        const doctor = slot && doctorsById.get(slot.doctorId);
+        if (!doctor) return { action: null, dropped: true };
+
+        const availability = await checkTimeSlotAvailability(doctor.id, slot.date, slot.time, {
+            appointmentTypeId: sessionAppointmentTypeId(session), holdSessionId: session.id
+        });
+        if (!availability.available) return { action: null, dropped: true };
+
+        checked.data = `${doctor.id},${slot.date},${slot.time}`;
+        // The button label must describe the slot the data actually books
+        const labelMatches = checked.text.includes(formatTime(slot.time)) && checked.text.includes(formatDate(slot.date));
+        if (checked.type === 'select_date' && !labelMatches) {
+            checked.text = `${doctor.name}: ${formatDate(slot.date)} at ${formatTime(slot.time)}`;
+        }
+    } else if (checked.type === 'download_calendar' && !isCalendarPath(checked.data)) {
+        return { action: null, dropped: true };
+    } else if (checked.type === 'join_waitlist') {
+        const target = parseWaitlistTarget(checked.data);
+        if (!target || (target.doctorId && !doctorsById.has(target.doctorId))) return { action: null, dropped: true };
+    } else if (checked.type === 'select_visit_type') {
+        const type = typesById.get(parseInt(checked.data));
+        if (!type) return { action: null, dropped: true };
+        checked.data = type.id.toString();
+        checked.text = `${type.name} (${type.duration_minutes} min)`;
+    }
+
+    if (!checked.text) return { action: null, dropped: true };
+
+    const repaired = checked.text !== action.text || checked.data !== action.data || Object.keys(action).length !== 3;
+    return { action: checked, repaired };
+}
+
+// Checks a bot response against the schema and live availability, fixing or dropping bad actions
+async function validateBotResponse(response, dbContext, session) {
+    const source = response?.source === 'model' ? 'model' : 'fallback';
+    const stats = responseValidationStats[source];
+    stats.responses++;
+
+    let repairedResponse = false;
+    let content = response?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+        content = "I'm here to help you schedule medical appointments. What would you like to do?";
+        repairedResponse = true;
+    }
+
+    const rawActions = Array.isArray(response?.actions) ? response.actions : [];
+    if (response?.actions !== undefined && !Array.isArray(response.actions)) repairedResponse = true;
+
+    const doctorsById = new Map(dbContext.doctors.map(doc => [doc.id, doc]));
+    const typesById = new Map((dbContext.appointment_types || []).map(type => [type.id, type]));
+    const actions = [];
+    const seen = new Set();
+
+    for (const rawAction of rawActions) {
+        stats.actionsChecked++;
+        const { action, repaired, dropped } = await validateAction(rawAction, doctorsById, session, typesById);
+        const key = action && `${action.type}|${action.data}`;
+
+        if (dropped || seen.has(key) || actions.length >= MAX_RESPONSE_ACTIONS) {
+            stats.actionsDropped++;
+            repairedResponse = true;
+            continue;
+        }
+        if (repaired) {
+            stats.actionsRepaired++;
+            repairedResponse = true;
+        }
+        seen.add(key);
+        actions.push(action);
+    }
+
+    if (repairedResponse) {
+        stats.repairedResponses++;
+        console.log(`🛠️ Repaired ${source} response: ${rawActions.length} actions in, ${actions.length} out`);
+    }
+
+    const validated = { content, actions };
+    
+    // Appointment cards only ever come from a verified lookup tool call, never from model text
+    if (source === 'model' && Array.isArray(response.appointments)) validated.appointments = response.appointments;
+    
+    // Let the browser show the countdown when the reply continues a held booking
+    const hold = session.booking.hold;
+    if (hold && new Date(hold.expiresAt) > new Date() && actions.some(action => action.type === 'collect_info')) {
+        validated.hold = hold;
     }
+    return validated;
 }
 
 // Smart fallback that interprets user intent without AI
-function generateSmartFallback(userMessage, dbContext, aiText = null) {
+async function generateSmartFallback(userMessage, dbContext, session, aiText = null) {
     const input = userMessage.toLowerCase();
     
+    // Existing appointments are looked up (and cancelled or moved) through the verified form
+    if (/\b(my|upcoming|existing)\b.*\bappointments?\b|\bview appointments?\b|\b(cancel|reschedule)\b/.test(input)) {
+        return {
+            content: "I can help with that. To keep your information private, please enter your confirmation number and your email or date of birth.",
+            actions: [LOOKUP_ACTION]
+        };
+    }
+    
+    // A patient asking about days we're closed hears that first, then gets the next open times
+    const bookingDoctor = dbContext.doctors.find(doc => doc.id === Number(session.booking.doctorId));
+    const closures = findMentionedClosures(input, dbContext.upcoming_closures || [])
+        .filter(closure => closureAppliesTo(closure, bookingDoctor));
+    if (closures.length > 0) {
+        const notice = closures.map(describeClosure).join(' ');
+        if (!bookingDoctor) {
+            return {
+                content: `${notice} Which doctor would you like to see on another day?`,
+                actions: dbContext.doctors.slice(0, 6).map(doc => ({
+                    type: 'select_doctor',
+                    text: `Dr. ${doc.name} (${doc.specialty})`,
+                    data: doc.id.toString()
+                }))
+            };
+        }
+        const openSlots = await findOpenSlots({
+            doctorId: bookingDoctor.id, dateFrom: closures[0].start_date, appointmentTypeId: sessionAppointmentTypeId(session), sessionId: session.id, limit: 5
+        });
+        return {
+            content: openSlots.length > 0
+                ? `${notice} Here are the next times Dr. ${bookingDoctor.name} has open:`
+                : `${notice} Dr. ${bookingDoctor.name} has nothing open soon after that; please call (540) 555-CARE.`,
+            actions: openSlots.map(slot => ({
+                type: 'select_date',
+                text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+                data: `${slot.doctor_id},${slot.available_date},${slot.start_time}`
+            }))
+        };
+    }
+    
+    // The kind of visit, when the patient describes it; open times are cut to its length
+    const types = dbContext.appointment_types || [];
+    const mentionedType = matchAppointmentType(input, types);
+    if (mentionedType) updateSessionBooking(session, { appointmentTypeId: mentionedType.id });
+    const visitType = types.find(type => type.id === session.booking.appointmentTypeId);
+    
     // Check for doctor names
     const mentionedDoctor = dbContext.doctors.find(doc => 
         input.includes(doc.name.toLowerCase()) || 
         doc.name.toLowerCase().includes(input.replace(/dr\.?\s*/i, ''))
     );
     
-    if (mentionedDoctor) {
+    if (mentionedDoctor || (mentionedType && bookingDoctor && typeOfferedBy(mentionedType, bookingDoctor))) {
+        const doctor = mentionedDoctor || bookingDoctor;
+        updateSessionBooking(session, { doctorId: doctor.id, specialty: doctor.specialty });
         // Find available times for this doctor
-        const availableTimes = dbContext.upcoming_availability
-            .filter(slot => slot.doctor_id === mentionedDoctor.id)
-            .slice(0, 5)
+        const availability = await getDoctorAvailability(doctor, session, types, 5);
+        if (availability.question) return availability.question;
+        const availableTimes = availability.slots
             .map(slot => ({
                 type: 'select_date',
                 text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
@@ -201,18 +1708,22 @@ function generateSmartFallback(userMessage, dbContext, aiText = null) {
             }));
             
         return {
-            content: `Great! I found Dr. ${mentionedDoctor.name} in ${mentionedDoctor.specialty}. Here are available appointment times:`,
+            content: mentionedDoctor
+                ? `Great! I found Dr. ${doctor.name} in ${doctor.specialty}. Here are available appointment times:`
+                : `Here are Dr. ${doctor.name}'s available times for a ${availability.type.name}:`,
             actions: availableTimes
         };
     }
     
-    // Check for specialties
+    // Check for specialties, falling back to one the patient named earlier in the session
     const specialties = [...new Set(dbContext.doctors.map(d => d.specialty.toLowerCase()))];
-    const mentionedSpecialty = specialties.find(spec => input.includes(spec));
+    const mentionedSpecialty = specialties.find(spec => input.includes(spec)) ||
+        (session.booking.specialty && !session.booking.doctorId ? session.booking.specialty.toLowerCase() : null);
     
     if (mentionedSpecialty) {
+        updateSessionBooking(session, { specialty: mentionedSpecialty });
         const specialtyDoctors = dbContext.doctors
-            .filter(doc => doc.specialty.toLowerCase() === mentionedSpecialty)
+            .filter(doc => doc.specialty.toLowerCase() === mentionedSpecialty && (!visitType || typeOfferedBy(visitType, doc)))
             .map(doc => ({
                 type: 'select_doctor',
                 text: `Dr. ${doc.name}`,
@@ -225,9 +1736,29 @@ function generateSmartFallback(userMessage, dbContext, aiText = null) {
         };
     }
     
-    // Default appointment scheduling response
+    // A visit type on its own: the doctors who offer it
+    if (mentionedType) {
+        const prep = mentionedType.preparation_instructions ? ` To prepare: ${mentionedType.preparation_instructions}` : '';
+        return {
+            content: `A ${mentionedType.name} takes about ${mentionedType.duration_minutes} minutes.${prep} Which doctor would you like to see?`,
+            actions: dbContext.doctors.filter(doc => typeOfferedBy(mentionedType, doc)).slice(0, 6).map(doc => ({
+                type: 'select_doctor',
+                text: `Dr. ${doc.name} (${doc.specialty})`,
+                data: doc.id.toString()
+            }))
+        };
+    }
+    
+    // Default appointment scheduling response; with several visit types we ask which one first
     if (input.includes('appointment') || input.includes('schedule') || input.includes('book')) {
-        const doctorActions = dbContext.doctors.slice(0, 6).map(doc => ({
+        if (!visitType && types.length > 1) {
+            return {
+                content: "I'd be happy to help you schedule an appointment! What kind of visit do you need?",
+                actions: visitTypeActions(types)
+            };
+        }
+        
+        const doctorActions = dbContext.doctors.filter(doc => !visitType || typeOfferedBy(visitType, doc)).slice(0, 6).map(doc => ({
             type: 'select_doctor',
             text: `Dr. ${doc.name} (${doc.specialty})`,
             data: doc.id.toString()
@@ -270,7 +1801,8 @@ app.post('/api/select-appointment', async (req, res) => {
 	console.log('Appointment selction received:', req.body);
 	console.log('Raw appointmentData:', req.body.appointmentData);
 	
-    const { appointmentData } = req.body; // Format: "doctorId,date,time"
+    const { appointmentData, sessionId } = req.body; // Format: "doctorId,date,time"
+    const session = getChatSession(sessionId);
     const splitData = appointmentData.split(',');
 	console.log('Split data;', splitData);
 	
@@ -281,23 +1813,46 @@ app.post('/api/select-appointment', async (req, res) => {
         const dbContext = await getDatabaseContext();
         const doctor = dbContext.doctors.find(d => d.id == doctorId);
         
-        // Check if still available
-        const availability = await checkTimeSlotAvailability(doctorId, date, time);
-        if (!availability.available) {
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        
+        // Reserve the slot while the patient finishes booking
+        const appointmentTypeId = sessionAppointmentTypeId(session);
+        const holdResult = await placeSlotHold({ sessionId: session.id, doctorId: doctor.id, date, time, appointmentTypeId });
+        if (!holdResult.held) {
+            const alternatives = await findOpenSlots({ doctorId: doctor.id, dateFrom: date, appointmentTypeId, sessionId: session.id, limit: 5 });
             return res.json({
                 success: false,
                 message: 'Sorry, that appointment time is no longer available.',
                 response: {
-                    content: 'That time slot was just taken. Let me show you other available times.',
-                    actions: []
+                    content: alternatives.length > 0
+                        ? 'That time slot was just taken. Here are other available times, or join the waitlist and we\'ll offer you a time if one opens up.'
+                        : 'That time slot was just taken. Join the waitlist and we\'ll offer you a time if one opens up.',
+                    actions: [
+                        ...alternatives.map(slot => ({
+                            type: 'select_date',
+                            text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+                            data: `${slot.doctor_id},${slot.available_date},${slot.start_time}`
+                        })),
+                        waitlistAction({ doctorId: doctor.id, date })
+                    ]
                 }
             });
         }
         
+        const hold = describeHold(holdResult.hold);
+        updateSessionBooking(session, { doctorId: doctor.id, specialty: doctor.specialty, date, time, hold, recurrence: null });
+        const content = `Great choice! You've selected:\n\n📅 ${formatDate(date)} at ${formatTime(time)}\n👩‍⚕️ ${doctor.name} (${doctor.specialty})\n\nWe're holding this time for you for ${HOLD_DURATION_MINUTES} minutes. Please provide your contact information to complete the booking:`;
+        recordSessionTurn(session, 'user', `I'd like the ${formatDate(date)} ${formatTime(time)} appointment with ${doctor.name}.`);
+        recordSessionTurn(session, 'assistant', content);
+        
         res.json({
             success: true,
+            sessionId: session.id,
             response: {
-                content: `Great choice! You've selected:\n\n📅 ${formatDate(date)} at ${formatTime(time)}\n👩‍⚕️ ${doctor.name} (${doctor.specialty})\n\nPlease provide your contact information to complete the booking:`,
+                content,
+                hold,
                 actions: [{
                     type: 'collect_info',
                     text: 'Continue to Book',
@@ -340,25 +1895,8 @@ async function getDatabaseContext() {
             ORDER BY name;
         `);
 
-        const availabilityQuery = `
-			SELECT
-				d.id AS doctor_id,
-				d.name AS doctor_name,
-				d.specialty,
-				(CURRENT_DATE + (g.n || ' days')::interval)::date::text AS available_date,
-				da.start_time,
-				da.end_time
-			FROM generate_series(0, 6) AS g(n)
-			JOIN doctor_availability da
-				ON da.day_of_week = EXTRACT(DOW FROM (CURRENT_DATE + (g.n || ' days')::interval))
-			JOIN doctors d
-				ON d.id = da.doctor_id
-			WHERE d.is_active = true
-				AND da.is_active = true
-			ORDER BY available_date, da.start_time
-			LIMIT 100;
-		`;
-        const availabilityResult = await pool.query(availabilityQuery);
+        // Real open slots for the coming week, cut by the default appointment type's duration
+        const upcomingSlots = await findOpenSlots({ dateTo: addDays(toLocalDateString(new Date()), 6), limit: 100 });
 
         const appointmentsResult = await pool.query(`
             SELECT a.appointment_date, a.appointment_time, d.name as doctor_name, u.name as patient_name
@@ -373,14 +1911,16 @@ async function getDatabaseContext() {
 
         return {
             doctors: doctorsResult.rows,
-            upcoming_availability: availabilityResult.rows,
+            upcoming_availability: upcomingSlots,
             existing_appointments: appointmentsResult.rows,
+            upcoming_closures: await getUpcomingClosures(),
+            appointment_types: await getAppointmentTypes(),
             current_date: new Date().toISOString().split('T')[0],
             tomorrow_date: new Date(Date.now() + 86400000).toISOString().split('T')[0]
         };
     } catch (error) {
         console.error('Error getting database context:', error);
-        return { doctors: [], upcoming_availability: [], existing_appointments: [], current_date: new Date().toISOString().split('T')[0], tomorrow_date: new Date(Date.now() + 86400000).toISOString().split('T')[0] };
+        return { doctors: [], upcoming_availability: [], existing_appointments: [], upcoming_closures: [], appointment_types: [], current_date: new Date().toISOString().split('T')[0], tomorrow_date: new Date(Date.now() + 86400000).toISOString().split('T')[0] };
     }
 }
 
@@ -393,132 +1933,1065 @@ app.post('/api/book-appointment', async (req, res) => {
     }
 
     try {
-        const availability = await checkTimeSlotAvailability(doctorId, appointmentDate, appointmentTime);
-        if (!availability.available) {
+        const userId = await findOrCreateUser(patientName, email, phone);
+        const typeError = await appointmentTypeBookingError(appointmentTypeId, userId);
+        if (typeError) {
+            return res.status(400).json({ success: false, message: typeError });
+        }
+        const booking = await bookAppointment({
+            userId, doctorId, appointmentTypeId, appointmentDate, appointmentTime, reasonForVisit,
+            idempotencyKey: getIdempotencyKey(req),
+            holdSessionId: req.body.sessionId || null
+        });
+
+        if (booking.idempotencyMismatch) {
+            return res.status(409).json({ success: false, message: IDEMPOTENCY_MISMATCH_MESSAGE });
+        }
+        if (!booking.booked) {
             return res.json({
                 success: false,
                 message: 'Sorry, that time slot is no longer available.',
-                alternatives: await getSuggestedAlternatives(doctorId, appointmentDate)
+                alternatives: await getSuggestedAlternatives(doctorId, appointmentDate, appointmentTypeId)
             });
         }
 
-        const userId = await findOrCreateUser(patientName, email, phone);
-        const appointment = await bookAppointment({ userId, doctorId, appointmentTypeId, appointmentDate, appointmentTime, reasonForVisit });
-
-        res.json({ success: true, message: 'Appointment booked successfully!', appointment });
+        const { id, confirmation_number } = booking.appointment;
+        res.json({ success: true, message: 'Appointment booked successfully!', appointment: { id, confirmation_number }, replayed: booking.replayed });
     } catch (error) {
         console.error('Error booking appointment:', error);
         res.status(500).json({ success: false, message: 'Error booking appointment. Please try again.' });
     }
 });
 
-// --- DB helpers ---
-async function checkTimeSlotAvailability(doctorId, date, time) {
-    try {
-        // Convert date to proper format if needed
-        let dateStr = date;
-        if (date instanceof Date) {
-            dateStr = date.toISOString().split('T')[0]; // Convert to YYYY-MM-DD format
-        } else if (typeof date === 'string' && date.includes('GMT')) {
-            // If it's a date string with timezone info, parse and format it
-            dateStr = new Date(date).toISOString().split('T')[0];
+// =========================
+// SLOT ENGINE
+// =========================
+
+// Availability windows are cut into slots of the appointment type's duration plus buffer,
+// then anything overlapping a booked appointment or a blocked slot is removed.
+const DEFAULT_SLOT_DURATION_MINUTES = 30;
+// Used when a booking doesn't say what kind of visit it is
+const DEFAULT_APPOINTMENT_TYPE_ID = parseInt(process.env.DEFAULT_APPOINTMENT_TYPE_ID || '1');
+const MAX_SLOT_SEARCH_DAYS = 60;
+
+function timeToMinutes(timeStr) {
+    const [hours, minutes, seconds = 0] = String(timeStr).split(':').map(Number);
+    return hours * 60 + minutes + Math.floor(seconds / 60);
+}
+
+function minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}:00`;
+}
+
+function toLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00');
+    date.setDate(date.getDate() + days);
+    return toLocalDateString(date);
+}
+
+function rangesOverlap(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+async function getAppointmentTypeTiming(appointmentTypeId, db = pool) {
+    const result = await db.query(
+        'SELECT id, name, duration_minutes, buffer_minutes FROM appointment_types WHERE id = $1',
+        [appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID]
+    );
+    const type = result.rows[0];
+    return {
+        id: type ? type.id : null,
+        name: type ? type.name : null,
+        durationMinutes: type?.duration_minutes || DEFAULT_SLOT_DURATION_MINUTES,
+        bufferMinutes: type?.buffer_minutes || 0
+    };
+}
+
+// Returns open slots as { doctor_id, doctor_name, specialty, available_date, start_time, end_time },
+// only with doctors who offer the appointment type
+async function findOpenSlots({ doctorId = null, specialty = null, dateFrom, dateTo, timeOfDay = 'any', appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID, sessionId = null, limit = TOOL_RESULT_LIMIT }) {
+    const now = new Date();
+    const today = toLocalDateString(now);
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    const from = isISODate(dateFrom) && dateFrom > today ? dateFrom : today;
+    let to = isISODate(dateTo) && dateTo >= from ? dateTo : addDays(from, 13);
+    // Keep the search window bounded
+    if (to > addDays(from, MAX_SLOT_SEARCH_DAYS)) to = addDays(from, MAX_SLOT_SEARCH_DAYS);
+
+    const [timeFrom, timeTo] = (TIME_OF_DAY_RANGES[timeOfDay] || TIME_OF_DAY_RANGES.any).map(timeToMinutes);
+    const timing = await getAppointmentTypeTiming(appointmentTypeId);
+    const slotLength = timing.durationMinutes + timing.bufferMinutes;
+
+    const windowsResult = await pool.query(`
+        SELECT
+            d.id AS doctor_id,
+            d.name AS doctor_name,
+            d.specialty,
+            w.work_date::text AS available_date,
+            w.start_time,
+            w.end_time
+        FROM doctor_working_windows($1::date, $2::date, $3::int) w
+        JOIN doctors d
+            ON d.id = w.doctor_id
+        WHERE d.is_active = true
+            AND ($4::text IS NULL OR d.specialty ILIKE $4)
+            AND doctor_offers_type(d.id, $5::int)
+        ORDER BY available_date, w.start_time;
+    `, [from, to, doctorId || null, specialty ? `%${specialty}%` : null, appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID]);
+
+    if (windowsResult.rows.length === 0) return [];
+    const doctorIds = [...new Set(windowsResult.rows.map(w => w.doctor_id))];
+
+    // Existing bookings occupy their own type's duration plus buffer
+    const busyResult = await pool.query(`
+        SELECT a.doctor_id, a.appointment_date::text AS busy_date, a.appointment_time AS start_time,
+               (a.appointment_time + make_interval(mins => COALESCE(t.duration_minutes, $4) + COALESCE(t.buffer_minutes, 0)))::time AS end_time
+        FROM appointments a
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.doctor_id = ANY($1::int[]) AND a.appointment_date BETWEEN $2 AND $3
+          AND a.status IN ('scheduled', 'confirmed')
+        UNION ALL
+        SELECT b.doctor_id, b.blocked_date::text, b.start_time, b.end_time
+        FROM blocked_slots b
+        WHERE b.doctor_id = ANY($1::int[]) AND b.blocked_date BETWEEN $2 AND $3
+        UNION ALL
+        SELECT c.doctor_id, c.closed_date::text, c.start_time, c.end_time
+        FROM doctor_closures($2::date, $3::date) c
+        WHERE c.doctor_id = ANY($1::int[])
+        UNION ALL
+        SELECT h.doctor_id, h.hold_date::text, h.start_time, h.end_time
+        FROM slot_holds h
+        WHERE h.doctor_id = ANY($1::int[]) AND h.hold_date BETWEEN $2 AND $3
+          AND h.released_at IS NULL AND h.expires_at > CURRENT_TIMESTAMP
+          AND ($5::text IS NULL OR h.session_id != $5)
+    `, [doctorIds, from, to, DEFAULT_SLOT_DURATION_MINUTES, sessionId]);
+
+    const busyByDoctorDay = new Map();
+    busyResult.rows.forEach(busy => {
+        const key = `${busy.doctor_id}|${busy.busy_date}`;
+        if (!busyByDoctorDay.has(key)) busyByDoctorDay.set(key, []);
+        // An end of 00:00 means the interval ran past midnight
+        const end = timeToMinutes(busy.end_time) || 24 * 60;
+        busyByDoctorDay.get(key).push([timeToMinutes(busy.start_time), end]);
+    });
+
+    const slots = [];
+    for (const window of windowsResult.rows) {
+        const busy = busyByDoctorDay.get(`${window.doctor_id}|${window.available_date}`) || [];
+        const windowEnd = timeToMinutes(window.end_time);
+
+        for (let start = timeToMinutes(window.start_time); start + timing.durationMinutes <= windowEnd; start += slotLength) {
+            if (start < timeFrom || start >= timeTo) continue;
+            if (window.available_date === today && start <= nowMinutes) continue;
+            if (busy.some(([busyStart, busyEnd]) => rangesOverlap(start, start + slotLength, busyStart, busyEnd))) continue;
+
+            slots.push({
+                doctor_id: window.doctor_id,
+                doctor_name: window.doctor_name,
+                specialty: window.specialty,
+                available_date: window.available_date,
+                start_time: minutesToTime(start),
+                end_time: minutesToTime(start + timing.durationMinutes)
+            });
         }
-        
-        console.log('🗓️ Checking availability for:', doctorId, dateStr, time);
-        
-        const query = `
-          SELECT CASE WHEN COUNT(*) = 0 THEN true ELSE false END as available
-          FROM (
-            SELECT 1 FROM appointments
-             WHERE doctor_id = $1 AND appointment_date = $2 AND appointment_time = $3 AND status IN ('scheduled', 'confirmed')
-            UNION ALL
-            SELECT 1 FROM blocked_slots
-             WHERE doctor_id = $1 AND blocked_date = $2 AND $3::time BETWEEN start_time AND end_time
-          ) conflicts;
-        `;
-        
-        const result = await pool.query(query, [doctorId, dateStr, time]);
-        return { available: !!result.rows[0].available };
-    } catch (err) {
-        console.error('checkTimeSlotAvailability error:', err);
-        return { available: false };
     }
-}
 
-async function findOrCreateUser(name, email, phone) {
-    let result = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (result.rows.length > 0) return result.rows[0].id;
-    result = await pool.query('INSERT INTO users (name, email, phone) VALUES ($1, $2, $3) RETURNING id', [name, email, phone]);
-    return result.rows[0].id;
+    slots.sort((a, b) => a.available_date.localeCompare(b.available_date) || a.start_time.localeCompare(b.start_time));
+    return slots.slice(0, limit);
 }
 
-async function bookAppointment({ userId, doctorId, appointmentTypeId, appointmentDate, appointmentTime, reasonForVisit }) {
-    const query = `
-      INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, status)
-      VALUES ($1, $2, $3, $4, $5, $6, 'scheduled') RETURNING id, confirmation_number;
-    `;
-    const result = await pool.query(query, [userId, doctorId, appointmentTypeId || 1, appointmentDate, appointmentTime, reasonForVisit]);
-    return result.rows[0];
-}
-
-async function getSuggestedAlternatives(doctorId) {
-    const query = `
-      SELECT DISTINCT da.start_time, (CURRENT_DATE + (g.n || ' days')::interval)::date as available_date
-      FROM generate_series(0, 6) AS g(n)
-      JOIN doctor_availability da ON da.day_of_week = EXTRACT(DOW FROM (CURRENT_DATE + (g.n || ' days')::interval))
-      WHERE da.doctor_id = $1 AND da.is_active = true
-      ORDER BY available_date, da.start_time
-      LIMIT 5;
-    `;
-    const result = await pool.query(query, [doctorId]);
+// =========================
+// APPOINTMENT TYPES
+// =========================
+
+// The visit catalog: how long each kind of visit takes, which doctors offer it, whether first-time
+// patients may book it themselves and what patients should do to prepare
+const MAX_APPOINTMENT_TYPE_MINUTES = 480;
+const MAX_BUFFER_MINUTES = 120;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Words in type names and descriptions too common to tell one visit type from another
+const APPOINTMENT_TYPE_GENERIC_WORDS = new Set([
+    'appointment', 'appointments', 'visit', 'visits', 'doctor', 'patient', 'patients', 'with', 'your', 'from',
+    'that', 'this', 'have', 'about', 'minutes', 'need', 'needs', 'want', 'like', 'book', 'schedule', 'new'
+]);
+
+// Types with the ids of the doctors they list, by name; inactive ones only with includeInactive
+async function getAppointmentTypes({ includeInactive = false, id = null } = {}, db = pool) {
+    const result = await db.query(`
+        SELECT t.id, t.name, t.description, t.duration_minutes, t.buffer_minutes, t.color, t.specialties,
+               t.new_patients_allowed, t.preparation_instructions, t.is_virtual, t.is_active,
+               COALESCE(array_agg(td.doctor_id ORDER BY td.doctor_id) FILTER (WHERE td.doctor_id IS NOT NULL), '{}') AS doctor_ids
+        FROM appointment_types t
+        LEFT JOIN appointment_type_doctors td ON td.appointment_type_id = t.id
+        WHERE ($1::boolean OR t.is_active) AND ($2::int IS NULL OR t.id = $2)
+        GROUP BY t.id
+        ORDER BY t.name
+    `, [includeInactive, id]);
     return result.rows;
 }
-// Add these helper functions first
-function formatDate(dateStr) {
-    // Handle both date strings and date objects
-    let date;
-    if (typeof dateStr === 'string') {
-        // If it's already a string like "2025-09-17", use it directly
-        date = new Date(dateStr + 'T00:00:00');
-    } else {
-        // If it's a Date object, convert it
-        date = new Date(dateStr);
-    }
-    
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    // Ensure we're comparing just the date parts
-    if (date.toDateString() === today.toDateString()) return 'Today';
-    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
-    
-    return date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+
+async function getAppointmentType(id, db = pool) {
+    if (!Number.isInteger(id)) return null;
+    return (await getAppointmentTypes({ includeInactive: true, id }, db))[0] || null;
 }
 
-function formatTime(timeStr) {
-    const [hours, minutes] = timeStr.split(':');
-    const hour12 = hours > 12 ? hours - 12 : hours;
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    return `${hour12}:${minutes} ${ampm}`;
+// Same rule as the doctor_offers_type SQL function
+function typeOfferedBy(type, doctor) {
+    if (type.doctor_ids.length === 0 && type.specialties.length === 0) return true;
+    return type.doctor_ids.includes(doctor.id)
+        || type.specialties.some(specialty => specialty.toLowerCase() === String(doctor.specialty).toLowerCase());
 }
 
-// Handler for when user selects a doctor
-app.post('/api/select-doctor', async (req, res) => {
-    const { doctorId } = req.body;
-    console.log('🏥 Doctor selected:', doctorId);
-    
-    try {
-        const dbContext = await getDatabaseContext();
-        const doctor = dbContext.doctors.find(d => d.id == doctorId);
-        
-        if (!doctor) {
-            return res.status(404).json({ success: false, message: 'Doctor not found' });
+// Validates { name, description, duration_minutes, buffer_minutes, color, specialties, doctor_ids,
+// new_patients_allowed, preparation_instructions, is_virtual, is_active }; returns { type } or { error }
+function parseAppointmentType(body) {
+    const name = body.name ? String(body.name).trim().slice(0, 100) : '';
+    const duration = Number(body.duration_minutes);
+    const buffer = body.buffer_minutes == null || body.buffer_minutes === '' ? 0 : Number(body.buffer_minutes);
+    const color = body.color ? String(body.color).trim() : '#3498db';
+    const specialties = typeof body.specialties === 'string' ? body.specialties.split(',') : body.specialties || [];
+    const doctorIds = body.doctor_ids || [];
+
+    if (!name) return { error: 'A name is required' };
+    if (!Number.isInteger(duration) || duration < 5 || duration > MAX_APPOINTMENT_TYPE_MINUTES) {
+        return { error: `duration_minutes must be a whole number from 5 to ${MAX_APPOINTMENT_TYPE_MINUTES}` };
+    }
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_BUFFER_MINUTES) {
+        return { error: `buffer_minutes must be a whole number from 0 to ${MAX_BUFFER_MINUTES}` };
+    }
+    if (!COLOR_PATTERN.test(color)) return { error: 'color must be a hex colour like #3498db' };
+    if (!Array.isArray(specialties) || !Array.isArray(doctorIds) || !doctorIds.every(id => Number.isInteger(Number(id)))) {
+        return { error: 'specialties must be a list of names and doctor_ids a list of doctor ids' };
+    }
+
+    return {
+        type: {
+            name,
+            description: body.description ? String(body.description).trim().slice(0, 500) : null,
+            duration_minutes: duration,
+            buffer_minutes: buffer,
+            color: color.toLowerCase(),
+            specialties: [...new Set(specialties.map(s => String(s).trim().slice(0, 100)).filter(Boolean))],
+            doctor_ids: [...new Set(doctorIds.map(Number))],
+            new_patients_allowed: body.new_patients_allowed !== false,
+            preparation_instructions: body.preparation_instructions ? String(body.preparation_instructions).trim().slice(0, 2000) : null,
+            is_virtual: body.is_virtual === true,
+            is_active: body.is_active !== false
         }
-        
-        const availableTimes = dbContext.upcoming_availability
-            .filter(slot => slot.doctor_id == doctorId)
-            .slice(0, 8)
+    };
+}
+
+// The type a patient's (lowercased) message describes: its full name, else the most words shared with
+// its name and description. Null when nothing stands out.
+function matchAppointmentType(input, types) {
+    const named = types.find(type => input.includes(type.name.toLowerCase()));
+    if (named) return named;
+
+    let best = null;
+    let bestHits = 0;
+    for (const type of types) {
+        const words = new Set(`${type.name} ${type.description || ''}`.toLowerCase().match(/[a-z]{4,}/g) || []);
+        const hits = [...words].filter(word => !APPOINTMENT_TYPE_GENERIC_WORDS.has(word) && new RegExp(`\\b${word}`).test(input)).length;
+        if (hits > bestHits) {
+            best = type;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
+
+// Patients with a completed visit on file are existing patients; everyone else is new
+async function isNewPatient(userId, db = pool) {
+    if (!userId) return true;
+    const result = await db.query(`SELECT 1 FROM appointments WHERE user_id = $1 AND status = 'completed' LIMIT 1`, [userId]);
+    return result.rows.length === 0;
+}
+
+// Why a patient can't book this type themselves, or null when they can
+async function appointmentTypeBookingError(appointmentTypeId, userId) {
+    const type = await getAppointmentType(Number(appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID));
+    if (!type) return null;
+    if (!type.is_active) return `We no longer offer ${type.name} appointments.`;
+    if (!type.new_patients_allowed && await isNewPatient(userId)) {
+        return `${type.name} appointments are for existing patients. As a new patient, please choose a visit for new patients or call us at (540) 555-CARE.`;
+    }
+    return null;
+}
+
+// Remembers the visit type picked in the chat; returns the type, or null when it can't be booked
+async function chooseSessionAppointmentType(session, typeId) {
+    const type = await getAppointmentType(Number(typeId));
+    if (!type || !type.is_active) return null;
+    updateSessionBooking(session, { appointmentTypeId: type.id });
+    return type;
+}
+
+function sessionAppointmentTypeId(session) {
+    return session.booking.appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID;
+}
+
+// One line per type for the system prompt
+function describeAppointmentTypeForPrompt(type, doctors) {
+    const everyone = type.doctor_ids.length === 0 && type.specialties.length === 0;
+    const offeredBy = everyone ? 'any doctor' : doctors.filter(doc => typeOfferedBy(type, doc)).map(doc => doc.name).join(', ') || 'nobody at the moment';
+    return `- id ${type.id}: ${type.name}, ${type.duration_minutes} minutes${type.is_virtual ? ' by video' : ''}, offered by ${offeredBy}`
+        + `${type.new_patients_allowed ? '' : ', existing patients only'}${type.description ? `. ${type.description}` : ''}`;
+}
+
+// Buttons asking the patient which kind of visit they need
+function visitTypeActions(types) {
+    return types.slice(0, MAX_RESPONSE_ACTIONS).map(type => ({
+        type: 'select_visit_type',
+        text: `${type.name} (${type.duration_minutes} min${type.is_virtual ? ', video' : ''})`,
+        data: type.id.toString()
+    }));
+}
+
+// =========================
+// VIDEO VISITS
+// =========================
+
+// Appointments of a virtual type get their own meeting link when booked. Providers are chosen with
+// VIDEO_PROVIDER (stub | jitsi | http); each exposes createMeeting({ appointment, durationMinutes }) -> { id, url }.
+// The stub serves a placeholder room from this server, so links work end to end in development.
+const VIDEO_PROVIDER_TIMEOUT_MS = 10000;
+
+function meetingRoomId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+function createStubVideoProvider() {
+    return {
+        name: 'stub',
+        async createMeeting() {
+            const id = meetingRoomId();
+            return { id, url: `${APP_BASE_URL}/video/${id}` };
+        }
+    };
+}
+
+// Public or self-hosted Jitsi Meet; a room exists as soon as someone opens its URL
+function createJitsiVideoProvider() {
+    const baseUrl = (process.env.JITSI_BASE_URL || 'https://meet.jit.si').replace(/\/+$/, '');
+    return {
+        name: 'jitsi',
+        async createMeeting() {
+            const id = `HealthCare-${meetingRoomId()}`;
+            return { id, url: `${baseUrl}/${id}` };
+        }
+    };
+}
+
+// Any service that creates a meeting from a JSON POST and answers with { id, url }.
+// Only the appointment id and time are sent, never patient details.
+function createHttpVideoProvider() {
+    const url = process.env.VIDEO_PROVIDER_URL;
+    if (!url) throw new Error('VIDEO_PROVIDER_URL is required for VIDEO_PROVIDER=http');
+    const token = process.env.VIDEO_PROVIDER_TOKEN;
+
+    return {
+        name: 'http',
+        async createMeeting({ appointment, durationMinutes }) {
+            const response = await axios.post(url, {
+                appointmentId: appointment.id,
+                start: `${getICSDateString(appointment.appointment_date)}T${String(appointment.appointment_time).slice(0, 8)}`,
+                timezone: CLINIC_TIMEZONE,
+                durationMinutes
+            }, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+                timeout: VIDEO_PROVIDER_TIMEOUT_MS
+            });
+            const { id, url: meetingUrl } = response.data || {};
+            if (!id || !/^https?:\/\//.test(String(meetingUrl))) throw new Error('Video provider response is missing id or url');
+            return { id: String(id).slice(0, 100), url: String(meetingUrl) };
+        }
+    };
+}
+
+const VIDEO_PROVIDER_FACTORIES = {
+    stub: createStubVideoProvider,
+    jitsi: createJitsiVideoProvider,
+    http: createHttpVideoProvider
+};
+
+function createVideoProvider(name) {
+    const factory = VIDEO_PROVIDER_FACTORIES[name];
+    if (!factory) {
+        console.warn(`⚠️ Unknown VIDEO_PROVIDER "${name}", using the local stub`);
+        return createStubVideoProvider();
+    }
+    try {
+        return factory();
+    } catch (error) {
+        console.warn(`⚠️ ${error.message} - using the local stub`);
+        return createStubVideoProvider();
+    }
+}
+
+const videoProvider = createVideoProvider((process.env.VIDEO_PROVIDER || 'stub').toLowerCase());
+
+// Gives an appointment of a virtual type its meeting link (a new one with replace) and returns the row.
+// Runs after the booking commits: a provider failure is logged and the visit stays booked without a link,
+// which staff can add from the dashboard.
+async function ensureMeetingLink(appointment, { replace = false } = {}) {
+    if (!appointment || (appointment.meeting_url && !replace)) return appointment;
+    const type = await getAppointmentType(Number(appointment.appointment_type_id));
+    if (!type || !type.is_virtual) return appointment;
+
+    let meeting;
+    try {
+        meeting = await videoProvider.createMeeting({ appointment, durationMinutes: type.duration_minutes });
+    } catch (error) {
+        console.error(`❌ ${videoProvider.name} could not create a meeting for appointment ${appointment.id}:`, error.message);
+        return appointment;
+    }
+    const result = await pool.query(`
+        UPDATE appointments SET meeting_url = $2, meeting_id = $3, meeting_provider = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [appointment.id, meeting.url, meeting.id, videoProvider.name]);
+    console.log(`🎥 Meeting link created for appointment ${appointment.id} (${videoProvider.name})`);
+    return result.rows[0] || appointment;
+}
+
+// For a booking that has just committed: any failure is logged and the booking returned as it is,
+// so it is never reported as failed
+async function linkBookedMeeting(appointment) {
+    try {
+        return await ensureMeetingLink(appointment);
+    } catch (error) {
+        console.error(`❌ Could not add a meeting link to appointment ${appointment.id}:`, error.message);
+        return appointment;
+    }
+}
+
+// A new link, or a switch between video and in person, reaches the patient as an updated confirmation;
+// the higher sequence updates the event already in their calendar
+async function sendUpdatedConfirmation(appointmentId) {
+    await pool.query('UPDATE appointments SET ics_sequence = ics_sequence + 1 WHERE id = $1', [appointmentId]);
+    await queueAppointmentNotifications(appointmentId, 'confirmation');
+}
+
+// A type switched between video and in person: its upcoming visits get links when they are now
+// video visits, and every patient hears where the visit happens
+async function applyVisitModeChange(typeId) {
+    const upcoming = await pool.query(`
+        SELECT * FROM appointments
+        WHERE appointment_type_id = $1 AND status IN ('scheduled', 'confirmed') AND appointment_date >= CURRENT_DATE
+        ORDER BY appointment_date, appointment_time
+    `, [typeId]);
+    for (const appointment of upcoming.rows) {
+        await ensureMeetingLink(appointment);
+        await sendUpdatedConfirmation(appointment.id);
+    }
+    console.log(`🎥 Visit mode changed for type ${typeId}: ${upcoming.rows.length} upcoming appointment(s) updated`);
+}
+
+// Placeholder room behind the stub provider's links
+app.get('/video/:meetingId', async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT a.appointment_date::text AS appointment_date, a.appointment_time, a.status, d.name AS doctor_name
+            FROM appointments a
+            JOIN doctors d ON d.id = a.doctor_id
+            WHERE a.meeting_id = $1 AND a.meeting_provider = 'stub'
+        `, [String(req.params.meetingId)]);
+        const visit = result.rows[0];
+        if (!visit) return res.status(404).send('This video visit link is not valid.');
+
+        res.render('video', {
+            title: 'Video Visit',
+            doctorName: visit.doctor_name,
+            when: `${formatLongDate(visit.appointment_date)} at ${formatTime(visit.appointment_time)}`,
+            cancelled: visit.status === 'cancelled'
+        });
+    } catch (error) {
+        console.error('❌ Video room error:', error.message);
+        res.status(500).send('Unable to open this video visit right now.');
+    }
+});
+
+// =========================
+// SLOT HOLDS
+// =========================
+
+// A hold reserves a slot for one chat session between selection and confirmation.
+// checkTimeSlotAvailability and findOpenSlots treat other sessions' live holds as conflicts.
+const HOLD_DURATION_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES || '10');
+
+// Places (or replaces) this session's hold. Returns { held: true, hold } or { held: false, conflicts }.
+async function placeSlotHold({ sessionId, doctorId, date, time, appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID, minutes = HOLD_DURATION_MINUTES }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Same lock as bookAppointment, so a hold and a booking can't both win the slot
+        await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [doctorId, date]);
+        
+        // One hold per session: picking a new time gives up the previous one
+        await client.query(`
+            UPDATE slot_holds SET released_at = CURRENT_TIMESTAMP, release_reason = 'cancelled'
+            WHERE session_id = $1 AND released_at IS NULL
+        `, [sessionId]);
+        
+        const availability = await checkTimeSlotAvailability(doctorId, date, time, { appointmentTypeId, holdSessionId: sessionId, db: client });
+        if (!availability.available) {
+            await client.query('COMMIT');
+            return { held: false, conflicts: availability.conflicts };
+        }
+        
+        const timing = await getAppointmentTypeTiming(appointmentTypeId, client);
+        const start = timeToMinutes(time);
+        const result = await client.query(`
+            INSERT INTO slot_holds (id, doctor_id, hold_date, start_time, end_time, appointment_type_id, session_id, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + make_interval(mins => $8))
+            RETURNING *
+        `, [
+            crypto.randomUUID(), doctorId, date, minutesToTime(start),
+            minutesToTime(Math.min(start + timing.durationMinutes + timing.bufferMinutes, 24 * 60 - 1)),
+            appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID, sessionId, minutes
+        ]);
+        await client.query('COMMIT');
+        return { held: true, hold: result.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+async function releaseSlotHolds(sessionId, reason, db = pool) {
+    await db.query(`
+        UPDATE slot_holds SET released_at = CURRENT_TIMESTAMP, release_reason = $2
+        WHERE session_id = $1 AND released_at IS NULL
+    `, [sessionId, reason]);
+}
+
+async function expireSlotHolds() {
+    try {
+        const result = await pool.query(`
+            UPDATE slot_holds SET released_at = expires_at, release_reason = 'expired'
+            WHERE released_at IS NULL AND expires_at <= CURRENT_TIMESTAMP
+        `);
+        if (result.rowCount > 0) console.log(`⏳ Released ${result.rowCount} expired slot hold(s)`);
+    } catch (error) {
+        console.error('Error expiring slot holds:', error.message);
+    }
+}
+
+setInterval(expireSlotHolds, 60000).unref();
+
+// What the chat client needs to show the countdown
+function describeHold(hold) {
+    return { id: hold.id, expiresAt: new Date(hold.expires_at).toISOString() };
+}
+
+// Patient backed out (start over / closed the booking) - give the slot back right away
+app.post('/api/release-hold', async (req, res) => {
+    const { sessionId } = req.body;
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+        return res.status(400).json({ success: false, message: 'A valid sessionId is required' });
+    }
+    
+    try {
+        await releaseSlotHolds(sessionId, 'cancelled');
+        const session = chatSessions.get(sessionId);
+        if (session) updateSessionBooking(session, { hold: null });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error releasing slot hold:', error);
+        res.status(500).json({ success: false, message: 'Error releasing slot hold' });
+    }
+});
+
+// --- DB helpers ---
+async function findOrCreateUser(name, email, phone, dateOfBirth = null) {
+    let result = await pool.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    if (result.rows.length > 0) {
+        // Fill in anything we didn't have on file, without overwriting what we did
+        await pool.query(
+            'UPDATE users SET date_of_birth = COALESCE(date_of_birth, $2), phone = COALESCE(phone, $3) WHERE id = $1',
+            [result.rows[0].id, dateOfBirth, phone]
+        );
+        return result.rows[0].id;
+    }
+    result = await pool.query(
+        'INSERT INTO users (name, email, phone, date_of_birth) VALUES ($1, $2, $3, $4) RETURNING id',
+        [name, email, phone, dateOfBirth]
+    );
+    return result.rows[0].id;
+}
+
+// Books inside a transaction: the doctor/day is locked, the slot re-checked and the row inserted atomically.
+// The appointments_no_overlap exclusion constraint is the last line of defence if anything slips past.
+// Returns { booked: true, appointment, replayed } or { booked: false, conflicts } (plus idempotencyMismatch when
+// the key was first used for a different request).
+async function bookAppointment({ userId, doctorId, appointmentTypeId, appointmentDate, appointmentTime, reasonForVisit, notes = null, idempotencyKey = null, holdSessionId = null }) {
+    const fingerprint = idempotencyKey && idempotencyFingerprint({ userId, doctorId, appointmentTypeId, appointmentTime, dates: [appointmentDate] });
+    const client = await pool.connect();
+    let appointment;
+    try {
+        await client.query('BEGIN');
+        
+        // A repeat of an earlier request gets the original appointment back
+        if (idempotencyKey) {
+            const existing = await client.query('SELECT * FROM appointments WHERE idempotency_key = $1', [idempotencyKey]);
+            if (existing.rows.length > 0) {
+                await client.query('COMMIT');
+                return replayedBooking(existing.rows[0], fingerprint);
+            }
+        }
+        
+        // Serialise bookings for this doctor and day until the transaction ends
+        await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [doctorId, appointmentDate]);
+        
+        // The booking session's own hold doesn't block it
+        const availability = await checkTimeSlotAvailability(doctorId, appointmentDate, appointmentTime, { appointmentTypeId, holdSessionId, db: client });
+        if (!availability.available) {
+            await client.query('ROLLBACK');
+            return { booked: false, conflicts: availability.conflicts };
+        }
+        
+        const query = `
+          INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, notes,
+                                    idempotency_key, idempotency_request, status)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'scheduled') RETURNING *;
+        `;
+        const result = await client.query(query, [
+            userId, doctorId, appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID, appointmentDate, appointmentTime, reasonForVisit, notes,
+            idempotencyKey, fingerprint
+        ]);
+        if (holdSessionId) await releaseSlotHolds(holdSessionId, 'booked', client);
+        await client.query('COMMIT');
+        appointment = result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        
+        if (error.code === '23P01') { // Exclusion constraint: overlapping appointment
+            return { booked: false, conflicts: [] };
+        }
+        if (error.code === '23505' && idempotencyKey) { // Same key committed concurrently
+            const existing = await pool.query('SELECT * FROM appointments WHERE idempotency_key = $1', [idempotencyKey]);
+            if (existing.rows.length > 0) return replayedBooking(existing.rows[0], fingerprint);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+    // The booking is saved by now; nothing after this may turn it into an error
+    return { booked: true, appointment: await linkBookedMeeting(appointment), replayed: false };
+}
+
+// Clients send an Idempotency-Key header (or idempotencyKey in the body) so retries can't double-book
+function getIdempotencyKey(req) {
+    const key = req.get('Idempotency-Key') || req.body.idempotencyKey || req.body.idempotency_key;
+    if (!key) return null;
+    return String(key).slice(0, 100);
+}
+
+// Hash of what a keyed booking asks for. Keys come from the client, so a key sent again with a different
+// patient, doctor, type or time must not hand back the booking it was first used for.
+function idempotencyFingerprint({ userId, doctorId, appointmentTypeId, appointmentTime, dates }) {
+    return crypto.createHash('sha256').update(canonicalJson({
+        userId: Number(userId),
+        doctorId: Number(doctorId),
+        appointmentTypeId: Number(appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID),
+        start: timeToMinutes(appointmentTime),
+        dates: dates.map(date => date instanceof Date ? toLocalDateString(date) : String(date))
+    })).digest('hex');
+}
+
+const IDEMPOTENCY_MISMATCH_MESSAGE = 'This Idempotency-Key was already used for a different booking.';
+
+function replayedBooking(appointment, fingerprint) {
+    if (appointment.idempotency_request !== fingerprint) return { booked: false, conflicts: [], idempotencyMismatch: true };
+    return { booked: true, appointment, replayed: true };
+}
+
+async function getSuggestedAlternatives(doctorId, fromDate, appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID) {
+    return findOpenSlots({ doctorId, dateFrom: fromDate, appointmentTypeId, limit: 5 });
+}
+
+// =========================
+// APPOINTMENT SERIES
+// =========================
+
+// A series repeats one appointment every N weeks, for a number of visits or until an end date.
+// Every occurrence is checked before anything is booked; appointments carry series_id and
+// series_index so "this and all following" changes can find the rest of the series.
+const MAX_SERIES_OCCURRENCES = 52;
+const MAX_SERIES_INTERVAL_WEEKS = 12;
+
+// Returns { dates } or { error } for recurrence = { intervalWeeks, count, endDate } starting on startDate
+function expandRecurrence(startDate, { intervalWeeks = 1, count = null, endDate = null } = {}) {
+    const interval = parseInt(intervalWeeks);
+    const visits = count == null || count === '' ? null : parseInt(count);
+    if (!isISODate(startDate)) return { error: 'A valid start date is required' };
+    if (!(interval >= 1 && interval <= MAX_SERIES_INTERVAL_WEEKS)) {
+        return { error: `Repeat every 1 to ${MAX_SERIES_INTERVAL_WEEKS} weeks` };
+    }
+    if (visits == null && !isISODate(endDate)) return { error: 'Choose a number of visits or an end date' };
+    if (visits != null && !(visits >= 1 && visits <= MAX_SERIES_OCCURRENCES)) {
+        return { error: `A series can have 1 to ${MAX_SERIES_OCCURRENCES} visits` };
+    }
+    if (isISODate(endDate) && endDate < startDate) return { error: 'The end date is before the first visit' };
+
+    const dates = [];
+    for (let date = startDate; dates.length < MAX_SERIES_OCCURRENCES; date = addDays(date, interval * 7)) {
+        if (visits != null && dates.length >= visits) break;
+        if (isISODate(endDate) && date > endDate) break;
+        dates.push(date);
+    }
+    return { dates };
+}
+
+// Nearby open times for an occurrence that can't keep its slot
+async function findSeriesAlternatives(doctorId, date, appointmentTypeId) {
+    const slots = await findOpenSlots({ doctorId, dateFrom: date, dateTo: addDays(date, 3), appointmentTypeId, limit: 3 });
+    return slots.map(slot => ({ date: slot.available_date, time: slot.start_time }));
+}
+
+// Checks every occurrence; conflicting ones come back with alternatives
+async function previewSeries({ doctorId, appointmentTime, appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID, dates, holdSessionId = null }) {
+    const occurrences = [];
+    for (const date of dates) {
+        const availability = await checkTimeSlotAvailability(doctorId, date, appointmentTime, { appointmentTypeId, holdSessionId });
+        occurrences.push({ date, time: appointmentTime, available: availability.available, conflicts: availability.conflicts });
+    }
+    for (const occurrence of occurrences.filter(o => !o.available)) {
+        occurrence.alternatives = await findSeriesAlternatives(doctorId, occurrence.date, appointmentTypeId);
+    }
+    return occurrences;
+}
+
+// Books a whole series in one transaction. With skipConflicts the open dates are booked and the rest reported;
+// without it nothing is booked unless every date is free.
+// Returns { booked: true, series, appointments, appointment, skipped, replayed } or { booked: false, occurrences }
+// (plus idempotencyMismatch when the key was first used for a different request).
+async function bookAppointmentSeries({ userId, doctorId, appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID, appointmentTime, dates, recurrence, reasonForVisit, notes = null, idempotencyKey = null, holdSessionId = null, skipConflicts = false }) {
+    const fingerprint = idempotencyKey && idempotencyFingerprint({ userId, doctorId, appointmentTypeId, appointmentTime, dates });
+    const client = await pool.connect();
+    let series;
+    let appointments;
+    let skipped;
+    try {
+        await client.query('BEGIN');
+
+        if (idempotencyKey) {
+            const existing = await client.query('SELECT * FROM appointment_series WHERE idempotency_key = $1', [idempotencyKey]);
+            if (existing.rows.length > 0 && existing.rows[0].idempotency_request !== fingerprint) {
+                await client.query('COMMIT');
+                return { booked: false, occurrences: [], idempotencyMismatch: true };
+            }
+            if (existing.rows.length > 0) {
+                const appointments = await client.query('SELECT * FROM appointments WHERE series_id = $1 ORDER BY series_index', [existing.rows[0].id]);
+                await client.query('COMMIT');
+                return { booked: true, series: existing.rows[0], appointments: appointments.rows, appointment: appointments.rows[0], skipped: [], replayed: true };
+            }
+        }
+
+        // Lock every day in date order, the same lock single bookings take
+        for (const date of dates) {
+            await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [doctorId, date]);
+        }
+
+        const occurrences = [];
+        for (const [index, date] of dates.entries()) {
+            const availability = await checkTimeSlotAvailability(doctorId, date, appointmentTime, { appointmentTypeId, holdSessionId, db: client });
+            occurrences.push({ index: index + 1, date, time: appointmentTime, available: availability.available, conflicts: availability.conflicts });
+        }
+        const open = occurrences.filter(o => o.available);
+        skipped = occurrences.filter(o => !o.available);
+
+        if (open.length === 0 || (skipped.length > 0 && !skipConflicts)) {
+            await client.query('ROLLBACK');
+            for (const occurrence of skipped) {
+                occurrence.alternatives = await findSeriesAlternatives(doctorId, occurrence.date, appointmentTypeId);
+            }
+            return { booked: false, occurrences };
+        }
+
+        const seriesResult = await client.query(`
+            INSERT INTO appointment_series (user_id, doctor_id, appointment_type_id, start_date, appointment_time, interval_weeks, occurrence_count, end_date,
+                                            idempotency_key, idempotency_request)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            userId, doctorId, appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID, dates[0], appointmentTime, parseInt(recurrence.intervalWeeks) || 1,
+            recurrence.count ? parseInt(recurrence.count) : null, isISODate(recurrence.endDate) ? recurrence.endDate : null,
+            idempotencyKey, fingerprint
+        ]);
+        series = seriesResult.rows[0];
+
+        appointments = [];
+        for (const occurrence of open) {
+            const result = await client.query(`
+                INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, notes, status, series_id, series_index)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, 'scheduled', $8, $9) RETURNING *;
+            `, [userId, doctorId, appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID, occurrence.date, appointmentTime, reasonForVisit, notes, series.id, occurrence.index]);
+            appointments.push(result.rows[0]);
+        }
+        if (holdSessionId) await releaseSlotHolds(holdSessionId, 'booked', client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+
+        if (error.code === '23P01') { // Exclusion constraint: an occurrence overlaps another appointment
+            return { booked: false, occurrences: [] };
+        }
+        if (error.code === '23505' && idempotencyKey) { // Same key committed concurrently
+            const existing = await pool.query('SELECT * FROM appointment_series WHERE idempotency_key = $1', [idempotencyKey]);
+            if (existing.rows.length > 0 && existing.rows[0].idempotency_request !== fingerprint) {
+                return { booked: false, occurrences: [], idempotencyMismatch: true };
+            }
+            if (existing.rows.length > 0) {
+                const appointments = await pool.query('SELECT * FROM appointments WHERE series_id = $1 ORDER BY series_index', [existing.rows[0].id]);
+                return { booked: true, series: existing.rows[0], appointments: appointments.rows, appointment: appointments.rows[0], skipped: [], replayed: true };
+            }
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // The series is saved by now; nothing after this may turn it into an error
+    for (const [index, appointment] of appointments.entries()) {
+        appointments[index] = await linkBookedMeeting(appointment);
+    }
+    for (const occurrence of skipped) {
+        occurrence.alternatives = await findSeriesAlternatives(doctorId, occurrence.date, appointmentTypeId)
+            .catch(error => {
+                console.error('Error finding series alternatives:', error.message);
+                return [];
+            });
+    }
+    return { booked: true, series, appointments, appointment: appointments[0], skipped, replayed: false };
+}
+
+// Active appointments in the series from this one on (just this one for scope 'this')
+async function getSeriesAppointments(appointmentId, scope, db = pool) {
+    const result = await db.query(`
+        SELECT a.id, a.doctor_id, a.appointment_type_id, a.appointment_date::text AS appointment_date, a.appointment_time, a.series_id
+        FROM appointments a
+        JOIN appointments anchor ON anchor.id = $1
+        WHERE a.status IN ('scheduled', 'confirmed')
+          AND (a.id = anchor.id OR ($2::text = 'following' AND a.series_id = anchor.series_id AND a.series_index > anchor.series_index))
+        ORDER BY a.appointment_date
+    `, [appointmentId, scope]);
+    return result.rows;
+}
+
+// Moves appointments in a series by a number of days and/or to a new time.
+// Returns { shifted: true, appointments } or { shifted: false, occurrences } listing the dates that conflict.
+async function shiftSeriesAppointments({ appointmentId, scope = 'following', days = 0, time = null }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const rows = await getSeriesAppointments(appointmentId, scope, client);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { shifted: false, occurrences: [] };
+        }
+
+        const moves = rows.map(row => ({ ...row, newDate: addDays(row.appointment_date, days), newTime: time || row.appointment_time }));
+        for (const date of [...new Set(moves.map(move => move.newDate))].sort()) {
+            await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [rows[0].doctor_id, date]);
+        }
+
+        // The appointments being moved don't conflict with each other's old times
+        const movingIds = rows.map(row => row.id);
+        const occurrences = [];
+        for (const move of moves) {
+            const availability = await checkTimeSlotAvailability(move.doctor_id, move.newDate, move.newTime, {
+                excludeAppointmentId: movingIds, appointmentTypeId: move.appointment_type_id, db: client
+            });
+            occurrences.push({ date: move.newDate, time: move.newTime, available: availability.available, conflicts: availability.conflicts });
+        }
+        if (occurrences.some(o => !o.available)) {
+            await client.query('ROLLBACK');
+            return { shifted: false, occurrences };
+        }
+
+        // Move the far end first so no row lands on a slot another row hasn't left yet
+        if (days > 0) moves.reverse();
+        const appointments = [];
+        for (const move of moves) {
+            const result = await client.query(`
+                UPDATE appointments
+                SET appointment_date = $1, appointment_time = $2, ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+                RETURNING *
+            `, [move.newDate, move.newTime, move.id]);
+            appointments.push(result.rows[0]);
+        }
+        await client.query('COMMIT');
+
+        for (const row of rows) {
+            offerFreedSlots(row.doctor_id, row.appointment_date);
+            queueAppointmentNotifications(row.id, 'reschedule', { date: row.appointment_date, time: row.appointment_time });
+        }
+        return { shifted: true, appointments };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (error.code === '23P01') return { shifted: false, occurrences: [] };
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Short list of series dates for chat replies and emails
+// Booked video visits each show their own link
+function describeSeriesDates(occurrences) {
+    return occurrences.map(o => `• ${formatDate(o.date || toLocalDateString(new Date(o.appointment_date)))} at ${formatTime(o.time || o.appointment_time)}`
+        + (o.meeting_url ? ` - join: ${o.meeting_url}` : '')).join('\n');
+}
+
+// Chat: the patient asks for their booking to repeat. We check every date and remember the plan on the session.
+app.post('/api/recurrence', async (req, res) => {
+    const { appointmentData, sessionId, intervalWeeks, count } = req.body;
+    const session = getChatSession(sessionId);
+
+    const slot = parseSlotData(appointmentData);
+    if (!slot) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'Please choose an appointment time first.' });
+    }
+
+    // One visit means no series
+    if (parseInt(count) === 1) {
+        updateSessionBooking(session, { recurrence: null });
+        return res.json({
+            success: true,
+            sessionId: session.id,
+            response: {
+                content: `OK, just the one appointment on ${formatDate(slot.date)} at ${formatTime(slot.time)}.`,
+                actions: [{ type: 'confirm_booking', text: '✅ Confirm Booking', data: appointmentData }]
+            }
+        });
+    }
+
+    const expanded = expandRecurrence(slot.date, { intervalWeeks, count });
+    if (expanded.error) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: expanded.error });
+    }
+
+    try {
+        const occurrences = await previewSeries({
+            doctorId: slot.doctorId, appointmentTime: slot.time, appointmentTypeId: sessionAppointmentTypeId(session),
+            dates: expanded.dates, holdSessionId: session.id
+        });
+        const open = occurrences.filter(o => o.available);
+        const conflicting = occurrences.filter(o => !o.available);
+        const every = parseInt(intervalWeeks) === 1 ? 'every week' : `every ${parseInt(intervalWeeks)} weeks`;
+
+        updateSessionBooking(session, { recurrence: { intervalWeeks: parseInt(intervalWeeks), count: parseInt(count) } });
+
+        let content = `Here's your series, ${every} at ${formatTime(slot.time)}:\n\n${describeSeriesDates(open)}`;
+        if (conflicting.length > 0) {
+            content += `\n\nThese dates aren't available:\n${conflicting.map(o => {
+                const options = o.alternatives.map(alt => `${formatDate(alt.date)} ${formatTime(alt.time)}`).join(', ');
+                return `• ${formatDate(o.date)}${options ? ` (open nearby: ${options})` : ''}`;
+            }).join('\n')}\n\nYou can book the open dates now and arrange the others separately.`;
+        }
+
+        const actions = open.length > 0
+            ? [{ type: 'confirm_booking', text: `✅ Book ${open.length} Appointment${open.length === 1 ? '' : 's'}`, data: appointmentData }]
+            : [];
+        actions.push({ type: 'make_recurring', text: '✏️ Change Repeat', data: appointmentData });
+
+        res.json({ success: true, sessionId: session.id, response: { content, actions } });
+    } catch (error) {
+        console.error('Error checking series:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error checking those dates. Please try again.' });
+    }
+});
+
+// Add these helper functions first
+function formatDate(dateStr) {
+    // Handle both date strings and date objects
+    let date;
+    if (typeof dateStr === 'string') {
+        // If it's already a string like "2025-09-17", use it directly
+        date = new Date(dateStr + 'T00:00:00');
+    } else {
+        // If it's a Date object, convert it
+        date = new Date(dateStr);
+    }
+    
+    const today = new Date();
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    
+    // Ensure we're comparing just the date parts
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+    
+    return date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+}
+
+function formatTime(timeStr) {
+    const [hours, minutes] = timeStr.split(':');
+    const hour12 = hours > 12 ? hours - 12 : hours;
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    return `${hour12}:${minutes} ${ampm}`;
+}
+
+// A chosen doctor's open times for the session's visit type. Returns { type, slots }, or { question } asking
+// for the visit type when none was chosen and the doctor offers several, or the chosen one isn't theirs.
+async function getDoctorAvailability(doctor, session, types, limit = 8) {
+    const offered = types.filter(type => typeOfferedBy(type, doctor));
+    const chosen = types.find(type => type.id === session.booking.appointmentTypeId);
+    
+    if (chosen && !offered.includes(chosen)) {
+        return {
+            question: { content: `Dr. ${doctor.name} doesn't offer ${chosen.name} visits. Which kind of visit would you like?`, actions: visitTypeActions(offered) }
+        };
+    }
+    if (!chosen && offered.length > 1) {
+        return {
+            question: { content: `What kind of visit would you like with Dr. ${doctor.name}?`, actions: visitTypeActions(offered) }
+        };
+    }
+    
+    const type = chosen || offered[0] || null;
+    if (type) updateSessionBooking(session, { appointmentTypeId: type.id });
+    const slots = await findOpenSlots({ doctorId: doctor.id, appointmentTypeId: sessionAppointmentTypeId(session), sessionId: session.id, limit });
+    return { type, slots };
+}
+
+// Handler for when user selects a doctor
+app.post('/api/select-doctor', async (req, res) => {
+    const { doctorId, sessionId } = req.body;
+    const session = getChatSession(sessionId);
+    console.log('🏥 Doctor selected:', doctorId);
+    
+    try {
+        const dbContext = await getDatabaseContext();
+        const doctor = dbContext.doctors.find(d => d.id == doctorId);
+        
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        
+        updateSessionBooking(session, { doctorId: doctor.id, specialty: doctor.specialty, date: null, time: null });
+        const availability = await getDoctorAvailability(doctor, session, dbContext.appointment_types);
+        if (availability.question) {
+            recordSessionTurn(session, 'user', `I'd like to see ${doctor.name}.`);
+            recordSessionTurn(session, 'assistant', availability.question.content);
+            return res.json({ success: true, sessionId: session.id, response: availability.question });
+        }
+        
+        const availableTimes = availability.slots
             .map(slot => ({
                 type: 'select_date',
                 text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
@@ -526,457 +2999,4168 @@ app.post('/api/select-doctor', async (req, res) => {
             }));
             
         console.log('📅 Found', availableTimes.length, 'available times');
+        
+        const visit = availability.type ? `${availability.type.name} ` : '';
+        const content = `Perfect! Dr. ${doctor.name} (${doctor.specialty}) has these available ${visit}appointments:`;
+        recordSessionTurn(session, 'user', `I'd like to see ${doctor.name}.`);
+        recordSessionTurn(session, 'assistant', content);
             
         res.json({
             success: true,
-            response: {
-                content: `Perfect! Dr. ${doctor.name} (${doctor.specialty}) has these available appointments:`,
-                actions: availableTimes
-            }
+            sessionId: session.id,
+            response: {
+                content,
+                actions: availableTimes
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error selecting doctor:', error);
+        res.status(500).json({ success: false, message: 'Error retrieving doctor availability' });
+    }
+});
+
+// The patient picked the kind of visit they need: the chosen doctor's times for it, or the doctors who offer it
+app.post('/api/select-visit-type', async (req, res) => {
+    const { appointmentTypeId, sessionId } = req.body;
+    const session = getChatSession(sessionId);
+    
+    try {
+        const type = await chooseSessionAppointmentType(session, appointmentTypeId);
+        if (!type) {
+            return res.status(404).json({ success: false, sessionId: session.id, message: 'That kind of visit is not available' });
+        }
+        
+        const dbContext = await getDatabaseContext();
+        const doctor = dbContext.doctors.find(d => d.id === session.booking.doctorId);
+        const prep = type.preparation_instructions ? `\n\nTo prepare: ${type.preparation_instructions}` : '';
+        let response;
+        
+        if (doctor && typeOfferedBy(type, doctor)) {
+            const { slots } = await getDoctorAvailability(doctor, session, dbContext.appointment_types);
+            response = {
+                content: slots.length > 0
+                    ? `A ${type.name} with Dr. ${doctor.name} takes about ${type.duration_minutes} minutes. Here are the available times:${prep}`
+                    : `Dr. ${doctor.name} has no ${type.name} times open soon. Join the waitlist and we'll offer you a time if one opens up.`,
+                actions: slots.length > 0
+                    ? slots.map(slot => ({
+                        type: 'select_date',
+                        text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+                        data: `${slot.doctor_id},${slot.available_date},${slot.start_time}`
+                    }))
+                    : [waitlistAction({ doctorId: doctor.id, date: null })]
+            };
+        } else {
+            // Doctors in the specialty the patient asked about come first
+            const specialty = (session.booking.specialty || '').toLowerCase();
+            const offering = dbContext.doctors.filter(doc => typeOfferedBy(type, doc))
+                .sort((a, b) => Number(!a.specialty.toLowerCase().includes(specialty)) - Number(!b.specialty.toLowerCase().includes(specialty)));
+            updateSessionBooking(session, { doctorId: null, date: null, time: null });
+            response = {
+                content: offering.length > 0
+                    ? `A ${type.name} takes about ${type.duration_minutes} minutes. Which doctor would you like to see?${prep}`
+                    : `None of our doctors are offering ${type.name} visits at the moment. Please call us at (540) 555-CARE.`,
+                actions: offering.slice(0, 6).map(doc => ({
+                    type: 'select_doctor',
+                    text: `Dr. ${doc.name} (${doc.specialty})`,
+                    data: doc.id.toString()
+                }))
+            };
+        }
+        
+        recordSessionTurn(session, 'user', `I need a ${type.name}.`);
+        recordSessionTurn(session, 'assistant', response.content);
+        res.json({ success: true, sessionId: session.id, response });
+    } catch (error) {
+        console.error('Error selecting visit type:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error finding times for that visit' });
+    }
+});
+
+// =========================
+// PATIENT DETAILS
+// =========================
+
+// No markup characters: addresses end up in staff pages and email headers
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']{2,}$/;
+const NAME_PATTERN = /^[\p{L}][\p{L} .'-]{1,99}$/u;
+
+// Returns { details } with normalised values, or { errors } keyed by field
+function validatePatientDetails(patient = {}) {
+    const errors = {};
+    const name = String(patient.name || '').trim().replace(/\s+/g, ' ');
+    const email = String(patient.email || '').trim().toLowerCase();
+    const phoneDigits = String(patient.phone || '').replace(/\D/g, '');
+    const dateOfBirth = String(patient.dateOfBirth || '').trim();
+
+    if (!NAME_PATTERN.test(name)) errors.name = 'Please enter your full name.';
+    if (!EMAIL_PATTERN.test(email)) errors.email = 'Please enter a valid email address.';
+    if (phoneDigits.length < 10 || phoneDigits.length > 15) errors.phone = 'Please enter a phone number with area code.';
+
+    if (!isISODate(dateOfBirth)) {
+        errors.dateOfBirth = 'Please enter your date of birth.';
+    } else {
+        const dob = new Date(dateOfBirth + 'T00:00:00');
+        const oldest = new Date();
+        oldest.setFullYear(oldest.getFullYear() - 120);
+        if (dob > new Date() || dob < oldest) errors.dateOfBirth = 'Please check your date of birth.';
+    }
+
+    if (Object.keys(errors).length > 0) return { errors };
+
+    // Store US numbers as (555) 123-4567, anything else as typed digits with a leading +
+    const phone = phoneDigits.length === 10
+        ? `(${phoneDigits.slice(0, 3)}) ${phoneDigits.slice(3, 6)}-${phoneDigits.slice(6)}`
+        : `+${phoneDigits}`;
+
+    return { details: { name, email, phone, dateOfBirth } };
+}
+
+// The patient fills in the collect_info form; we validate it, check it against any record on file
+// and ask them to confirm before anything is written
+app.post('/api/patient-details', async (req, res) => {
+    const { appointmentData, sessionId, patient } = req.body;
+    const session = getChatSession(sessionId);
+
+    const { errors, details } = validatePatientDetails(patient);
+    if (errors) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'Please correct the highlighted details.', errors });
+    }
+
+    const slot = parseSlotData(appointmentData);
+    if (!slot) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'Please choose an appointment time first.' });
+    }
+
+    try {
+        // An existing record with this email must belong to the same person
+        const existing = await pool.query(
+            'SELECT id, date_of_birth::text AS date_of_birth FROM users WHERE LOWER(email) = $1',
+            [details.email]
+        );
+        if (existing.rows[0]?.date_of_birth && existing.rows[0].date_of_birth !== details.dateOfBirth) {
+            return res.status(400).json({
+                success: false,
+                sessionId: session.id,
+                message: "These details don't match our records. Please check them, or call us at (540) 555-CARE.",
+                errors: { dateOfBirth: "Doesn't match the record we have for this email." }
+            });
+        }
+
+        const doctorResult = await pool.query('SELECT id, name, specialty FROM doctors WHERE id = $1 AND is_active = true', [slot.doctorId]);
+        const doctor = doctorResult.rows[0];
+        if (!doctor) {
+            return res.status(404).json({ success: false, sessionId: session.id, message: 'Doctor not found' });
+        }
+
+        updateSessionBooking(session, { details: { ...session.booking.details, patient: details } });
+        recordSessionTurn(session, 'user', 'I entered my contact details.');
+
+        const type = await getAppointmentType(sessionAppointmentTypeId(session));
+        const visit = type ? `\n🩺 ${type.name} (${type.duration_minutes} minutes)` : '';
+        const content = `Please confirm your booking:\n\n📅 ${formatDate(slot.date)} at ${formatTime(slot.time)}\n👩‍⚕️ ${doctor.name} (${doctor.specialty})${visit}\n👤 ${details.name} (born ${details.dateOfBirth})\n📧 ${details.email}\n📞 ${details.phone}\n\nIs everything correct?`;
+        recordSessionTurn(session, 'assistant', 'I asked the patient to confirm their booking details.');
+
+        const response = {
+            content,
+            actions: [
+                { type: 'confirm_booking', text: '✅ Confirm Booking', data: `${doctor.id},${slot.date},${slot.time}` },
+                { type: 'make_recurring', text: '🔁 Repeat This Visit', data: `${doctor.id},${slot.date},${slot.time}` },
+                { type: 'collect_info', text: '✏️ Edit My Details', data: `${doctor.id},${slot.date},${slot.time}` }
+            ]
+        };
+        const hold = session.booking.hold;
+        if (hold && new Date(hold.expiresAt) > new Date()) response.hold = hold;
+
+        res.json({ success: true, sessionId: session.id, response });
+    } catch (error) {
+        console.error('Error checking patient details:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error checking your details. Please try again.' });
+    }
+});
+
+// =========================
+// PATIENT APPOINTMENT LOOKUP
+// =========================
+
+// Patients prove who they are with a confirmation number plus the email or date of birth on file.
+// Only then do we list appointments, and only that patient's.
+const LOOKUP_MAX_FAILURES = 10;
+const LOOKUP_WINDOW_MS = 15 * 60000;
+const lookupFailures = new Map();
+
+function isLookupThrottled(ip) {
+    const entry = lookupFailures.get(ip);
+    if (!entry || Date.now() > entry.resetAt) return false;
+    return entry.count >= LOOKUP_MAX_FAILURES;
+}
+
+function recordLookupFailure(ip) {
+    const entry = lookupFailures.get(ip);
+    if (!entry || Date.now() > entry.resetAt) {
+        lookupFailures.set(ip, { count: 1, resetAt: Date.now() + LOOKUP_WINDOW_MS });
+    } else {
+        entry.count++;
+    }
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of lookupFailures) {
+        if (now > entry.resetAt) lookupFailures.delete(ip);
+    }
+}, LOOKUP_WINDOW_MS).unref();
+
+// Returns the appointment when the confirmation number belongs to a patient with that email or date of birth
+async function findVerifiedAppointment({ confirmationNumber, email, dateOfBirth }, db = pool) {
+    const confirmation = String(confirmationNumber || '').trim();
+    const emailValue = String(email || '').trim().toLowerCase();
+    const dobValue = isISODate(dateOfBirth) ? dateOfBirth : null;
+    if (!confirmation || (!emailValue && !dobValue)) return null;
+
+    const result = await db.query(`
+        SELECT a.id, a.user_id, a.doctor_id, a.appointment_type_id, a.appointment_date::text AS appointment_date,
+               a.appointment_time, a.status, a.confirmation_number, a.calendar_token, d.name AS doctor_name, d.specialty
+        FROM appointments a
+        JOIN users u ON a.user_id = u.id
+        JOIN doctors d ON a.doctor_id = d.id
+        WHERE a.confirmation_number::text = $1
+          AND (($2::text <> '' AND LOWER(u.email) = $2) OR ($3::date IS NOT NULL AND u.date_of_birth = $3::date))
+        LIMIT 1
+    `, [confirmation, emailValue, dobValue]);
+    return result.rows[0] || null;
+}
+
+// Returns the verified patient's upcoming appointments, or null when the details don't verify
+async function lookupPatientAppointments(credentials) {
+    const owned = await findVerifiedAppointment(credentials);
+    if (!owned) return null;
+
+    const result = await pool.query(`
+        SELECT a.id, a.appointment_date::text AS appointment_date, a.appointment_time, a.status,
+               a.confirmation_number, a.calendar_token, d.name AS doctor_name, d.specialty,
+               COALESCE(t.is_virtual, false) AS is_virtual, CASE WHEN t.is_virtual THEN a.meeting_url END AS meeting_url
+        FROM appointments a
+        JOIN doctors d ON a.doctor_id = d.id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.user_id = $1
+          AND a.appointment_date >= CURRENT_DATE
+          AND a.status IN ('scheduled', 'confirmed')
+        ORDER BY a.appointment_date, a.appointment_time
+        LIMIT ${TOOL_RESULT_LIMIT}
+    `, [owned.user_id]);
+    return result.rows;
+}
+
+// Card data for the chat client; each card carries its own actions
+function buildAppointmentCards(appointments) {
+    return appointments.map(appt => ({
+        id: appt.id,
+        confirmationNumber: String(appt.confirmation_number),
+        date: appt.appointment_date,
+        time: appt.appointment_time,
+        dateLabel: formatDate(appt.appointment_date),
+        timeLabel: formatTime(appt.appointment_time),
+        doctorName: appt.doctor_name,
+        specialty: appt.specialty,
+        status: appt.status,
+        isVirtual: appt.is_virtual,
+        actions: [
+            ...(appt.meeting_url ? [{ type: 'join_video', text: '🎥 Join Video Visit', data: appt.meeting_url }] : []),
+            { type: 'reschedule_appointment', text: '🔁 Reschedule', data: String(appt.confirmation_number) },
+            { type: 'cancel_appointment', text: '✖️ Cancel', data: String(appt.confirmation_number) },
+            { type: 'download_calendar', text: '📅 Add to Calendar', data: appointmentCalendarPath(appt) }
+        ]
+    }));
+}
+
+app.post('/api/appointments/lookup', async (req, res) => {
+    const { confirmationNumber, email, dateOfBirth, sessionId } = req.body;
+    const session = getChatSession(sessionId);
+
+    if (!confirmationNumber || (!email && !dateOfBirth)) {
+        return res.status(400).json({
+            success: false,
+            sessionId: session.id,
+            message: 'Please enter your confirmation number and either your email or date of birth.'
+        });
+    }
+    if (isLookupThrottled(req.ip)) {
+        return res.status(429).json({
+            success: false,
+            sessionId: session.id,
+            message: 'Too many attempts. Please try again later or call us at (540) 555-CARE.'
+        });
+    }
+
+    try {
+        const appointments = await lookupPatientAppointments({ confirmationNumber, email, dateOfBirth });
+        if (!appointments) {
+            recordLookupFailure(req.ip);
+            // Same answer whether the number or the identity check failed
+            return res.status(404).json({
+                success: false,
+                sessionId: session.id,
+                message: "We couldn't find appointments matching those details. Please check them and try again."
+            });
+        }
+
+        recordSessionTurn(session, 'user', 'Show my upcoming appointments.');
+        const content = appointments.length > 0
+            ? `You have ${appointments.length} upcoming appointment${appointments.length === 1 ? '' : 's'}:`
+            : "You don't have any upcoming appointments.";
+        recordSessionTurn(session, 'assistant', content);
+
+        res.json({
+            success: true,
+            sessionId: session.id,
+            response: {
+                content,
+                appointments: buildAppointmentCards(appointments),
+                actions: appointments.length > 0 ? [] : [{ type: 'start_over', text: '📅 Book an Appointment', data: 'new_booking' }]
+            }
+        });
+    } catch (error) {
+        console.error('Error looking up appointments:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error looking up your appointments. Please try again.' });
+    }
+});
+
+// =========================
+// PATIENT CANCEL AND RESCHEDULE
+// =========================
+
+const ACTIVE_APPOINTMENT_STATUSES = ['scheduled', 'confirmed'];
+
+// Shared by the patient endpoints: validates input, throttles guessing and verifies ownership.
+// Sends the error response itself and returns null when the request can't go ahead.
+async function verifyPatientRequest(req, res, session) {
+    const { confirmationNumber, email, dateOfBirth } = req.body;
+    if (!confirmationNumber || (!email && !dateOfBirth)) {
+        res.status(400).json({
+            success: false,
+            sessionId: session.id,
+            message: 'Please enter your confirmation number and either your email or date of birth.'
+        });
+        return null;
+    }
+    if (isLookupThrottled(req.ip)) {
+        res.status(429).json({
+            success: false,
+            sessionId: session.id,
+            message: 'Too many attempts. Please try again later or call us at (540) 555-CARE.'
+        });
+        return null;
+    }
+
+    const appointment = await findVerifiedAppointment({ confirmationNumber, email, dateOfBirth });
+    if (!appointment) {
+        recordLookupFailure(req.ip);
+        res.status(404).json({
+            success: false,
+            sessionId: session.id,
+            message: "We couldn't find an appointment matching those details."
+        });
+        return null;
+    }
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+        res.status(409).json({
+            success: false,
+            sessionId: session.id,
+            message: `This appointment is already ${appointment.status} and can't be changed online.`
+        });
+        return null;
+    }
+    return appointment;
+}
+
+// Moves an appointment to a new time with the same doctor. Returns { rescheduled, appointment } or { rescheduled: false, conflicts }
+async function rescheduleAppointment({ appointmentId, doctorId, appointmentTypeId, newDate, newTime }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [doctorId, newDate]);
+
+        // The appointment being moved doesn't conflict with itself
+        const availability = await checkTimeSlotAvailability(doctorId, newDate, newTime, {
+            excludeAppointmentId: appointmentId, appointmentTypeId, db: client
+        });
+        if (!availability.available) {
+            await client.query('ROLLBACK');
+            return { rescheduled: false, conflicts: availability.conflicts };
+        }
+
+        const result = await client.query(`
+            UPDATE appointments
+            SET appointment_date = $1, appointment_time = $2, ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND status IN ('scheduled', 'confirmed')
+            RETURNING *
+        `, [newDate, newTime, appointmentId]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { rescheduled: false, conflicts: [] };
+        }
+        await client.query('COMMIT');
+        return { rescheduled: true, appointment: result.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (error.code === '23P01') { // Exclusion constraint: overlapping appointment
+            return { rescheduled: false, conflicts: [] };
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Same status change as the admin status route; the exclusion constraint and slot engine
+// only count scheduled/confirmed appointments, so the time is bookable again straight away.
+// Returns false when the appointment was no longer active.
+async function cancelPatientAppointment(appointment) {
+    const result = await pool.query(`
+        UPDATE appointments
+        SET status = 'cancelled', ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status IN ('scheduled', 'confirmed')
+        RETURNING id
+    `, [appointment.id]);
+    if (result.rows.length === 0) return false;
+
+    console.log('✖️ Appointment cancelled by patient:', appointment.id);
+    offerFreedSlots(appointment.doctor_id, appointment.appointment_date);
+    queueAppointmentNotifications(appointment.id, 'cancellation');
+    return true;
+}
+
+app.post('/api/appointments/cancel', async (req, res) => {
+    const session = getChatSession(req.body.sessionId);
+
+    try {
+        const appointment = await verifyPatientRequest(req, res, session);
+        if (!appointment) return;
+
+        await cancelPatientAppointment(appointment);
+
+        const content = `Your appointment with Dr. ${appointment.doctor_name} on ${formatDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)} has been cancelled. Download the updated calendar file to remove it from your calendar.`;
+        recordSessionTurn(session, 'assistant', content);
+
+        res.json({
+            success: true,
+            sessionId: session.id,
+            response: {
+                content,
+                actions: [
+                    { type: 'download_calendar', text: '📅 Update My Calendar', data: appointmentCalendarPath(appointment) },
+                    { type: 'start_over', text: '📅 Book Another Appointment', data: 'new_booking' }
+                ]
+            }
+        });
+    } catch (error) {
+        console.error('Error cancelling appointment:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error cancelling your appointment. Please try again.' });
+    }
+});
+
+// Lists open times with the same doctor for the appointment being moved
+app.post('/api/appointments/reschedule-options', async (req, res) => {
+    const session = getChatSession(req.body.sessionId);
+
+    try {
+        const appointment = await verifyPatientRequest(req, res, session);
+        if (!appointment) return;
+
+        const openSlots = await findOpenSlots({
+            doctorId: appointment.doctor_id,
+            appointmentTypeId: appointment.appointment_type_id,
+            sessionId: session.id,
+            limit: 8
+        });
+        const actions = openSlots.map(slot => ({
+            type: 'reschedule_to',
+            text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+            data: `${slot.available_date},${slot.start_time}`
+        }));
+
+        const content = actions.length > 0
+            ? `Here are the next open times with Dr. ${appointment.doctor_name}. Which one works better for you?`
+            : `Dr. ${appointment.doctor_name} has no open times in the coming weeks. Please call us at (540) 555-CARE and we'll find something for you.`;
+
+        res.json({ success: true, sessionId: session.id, response: { content, actions } });
+    } catch (error) {
+        console.error('Error finding reschedule options:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error finding new times. Please try again.' });
+    }
+});
+
+app.post('/api/appointments/reschedule', async (req, res) => {
+    const { date, time } = req.body;
+    const session = getChatSession(req.body.sessionId);
+
+    if (!isISODate(date) || !isISOTime(time)) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'Please choose a new date and time.' });
+    }
+    if (isPastAppointment({ appointment_date: date, appointment_time: time })) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'That time has already passed. Please choose a new date and time.' });
+    }
+
+    try {
+        const appointment = await verifyPatientRequest(req, res, session);
+        if (!appointment) return;
+
+        const outcome = await rescheduleAppointment({
+            appointmentId: appointment.id,
+            doctorId: appointment.doctor_id,
+            appointmentTypeId: appointment.appointment_type_id,
+            newDate: date,
+            newTime: time
+        });
+
+        if (!outcome.rescheduled) {
+            const alternatives = await getSuggestedAlternatives(appointment.doctor_id, date, appointment.appointment_type_id);
+            return res.status(409).json({
+                success: false,
+                sessionId: session.id,
+                response: {
+                    content: `Sorry, that time was just taken. Your appointment is still on ${formatDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)}. Here are other open times:`,
+                    actions: alternatives.map(slot => ({
+                        type: 'reschedule_to',
+                        text: `${formatDate(slot.available_date)} at ${formatTime(slot.start_time)}`,
+                        data: `${slot.available_date},${slot.start_time}`
+                    }))
+                }
+            });
+        }
+        console.log('🔁 Appointment rescheduled by patient:', appointment.id);
+        offerFreedSlots(appointment.doctor_id, appointment.appointment_date);
+        queueAppointmentNotifications(appointment.id, 'reschedule', { date: appointment.appointment_date, time: appointment.appointment_time });
+
+        const content = `Done! Your appointment with Dr. ${appointment.doctor_name} has moved from ${formatDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)} to ${formatDate(date)} at ${formatTime(time)}. Your confirmation number is unchanged. Download the updated calendar file to update your calendar.`;
+        recordSessionTurn(session, 'assistant', content);
+
+        res.json({
+            success: true,
+            sessionId: session.id,
+            response: {
+                content,
+                actions: [
+                    { type: 'download_calendar', text: '📅 Update My Calendar', data: appointmentCalendarPath(appointment) }
+                ]
+            }
+        });
+    } catch (error) {
+        console.error('Error rescheduling appointment:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error rescheduling your appointment. Please try again.' });
+    }
+});
+
+// =========================
+// WAITLIST
+// =========================
+
+// Patients wait for a doctor or a specialty within a date window and time of day.
+// When a slot frees up, the longest-waiting matching patient gets a time-limited offer: the slot is held
+// for them (as a slot hold owned by the offer) until they accept, decline or the offer runs out,
+// then it passes to the next patient in line.
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '60');
+const WAITLIST_MAX_WINDOW_DAYS = 90;
+
+function offerHoldSessionId(offerId) {
+    return `waitlist-offer:${offerId}`;
+}
+
+// join_waitlist action data: "doctor:<id>:<date>" or "specialty:<name>:<date>" (date may be empty)
+function parseWaitlistTarget(data) {
+    const match = /^(doctor|specialty):([^:]{1,100}):(\d{4}-\d{2}-\d{2})?$/.exec(String(data || ''));
+    if (!match) return null;
+    if (match[1] === 'doctor' && !/^\d+$/.test(match[2])) return null;
+    return {
+        doctorId: match[1] === 'doctor' ? parseInt(match[2]) : null,
+        specialty: match[1] === 'specialty' ? match[2] : null,
+        date: match[3] || null
+    };
+}
+
+function waitlistAction(target) {
+    const key = target.doctorId ? `doctor:${target.doctorId}` : `specialty:${target.specialty}`;
+    return { type: 'join_waitlist', text: '📝 Join the Waitlist', data: `${key}:${target.date || ''}` };
+}
+
+// Position among active entries waiting for the same doctor or specialty (1 = next in line)
+async function getWaitlistPosition(entry) {
+    const result = await pool.query(`
+        SELECT COUNT(*)::int AS ahead
+        FROM waitlist_entries
+        WHERE status IN ('waiting', 'offered')
+          AND created_at < $1
+          AND (($2::int IS NOT NULL AND doctor_id = $2) OR ($3::text IS NOT NULL AND LOWER(specialty) = LOWER($3)))
+    `, [entry.created_at, entry.doctor_id, entry.specialty]);
+    return result.rows[0].ahead + 1;
+}
+
+// Offers whatever is open on this doctor's day to matching waitlisted patients, oldest entry first.
+// Called whenever something frees time; safe to call when nothing did.
+async function offerFreedSlots(doctorId, date) {
+    const day = typeof date === 'string' ? date.slice(0, 10) : toLocalDateString(new Date(date));
+    if (day < toLocalDateString(new Date())) return;
+    try {
+        const doctorResult = await pool.query('SELECT id, name, specialty FROM doctors WHERE id = $1 AND is_active = true', [doctorId]);
+        const doctor = doctorResult.rows[0];
+        if (!doctor) return;
+
+        const candidates = await pool.query(`
+            SELECT e.*
+            FROM waitlist_entries e
+            WHERE e.status = 'waiting'
+              AND $2::date BETWEEN e.date_from AND e.date_to
+              AND (e.doctor_id = $1 OR (e.doctor_id IS NULL AND LOWER(e.specialty) = LOWER($3)))
+            ORDER BY e.created_at
+        `, [doctor.id, day, doctor.specialty]);
+        if (candidates.rows.length === 0) return;
+
+        // Which times are open depends on how long the visit is, so slots are looked up once per type
+        const slotsByType = new Map();
+
+        for (const entry of candidates.rows) {
+            if (!slotsByType.has(entry.appointment_type_id)) {
+                slotsByType.set(entry.appointment_type_id, await findOpenSlots({
+                    doctorId: doctor.id, dateFrom: day, dateTo: day, appointmentTypeId: entry.appointment_type_id, limit: MAX_SLOT_SEARCH_DAYS
+                }));
+            }
+            const [from, to] = TIME_OF_DAY_RANGES[entry.time_of_day] || TIME_OF_DAY_RANGES.any;
+
+            for (const slot of slotsByType.get(entry.appointment_type_id)) {
+                if (slot.start_time < from || slot.start_time >= to) continue;
+                // The hold fails for a time an earlier entry was just offered, so the next slot is tried
+                if (await createWaitlistOffer(entry, doctor, day, slot.start_time)) break;
+            }
+        }
+    } catch (error) {
+        console.error('Error offering freed slots to the waitlist:', error.message);
+    }
+}
+
+// Claims the entry, holds the slot for it and records the offer. Returns the offer or null.
+async function createWaitlistOffer(entry, doctor, date, time) {
+    // A patient never gets the same slot offered twice
+    const previous = await pool.query(
+        'SELECT 1 FROM waitlist_offers WHERE entry_id = $1 AND doctor_id = $2 AND offer_date = $3 AND start_time = $4',
+        [entry.id, doctor.id, date, time]
+    );
+    if (previous.rows.length > 0) return null;
+
+    const claimed = await pool.query(
+        `UPDATE waitlist_entries SET status = 'offered', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'waiting' RETURNING id`,
+        [entry.id]
+    );
+    if (claimed.rows.length === 0) return null;
+
+    const offerId = crypto.randomUUID();
+    const holdResult = await placeSlotHold({
+        sessionId: offerHoldSessionId(offerId),
+        doctorId: doctor.id,
+        date,
+        time,
+        appointmentTypeId: entry.appointment_type_id,
+        minutes: WAITLIST_OFFER_MINUTES
+    });
+    if (!holdResult.held) {
+        await pool.query(`UPDATE waitlist_entries SET status = 'waiting' WHERE id = $1 AND status = 'offered'`, [entry.id]);
+        return null;
+    }
+
+    const result = await pool.query(`
+        INSERT INTO waitlist_offers (id, entry_id, doctor_id, offer_date, start_time, token, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [offerId, entry.id, doctor.id, date, time, crypto.randomBytes(24).toString('hex'), holdResult.hold.expires_at]);
+    const offer = result.rows[0];
+
+    console.log(`📨 Waitlist offer for entry ${entry.id}: Dr. ${doctor.name} ${date} ${time}`);
+    await queueWaitlistOfferNotifications(entry, doctor, offer);
+    return offer;
+}
+
+async function queueWaitlistOfferNotifications(entry, doctor, offer) {
+    try {
+        const userResult = await pool.query('SELECT name, email, phone FROM users WHERE id = $1', [entry.user_id]);
+        const patient = userResult.rows[0];
+        if (!patient) return;
+
+        const when = `${formatLongDate(offer.offer_date instanceof Date ? toLocalDateString(offer.offer_date) : offer.offer_date)} at ${formatTime(offer.start_time)}`;
+        const link = `${APP_BASE_URL}/?offer=${offer.token}`;
+        const common = { userId: entry.user_id, kind: 'waitlist_offer' };
+
+        if (patient.email) {
+            await queueNotification({
+                ...common, channel: 'email', recipient: patient.email,
+                subject: `A time opened up with Dr. ${doctor.name}`,
+                body: `Dear ${patient.name},\n\nA time you were waiting for is available: Dr. ${doctor.name} (${doctor.specialty}) on ${when}.\n\nWe're holding it for you for ${WAITLIST_OFFER_MINUTES} minutes. Accept or decline here: ${link}\n\nHealthCare Medical Center`,
+                dedupeKey: `waitlist_offer:${offer.id}:email`
+            });
+        }
+        if (patient.phone) {
+            await queueNotification({
+                ...common, channel: 'sms', recipient: patient.phone,
+                body: `HealthCare Medical Center: Dr. ${doctor.name} has an opening ${when}, held for you for ${WAITLIST_OFFER_MINUTES} min. Reply here: ${link}`,
+                dedupeKey: `waitlist_offer:${offer.id}:sms`
+            });
+        }
+    } catch (error) {
+        console.error('Error queuing waitlist offer notification:', error.message);
+    }
+}
+
+// Ends a pending offer, gives its slot back and puts the patient back in line
+async function closeWaitlistOffer(offer, status) {
+    const result = await pool.query(`
+        UPDATE waitlist_offers SET status = $2, responded_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+    `, [offer.id, status]);
+    if (result.rows.length === 0) return;
+
+    await releaseSlotHolds(offerHoldSessionId(offer.id), status === 'declined' ? 'cancelled' : 'expired');
+    await pool.query(
+        `UPDATE waitlist_entries SET status = 'waiting', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'offered'`,
+        [offer.entry_id]
+    );
+    await offerFreedSlots(offer.doctor_id, toLocalDateString(new Date(offer.offer_date)));
+}
+
+async function expireWaitlist() {
+    try {
+        const expired = await pool.query(`SELECT * FROM waitlist_offers WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP`);
+        for (const offer of expired.rows) {
+            await closeWaitlistOffer(offer, 'expired');
+        }
+        if (expired.rows.length > 0) console.log(`⏳ Expired ${expired.rows.length} waitlist offer(s)`);
+
+        await pool.query(`
+            UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'waiting' AND date_to < CURRENT_DATE
+        `);
+    } catch (error) {
+        console.error('Error expiring waitlist offers:', error.message);
+    }
+}
+
+setInterval(expireWaitlist, 60000).unref();
+
+// Offer details with the entry it belongs to, by the token from the patient's link
+async function getWaitlistOffer(token) {
+    const result = await pool.query(`
+        SELECT o.*, o.offer_date::text AS offer_date, e.user_id, e.appointment_type_id, d.name AS doctor_name, d.specialty
+        FROM waitlist_offers o
+        JOIN waitlist_entries e ON o.entry_id = e.id
+        JOIN doctors d ON o.doctor_id = d.id
+        WHERE o.token = $1
+    `, [String(token || '')]);
+    return result.rows[0] || null;
+}
+
+function isOfferOpen(offer) {
+    return offer.status === 'pending' && new Date(offer.expires_at) > new Date();
+}
+
+app.post('/api/waitlist', async (req, res) => {
+    const { sessionId, target, dateFrom, dateTo, timeOfDay = 'any', patient } = req.body;
+    const session = getChatSession(sessionId);
+
+    const { errors, details } = validatePatientDetails(patient);
+    if (errors) {
+        return res.status(400).json({ success: false, sessionId: session.id, message: 'Please correct the highlighted details.', errors });
+    }
+
+    const parsedTarget = parseWaitlistTarget(target);
+    const today = toLocalDateString(new Date());
+    const from = isISODate(dateFrom) && dateFrom > today ? dateFrom : today;
+    if (!parsedTarget || !isISODate(dateTo) || dateTo < from || dateTo > addDays(from, WAITLIST_MAX_WINDOW_DAYS) || !TIME_OF_DAY_RANGES[timeOfDay]) {
+        return res.status(400).json({
+            success: false,
+            sessionId: session.id,
+            message: `Please choose dates within the next ${WAITLIST_MAX_WINDOW_DAYS} days and a time of day.`
+        });
+    }
+
+    try {
+        const existing = await pool.query(
+            'SELECT id, date_of_birth::text AS date_of_birth FROM users WHERE LOWER(email) = $1',
+            [details.email]
+        );
+        if (existing.rows[0]?.date_of_birth && existing.rows[0].date_of_birth !== details.dateOfBirth) {
+            return res.status(400).json({
+                success: false,
+                sessionId: session.id,
+                message: "These details don't match our records. Please check them, or call us at (540) 555-CARE.",
+                errors: { dateOfBirth: "Doesn't match the record we have for this email." }
+            });
+        }
+
+        let label = parsedTarget.specialty;
+        if (parsedTarget.doctorId) {
+            const doctorResult = await pool.query('SELECT name FROM doctors WHERE id = $1 AND is_active = true', [parsedTarget.doctorId]);
+            if (doctorResult.rows.length === 0) {
+                return res.status(404).json({ success: false, sessionId: session.id, message: 'Doctor not found' });
+            }
+            label = `Dr. ${doctorResult.rows[0].name}`;
+        }
+
+        const userId = await findOrCreateUser(details.name, details.email, details.phone, details.dateOfBirth);
+        const result = await pool.query(`
+            INSERT INTO waitlist_entries (user_id, doctor_id, specialty, appointment_type_id, date_from, date_to, time_of_day)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [userId, parsedTarget.doctorId, parsedTarget.specialty, sessionAppointmentTypeId(session), from, dateTo, timeOfDay]);
+        const entry = result.rows[0];
+        const position = await getWaitlistPosition(entry);
+        console.log('📝 Waitlist entry created:', entry.id);
+
+        const timeLabel = timeOfDay === 'any' ? '' : ` in the ${timeOfDay}`;
+        const content = `You're on the waitlist for ${label} between ${formatDate(from)} and ${formatDate(dateTo)}${timeLabel}. You're number ${position} in line. If a time opens up, we'll send you an offer you can accept within ${WAITLIST_OFFER_MINUTES} minutes.`;
+        recordSessionTurn(session, 'assistant', content);
+
+        res.json({ success: true, sessionId: session.id, response: { content, actions: [] } });
+
+        // Something may already be open in their window
+        if (parsedTarget.doctorId) offerFreedSlots(parsedTarget.doctorId, from);
+    } catch (error) {
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({ success: false, sessionId: session.id, message: 'Error joining the waitlist. Please try again.' });
+    }
+});
+
+app.get('/api/waitlist/offers/:token', async (req, res) => {
+    try {
+        const offer = await getWaitlistOffer(req.params.token);
+        if (!offer) {
+            return res.status(404).json({ success: false, message: 'Offer not found' });
+        }
+        if (!isOfferOpen(offer)) {
+            return res.json({
+                success: true,
+                response: {
+                    content: offer.status === 'accepted'
+                        ? 'You already accepted this offer. Check your appointments for the details.'
+                        : 'Sorry, this offer is no longer available. You are still on the waitlist unless you booked another time.',
+                    actions: []
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            response: {
+                content: `Good news! A time opened up with Dr. ${offer.doctor_name} (${offer.specialty}) on ${formatDate(offer.offer_date)} at ${formatTime(offer.start_time)}. Would you like it?`,
+                actions: [
+                    { type: 'accept_offer', text: '✅ Book This Time', data: offer.token },
+                    { type: 'decline_offer', text: '❌ No Thanks', data: offer.token }
+                ],
+                hold: { id: offer.id, expiresAt: new Date(offer.expires_at).toISOString() }
+            }
+        });
+    } catch (error) {
+        console.error('Error loading waitlist offer:', error);
+        res.status(500).json({ success: false, message: 'Error loading your offer' });
+    }
+});
+
+app.post('/api/waitlist/offers/:token/accept', async (req, res) => {
+    try {
+        const offer = await getWaitlistOffer(req.params.token);
+        if (!offer) {
+            return res.status(404).json({ success: false, message: 'Offer not found' });
+        }
+        if (!isOfferOpen(offer) && offer.status !== 'accepted') {
+            return res.status(410).json({ success: false, message: 'Sorry, this offer is no longer available.' });
+        }
+
+        // The offer id doubles as the idempotency key, so accepting twice returns the same appointment
+        const booking = await bookAppointment({
+            userId: offer.user_id,
+            doctorId: offer.doctor_id,
+            appointmentTypeId: offer.appointment_type_id,
+            appointmentDate: offer.offer_date,
+            appointmentTime: offer.start_time,
+            reasonForVisit: 'Waitlist offer',
+            idempotencyKey: offerHoldSessionId(offer.id),
+            holdSessionId: offerHoldSessionId(offer.id)
+        });
+        if (!booking.booked) {
+            await closeWaitlistOffer(offer, 'expired');
+            return res.status(409).json({ success: false, message: 'Sorry, this time is no longer available. You are still on the waitlist.' });
+        }
+
+        const appointment = booking.appointment;
+        await pool.query(`
+            UPDATE waitlist_offers SET status = 'accepted', responded_at = COALESCE(responded_at, CURRENT_TIMESTAMP), appointment_id = $2
+            WHERE id = $1
+        `, [offer.id, appointment.id]);
+        await pool.query(`UPDATE waitlist_entries SET status = 'booked', updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [offer.entry_id]);
+        console.log('✅ Waitlist offer accepted:', offer.id, '→ appointment', appointment.id);
+        if (!booking.replayed) queueAppointmentNotifications(appointment.id, 'confirmation');
+
+        res.json({
+            success: true,
+            response: {
+                content: `🎉 You're booked with Dr. ${offer.doctor_name} on ${formatDate(offer.offer_date)} at ${formatTime(offer.start_time)}. Your confirmation number is ${appointment.confirmation_number}.`,
+                actions: [
+                    { type: 'download_calendar', text: '📅 Add to Calendar', data: appointmentCalendarPath(appointment) }
+                ]
+            }
+        });
+    } catch (error) {
+        console.error('Error accepting waitlist offer:', error);
+        res.status(500).json({ success: false, message: 'Error booking your offer. Please try again.' });
+    }
+});
+
+app.post('/api/waitlist/offers/:token/decline', async (req, res) => {
+    try {
+        const offer = await getWaitlistOffer(req.params.token);
+        if (!offer) {
+            return res.status(404).json({ success: false, message: 'Offer not found' });
+        }
+        await closeWaitlistOffer(offer, 'declined');
+        res.json({
+            success: true,
+            response: {
+                content: "No problem. You're still on the waitlist and we'll let you know if another time opens up.",
+                actions: []
+            }
+        });
+    } catch (error) {
+        console.error('Error declining waitlist offer:', error);
+        res.status(500).json({ success: false, message: 'Error declining your offer. Please try again.' });
+    }
+});
+
+// Add this new endpoint to handle the final booking step
+app.post('/api/complete-booking', async (req, res) => {
+    const { appointmentData, sessionId } = req.body;
+    const session = getChatSession(sessionId);
+    console.log('📋 Complete booking called with:', appointmentData);
+    
+    const [doctorId, date, time] = appointmentData.split(',');
+    console.log('📋 Parsed booking - Doctor:', doctorId, 'Date:', date, 'Time:', time);
+    
+    try {
+        const dbContext = await getDatabaseContext();
+        const doctor = dbContext.doctors.find(d => d.id == doctorId);
+        console.log('📋 Found doctor:', doctor ? doctor.name : 'NOT FOUND');
+        
+        if (!doctor) {
+            console.log('❌ Doctor not found for booking');
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        
+        // Only book once the patient has entered and confirmed their details
+        const patient = session.booking.details.patient;
+        if (!patient) {
+            return res.status(400).json({
+                success: false,
+                sessionId: session.id,
+                message: 'Please enter your contact details before confirming the booking.'
+            });
+        }
+        
+        const userId = await findOrCreateUser(patient.name, patient.email, patient.phone, patient.dateOfBirth);
+        
+        // Some visit types are for existing patients only; offer the ones this patient can book with this doctor
+        const appointmentTypeId = sessionAppointmentTypeId(session);
+        const typeError = await appointmentTypeBookingError(appointmentTypeId, userId);
+        if (typeError) {
+            const newPatient = await isNewPatient(userId);
+            const bookable = dbContext.appointment_types
+                .filter(type => typeOfferedBy(type, doctor) && (type.new_patients_allowed || !newPatient) && type.id !== appointmentTypeId);
+            return res.json({
+                success: false,
+                sessionId: session.id,
+                message: typeError,
+                response: { content: typeError, actions: visitTypeActions(bookable) }
+            });
+        }
+        const visitType = dbContext.appointment_types.find(type => type.id === appointmentTypeId);
+        const reasonForVisit = visitType ? visitType.name : 'General consultation';
+        
+        // A series only applies to the slot it was planned for
+        const recurrence = session.booking.recurrence;
+        const seriesDates = recurrence && expandRecurrence(date, recurrence).dates;
+        const booking = seriesDates && seriesDates.length > 1
+            ? await bookAppointmentSeries({
+                userId,
+                doctorId,
+                appointmentTypeId,
+                appointmentTime: time,
+                dates: seriesDates,
+                recurrence,
+                reasonForVisit,
+                idempotencyKey: getIdempotencyKey(req),
+                holdSessionId: session.id,
+                // The patient saw which dates were free; anything taken since is reported, not fatal
+                skipConflicts: true
+            })
+            : await bookAppointment({
+                userId,
+                doctorId,
+                appointmentTypeId,
+                appointmentDate: date,
+                appointmentTime: time,
+                reasonForVisit,
+                idempotencyKey: getIdempotencyKey(req),
+                holdSessionId: session.id
+            });
+        
+        if (booking.idempotencyMismatch) {
+            return res.status(409).json({ success: false, sessionId: session.id, message: IDEMPOTENCY_MISMATCH_MESSAGE });
+        }
+        if (!booking.booked) {
+            return res.json({
+                success: false,
+                message: 'Sorry, that appointment time is no longer available.',
+                response: {
+                    content: "Sorry, that time was just taken. Join the waitlist and we'll offer you a time if one opens up.",
+                    actions: [waitlistAction({ doctorId: doctor.id, date })]
+                }
+            });
+        }
+        const appointment = booking.appointment;
+        
+        console.log('📋 Appointment created:', appointment);
+        if (!booking.replayed) queueAppointmentNotifications(appointment.id, 'confirmation');
+        
+        // Generate confirmation email content
+        let emailContent = generateEmailConfirmation({
+            ...appointment,
+            appointment_type: visitType?.name,
+            preparation_instructions: visitType?.preparation_instructions,
+            is_virtual: visitType?.is_virtual
+        }, doctor, date, time, patient);
+        
+        // Generate calendar file URL
+        let calendarUrl = appointmentCalendarPath(appointment);
+        let content = "🎉 **Appointment Confirmed!**\n\nYour appointment has been successfully booked. Below is your confirmation email and calendar file:";
+        const joinActions = visitType?.is_virtual && appointment.meeting_url && !booking.series
+            ? [{ type: 'join_video', text: '🎥 Join Video Visit', data: appointment.meeting_url }]
+            : [];
+        if (joinActions.length > 0) {
+            content += '\n\n🎥 This is a video visit. Join with the button below at your appointment time; the link is also in your confirmation.';
+        }
+        
+        if (booking.series) {
+            const dates = describeSeriesDates(booking.appointments);
+            emailContent += `\n\nYOUR RECURRING VISITS:\n${dates}`;
+            calendarUrl = seriesCalendarPath(booking.series);
+            content = `🎉 **${booking.appointments.length} Appointments Confirmed!**\n\n${dates}`;
+            if (booking.skipped.length > 0) {
+                content += `\n\nNot booked (no longer available): ${booking.skipped.map(o => formatDate(o.date)).join(', ')}`;
+            }
+            content += '\n\nBelow is your confirmation email and calendar file:';
+        }
+        
+        updateSessionBooking(session, {
+            doctorId: doctor.id,
+            date,
+            time,
+            hold: null,
+            recurrence: null,
+            details: { ...session.booking.details, appointmentId: appointment.id, confirmationNumber: appointment.confirmation_number }
+        });
+        recordSessionTurn(session, 'user', 'Please book it.');
+        recordSessionTurn(session, 'assistant', `Your appointment with ${doctor.name} on ${formatDate(date)} at ${formatTime(time)} is confirmed (confirmation #${appointment.confirmation_number || appointment.id}).`);
+        
+        res.json({
+            success: true,
+            sessionId: session.id,
+            response: {
+                content,
+                actions: [
+                    ...joinActions,
+                    {
+                        type: 'show_email',
+                        text: '📧 View Email Confirmation', 
+                        data: emailContent
+                    },
+                    {
+                        type: 'download_calendar',
+                        text: '📅 Add to Calendar',
+                        data: calendarUrl
+                    },
+                    {
+                        type: 'start_over',
+                        text: '🔄 Book Another Appointment',
+                        data: 'new_booking'
+                    }
+                ]
+            }
+        });
+        
+    } catch (error) {
+        console.log('❌ Complete booking error:', error.message);
+        console.log('❌ Stack trace:', error.stack);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Error completing your booking. Please try again.' 
+        });
+    }
+});
+// Replace your existing /api/admin/patients endpoint with this enhanced version:
+app.get('/api/admin/patients', requireRole('admin', 'front_desk'), auditAccess('patient.list', 'patient'), async (req, res) => {
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const offset = (page - 1) * limit;
+    
+    try {
+        let query = `
+            SELECT u.*, 
+                   COUNT(a.id) as total_appointments,
+                   MAX(a.appointment_date) as last_appointment
+            FROM users u
+            LEFT JOIN appointments a ON u.id = a.user_id
+        `;
+        
+        let params = [];
+        if (search) {
+            query += ` WHERE u.name ILIKE $1 OR u.email ILIKE $1`;
+            params.push(`%${search}%`);
+        }
+        
+        query += ` GROUP BY u.id ORDER BY u.name LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, offset);
+        
+        const patients = await pool.query(query, params);
+        
+        res.json({
+            success: true,
+            data: patients.rows
+        });
+    } catch (error) {
+        console.error('Error fetching patients:', error);
+        res.status(500).json({ success: false, message: 'Error fetching patients' });
+    }
+});
+// Generate email confirmation content
+function generateEmailConfirmation(appointment, doctor, date, time, patient) {
+    const formattedDate = formatDate(date);
+    const formattedTime = formatTime(time);
+    // appointment.appointment_type, preparation_instructions and is_virtual come from the appointment type when known
+    const visit = appointment.appointment_type ? `\n- **Visit:** ${appointment.appointment_type}` : '';
+    const preparation = appointment.preparation_instructions
+        ? `\n\n**📝 Before Your Visit:**\n${appointment.preparation_instructions}`
+        : '';
+    const cancelLine = '• Need to cancel or reschedule? Use "Show my upcoming appointments" in our chat with your confirmation number, or call at least 24 hours in advance';
+    
+    // Video visits get the join link and online instructions instead of the clinic's in-person ones
+    const location = appointment.is_virtual
+        ? `**🎥 Video Visit:**
+${appointment.meeting_url ? `Join here: ${appointment.meeting_url}` : "We'll send your link to join before the visit."}
+There's no need to come to the clinic.`
+        : `**🏥 Location:**
+HealthCare Medical Center
+123 Medical Plaza Drive
+Orange, VA 22960`;
+    const instructions = appointment.is_virtual
+        ? `• Join 5 minutes early from a quiet, private place
+• Test your camera, microphone and internet connection beforehand
+• Have your insurance card and a list of current medications to hand
+${cancelLine}`
+        : `• Please arrive 15 minutes early for check-in
+• Bring a valid photo ID and insurance card
+• Bring a list of current medications
+• Wear comfortable, loose-fitting clothing
+${cancelLine}`;
+    const safety = appointment.is_virtual
+        ? ''
+        : `
+
+**🦠 Health & Safety:**
+• Please wear a mask in all clinical areas
+• If you're feeling unwell, please call to reschedule
+• Complete health screening will be required upon arrival`;
+    
+    return `
+**APPOINTMENT CONFIRMATION**
+
+Dear ${patient.name},
+
+Your medical appointment has been confirmed with the following details:
+
+**📅 Appointment Information:**
+- **Doctor:** ${doctor.name}
+- **Specialty:** ${doctor.specialty}  ${visit}
+- **Date:** ${formattedDate}
+- **Time:** ${formattedTime}
+- **Confirmation #:** ${appointment.confirmation_number || appointment.id}
+
+${location}
+
+**📞 Contact Information:**
+- Main Line: (540) 555-CARE (2273)
+- Direct Line: ${doctor.office_location || 'Extension 1234'}
+
+**📋 Important Instructions:**
+${instructions}${preparation}
+
+**💳 Payment & Insurance:**
+We accept most major insurance plans. Please verify your coverage before your visit.${safety}
+
+Thank you for choosing HealthCare Medical Center. We look forward to seeing you!
+
+**Questions?** Call us at (540) 555-CARE or email appointments@healthcare.com
+
+---
+*This is an automated confirmation. Please do not reply to this message.*
+    `.trim();
+}
+
+// Where the patient downloads an appointment's calendar file; only ever given to the patient
+function appointmentCalendarPath(appointment) {
+    return `/api/calendar/${appointment.calendar_token}`;
+}
+
+function seriesCalendarPath(series) {
+    return `/api/calendar/series/${series.calendar_token}`;
+}
+
+const CALENDAR_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+// Whether a path has the shape appointmentCalendarPath or seriesCalendarPath gives out
+function isCalendarPath(calendarPath) {
+    const match = /^\/api\/calendar\/(?:series\/)?([^/]+)$/.exec(calendarPath);
+    return !!match && CALENDAR_TOKEN_PATTERN.test(match[1]);
+}
+
+// Generate calendar file endpoint  
+app.get('/api/calendar/:token', async (req, res) => {
+    const { token } = req.params;
+    if (!CALENDAR_TOKEN_PATTERN.test(token)) {
+        return res.status(404).json({ error: 'Appointment not found' });
+    }
+    
+    try {
+        // Get appointment details from database
+        const appointmentQuery = `
+            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email as patient_email,
+                   t.name as appointment_type, t.duration_minutes, t.preparation_instructions, t.is_virtual
+            FROM appointments a
+            JOIN doctors d ON a.doctor_id = d.id  
+            JOIN users u ON a.user_id = u.id
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE a.calendar_token = $1
+        `;
+        
+        const result = await pool.query(appointmentQuery, [token]);
+        console.log('📅 Query result rows:', result.rows.length);
+        
+        if (result.rows.length === 0) {
+            console.log('❌ Appointment not found in database');
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        
+        const appt = result.rows[0];
+        console.log('📅 Calendar request for appointment:', appt.id);
+        
+        // Generate ICS file content
+        console.log('📅 Generating ICS content...');
+        const icsContent = generateICSFile(appt);
+        console.log('📅 ICS content generated, length:', icsContent.length);
+        
+        // Set headers for calendar file download
+        res.setHeader('Content-Type', 'text/calendar');
+        res.setHeader('Content-Disposition', `attachment; filename="appointment-${appt.id}.ics"`);
+        res.send(icsContent);
+        
+    } catch (error) {
+        console.error('❌ Calendar generation error:', error.message);
+        console.error('❌ Stack trace:', error.stack);
+        res.status(500).json({ error: 'Error generating calendar file' });
+    }
+});
+
+// Every appointment in a series in one calendar file, by the series' own token
+app.get('/api/calendar/series/:token', async (req, res) => {
+    const { token } = req.params;
+    if (!CALENDAR_TOKEN_PATTERN.test(token)) {
+        return res.status(404).json({ error: 'Appointment series not found' });
+    }
+    
+    try {
+        const result = await pool.query(`
+            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email as patient_email,
+                   t.name as appointment_type, t.duration_minutes, t.preparation_instructions, t.is_virtual
+            FROM appointments a
+            JOIN doctors d ON a.doctor_id = d.id
+            JOIN users u ON a.user_id = u.id
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE a.series_id = (SELECT id FROM appointment_series WHERE calendar_token = $1)
+            ORDER BY a.series_index
+        `, [token]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Appointment series not found' });
+        }
+        
+        res.setHeader('Content-Type', 'text/calendar');
+        res.setHeader('Content-Disposition', `attachment; filename="appointment-series-${result.rows[0].series_id}.ics"`);
+        res.send(generateICSFile(result.rows));
+    } catch (error) {
+        console.error('❌ Series calendar generation error:', error.message);
+        res.status(500).json({ error: 'Error generating calendar file' });
+    }
+});
+
+// =========================
+// ICALENDAR
+// =========================
+
+// Calendar events are written in the clinic's local time with a matching VTIMEZONE, so they land at the
+// booked hour whatever timezone the server or the patient's calendar is in
+const CLINIC_TIMEZONE = (() => {
+    const timeZone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.warn(`⚠️ Unknown CLINIC_TIMEZONE "${timeZone}", using America/New_York`);
+        return 'America/New_York';
+    }
+})();
+const CLINIC_ADDRESS = 'HealthCare Medical Center, 123 Medical Plaza Drive, Orange, VA 22960';
+
+const clinicClockFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: CLINIC_TIMEZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// Minutes the clinic's wall clock is ahead of UTC at the given instant
+function clinicUtcOffsetMinutes(ms) {
+    const parts = Object.fromEntries(clinicClockFormat.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// Offset changes (daylight saving) between two instants, found week by week and narrowed to the minute
+function clinicOffsetTransitions(fromMs, toMs) {
+    const WEEK = 7 * 86400000;
+    const transitions = [];
+    let before = clinicUtcOffsetMinutes(fromMs);
+    for (let ms = fromMs; ms < toMs; ms += WEEK) {
+        const after = clinicUtcOffsetMinutes(ms + WEEK);
+        if (after === before) continue;
+        let low = ms, high = ms + WEEK;
+        while (high - low > 60000) {
+            const mid = low + Math.floor((high - low) / 120000) * 60000;
+            if (clinicUtcOffsetMinutes(mid) === before) low = mid; else high = mid;
+        }
+        transitions.push({ at: high, from: before, to: after });
+        before = after;
+    }
+    return transitions;
+}
+
+function formatICSOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Wall-clock date-time as YYYYMMDDTHHMMSS, from a UTC-based Date standing in for local time
+function formatICSLocal(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+}
+
+// VTIMEZONE covering the given years, one observance per transition so it holds for any zone
+function buildClinicTimezone(firstYear, lastYear) {
+    const fromMs = Date.UTC(firstYear - 1, 0, 1);
+    const transitions = clinicOffsetTransitions(fromMs, Date.UTC(lastYear + 1, 0, 1));
+    const observances = transitions.length > 0
+        ? transitions.map(({ at, from, to }) => [
+            `BEGIN:${to > from ? 'DAYLIGHT' : 'STANDARD'}`,
+            `DTSTART:${formatICSLocal(new Date(at + from * 60000))}`,
+            `TZOFFSETFROM:${formatICSOffset(from)}`,
+            `TZOFFSETTO:${formatICSOffset(to)}`,
+            `END:${to > from ? 'DAYLIGHT' : 'STANDARD'}`
+        ])
+        : [[
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${formatICSOffset(clinicUtcOffsetMinutes(fromMs))}`,
+            `TZOFFSETTO:${formatICSOffset(clinicUtcOffsetMinutes(fromMs))}`,
+            'END:STANDARD'
+        ]];
+    return ['BEGIN:VTIMEZONE', `TZID:${CLINIC_TIMEZONE}`, ...observances.flat(), 'END:VTIMEZONE'];
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+function escapeICSText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values containing : ; or , must be quoted, and can't contain quotes themselves
+function quoteICSParam(value) {
+    const text = String(value ?? '').replace(/"/g, '');
+    return /[:;,]/.test(text) ? `"${text}"` : text;
+}
+
+// Lines are limited to 75 octets; longer ones continue on lines starting with a space,
+// splitting between characters rather than inside a multi-byte one
+function foldICSLine(line) {
+    const pieces = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (pieces.length === 0 ? 75 : 74)) {
+            pieces.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    pieces.push(current);
+    return pieces.join('\r\n ');
+}
+
+function getICSDateString(value) {
+    return value instanceof Date ? toLocalDateString(value) : String(value).slice(0, 10);
+}
+
+function formatICSStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// DTSTART/DTEND in clinic time. Wall-clock arithmetic is done in UTC so the server's own timezone never shifts it.
+function icsEventTimes(dateValue, startTime, endTimeOrMinutes) {
+    const date = getICSDateString(dateValue);
+    const start = new Date(`${date}T${String(startTime).slice(0, 8)}Z`);
+    const end = typeof endTimeOrMinutes === 'number'
+        ? new Date(start.getTime() + endTimeOrMinutes * 60000)
+        : new Date(`${date}T${String(endTimeOrMinutes).slice(0, 8)}Z`);
+    return [
+        `DTSTART;TZID=${CLINIC_TIMEZONE}:${formatICSLocal(start)}`,
+        `DTEND;TZID=${CLINIC_TIMEZONE}:${formatICSLocal(end)}`
+    ];
+}
+
+// The patient's own copy of an appointment
+function icsAppointmentEvent(appointment, stamp) {
+    const visit = appointment.appointment_type ? `${appointment.appointment_type} with` : 'Medical appointment with';
+    const preparation = appointment.preparation_instructions ? `\n\nBefore your visit: ${appointment.preparation_instructions}` : '';
+    // A video visit happens at its meeting link rather than the clinic
+    const meetingUrl = appointment.is_virtual ? appointment.meeting_url : null;
+    const join = appointment.is_virtual ? `\n\nVideo visit. ${meetingUrl ? `Join here: ${meetingUrl}` : "We'll send your link to join before the visit."}` : '';
+    return [
+        'BEGIN:VEVENT',
+        `UID:appointment-${appointment.id}@healthcare.com`,
+        `SEQUENCE:${appointment.ics_sequence || 0}`,
+        `DTSTAMP:${stamp}`,
+        ...icsEventTimes(appointment.appointment_date, appointment.appointment_time, appointment.duration_minutes || 30),
+        `SUMMARY:${escapeICSText(`Medical Appointment - Dr. ${appointment.doctor_name}`)}`,
+        `DESCRIPTION:${escapeICSText(`${visit} Dr. ${appointment.doctor_name} (${appointment.specialty}). Confirmation #${appointment.confirmation_number || appointment.id}.${join}${preparation}`)}`,
+        `LOCATION:${escapeICSText(appointment.is_virtual ? meetingUrl || 'Video visit' : CLINIC_ADDRESS)}`,
+        // URL is a URI value, not TEXT, so it isn't escaped
+        ...(meetingUrl ? [`URL:${meetingUrl}`] : []),
+        `ORGANIZER;CN=${quoteICSParam('HealthCare Medical Center')}:mailto:${NOTIFY_FROM_EMAIL}`,
+        ...(appointment.patient_email
+            ? [`ATTENDEE;CN=${quoteICSParam(appointment.patient_name)};ROLE=REQ-PARTICIPANT:mailto:${appointment.patient_email}`]
+            : []),
+        `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+}
+
+// Wraps events in a calendar with the clinic timezone, folded and CRLF-terminated
+function buildICSCalendar(events, { method, dates, headers = [] }) {
+    const years = dates.map(date => parseInt(getICSDateString(date).slice(0, 4)));
+    if (years.length === 0) years.push(new Date().getFullYear());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//HealthCare Medical Center//Appointment Scheduler//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        ...headers,
+        ...buildClinicTimezone(Math.min(...years), Math.max(...years)),
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// Takes one appointment or a list (a recurring series) and returns a calendar with one event each.
+// Rows should carry duration_minutes from the appointment type; a lone cancelled appointment produces
+// METHOD:CANCEL. options.method is REQUEST for emailed invitations, so the same UID with a higher
+// SEQUENCE updates the patient's existing event; several events are always published together.
+function generateICSFile(appointments, { method = 'PUBLISH' } = {}) {
+    const list = [].concat(appointments);
+    console.log('📅 Generating ICS for appointment(s):', list.map(appt => appt.id).join(', '));
+    
+    try {
+        const stamp = formatICSStamp(new Date());
+        const calendarMethod = list.length === 1 && list[0].status === 'cancelled' ? 'CANCEL'
+            : list.length === 1 ? method
+            : 'PUBLISH';
+        return buildICSCalendar(list.map(appointment => icsAppointmentEvent(appointment, stamp)), {
+            method: calendarMethod,
+            dates: list.map(appointment => appointment.appointment_date)
+        });
+        
+    } catch (error) {
+        console.error('❌ ICS generation error:', error);
+        throw error;
+    }
+}
+
+// =========================
+// DOCTOR CALENDAR FEEDS
+// =========================
+
+// Subscribable feeds for a doctor, or for everyone at an office location. The token in the URL is the
+// only credential, so events carry as little PHI as possible: patient initials and the visit type.
+const CALENDAR_FEED_PAST_DAYS = 7;
+const CALENDAR_FEED_FUTURE_DAYS = 180;
+
+function calendarFeedUrl(token) {
+    return `${APP_BASE_URL}/api/calendar/feeds/${token}.ics`;
+}
+
+function patientInitials(name) {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return 'Patient';
+    const initials = parts.length === 1 ? [parts[0]] : [parts[0], parts[parts.length - 1]];
+    return initials.map(part => part[0].toUpperCase() + '.').join('');
+}
+
+function icsFeedAppointmentEvent(appointment, stamp, showDoctor) {
+    const summary = `${patientInitials(appointment.patient_name)} - ${appointment.appointment_type || 'Appointment'}`;
+    return [
+        'BEGIN:VEVENT',
+        `UID:appointment-${appointment.id}@healthcare.com`,
+        `SEQUENCE:${appointment.ics_sequence || 0}`,
+        `DTSTAMP:${stamp}`,
+        ...icsEventTimes(appointment.appointment_date, appointment.appointment_time, appointment.duration_minutes || 30),
+        `SUMMARY:${escapeICSText(showDoctor ? `${summary} (Dr. ${appointment.doctor_name})` : summary)}`,
+        // Meeting links stay out of the feed; staff open them from the dashboard
+        ...(appointment.is_virtual ? ['LOCATION:Video visit']
+            : appointment.office_location ? [`LOCATION:${escapeICSText(appointment.office_location)}`] : []),
+        `STATUS:${appointment.status === 'confirmed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+        'CLASS:PRIVATE',
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+}
+
+function icsBlockedEvent(block, stamp, showDoctor) {
+    const date = getICSDateString(block.blocked_date);
+    return [
+        'BEGIN:VEVENT',
+        `UID:blocked-${block.id}@healthcare.com`,
+        `DTSTAMP:${stamp}`,
+        ...icsEventTimes(date, block.start_time, block.end_time),
+        `SUMMARY:${escapeICSText(showDoctor ? `Blocked (Dr. ${block.doctor_name})` : 'Blocked')}`,
+        ...(block.reason ? [`DESCRIPTION:${escapeICSText(block.reason)}`] : []),
+        'CLASS:PRIVATE',
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+}
+
+// One event per closed day, shared by every doctor the closure covers
+function icsClosureEvent(closure, stamp) {
+    const date = getICSDateString(closure.closed_date);
+    return [
+        'BEGIN:VEVENT',
+        `UID:closure-${closure.closure_id}-${date}@healthcare.com`,
+        `DTSTAMP:${stamp}`,
+        ...icsEventTimes(date, closure.start_time, closure.end_time),
+        `SUMMARY:${escapeICSText(`Clinic closed: ${closure.reason}`)}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ];
+}
+
+async function getCalendarFeed(token) {
+    if (!token) return null;
+    const result = await pool.query(`
+        SELECT f.*, d.name AS doctor_name
+        FROM calendar_feeds f
+        LEFT JOIN doctors d ON d.id = f.doctor_id
+        WHERE f.token = $1 AND f.revoked_at IS NULL
+    `, [String(token)]);
+    return result.rows[0] || null;
+}
+
+async function generateCalendarFeed(feed) {
+    // A location feed covers every doctor whose office is at that location
+    const doctorFilter = feed.doctor_id
+        ? 'd.id = $1'
+        : 'LOWER(d.office_location) = LOWER($1)';
+    const params = [feed.doctor_id || feed.office_location, CALENDAR_FEED_PAST_DAYS, CALENDAR_FEED_FUTURE_DAYS];
+
+    const [appointments, blocks, closures] = await Promise.all([
+        pool.query(`
+            SELECT a.id, a.appointment_date::text AS appointment_date, a.appointment_time, a.status, a.ics_sequence,
+                   u.name AS patient_name, d.name AS doctor_name, d.office_location,
+                   t.name AS appointment_type, t.duration_minutes, t.is_virtual
+            FROM appointments a
+            JOIN doctors d ON a.doctor_id = d.id
+            JOIN users u ON a.user_id = u.id
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE ${doctorFilter}
+              AND a.status IN ('scheduled', 'confirmed')
+              AND a.appointment_date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $3::int
+            ORDER BY a.appointment_date, a.appointment_time
+        `, params),
+        pool.query(`
+            SELECT b.id, b.doctor_id, b.blocked_date::text AS blocked_date, b.start_time, b.end_time, b.reason, d.name AS doctor_name
+            FROM blocked_slots b
+            JOIN doctors d ON b.doctor_id = d.id
+            WHERE ${doctorFilter}
+              AND b.blocked_date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $3::int
+            ORDER BY b.blocked_date, b.start_time
+        `, params),
+        pool.query(`
+            SELECT DISTINCT c.closure_id, c.closed_date::text AS closed_date, c.start_time, c.end_time, c.reason
+            FROM doctor_closures(CURRENT_DATE - $2::int, CURRENT_DATE + $3::int) c
+            JOIN doctors d ON c.doctor_id = d.id
+            WHERE ${doctorFilter}
+            ORDER BY closed_date, c.start_time
+        `, params)
+    ]);
+
+    const stamp = formatICSStamp(new Date());
+    const showDoctor = !feed.doctor_id;
+    const name = feed.doctor_id ? `Dr. ${feed.doctor_name} - Appointments` : `${feed.office_location} - Appointments`;
+    return buildICSCalendar([
+        ...appointments.rows.map(appointment => icsFeedAppointmentEvent(appointment, stamp, showDoctor)),
+        ...blocks.rows.map(block => icsBlockedEvent(block, stamp, showDoctor)),
+        ...closures.rows.map(closure => icsClosureEvent(closure, stamp))
+    ], {
+        method: 'PUBLISH',
+        dates: [
+            ...appointments.rows.map(row => row.appointment_date),
+            ...blocks.rows.map(row => row.blocked_date),
+            ...closures.rows.map(row => row.closed_date)
+        ],
+        headers: [
+            `X-WR-CALNAME:${escapeICSText(name)}`,
+            `X-WR-TIMEZONE:${CLINIC_TIMEZONE}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+            'X-PUBLISHED-TTL:PT1H'
+        ]
+    });
+}
+
+app.get('/api/calendar/feeds/:token.ics', async (req, res) => {
+    try {
+        const feed = await getCalendarFeed(req.params.token);
+        if (!feed) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const calendar = await generateCalendarFeed(feed);
+        pool.query('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = $1', [feed.id])
+            .catch(error => console.error('Error recording calendar feed access:', error.message));
+        recordAudit(req, { action: 'calendar_feed.fetch', entityType: 'calendar_feed', entityId: feed.id, actor: null });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        res.send(calendar);
+    } catch (error) {
+        console.error('❌ Calendar feed error:', error.message);
+        res.status(500).json({ error: 'Error generating calendar feed' });
+    }
+});
+
+// =========================
+// NOTIFICATIONS
+// =========================
+
+// Patient messages are written to notification_outbox when an appointment changes, and a background
+// dispatcher delivers them, retrying failures with backoff. Transports are chosen per channel with
+// EMAIL_TRANSPORT (smtp | file | console) and SMS_TRANSPORT (twilio | file | console).
+// Every transport exposes send({ to, subject, text, calendar }) and resolves once the message is accepted.
+const NOTIFY_FROM_EMAIL = process.env.NOTIFY_FROM_EMAIL || 'appointments@healthcare.com';
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const NOTIFICATION_POLL_MS = parseInt(process.env.NOTIFICATION_POLL_SECONDS || '15') * 1000;
+const NOTIFICATION_BATCH_SIZE = 10;
+
+function createSmtpTransport() {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for EMAIL_TRANSPORT=smtp');
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send({ to, subject, text, calendar }) {
+            await transporter.sendMail({
+                from: NOTIFY_FROM_EMAIL,
+                to,
+                subject,
+                text,
+                // Sent as an invitation so calendar apps add, update or remove the event
+                icalEvent: calendar ? { method: /^METHOD:(\w+)/m.exec(calendar)?.[1] || 'PUBLISH', content: calendar } : undefined
+            });
+        }
+    };
+}
+
+function createTwilioSmsTransport() {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM_NUMBER;
+    if (!accountSid || !authToken || !from) {
+        throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required for SMS_TRANSPORT=twilio');
+    }
+
+    return {
+        name: 'twilio',
+        async send({ to, text }) {
+            await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+                new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+                {
+                    auth: { username: accountSid, password: authToken },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 15000
+                }
+            );
+        }
+    };
+}
+
+// Local development: one JSON line per message
+function createFileTransport(channel) {
+    const file = process.env.NOTIFICATION_FILE || path.join(__dirname, 'notifications.log');
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.appendFile(file, JSON.stringify({ channel, sentAt: new Date().toISOString(), ...message }) + '\n');
+        }
+    };
+}
+
+function createConsoleTransport(channel) {
+    return {
+        name: 'console',
+        async send({ to, subject, text }) {
+            console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+        }
+    };
+}
+
+const NOTIFICATION_TRANSPORT_FACTORIES = {
+    email: { smtp: createSmtpTransport, file: () => createFileTransport('email'), console: () => createConsoleTransport('email') },
+    sms: { twilio: createTwilioSmsTransport, file: () => createFileTransport('sms'), console: () => createConsoleTransport('sms') }
+};
+
+function createNotificationTransport(channel, name) {
+    const factory = NOTIFICATION_TRANSPORT_FACTORIES[channel][name];
+    if (!factory) {
+        console.warn(`⚠️ Unknown ${channel} transport "${name}", printing ${channel} to the console`);
+        return createConsoleTransport(channel);
+    }
+    try {
+        return factory();
+    } catch (error) {
+        console.warn(`⚠️ ${error.message} - printing ${channel} to the console`);
+        return createConsoleTransport(channel);
+    }
+}
+
+const notificationTransports = {
+    email: createNotificationTransport('email', (process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase()),
+    sms: createNotificationTransport('sms', (process.env.SMS_TRANSPORT || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console')).toLowerCase())
+};
+
+// Adds a message to the outbox. The same dedupeKey is only ever queued once.
+async function queueNotification({ appointmentId = null, userId = null, channel, kind, recipient, subject = null, body, calendar = null, dedupeKey = null, sendAfter = null }, db = pool) {
+    const result = await db.query(`
+        INSERT INTO notification_outbox (appointment_id, user_id, channel, kind, recipient, subject, body, calendar, dedupe_key, next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamp, CURRENT_TIMESTAMP))
+        ON CONFLICT (dedupe_key) DO NOTHING
+        RETURNING id
+    `, [appointmentId, userId, channel, kind, recipient, subject, body, calendar, dedupeKey, sendAfter]);
+    if (result.rows.length > 0) setImmediate(dispatchNotifications);
+    return result.rows[0] || null;
+}
+
+// The chat shows markdown; emails and texts go out as plain text
+function toPlainText(markdown) {
+    return markdown.replace(/\*\*/g, '').trim();
+}
+
+function formatLongDate(dateStr) {
+    return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+async function getAppointmentForNotification(appointmentId) {
+    const result = await pool.query(`
+        SELECT a.*, a.appointment_date::text AS appointment_date,
+               d.name AS doctor_name, d.specialty, d.office_location,
+               u.name AS patient_name, u.email AS patient_email, u.phone AS patient_phone,
+               t.name AS appointment_type, t.duration_minutes, t.preparation_instructions, t.is_virtual
+        FROM appointments a
+        JOIN doctors d ON a.doctor_id = d.id
+        JOIN users u ON a.user_id = u.id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.id = $1
+    `, [appointmentId]);
+    return result.rows[0] || null;
+}
+
+// Builds { subject, email, sms, calendar } for a confirmation, cancellation, reschedule or reminder
+async function buildAppointmentMessage(appointment, kind, previous = null) {
+    const doctor = { name: appointment.doctor_name, specialty: appointment.specialty, office_location: appointment.office_location };
+    const when = `${formatLongDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)}`;
+    const reference = appointment.confirmation_number || appointment.id;
+    const calendarLink = `${APP_BASE_URL}${appointmentCalendarPath(appointment)}`;
+    const meetingUrl = appointment.is_virtual ? appointment.meeting_url : null;
+    const joinSms = meetingUrl ? ` Join by video: ${meetingUrl}` : '';
+
+    if (kind === 'reminder') {
+        const link = `${APP_BASE_URL}/?reminder=${appointment.reminder_token}`;
+        const where = appointment.is_virtual ? ' by video' : doctor.office_location ? ` at ${doctor.office_location}` : '';
+        const arrival = appointment.is_virtual
+            ? `${meetingUrl ? `Join here: ${meetingUrl}\n\nPlease join` : 'Please be ready'} 5 minutes early from a quiet, private place with your camera and microphone working.`
+            : 'Please arrive 15 minutes early and bring your insurance card and photo ID.';
+        const confirmed = appointment.status === 'confirmed';
+        // Text replies only reach us when texts go out through Twilio
+        const reply = notificationTransports.sms.name === 'twilio' ? 'Reply C to confirm or X to cancel, or visit' : 'Confirm or cancel:';
+        return {
+            subject: `Reminder: appointment ${when}`,
+            email: `Dear ${appointment.patient_name},\n\nThis is a reminder of your appointment with Dr. ${doctor.name} (${doctor.specialty}) on ${when}${where}. Confirmation #${reference}.\n\n`
+                + (confirmed
+                    ? `Thanks for confirming. If your plans change, please cancel here so someone else can have the time: ${link}`
+                    : `Please confirm you can make it, or cancel so someone else can have the time: ${link}`)
+                + (appointment.preparation_instructions ? `\n\nBefore your visit: ${appointment.preparation_instructions}` : '')
+                + `\n\n${arrival}\n\nHealthCare Medical Center`,
+            sms: confirmed
+                ? `HealthCare Medical Center: reminder of your visit with Dr. ${doctor.name} on ${when}.${joinSms} Need to cancel? ${link}`
+                : `HealthCare Medical Center: reminder of your visit with Dr. ${doctor.name} on ${when}.${joinSms} ${reply} ${link}`,
+            calendar: null
+        };
+    }
+
+    if (kind === 'cancellation') {
+        return {
+            subject: `Appointment cancelled: ${when}`,
+            email: `Dear ${appointment.patient_name},\n\nYour appointment with Dr. ${doctor.name} (${doctor.specialty}) on ${when} has been cancelled (confirmation #${reference}).\n\nTo book a new time, visit ${APP_BASE_URL} or call (540) 555-CARE.\n\nHealthCare Medical Center`,
+            sms: `HealthCare Medical Center: your appointment with Dr. ${doctor.name} on ${when} is cancelled. To rebook call (540) 555-CARE.`,
+            calendar: generateICSFile(appointment)
+        };
+    }
+
+    if (kind === 'reschedule') {
+        const from = previous ? ` from ${formatLongDate(previous.date)} at ${formatTime(previous.time)}` : '';
+        // previous.doctorName is set when the visit moved to another doctor
+        const newDoctor = previous?.doctorName && previous.doctorName !== doctor.name;
+        const withWhom = newDoctor ? `Dr. ${previous.doctorName}` : `Dr. ${doctor.name} (${doctor.specialty})`;
+        const to = newDoctor ? `${when} with Dr. ${doctor.name} (${doctor.specialty})` : when;
+        return {
+            subject: `Appointment rescheduled: ${when}`,
+            email: `Dear ${appointment.patient_name},\n\nYour appointment with ${withWhom} has moved${from} to ${to}. Your confirmation number is still #${reference}.`
+                + (meetingUrl ? `\n\nThis is a video visit. Join here at the new time: ${meetingUrl}` : '')
+                + `\n\nUpdated calendar file: ${calendarLink}\n\nHealthCare Medical Center`,
+            sms: `HealthCare Medical Center: your appointment has moved to ${when} with Dr. ${doctor.name}. Confirmation #${reference}.${joinSms}`,
+            calendar: generateICSFile(appointment, { method: 'REQUEST' })
+        };
+    }
+
+    // Confirmation; a series is confirmed once, listing every visit
+    let email = toPlainText(generateEmailConfirmation(appointment, doctor, appointment.appointment_date, appointment.appointment_time, { name: appointment.patient_name }));
+    let calendar = generateICSFile(appointment, { method: 'REQUEST' });
+    if (appointment.series_id) {
+        const siblings = await pool.query(`
+            SELECT a.*, a.appointment_date::text AS appointment_date, $2::text AS doctor_name, $3::text AS specialty,
+                   $4::text AS patient_name, $5::text AS patient_email,
+                   t.name AS appointment_type, t.duration_minutes, t.preparation_instructions, t.is_virtual
+            FROM appointments a
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE a.series_id = $1 AND a.status IN ('scheduled', 'confirmed')
+            ORDER BY a.series_index
+        `, [appointment.series_id, appointment.doctor_name, appointment.specialty, appointment.patient_name, appointment.patient_email]);
+        email += `\n\nYOUR RECURRING VISITS:\n${describeSeriesDates(siblings.rows)}`;
+        calendar = generateICSFile(siblings.rows);
+    }
+    email += `\n\nAdd to your calendar: ${calendarLink}`;
+
+    return {
+        subject: `Appointment confirmed: ${when}`,
+        email,
+        sms: `HealthCare Medical Center: your ${appointment.is_virtual ? 'video visit' : 'appointment'} with Dr. ${doctor.name} is confirmed for ${when}. Confirmation #${reference}.${joinSms}`,
+        calendar
+    };
+}
+
+// One message per appointment version, so retried requests don't send twice
+function appointmentNotificationKey(kind, appointment) {
+    return `${kind}:${appointment.id}:${appointment.ics_sequence || 0}`;
+}
+
+// Queues the email (and text, when we have a phone number) for an appointment change.
+// sendAfter holds the messages back, e.g. while a bulk change can still be undone.
+// Never throws: a notification problem must not fail the booking that triggered it.
+async function queueAppointmentNotifications(appointmentId, kind, previous = null, { sendAfter = null } = {}) {
+    try {
+        const appointment = await getAppointmentForNotification(appointmentId);
+        if (!appointment) return;
+
+        const message = await buildAppointmentMessage(appointment, kind, previous);
+        await queueAppointmentMessage(appointment, kind, message, appointmentNotificationKey(kind, appointment), sendAfter);
+    } catch (error) {
+        console.error(`Error queuing ${kind} notification for appointment ${appointmentId}:`, error.message);
+    }
+}
+
+// Email, plus a text when we have a phone number; dedupeKey gets a per-channel suffix
+async function queueAppointmentMessage(appointment, kind, message, dedupeKey, sendAfter = null) {
+    if (appointment.patient_email) {
+        await queueNotification({
+            appointmentId: appointment.id, userId: appointment.user_id, channel: 'email', kind,
+            recipient: appointment.patient_email, subject: message.subject, body: message.email,
+            calendar: message.calendar, dedupeKey: `${dedupeKey}:email`, sendAfter
+        });
+    }
+    if (appointment.patient_phone) {
+        await queueNotification({
+            appointmentId: appointment.id, userId: appointment.user_id, channel: 'sms', kind,
+            recipient: appointment.patient_phone, body: message.sms, dedupeKey: `${dedupeKey}:sms`, sendAfter
+        });
+    }
+}
+
+let dispatchingNotifications = false;
+
+async function dispatchNotifications() {
+    if (dispatchingNotifications) return;
+    dispatchingNotifications = true;
+    try {
+        // Anything left mid-send (e.g. the process restarted) goes back in the queue
+        await pool.query(`
+            UPDATE notification_outbox SET status = 'pending'
+            WHERE status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes'
+        `);
+
+        const batch = await pool.query(`
+            UPDATE notification_outbox SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM notification_outbox
+                WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [NOTIFICATION_BATCH_SIZE]);
+
+        for (const message of batch.rows) {
+            const transport = notificationTransports[message.channel];
+            try {
+                await transport.send({ to: message.recipient, subject: message.subject, text: message.body, calendar: message.calendar });
+                await pool.query(`
+                    UPDATE notification_outbox
+                    SET status = 'sent', sent_at = CURRENT_TIMESTAMP, transport = $2, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [message.id, transport.name]);
+            } catch (error) {
+                const giveUp = message.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+                console.error(`❌ ${message.channel} notification ${message.id} failed (attempt ${message.attempts}):`, error.message);
+                // Back off 1, 2, 4, 8... minutes
+                await pool.query(`
+                    UPDATE notification_outbox
+                    SET status = $2, transport = $3, last_error = $4, updated_at = CURRENT_TIMESTAMP,
+                        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $5)
+                    WHERE id = $1
+                `, [message.id, giveUp ? 'failed' : 'pending', transport.name, String(error.message).slice(0, 500), 2 ** (message.attempts - 1)]);
+            }
+        }
+    } catch (error) {
+        console.error('Error dispatching notifications:', error.message);
+    } finally {
+        dispatchingNotifications = false;
+    }
+}
+
+setInterval(dispatchNotifications, NOTIFICATION_POLL_MS).unref();
+
+// =========================
+// APPOINTMENT REMINDERS
+// =========================
+
+// Each appointment type carries the hours before a visit at which patients are reminded. A scheduler
+// queues each reminder once it falls due; the outbox dedupe key (appointment, visit time, offset)
+// means restarts and overlapping runs never send one twice, and a rescheduled visit is reminded afresh.
+const MAX_REMINDER_OFFSETS = 5;
+const MAX_REMINDER_OFFSET_HOURS = 24 * 30;
+
+// Accepts "72,24" or [72, 24]; returns the offsets largest first, or null when invalid
+function parseReminderOffsets(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',').filter(part => part.trim() !== '');
+    const offsets = list.map(Number);
+    if (offsets.length > MAX_REMINDER_OFFSETS) return null;
+    if (offsets.some(hours => !Number.isInteger(hours) || hours < 1 || hours > MAX_REMINDER_OFFSET_HOURS)) return null;
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+const DEFAULT_REMINDER_OFFSETS_HOURS = parseReminderOffsets(process.env.REMINDER_OFFSETS_HOURS || '72,24') || [72, 24];
+
+let queueingReminders = false;
+
+// Queues every reminder that is due at now (the current time unless given)
+async function queueDueReminders(now = new Date()) {
+    if (queueingReminders) return;
+    queueingReminders = true;
+    try {
+        // Only the closest offset that is already due counts: after downtime the patient gets the
+        // latest reminder rather than a burst of stale ones. Visit times are clinic wall-clock times, so
+        // "now" and created_at (stored in the database's zone) are compared in CLINIC_TIMEZONE.
+        const due = await pool.query(`
+            SELECT r.id, r.offset_hours, r.reminder_key
+            FROM (
+                SELECT DISTINCT ON (a.id) a.id, o.offset_hours,
+                       (a.created_at AT TIME ZONE current_setting('TimeZone')) AT TIME ZONE $2 AS created_at,
+                       a.appointment_date + a.appointment_time - make_interval(hours => o.offset_hours) AS remind_at,
+                       'reminder:' || a.id || ':' || a.appointment_date || 'T' || a.appointment_time || ':' || o.offset_hours || 'h' AS reminder_key
+                FROM appointments a
+                LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+                CROSS JOIN LATERAL unnest(COALESCE(t.reminder_offsets_hours, $1::int[])) AS o(offset_hours)
+                WHERE a.status IN ('scheduled', 'confirmed')
+                  AND a.appointment_date >= ($3::timestamptz AT TIME ZONE $2)::date
+                  AND a.appointment_date + a.appointment_time > $3::timestamptz AT TIME ZONE $2
+                  AND a.appointment_date + a.appointment_time - make_interval(hours => o.offset_hours) <= $3::timestamptz AT TIME ZONE $2
+                ORDER BY a.id, o.offset_hours
+            ) r
+            WHERE r.remind_at >= r.created_at
+              AND NOT EXISTS (
+                  SELECT 1 FROM notification_outbox n
+                  WHERE n.dedupe_key IN (r.reminder_key || ':email', r.reminder_key || ':sms')
+              )
+        `, [DEFAULT_REMINDER_OFFSETS_HOURS, CLINIC_TIMEZONE, now]);
+
+        for (const reminder of due.rows) {
+            await queueReminder(reminder);
+        }
+    } catch (error) {
+        console.error('Error queuing reminders:', error.message);
+    } finally {
+        queueingReminders = false;
+    }
+}
+
+async function queueReminder({ id, offset_hours, reminder_key }) {
+    try {
+        await pool.query(
+            'UPDATE appointments SET reminder_token = $2 WHERE id = $1 AND reminder_token IS NULL',
+            [id, crypto.randomBytes(24).toString('hex')]
+        );
+        const appointment = await getAppointmentForNotification(id);
+        if (!appointment) return;
+
+        const message = await buildAppointmentMessage(appointment, 'reminder');
+        await queueAppointmentMessage(appointment, 'reminder', message, reminder_key);
+        console.log(`⏰ ${offset_hours}h reminder queued for appointment ${id}`);
+    } catch (error) {
+        console.error(`Error queuing reminder for appointment ${id}:`, error.message);
+    }
+}
+
+setInterval(queueDueReminders, 60000).unref();
+
+// Appointment details for the token in a reminder link
+async function getReminderAppointment(token) {
+    if (!token) return null;
+    const result = await pool.query('SELECT id FROM appointments WHERE reminder_token = $1', [String(token)]);
+    return result.rows[0] ? getAppointmentForNotification(result.rows[0].id) : null;
+}
+
+// Visit times are clinic wall-clock times, whatever zone this server runs in
+function isPastAppointment(appointment) {
+    const wallClock = Date.parse(`${appointment.appointment_date}T${String(appointment.appointment_time).slice(0, 8)}Z`);
+    return wallClock - clinicUtcOffsetMinutes(wallClock) * 60000 <= Date.now();
+}
+
+// Applies a patient's answer to a reminder. Returns { ok, message } with text for the patient.
+async function respondToReminder(appointment, decision) {
+    const when = `${formatDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)}`;
+
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+        return { ok: false, message: `Your appointment on ${when} is ${appointment.status}, so it can't be changed online. Please call us at (540) 555-CARE.` };
+    }
+    if (isPastAppointment(appointment)) {
+        return { ok: false, message: `Your appointment on ${when} has already passed.` };
+    }
+
+    if (decision === 'cancel') {
+        await cancelPatientAppointment(appointment);
+        return { ok: true, message: `Your appointment with Dr. ${appointment.doctor_name} on ${when} has been cancelled. To book a new time, visit ${APP_BASE_URL} or call (540) 555-CARE.` };
+    }
+
+    // Confirming doesn't change anything the calendar shows, so ics_sequence stays put
+    const result = await pool.query(`
+        UPDATE appointments SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'scheduled'
+        RETURNING id
+    `, [appointment.id]);
+    if (result.rows.length > 0) console.log('👍 Appointment confirmed by patient:', appointment.id);
+    return { ok: true, message: `Thanks, you're confirmed for your appointment with Dr. ${appointment.doctor_name} on ${when}. See you then!` };
+}
+
+// The chat opens reminder links (?reminder=<token>) and shows these details with confirm/cancel buttons
+app.get('/api/reminders/:token', async (req, res) => {
+    try {
+        const appointment = await getReminderAppointment(req.params.token);
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Sorry, we could not find that appointment.' });
+        }
+
+        const when = `${formatDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)}`;
+        if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status) || isPastAppointment(appointment)) {
+            return res.json({
+                success: true,
+                response: { content: `Your appointment with Dr. ${appointment.doctor_name} on ${when} is ${isPastAppointment(appointment) ? 'in the past' : appointment.status}.`, actions: [] }
+            });
+        }
+
+        const actions = appointment.status === 'scheduled'
+            ? [{ type: 'confirm_attendance', text: "✅ I'll Be There", data: req.params.token }]
+            : [];
+        actions.push({ type: 'reminder_cancel', text: '✖️ Cancel Appointment', data: req.params.token });
+
+        res.json({
+            success: true,
+            response: {
+                content: appointment.status === 'confirmed'
+                    ? `You're confirmed for your appointment with Dr. ${appointment.doctor_name} (${appointment.specialty}) on ${when}. If your plans change, you can cancel below.`
+                    : `You have an appointment with Dr. ${appointment.doctor_name} (${appointment.specialty}) on ${when}. Can you make it?`,
+                actions
+            }
+        });
+    } catch (error) {
+        console.error('Error loading reminder:', error);
+        res.status(500).json({ success: false, message: 'Error loading your appointment' });
+    }
+});
+
+app.post('/api/reminders/:token/:decision', async (req, res) => {
+    const { token, decision } = req.params;
+    if (!['confirm', 'cancel'].includes(decision)) {
+        return res.status(404).json({ success: false, message: 'Unknown reminder response' });
+    }
+
+    try {
+        const appointment = await getReminderAppointment(token);
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Sorry, we could not find that appointment.' });
+        }
+
+        const outcome = await respondToReminder(appointment, decision);
+        const actions = outcome.ok && decision === 'cancel'
+            ? [{ type: 'start_over', text: '📅 Book Another Appointment', data: 'new_booking' }]
+            : [];
+        res.status(outcome.ok ? 200 : 409).json({ success: outcome.ok, response: { content: outcome.message, actions } });
+    } catch (error) {
+        console.error('Error answering reminder:', error);
+        res.status(500).json({ success: false, message: 'Error updating your appointment. Please try again.' });
+    }
+});
+
+// Twilio's signature: HMAC-SHA1 over the webhook URL followed by each posted field name and value, sorted by name
+function isValidTwilioSignature(req) {
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature || !process.env.TWILIO_AUTH_TOKEN) return false;
+
+    const payload = Object.keys(req.body || {}).sort()
+        .reduce((text, key) => text + key + req.body[key], `${APP_BASE_URL}${req.originalUrl}`);
+    const expected = crypto.createHmac('sha1', process.env.TWILIO_AUTH_TOKEN).update(payload).digest('base64');
+    return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+function twimlMessage(text) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escaped}</Message></Response>`;
+}
+
+// Text replies to reminders (Twilio inbound message webhook): C to confirm, X to cancel.
+// The reply applies to the patient's next visit that was reminded by text.
+app.post('/api/sms/inbound', async (req, res) => {
+    if (!isValidTwilioSignature(req)) {
+        return res.status(403).send('Invalid signature');
+    }
+
+    res.type('text/xml');
+    const { Body, From } = req.body || {};
+    const word = String(Body || '').trim().toUpperCase();
+    const decision = ['C', 'CONFIRM', 'Y', 'YES'].includes(word) ? 'confirm'
+        : ['X', 'CANCEL'].includes(word) ? 'cancel'
+        : null;
+    if (!decision) {
+        return res.send(twimlMessage('HealthCare Medical Center: reply C to confirm your appointment or X to cancel it. For anything else call (540) 555-CARE.'));
+    }
+
+    try {
+        // Phone numbers are stored as the patient typed them, so match on the last ten digits
+        const result = await pool.query(`
+            SELECT a.id
+            FROM notification_outbox n
+            JOIN appointments a ON a.id = n.appointment_id
+            WHERE n.kind = 'reminder' AND n.channel = 'sms' AND n.status = 'sent'
+              AND right(regexp_replace(n.recipient, '\\D', '', 'g'), 10) = $1
+              AND a.status IN ('scheduled', 'confirmed')
+              AND a.appointment_date + a.appointment_time > CURRENT_TIMESTAMP AT TIME ZONE $2
+            ORDER BY a.appointment_date, a.appointment_time
+            LIMIT 1
+        `, [String(From || '').replace(/\D/g, '').slice(-10), CLINIC_TIMEZONE]);
+        const appointment = result.rows[0] && await getAppointmentForNotification(result.rows[0].id);
+        if (!appointment) {
+            return res.send(twimlMessage("HealthCare Medical Center: we couldn't find an upcoming appointment for this number. Please call (540) 555-CARE."));
+        }
+
+        const outcome = await respondToReminder(appointment, decision);
+        res.send(twimlMessage(`HealthCare Medical Center: ${outcome.message}`));
+    } catch (error) {
+        console.error('Error handling text reply:', error);
+        res.send(twimlMessage('HealthCare Medical Center: sorry, something went wrong. Please call (540) 555-CARE.'));
+    }
+});
+
+// Add these admin routes to your existing server.js
+
+// =========================
+// ADMIN DASHBOARD ROUTES
+// =========================
+
+// Admin dashboard home page
+app.get('/admin', async (req, res) => {
+    const staff = await getStaffFromRequest(req).catch(() => null);
+    if (!staff) return res.redirect('/admin/login');
+    res.render('admin/dashboard', {
+        title: 'Admin Dashboard',
+        subtitle: 'Healthcare Management System',
+        staff: { id: staff.id, name: staff.name, email: staff.email, role: staff.role, doctor_id: staff.doctor_id }
+    });
+});
+
+// =========================
+// STAFF MANAGEMENT APIs
+// =========================
+
+// Checks the role/doctor pairing shared by create and update; returns an error message or null
+function validateStaffRole(role, doctorId) {
+    if (!STAFF_ROLES.includes(role)) return `Role must be one of: ${STAFF_ROLES.join(', ')}`;
+    if (role === 'physician' && !doctorId) return 'Physician accounts must be linked to a doctor';
+    return null;
+}
+
+app.get('/api/admin/staff', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT s.id, s.email, s.name, s.role, s.doctor_id, s.is_active, s.last_login_at, s.created_at,
+                   d.name AS doctor_name
+            FROM staff_users s
+            LEFT JOIN doctors d ON d.id = s.doctor_id
+            ORDER BY s.is_active DESC, s.name
+        `);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({ success: false, message: 'Error fetching staff' });
+    }
+});
+
+app.post('/api/admin/staff', requireRole('admin'), async (req, res) => {
+    const { email, name, role, doctor_id, password } = req.body;
+
+    if (!email || !name) {
+        return res.status(400).json({ success: false, message: 'Email and name are required' });
+    }
+    const roleError = validateStaffRole(role, doctor_id);
+    if (roleError) {
+        return res.status(400).json({ success: false, message: roleError });
+    }
+    if (!password || String(password).length < STAFF_MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${STAFF_MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO staff_users (email, name, role, doctor_id, password_hash)
+            VALUES (LOWER($1), $2, $3, $4, $5)
+            RETURNING id, email, name, role, doctor_id, is_active, created_at
+        `, [String(email).trim(), name, role, role === 'physician' ? doctor_id : null, await hashPassword(String(password))]);
+        console.log(`🔐 Staff account created by ${req.staff.email}:`, result.rows[0].email, `(${role})`);
+        await recordAudit(req, { action: 'staff.create', entityType: 'staff_user', entityId: result.rows[0].id, after: result.rows[0] });
+        res.status(201).json({ success: true, message: 'Staff account created', data: result.rows[0] });
+    } catch (error) {
+        console.error('Error creating staff account:', error);
+        if (error.code === '23505') {
+            res.status(400).json({ success: false, message: 'A staff account with this email already exists' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error creating staff account' });
+        }
+    }
+});
+
+// Changing the role, deactivating or resetting the password signs the account out everywhere
+app.put('/api/admin/staff/:id', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { name, role, doctor_id, is_active = true, password } = req.body;
+
+    const roleError = validateStaffRole(role, doctor_id);
+    if (!name || roleError) {
+        return res.status(400).json({ success: false, message: roleError || 'Name is required' });
+    }
+    if (password && String(password).length < STAFF_MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${STAFF_MIN_PASSWORD_LENGTH} characters` });
+    }
+    // Keeps at least the current administrator able to get back in
+    if (id === req.staff.id && (role !== 'admin' || !is_active)) {
+        return res.status(400).json({ success: false, message: "You can't remove your own administrator access" });
+    }
+
+    try {
+        const before = await auditSnapshot('staff_users', id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Staff account not found' });
+        }
+
+        const result = await pool.query(`
+            UPDATE staff_users
+            SET name = $2, role = $3, doctor_id = $4, is_active = $5,
+                password_hash = COALESCE($6, password_hash), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, email, name, role, doctor_id, is_active
+        `, [id, name, role, role === 'physician' ? doctor_id : null, !!is_active, password ? await hashPassword(String(password)) : null]);
+
+        if (password || !is_active || before.role !== role) {
+            await pool.query('DELETE FROM staff_sessions WHERE user_id = $1', [id]);
+        }
+        console.log(`🔐 Staff account ${id} updated by ${req.staff.email}`);
+        await recordAudit(req, {
+            action: 'staff.update', entityType: 'staff_user', entityId: id, before, after: result.rows[0],
+            details: password ? { passwordReset: true } : null
+        });
+        res.json({ success: true, message: 'Staff account updated', data: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating staff account:', error);
+        res.status(500).json({ success: false, message: 'Error updating staff account' });
+    }
+});
+
+// =========================
+// ADMIN AUDIT APIs
+// =========================
+
+const AUDIT_EXPORT_LIMIT = 50000;
+
+// Shared WHERE clause for the audit list and export; filters: actor, action, entity_type, entity_id, date_from, date_to
+function auditLogFilter(query) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, ...values) => {
+        conditions.push(sql.replace(/\?/g, () => `$${params.push(values.shift())}`));
+    };
+
+    if (query.actor) add('actor_email ILIKE ?', `%${query.actor}%`);
+    if (query.action) add('action LIKE ?', `${query.action}%`);
+    if (query.entity_type) add('entity_type = ?', query.entity_type);
+    if (query.entity_id) add('entity_id = ?', String(query.entity_id));
+    // Dates are clinic days, not UTC days
+    if (isISODate(query.date_from)) add('occurred_at >= (?::date)::timestamp AT TIME ZONE ?', query.date_from, CLINIC_TIMEZONE);
+    if (isISODate(query.date_to)) add('occurred_at < (?::date + 1)::timestamp AT TIME ZONE ?', query.date_to, CLINIC_TIMEZONE);
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value instanceof Date ? value.toISOString() : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+app.get('/api/admin/audit', requireRole('admin'), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { where, params } = auditLogFilter(req.query);
+
+    try {
+        const entries = await pool.query(
+            `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+        const total = await pool.query(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+
+        res.json({
+            success: true,
+            data: entries.rows,
+            pagination: {
+                total: parseInt(total.rows[0].count),
+                page,
+                limit,
+                totalPages: Math.ceil(total.rows[0].count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ success: false, message: 'Error fetching audit log' });
+    }
+});
+
+// Recomputes every hash from the start of the log
+app.get('/api/admin/audit/verify', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+        if (!result.valid) {
+            console.error(`🚨 Audit log chain broken at entry ${result.brokenAt}: ${result.reason}`);
+        }
+        await recordAudit(req, { action: 'audit.verify', entityType: 'audit_log', details: result });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Error verifying audit log:', error);
+        res.status(500).json({ success: false, message: 'Error verifying audit log' });
+    }
+});
+
+// ?format=csv|json with the same filters as the list; the export itself is logged
+app.get('/api/admin/audit/export', requireRole('admin'), async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const { where, params } = auditLogFilter(req.query);
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM audit_log ${where} ORDER BY id LIMIT ${AUDIT_EXPORT_LIMIT}`,
+            params
+        );
+        const filters = Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''));
+        await recordAudit(req, { action: 'audit.export', entityType: 'audit_log', details: { filters, rows: result.rows.length } });
+
+        const filename = `audit-log-${toLocalDateString(new Date())}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            return res.json(result.rows);
+        }
+
+        const columns = ['id', 'occurred_at', 'actor_id', 'actor_email', 'actor_role', 'action', 'entity_type', 'entity_id',
+            'changes', 'details', 'ip_address', 'prev_hash', 'hash'];
+        const lines = [columns.join(',')];
+        for (const row of result.rows) {
+            lines.push(columns.map(column => csvCell(row[column])).join(','));
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.send(lines.join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ success: false, message: 'Error exporting audit log' });
+    }
+});
+
+// =========================
+// DOCTOR MANAGEMENT APIs
+// =========================
+
+// Get all doctors (with pagination)
+app.get('/api/admin/doctors', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
+    const { page = 1, limit = 10, search = '' } = req.query;
+    const offset = (page - 1) * limit;
+    
+    try {
+        let query = `
+            SELECT d.*, 
+                   COUNT(a.id) as total_appointments,
+                   COUNT(CASE WHEN a.appointment_date >= CURRENT_DATE THEN 1 END) as upcoming_appointments
+            FROM doctors d
+            LEFT JOIN appointments a ON d.id = a.doctor_id
+        `;
+        
+        let params = [];
+        if (search) {
+            query += ` WHERE d.name ILIKE $1 OR d.specialty ILIKE $1`;
+            params.push(`%${search}%`);
+        }
+        
+        query += ` GROUP BY d.id ORDER BY d.name LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+        params.push(limit, offset);
+        
+        const doctors = await pool.query(query, params);
+        
+        // Get total count for pagination
+        let countQuery = `SELECT COUNT(*) FROM doctors d`;
+        let countParams = [];
+        if (search) {
+            countQuery += ` WHERE d.name ILIKE $1 OR d.specialty ILIKE $1`;
+            countParams.push(`%${search}%`);
+        }
+        
+        const total = await pool.query(countQuery, countParams);
+        
+        res.json({
+            success: true,
+            data: doctors.rows,
+            pagination: {
+                total: parseInt(total.rows[0].count),
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total.rows[0].count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching doctors:', error);
+        res.status(500).json({ success: false, message: 'Error fetching doctors' });
+    }
+});
+
+// Create new doctor
+app.post('/api/admin/doctors', requireRole('admin'), async (req, res) => {
+    const { name, specialty, office_location, email, phone } = req.body;
+    
+    // Input validation
+    if (!name || !specialty) {
+        return res.status(400).json({ 
+            success: false, 
+            message: 'Name and specialty are required' 
+        });
+    }
+    
+    try {
+        const query = `
+            INSERT INTO doctors (name, specialty, office_location, email, phone, is_active)
+            VALUES ($1, $2, $3, $4, $5, true)
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [name, specialty, office_location, email, phone]);
+        await recordAudit(req, { action: 'doctor.create', entityType: 'doctor', entityId: result.rows[0].id, after: result.rows[0] });
+        
+        res.json({
+            success: true,
+            message: 'Doctor created successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating doctor:', error);
+        if (error.code === '23505') { // Unique constraint violation
+            res.status(400).json({ success: false, message: 'Doctor with this email already exists' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error creating doctor' });
+        }
+    }
+});
+
+// Update doctor
+app.put('/api/admin/doctors/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { name, specialty, office_location, email, phone, is_active } = req.body;
+    
+    try {
+        const before = await auditSnapshot('doctors', id);
+        const query = `
+            UPDATE doctors 
+            SET name = $1, specialty = $2, office_location = $3, email = $4, phone = $5, is_active = $6
+            WHERE id = $7
+            RETURNING *
+        `;
+        
+        const result = await pool.query(query, [name, specialty, office_location, email, phone, is_active, id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        await recordAudit(req, { action: 'doctor.update', entityType: 'doctor', entityId: id, before, after: result.rows[0] });
+        
+        res.json({
+            success: true,
+            message: 'Doctor updated successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating doctor:', error);
+        res.status(500).json({ success: false, message: 'Error updating doctor' });
+    }
+});
+// Delete doctor (soft delete)
+app.delete('/api/admin/doctors/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        // Check if doctor has future appointments
+        const appointmentCheck = await pool.query(
+            `SELECT COUNT(*) FROM appointments WHERE doctor_id = $1 AND appointment_date >= CURRENT_DATE AND status IN ('scheduled', 'confirmed')`,
+            [id]
+        );
+        
+        if (parseInt(appointmentCheck.rows[0].count) > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Cannot delete doctor with upcoming appointments' 
+            });
+        }
+        
+        // Soft delete (remove updated_at reference)
+        const before = await auditSnapshot('doctors', id);
+        const result = await pool.query(
+            `UPDATE doctors SET is_active = false WHERE id = $1 RETURNING *`,
+            [id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        await pool.query(
+            'UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP WHERE doctor_id = $1 AND revoked_at IS NULL',
+            [id]
+        );
+        await recordAudit(req, { action: 'doctor.deactivate', entityType: 'doctor', entityId: id, before, after: result.rows[0] });
+        
+        res.json({
+            success: true,
+            message: 'Doctor deactivated successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting doctor:', error);
+        res.status(500).json({ success: false, message: 'Error deleting doctor' });
+    }
+});
+
+// Active calendar feeds for a doctor, including feeds for the doctor's office location
+app.get('/api/admin/doctors/:id/calendar-feeds', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT f.id, f.doctor_id, f.office_location, f.label, f.token, f.created_at, f.last_accessed_at
+            FROM calendar_feeds f
+            JOIN doctors d ON d.id = $1
+            WHERE f.revoked_at IS NULL
+              AND (f.doctor_id = d.id OR (f.doctor_id IS NULL AND LOWER(f.office_location) = LOWER(d.office_location)))
+            ORDER BY f.created_at
+        `, [req.params.id]);
+        res.json({ success: true, data: result.rows.map(feed => ({ ...feed, url: calendarFeedUrl(feed.token) })) });
+    } catch (error) {
+        console.error('Error fetching calendar feeds:', error);
+        res.status(500).json({ success: false, message: 'Error fetching calendar feeds' });
+    }
+});
+
+// Body: { scope: 'doctor' | 'location', label }
+app.post('/api/admin/doctors/:id/calendar-feeds', requireRole('admin'), async (req, res) => {
+    const { scope = 'doctor', label } = req.body;
+    if (!['doctor', 'location'].includes(scope)) {
+        return res.status(400).json({ success: false, message: "scope must be 'doctor' or 'location'" });
+    }
+
+    try {
+        const doctorResult = await pool.query('SELECT id, name, office_location FROM doctors WHERE id = $1', [req.params.id]);
+        const doctor = doctorResult.rows[0];
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+        if (scope === 'location' && !doctor.office_location) {
+            return res.status(400).json({ success: false, message: 'This doctor has no office location set' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO calendar_feeds (doctor_id, office_location, label, token)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, doctor_id, office_location, label, token, created_at, last_accessed_at
+        `, [
+            scope === 'doctor' ? doctor.id : null,
+            scope === 'location' ? doctor.office_location : null,
+            label ? String(label).slice(0, 100) : null,
+            crypto.randomBytes(24).toString('hex')
+        ]);
+        const feed = result.rows[0];
+        console.log(`📅 Calendar feed ${feed.id} issued for ${scope === 'doctor' ? `Dr. ${doctor.name}` : doctor.office_location}`);
+        await recordAudit(req, { action: 'calendar_feed.issue', entityType: 'calendar_feed', entityId: feed.id, after: feed });
+        res.status(201).json({ success: true, data: { ...feed, url: calendarFeedUrl(feed.token) } });
+    } catch (error) {
+        console.error('Error issuing calendar feed:', error);
+        res.status(500).json({ success: false, message: 'Error issuing calendar feed' });
+    }
+});
+
+// Revoked feeds stop working straight away; subscribers see the calendar fail to refresh
+app.delete('/api/admin/calendar-feeds/:feedId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id, revoked_at',
+            [req.params.feedId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Active calendar feed not found' });
+        }
+        await recordAudit(req, {
+            action: 'calendar_feed.revoke', entityType: 'calendar_feed', entityId: req.params.feedId,
+            before: { revoked_at: null }, after: { revoked_at: result.rows[0].revoked_at }
+        });
+        res.json({ success: true, message: 'Calendar feed revoked' });
+    } catch (error) {
+        console.error('Error revoking calendar feed:', error);
+        res.status(500).json({ success: false, message: 'Error revoking calendar feed' });
+    }
+});
+
+// =========================
+// DOCTOR SCHEDULE APIs
+// =========================
+
+// Working hours are kept as versions (availability_templates, see DATABASE SCHEMA) with their windows in
+// doctor_availability; blocked time is in blocked_slots. A change that would leave booked appointments
+// outside the doctor's hours is answered with 409 and the affected list; sending it again with
+// { confirm: true } saves it and leaves those appointments for staff to move.
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ROTATION_WEEK_LABELS = ['A', 'B', 'C', 'D'];
+const MAX_ROTATION_WEEKS = ROTATION_WEEK_LABELS.length;
+const MAX_WINDOWS_PER_DAY = 4;
+const MAX_BLOCK_DAYS = 60;
+const ALL_DAY_END = '23:59:59';
+
+// Physicians may look at their own schedule only
+function canViewDoctorSchedule(req, doctorId) {
+    return req.staff.role !== 'physician' || Number(req.staff.doctor_id) === Number(doctorId);
+}
+
+// Validates [{ rotation_week, day_of_week, start_time, end_time }]; returns { windows } or { error }
+function parseWeeklyWindows(value, rotationWeeks = 1) {
+    if (!Array.isArray(value)) return { error: 'windows must be a list' };
+    const dayLabel = (week, day) => `${rotationWeeks > 1 ? `Week ${ROTATION_WEEK_LABELS[week]} ` : ''}${WEEKDAY_NAMES[day]}`;
+
+    const windows = [];
+    for (const raw of value) {
+        const week = raw?.rotation_week === undefined ? 0 : Number(raw.rotation_week);
+        const day = Number(raw?.day_of_week);
+        if (!Number.isInteger(week) || week < 0 || week >= rotationWeeks) {
+            return { error: `rotation_week must be 0 to ${rotationWeeks - 1}` };
+        }
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            return { error: 'day_of_week must be 0 (Sunday) to 6 (Saturday)' };
+        }
+        if (!isISOTime(raw.start_time) || !isISOTime(raw.end_time)) {
+            return { error: `${dayLabel(week, day)}: times must be HH:MM` };
+        }
+        const start = timeToMinutes(raw.start_time);
+        const end = timeToMinutes(raw.end_time);
+        if (end <= start) return { error: `${dayLabel(week, day)}: end time must be after start time` };
+        windows.push({ rotation_week: week, day_of_week: day, start_time: minutesToTime(start), end_time: minutesToTime(end) });
+    }
+
+    windows.sort((a, b) => a.rotation_week - b.rotation_week || a.day_of_week - b.day_of_week || a.start_time.localeCompare(b.start_time));
+    for (let week = 0; week < rotationWeeks; week++) {
+        for (let day = 0; day < 7; day++) {
+            const sameDay = windows.filter(w => w.rotation_week === week && w.day_of_week === day);
+            if (sameDay.length > MAX_WINDOWS_PER_DAY) {
+                return { error: `${dayLabel(week, day)}: at most ${MAX_WINDOWS_PER_DAY} blocks of working hours` };
+            }
+            for (let i = 1; i < sameDay.length; i++) {
+                if (sameDay[i].start_time < sameDay[i - 1].end_time) return { error: `${dayLabel(week, day)}: working hours overlap` };
+            }
+        }
+    }
+    return { windows };
+}
+
+// Validates { name, effective_from, effective_to, rotation_weeks, windows }; returns { template } or { error }
+function parseAvailabilityTemplate(body) {
+    const { name, effective_from, effective_to } = body;
+    const rotationWeeks = body.rotation_weeks === undefined ? 1 : Number(body.rotation_weeks);
+
+    if (!isISODate(effective_from)) return { error: 'effective_from must be YYYY-MM-DD' };
+    if (effective_from < toLocalDateString(new Date())) return { error: 'New hours can\'t start in the past' };
+    if (effective_to && (!isISODate(effective_to) || effective_to < effective_from)) {
+        return { error: 'effective_to must be on or after effective_from' };
+    }
+    if (!Number.isInteger(rotationWeeks) || rotationWeeks < 1 || rotationWeeks > MAX_ROTATION_WEEKS) {
+        return { error: `rotation_weeks must be 1 to ${MAX_ROTATION_WEEKS}` };
+    }
+    const parsed = parseWeeklyWindows(body.windows, rotationWeeks);
+    if (parsed.error) return parsed;
+
+    return {
+        template: {
+            name: name ? String(name).trim().slice(0, 100) || null : null,
+            effective_from,
+            effective_to: effective_to || null,
+            rotation_weeks: rotationWeeks,
+            windows: parsed.windows
+        }
+    };
+}
+
+// Validates a blocked-time body; leaving out both times blocks the whole day, and through_date
+// (create only) repeats the block on every day up to it. Returns { dates, startTime, endTime, reason } or { error }
+function parseBlockedTime(body, { allowRange = true } = {}) {
+    const { blocked_date, through_date, start_time, end_time, reason } = body;
+    const today = toLocalDateString(new Date());
+
+    if (!isISODate(blocked_date)) return { error: 'blocked_date must be YYYY-MM-DD' };
+    if (blocked_date < today) return { error: 'Blocked time must be today or later' };
+
+    const lastDate = allowRange && through_date ? through_date : blocked_date;
+    if (!isISODate(lastDate) || lastDate < blocked_date) return { error: 'through_date must be on or after blocked_date' };
+    if (lastDate > addDays(blocked_date, MAX_BLOCK_DAYS - 1)) return { error: `Block at most ${MAX_BLOCK_DAYS} days at a time` };
+
+    const allDay = !start_time && !end_time;
+    if (!allDay && (!isISOTime(start_time) || !isISOTime(end_time))) {
+        return { error: 'Give both start and end times as HH:MM, or neither to block the whole day' };
+    }
+    const startTime = allDay ? '00:00:00' : minutesToTime(timeToMinutes(start_time));
+    const endTime = allDay ? ALL_DAY_END : minutesToTime(timeToMinutes(end_time));
+    if (endTime <= startTime) return { error: 'End time must be after start time' };
+
+    const dates = [];
+    for (let date = blocked_date; date <= lastDate; date = addDays(date, 1)) dates.push(date);
+    return { dates, startTime, endTime, reason: reason ? String(reason).trim().slice(0, 255) || null : null };
+}
+
+// Active appointments from today on, with where each visit starts and ends in minutes
+async function getUpcomingDoctorAppointments(doctorId, { dateFrom = toLocalDateString(new Date()), dateTo = null, db = pool } = {}) {
+    const result = await db.query(`
+        SELECT a.id, a.appointment_date::text AS appointment_date, a.appointment_time, a.status,
+               COALESCE(t.duration_minutes, $4) AS duration_minutes,
+               u.name AS patient_name, t.name AS appointment_type
+        FROM appointments a
+        JOIN users u ON u.id = a.user_id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.doctor_id = $1 AND a.status IN ('scheduled', 'confirmed')
+          AND a.appointment_date >= $2 AND ($3::date IS NULL OR a.appointment_date <= $3)
+        ORDER BY a.appointment_date, a.appointment_time
+    `, [doctorId, dateFrom, dateTo, DEFAULT_SLOT_DURATION_MINUTES]);
+    return result.rows.map(row => {
+        const start = timeToMinutes(row.appointment_time);
+        return { ...row, start, end: start + row.duration_minutes };
+    });
+}
+
+// What the dashboard shows for each affected appointment
+function describeAffectedAppointment({ id, appointment_date, appointment_time, status, patient_name, appointment_type, doctor_name }) {
+    return { id, appointment_date, appointment_time, status, patient_name, appointment_type, doctor_name };
+}
+
+// Appointments that a block of [startTime, endTime) on any of dates would overlap
+function appointmentsInsideBlock(appointments, dates, startTime, endTime) {
+    const start = timeToMinutes(startTime);
+    const end = timeToMinutes(endTime);
+    return appointments.filter(appt => dates.includes(appt.appointment_date) && rangesOverlap(appt.start, appt.end, start, end));
+}
+
+function affectedConflictResponse(res, affected, what) {
+    return res.status(409).json({
+        success: false,
+        requiresConfirmation: true,
+        message: `${affected.length} booked appointment(s) would fall outside ${what}. Review them and confirm to save anyway.`,
+        affected: affected.map(describeAffectedAppointment)
+    });
+}
+
+// Active appointments from today on that don't fit inside the doctor's working hours as they resolve now
+async function findAppointmentsOutsideHours(doctorId, db = pool) {
+    const result = await db.query(`
+        SELECT a.id, a.appointment_date::text AS appointment_date, a.appointment_time, a.status,
+               u.name AS patient_name, t.name AS appointment_type
+        FROM appointments a
+        JOIN users u ON u.id = a.user_id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.doctor_id = $1 AND a.status IN ('scheduled', 'confirmed') AND a.appointment_date >= $2
+          AND NOT EXISTS (
+              SELECT 1 FROM doctor_working_windows(a.appointment_date, a.appointment_date, a.doctor_id) w
+              WHERE w.start_time <= a.appointment_time
+                AND w.end_time >= (a.appointment_time + make_interval(mins => COALESCE(t.duration_minutes, $3)))::time
+          )
+        ORDER BY a.appointment_date, a.appointment_time
+    `, [doctorId, toLocalDateString(new Date()), DEFAULT_SLOT_DURATION_MINUTES]);
+    return result.rows;
+}
+
+// Runs a template change in a transaction and works out which appointments it newly leaves outside the
+// doctor's hours. Unless confirmed, a change with any is rolled back so they can be reviewed first.
+async function saveTemplateChange(client, doctorId, confirm, change) {
+    const alreadyOutside = new Set((await findAppointmentsOutsideHours(doctorId, client)).map(appt => appt.id));
+    await client.query('BEGIN');
+    const result = await change();
+    const affected = (await findAppointmentsOutsideHours(doctorId, client)).filter(appt => !alreadyOutside.has(appt.id));
+    if (affected.length > 0 && confirm !== true) {
+        await client.query('ROLLBACK');
+        return { saved: false, affected };
+    }
+    await client.query('COMMIT');
+    return { saved: true, affected, result };
+}
+
+async function insertTemplateWindows(client, doctorId, templateId, windows) {
+    for (const window of windows) {
+        await client.query(`
+            INSERT INTO doctor_availability (doctor_id, template_id, rotation_week, day_of_week, start_time, end_time)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [doctorId, templateId, window.rotation_week, window.day_of_week, window.start_time, window.end_time]);
+    }
+}
+
+// A doctor's versions of their hours, newest first, each with its windows and whether it is past,
+// current (what applies today), future or superseded (covers today but a later version wins)
+async function getAvailabilityTemplates(doctorId, db = pool) {
+    const templates = await db.query(`
+        SELECT t.id, t.doctor_id, t.name, t.effective_from::text AS effective_from, t.effective_to::text AS effective_to,
+               t.rotation_weeks, t.created_at, s.name AS created_by_name
+        FROM availability_templates t
+        LEFT JOIN staff_users s ON s.id = t.created_by
+        WHERE t.doctor_id = $1
+        ORDER BY t.effective_from DESC, t.id DESC
+    `, [doctorId]);
+    const windows = await db.query(`
+        SELECT template_id, rotation_week, day_of_week, start_time, end_time
+        FROM doctor_availability
+        WHERE doctor_id = $1 AND template_id IS NOT NULL AND is_active = true
+        ORDER BY rotation_week, day_of_week, start_time
+    `, [doctorId]);
+
+    const today = toLocalDateString(new Date());
+    const covers = template => template.effective_from <= today && (!template.effective_to || template.effective_to >= today);
+    const current = templates.rows.find(covers);
+    return templates.rows.map(template => ({
+        ...template,
+        status: template.effective_to && template.effective_to < today ? 'past'
+            : template.effective_from > today ? 'future'
+            : template === current ? 'current' : 'superseded',
+        windows: windows.rows
+            .filter(window => window.template_id === template.id)
+            .map(({ rotation_week, day_of_week, start_time, end_time }) => ({ rotation_week, day_of_week, start_time, end_time }))
+    }));
+}
+
+// Longer or new hours may have opened slots that waitlisted patients want
+function offerSlotsInComingDays(doctorId, fromDate) {
+    const today = toLocalDateString(new Date());
+    for (let offset = 0; offset < 14; offset++) {
+        const date = addDays(today, offset);
+        if (date >= fromDate) offerFreedSlots(doctorId, date);
+    }
+}
+
+// Every version of the doctor's hours, past and future
+app.get('/api/admin/doctors/:id/availability', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
+    if (!canViewDoctorSchedule(req, req.params.id)) {
+        return res.status(403).json({ success: false, message: 'You do not have access to this doctor' });
+    }
+    try {
+        res.json({ success: true, data: await getAvailabilityTemplates(req.params.id) });
+    } catch (error) {
+        console.error('Error fetching working hours:', error);
+        res.status(500).json({ success: false, message: 'Error fetching working hours' });
+    }
+});
+
+// Adds a version. Body: { name, effective_from, effective_to?, rotation_weeks, windows: [{ rotation_week, day_of_week, start_time, end_time }], confirm }
+app.post('/api/admin/doctors/:id/availability-templates', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+    const parsed = parseAvailabilityTemplate(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const { template } = parsed;
+
+    const client = await pool.connect();
+    try {
+        const doctor = await client.query('SELECT id, name FROM doctors WHERE id = $1', [id]);
+        if (doctor.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+
+        const change = await saveTemplateChange(client, id, req.body.confirm, async () => {
+            const result = await client.query(`
+                INSERT INTO availability_templates (doctor_id, name, effective_from, effective_to, rotation_weeks, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id
+            `, [id, template.name, template.effective_from, template.effective_to, template.rotation_weeks, req.staff.id]);
+            await insertTemplateWindows(client, id, result.rows[0].id, template.windows);
+            return { id: result.rows[0].id, ...template };
+        });
+        if (!change.saved) {
+            return affectedConflictResponse(res, change.affected, 'these working hours');
+        }
+
+        console.log(`🗓️ New working hours for Dr. ${doctor.rows[0].name} from ${template.effective_from} by ${req.staff.email}`);
+        await recordAudit(req, {
+            action: 'availability_template.create', entityType: 'availability_template', entityId: change.result.id,
+            after: { doctor_id: Number(id), ...template },
+            details: change.affected.length > 0 ? { affectedAppointmentIds: change.affected.map(appt => appt.id) } : null
+        });
+        offerSlotsInComingDays(id, template.effective_from);
+
+        res.status(201).json({
+            success: true,
+            message: change.affected.length > 0
+                ? `Working hours saved; ${change.affected.length} appointment(s) are now outside them`
+                : 'Working hours saved',
+            data: change.result,
+            affected: change.affected.map(describeAffectedAppointment)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error saving working hours:', error);
+        res.status(500).json({ success: false, message: 'Error saving working hours' });
+    } finally {
+        client.release();
+    }
+});
+
+// Versions that haven't started can change freely. Once a version is in effect only its name and end
+// date can change, so the hours that applied on past days stay on record; new hours go in a new version.
+app.put('/api/admin/availability-templates/:templateId', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { templateId } = req.params;
+    const today = toLocalDateString(new Date());
+
+    const client = await pool.connect();
+    try {
+        const existing = await client.query(`
+            SELECT id, doctor_id, name, effective_from::text AS effective_from, effective_to::text AS effective_to, rotation_weeks
+            FROM availability_templates WHERE id = $1
+        `, [templateId]);
+        const before = existing.rows[0];
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Working hours version not found' });
+        }
+        const beforeWindows = (await getAvailabilityTemplates(before.doctor_id, client)).find(t => t.id === before.id).windows;
+
+        let template;
+        if (before.effective_from <= today) {
+            if (['effective_from', 'rotation_weeks', 'windows'].some(field => req.body[field] !== undefined)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'These hours are already in effect. Only the name and end date can change; add a new version for new hours.'
+                });
+            }
+            const effectiveTo = req.body.effective_to || null;
+            const earliestEnd = before.effective_from > addDays(today, -1) ? before.effective_from : addDays(today, -1);
+            if (effectiveTo && (!isISODate(effectiveTo) || effectiveTo < earliestEnd)) {
+                return res.status(400).json({ success: false, message: `effective_to can't be before ${earliestEnd}` });
+            }
+            template = {
+                name: req.body.name !== undefined ? String(req.body.name || '').trim().slice(0, 100) || null : before.name,
+                effective_from: before.effective_from,
+                effective_to: effectiveTo,
+                rotation_weeks: before.rotation_weeks,
+                windows: null
+            };
+        } else {
+            const parsed = parseAvailabilityTemplate(req.body);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, message: parsed.error });
+            }
+            template = parsed.template;
+        }
+
+        const change = await saveTemplateChange(client, before.doctor_id, req.body.confirm, async () => {
+            await client.query(`
+                UPDATE availability_templates
+                SET name = $2, effective_from = $3, effective_to = $4, rotation_weeks = $5
+                WHERE id = $1
+            `, [templateId, template.name, template.effective_from, template.effective_to, template.rotation_weeks]);
+            if (template.windows) {
+                await client.query('DELETE FROM doctor_availability WHERE template_id = $1', [templateId]);
+                await insertTemplateWindows(client, before.doctor_id, templateId, template.windows);
+            }
+        });
+        if (!change.saved) {
+            return affectedConflictResponse(res, change.affected, 'these working hours');
+        }
+
+        const after = { ...template, windows: template.windows || beforeWindows };
+        await recordAudit(req, {
+            action: 'availability_template.update', entityType: 'availability_template', entityId: templateId,
+            before: { ...before, windows: beforeWindows }, after,
+            details: change.affected.length > 0 ? { affectedAppointmentIds: change.affected.map(appt => appt.id) } : null
+        });
+        offerSlotsInComingDays(before.doctor_id, today);
+
+        res.json({
+            success: true,
+            message: change.affected.length > 0
+                ? `Working hours saved; ${change.affected.length} appointment(s) are now outside them`
+                : 'Working hours saved',
+            data: { id: Number(templateId), ...after },
+            affected: change.affected.map(describeAffectedAppointment)
         });
-        
     } catch (error) {
-        console.error('Error selecting doctor:', error);
-        res.status(500).json({ success: false, message: 'Error retrieving doctor availability' });
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error saving working hours:', error);
+        res.status(500).json({ success: false, message: 'Error saving working hours' });
+    } finally {
+        client.release();
     }
 });
 
-// Add this new endpoint to handle the final booking step
-app.post('/api/complete-booking', async (req, res) => {
-    const { appointmentData } = req.body;
-    console.log('📋 Complete booking called with:', appointmentData);
-    
-    const [doctorId, date, time] = appointmentData.split(',');
-    console.log('📋 Parsed booking - Doctor:', doctorId, 'Date:', date, 'Time:', time);
-    
+// Only versions that haven't started can be deleted; end a current one with an end date instead
+app.delete('/api/admin/availability-templates/:templateId', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { templateId } = req.params;
+
+    const client = await pool.connect();
     try {
-        const dbContext = await getDatabaseContext();
-        const doctor = dbContext.doctors.find(d => d.id == doctorId);
-        console.log('📋 Found doctor:', doctor ? doctor.name : 'NOT FOUND');
-        
-        if (!doctor) {
-            console.log('❌ Doctor not found for booking');
+        const existing = await client.query(
+            'SELECT id, doctor_id, name, effective_from::text AS effective_from, effective_to::text AS effective_to, rotation_weeks FROM availability_templates WHERE id = $1',
+            [templateId]
+        );
+        const before = existing.rows[0];
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Working hours version not found' });
+        }
+        if (before.effective_from <= toLocalDateString(new Date())) {
+            return res.status(400).json({ success: false, message: 'These hours are already in effect; set an end date instead' });
+        }
+        const beforeWindows = (await getAvailabilityTemplates(before.doctor_id, client)).find(t => t.id === before.id).windows;
+
+        const change = await saveTemplateChange(client, before.doctor_id, req.body?.confirm, () =>
+            client.query('DELETE FROM availability_templates WHERE id = $1', [templateId])
+        );
+        if (!change.saved) {
+            return affectedConflictResponse(res, change.affected, 'the remaining working hours');
+        }
+
+        await recordAudit(req, {
+            action: 'availability_template.delete', entityType: 'availability_template', entityId: templateId,
+            before: { ...before, windows: beforeWindows },
+            details: change.affected.length > 0 ? { affectedAppointmentIds: change.affected.map(appt => appt.id) } : null
+        });
+        res.json({ success: true, message: 'Working hours version deleted', affected: change.affected.map(describeAffectedAppointment) });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error deleting working hours:', error);
+        res.status(500).json({ success: false, message: 'Error deleting working hours' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Upcoming blocked time; ?date_from and ?date_to narrow it down
+app.get('/api/admin/doctors/:id/blocked-slots', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
+    if (!canViewDoctorSchedule(req, req.params.id)) {
+        return res.status(403).json({ success: false, message: 'You do not have access to this doctor' });
+    }
+    const dateFrom = isISODate(req.query.date_from) ? req.query.date_from : toLocalDateString(new Date());
+    const dateTo = isISODate(req.query.date_to) ? req.query.date_to : null;
+
+    try {
+        const result = await pool.query(`
+            SELECT b.id, b.doctor_id, b.blocked_date::text AS blocked_date, b.start_time, b.end_time, b.reason,
+                   b.created_at, s.name AS created_by_name
+            FROM blocked_slots b
+            LEFT JOIN staff_users s ON s.id = b.created_by
+            WHERE b.doctor_id = $1 AND b.blocked_date >= $2 AND ($3::date IS NULL OR b.blocked_date <= $3)
+            ORDER BY b.blocked_date, b.start_time
+            LIMIT 500
+        `, [req.params.id, dateFrom, dateTo]);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error fetching blocked time:', error);
+        res.status(500).json({ success: false, message: 'Error fetching blocked time' });
+    }
+});
+
+// Body: { blocked_date, through_date?, start_time?, end_time?, reason, confirm }
+app.post('/api/admin/doctors/:id/blocked-slots', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+    const parsed = parseBlockedTime(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const client = await pool.connect();
+    try {
+        const doctor = await client.query('SELECT id, name FROM doctors WHERE id = $1', [id]);
+        if (doctor.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Doctor not found' });
         }
-        
-        // Check availability one more time
-        const availability = await checkTimeSlotAvailability(doctorId, date, time);
-        if (!availability.available) {
-            return res.json({
-                success: false,
-                message: 'Sorry, that appointment time is no longer available.'
+
+        await client.query('BEGIN');
+        // Same per-day locks as booking, so nothing gets booked into the block while it is being added
+        for (const date of parsed.dates) {
+            await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [id, date]);
+        }
+
+        const upcoming = await getUpcomingDoctorAppointments(id, { dateFrom: parsed.dates[0], dateTo: parsed.dates[parsed.dates.length - 1], db: client });
+        const affected = appointmentsInsideBlock(upcoming, parsed.dates, parsed.startTime, parsed.endTime);
+        if (affected.length > 0 && req.body.confirm !== true) {
+            await client.query('ROLLBACK');
+            return affectedConflictResponse(res, affected, 'the doctor\'s available time');
+        }
+
+        const created = [];
+        for (const date of parsed.dates) {
+            const result = await client.query(`
+                INSERT INTO blocked_slots (doctor_id, blocked_date, start_time, end_time, reason, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id, doctor_id, blocked_date::text AS blocked_date, start_time, end_time, reason
+            `, [id, date, parsed.startTime, parsed.endTime, parsed.reason, req.staff.id]);
+            created.push(result.rows[0]);
+        }
+        await client.query('COMMIT');
+
+        console.log(`⛔ ${created.length} day(s) of blocked time added for Dr. ${doctor.rows[0].name}`);
+        for (const block of created) {
+            await recordAudit(req, {
+                action: 'blocked_slot.create', entityType: 'blocked_slot', entityId: block.id, after: block,
+                details: affected.length > 0 ? { affectedAppointmentIds: affected.map(appt => appt.id) } : null
             });
         }
-        
-        // Book the appointment for "John Smith" (portfolio demo)
-        const demoPatient = {
-            name: "John Smith",
-            email: "john.smith@email.com", 
-            phone: "(555) 123-4567"
-        };
-        
-        const userId = await findOrCreateUser(demoPatient.name, demoPatient.email, demoPatient.phone);
-        const appointment = await bookAppointment({
-            userId,
-            doctorId,
-            appointmentTypeId: 1,
-            appointmentDate: date,
-            appointmentTime: time,
-            reasonForVisit: "General consultation"
-        });
-        
-        console.log('📋 Appointment created:', appointment);
-        
-        // Generate confirmation email content
-        const emailContent = generateEmailConfirmation(appointment, doctor, date, time, demoPatient);
-        
-        // Generate calendar file URL
-        const calendarUrl = `/api/calendar/${appointment.id}`;
-        
-        res.json({
+
+        res.status(201).json({
             success: true,
-            response: {
-                content: "🎉 **Appointment Confirmed!**\n\nYour appointment has been successfully booked. Below is your confirmation email and calendar file:",
-                actions: [
-                    {
-                        type: 'show_email',
-                        text: '📧 View Email Confirmation', 
-                        data: emailContent
-                    },
-                    {
-                        type: 'download_calendar',
-                        text: '📅 Add to Calendar',
-                        data: calendarUrl
-                    },
-                    {
-                        type: 'start_over',
-                        text: '🔄 Book Another Appointment',
-                        data: 'new_booking'
-                    }
-                ]
-            }
+            message: affected.length > 0
+                ? `Time blocked; ${affected.length} booked appointment(s) overlap it`
+                : 'Time blocked',
+            data: created,
+            affected: affected.map(describeAffectedAppointment)
         });
-        
     } catch (error) {
-        console.log('❌ Complete booking error:', error.message);
-        console.log('❌ Stack trace:', error.stack);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Error completing your booking. Please try again.' 
-        });
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error blocking time:', error);
+        res.status(500).json({ success: false, message: 'Error blocking time' });
+    } finally {
+        client.release();
     }
 });
-// Replace your existing /api/admin/patients endpoint with this enhanced version:
-app.get('/api/admin/patients', async (req, res) => {
-    const { page = 1, limit = 20, search = '' } = req.query;
-    const offset = (page - 1) * limit;
-    
+
+// Body: { blocked_date, start_time?, end_time?, reason, confirm }
+app.put('/api/admin/blocked-slots/:blockId', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { blockId } = req.params;
+    const parsed = parseBlockedTime(req.body, { allowRange: false });
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const [date] = parsed.dates;
+
+    const client = await pool.connect();
     try {
-        let query = `
-            SELECT u.*, 
-                   COUNT(a.id) as total_appointments,
-                   MAX(a.appointment_date) as last_appointment
-            FROM users u
-            LEFT JOIN appointments a ON u.id = a.user_id
-        `;
-        
-        let params = [];
-        if (search) {
-            query += ` WHERE u.name ILIKE $1 OR u.email ILIKE $1`;
-            params.push(`%${search}%`);
+        await client.query('BEGIN');
+        const existing = await client.query('SELECT * FROM blocked_slots WHERE id = $1 FOR UPDATE', [blockId]);
+        const before = existing.rows[0];
+        if (!before) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Blocked time not found' });
         }
-        
-        query += ` GROUP BY u.id ORDER BY u.name LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-        params.push(limit, offset);
-        
-        const patients = await pool.query(query, params);
-        
+        await client.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [before.doctor_id, date]);
+
+        const upcoming = await getUpcomingDoctorAppointments(before.doctor_id, { dateFrom: date, dateTo: date, db: client });
+        const affected = appointmentsInsideBlock(upcoming, [date], parsed.startTime, parsed.endTime);
+        if (affected.length > 0 && req.body.confirm !== true) {
+            await client.query('ROLLBACK');
+            return affectedConflictResponse(res, affected, 'the doctor\'s available time');
+        }
+
+        const result = await client.query(`
+            UPDATE blocked_slots SET blocked_date = $2, start_time = $3, end_time = $4, reason = $5
+            WHERE id = $1
+            RETURNING id, doctor_id, blocked_date::text AS blocked_date, start_time, end_time, reason
+        `, [blockId, date, parsed.startTime, parsed.endTime, parsed.reason]);
+        await client.query('COMMIT');
+
+        await recordAudit(req, {
+            action: 'blocked_slot.update', entityType: 'blocked_slot', entityId: blockId,
+            before: { ...before, blocked_date: toLocalDateString(before.blocked_date) }, after: result.rows[0],
+            details: affected.length > 0 ? { affectedAppointmentIds: affected.map(appt => appt.id) } : null
+        });
+        // Moving or shrinking the block can free time on the old day
+        offerFreedSlots(before.doctor_id, toLocalDateString(before.blocked_date));
+
         res.json({
             success: true,
-            data: patients.rows
+            message: affected.length > 0
+                ? `Blocked time updated; ${affected.length} booked appointment(s) overlap it`
+                : 'Blocked time updated',
+            data: result.rows[0],
+            affected: affected.map(describeAffectedAppointment)
         });
     } catch (error) {
-        console.error('Error fetching patients:', error);
-        res.status(500).json({ success: false, message: 'Error fetching patients' });
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error updating blocked time:', error);
+        res.status(500).json({ success: false, message: 'Error updating blocked time' });
+    } finally {
+        client.release();
     }
 });
-// Generate email confirmation content
-function generateEmailConfirmation(appointment, doctor, date, time, patient) {
-    const formattedDate = formatDate(date);
-    const formattedTime = formatTime(time);
-    
-    return `
-**APPOINTMENT CONFIRMATION**
 
-Dear ${patient.name},
+app.delete('/api/admin/blocked-slots/:blockId', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            DELETE FROM blocked_slots WHERE id = $1
+            RETURNING id, doctor_id, blocked_date::text AS blocked_date, start_time, end_time, reason
+        `, [req.params.blockId]);
+        const block = result.rows[0];
+        if (!block) {
+            return res.status(404).json({ success: false, message: 'Blocked time not found' });
+        }
 
-Your medical appointment has been confirmed with the following details:
+        await recordAudit(req, { action: 'blocked_slot.delete', entityType: 'blocked_slot', entityId: block.id, before: block });
+        offerFreedSlots(block.doctor_id, block.blocked_date);
+        res.json({ success: true, message: 'Blocked time removed' });
+    } catch (error) {
+        console.error('Error removing blocked time:', error);
+        res.status(500).json({ success: false, message: 'Error removing blocked time' });
+    }
+});
 
-**📅 Appointment Information:**
-- **Doctor:** ${doctor.name}
-- **Specialty:** ${doctor.specialty}  
-- **Date:** ${formattedDate}
-- **Time:** ${formattedTime}
-- **Confirmation #:** ${appointment.confirmation_number || appointment.id}
+// =========================
+// CLINIC CLOSURES
+// =========================
 
-**🏥 Location:**
-HealthCare Medical Center
-123 Medical Plaza Drive
-Orange, VA 22960
+// Holidays, snow days and the like close the whole clinic or one office for a day or more, all day or
+// part of it. doctor_closures (see DATABASE SCHEMA) applies them to every doctor there, so the slot
+// engine never offers closed time. Appointments already booked into a closure stay put until staff
+// notify the patients or move them from the closure's review screen.
+const CLOSURE_NOTICE_DAYS = 90;
+// Words in a closure reason too common to tell patients' questions apart
+const CLOSURE_GENERIC_WORDS = new Set(['clinic', 'office', 'closed', 'closure', 'closing', 'early', 'late', 'with', 'from', 'until']);
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
 
-**📞 Contact Information:**
-- Main Line: (540) 555-CARE (2273)
-- Direct Line: ${doctor.office_location || 'Extension 1234'}
+function isAllDay(startTime, endTime) {
+    return String(startTime).slice(0, 5) === '00:00' && String(endTime) === ALL_DAY_END;
+}
 
-**📋 Important Instructions:**
-• Please arrive 15 minutes early for check-in
-• Bring a valid photo ID and insurance card
-• Bring a list of current medications
-• Wear comfortable, loose-fitting clothing
-• If you need to cancel or reschedule, please call at least 24 hours in advance
+// "on Thursday, November 26, 2026" or "from ... through ...", with the hours for a partial closure
+function describeClosureDates(closure) {
+    const dates = closure.start_date === closure.end_date
+        ? `on ${formatLongDate(closure.start_date)}`
+        : `from ${formatLongDate(closure.start_date)} through ${formatLongDate(closure.end_date)}`;
+    if (isAllDay(closure.start_time, closure.end_time)) return dates;
+    return `${dates}, ${formatTime(closure.start_time)} - ${formatTime(closure.end_time)}`;
+}
 
-**💳 Payment & Insurance:**
-We accept most major insurance plans. Please verify your coverage before your visit.
+function describeClosure(closure) {
+    const where = closure.office_location ? `Our ${closure.office_location} office` : 'HealthCare Medical Center';
+    return `${where} is closed ${describeClosureDates(closure)} (${closure.reason}).`;
+}
 
-**🦠 Health & Safety:**
-• Please wear a mask in all clinical areas
-• If you're feeling unwell, please call to reschedule
-• Complete health screening will be required upon arrival
+// Closures that end today or later and start within the notice window
+async function getUpcomingClosures(db = pool) {
+    const result = await db.query(`
+        SELECT id, office_location, start_date::text AS start_date, end_date::text AS end_date, start_time, end_time, reason
+        FROM clinic_closures
+        WHERE end_date >= CURRENT_DATE AND start_date <= CURRENT_DATE + $1::int
+        ORDER BY start_date, start_time
+    `, [CLOSURE_NOTICE_DAYS]);
+    return result.rows;
+}
 
-Thank you for choosing HealthCare Medical Center. We look forward to seeing you!
+// A closure at another office doesn't affect this doctor
+function closureAppliesTo(closure, doctor) {
+    return !closure.office_location || !doctor
+        || String(closure.office_location).toLowerCase() === String(doctor.office_location || '').toLowerCase();
+}
 
-**Questions?** Call us at (540) 555-CARE or email appointments@healthcare.com
+// Dates a patient's message mentions: YYYY-MM-DD, M/D, "Nov 26", today and tomorrow.
+// A month and day without a year means the next time that day comes round.
+function extractMentionedDates(input, today = toLocalDateString(new Date())) {
+    const pad = n => String(n).padStart(2, '0');
+    const nextOccurrence = (month, day) => {
+        if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+        const year = Number(today.slice(0, 4));
+        const date = `${year}-${pad(month)}-${pad(day)}`;
+        return date >= today ? date : `${year + 1}-${pad(month)}-${pad(day)}`;
+    };
 
----
-*This is an automated confirmation. Please do not reply to this message.*
-    `.trim();
+    const dates = [];
+    if (/\btoday\b/.test(input)) dates.push(today);
+    if (/\btomorrow\b/.test(input)) dates.push(addDays(today, 1));
+    for (const [date] of input.matchAll(/\b\d{4}-\d{2}-\d{2}\b/g)) dates.push(date);
+    for (const [, month, day] of input.matchAll(/\b(\d{1,2})\/(\d{1,2})\b/g)) dates.push(nextOccurrence(Number(month), Number(day)));
+    for (const [, month, day] of input.matchAll(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/g)) {
+        dates.push(nextOccurrence(MONTH_ABBREVIATIONS.indexOf(month) + 1, Number(day)));
+    }
+    return dates.filter(Boolean);
 }
 
-// Generate calendar file endpoint  
-app.get('/api/calendar/:appointmentId', async (req, res) => {
-    const { appointmentId } = req.params;
-    console.log('📅 Calendar request for appointment:', appointmentId);
-    
+// Closures a patient's (lowercased) message asks about: by date, by reason ("thanksgiving"),
+// or all of them when they just ask whether we're closed
+function findMentionedClosures(input, closures) {
+    if (closures.length === 0) return [];
+    const dates = extractMentionedDates(input);
+    if (dates.length === 0 && /\bclos(ed|ing|ures?)\b/.test(input)) return closures;
+
+    return closures.filter(closure => {
+        if (dates.some(date => date >= closure.start_date && date <= closure.end_date)) return true;
+        const words = closure.reason.toLowerCase().match(/[a-z]{4,}/g) || [];
+        return words.some(word => !CLOSURE_GENERIC_WORDS.has(word) && new RegExp(`\\b${word}\\b`).test(input));
+    });
+}
+
+// Validates { start_date, end_date?, start_time?, end_time?, office_location?, reason }; leaving out both
+// times closes the whole day and an empty office_location the whole clinic. Returns { closure } or { error }
+function parseClosure(body, locations) {
+    const { start_date, start_time, end_time } = body;
+    const endDate = body.end_date || start_date;
+    const reason = body.reason ? String(body.reason).trim().slice(0, 255) : '';
+    const officeLocation = body.office_location ? String(body.office_location).trim() : '';
+
+    if (!isISODate(start_date)) return { error: 'start_date must be YYYY-MM-DD' };
+    if (start_date < toLocalDateString(new Date())) return { error: 'Closures must start today or later' };
+    if (!isISODate(endDate) || endDate < start_date) return { error: 'end_date must be on or after start_date' };
+    if (endDate > addDays(start_date, MAX_BLOCK_DAYS - 1)) return { error: `Close at most ${MAX_BLOCK_DAYS} days at a time` };
+    if (!reason) return { error: 'A reason is required; patients are told it' };
+
+    const location = officeLocation ? locations.find(l => l.toLowerCase() === officeLocation.toLowerCase()) : null;
+    if (officeLocation && !location) return { error: 'Unknown office location' };
+
+    const allDay = !start_time && !end_time;
+    if (!allDay && (!isISOTime(start_time) || !isISOTime(end_time))) {
+        return { error: 'Give both start and end times as HH:MM, or neither to close the whole day' };
+    }
+    const startTime = allDay ? '00:00:00' : minutesToTime(timeToMinutes(start_time));
+    const endTime = allDay ? ALL_DAY_END : minutesToTime(timeToMinutes(end_time));
+    if (endTime <= startTime) return { error: 'End time must be after start time' };
+
+    return {
+        closure: { office_location: location, start_date, end_date: endDate, start_time: startTime, end_time: endTime, reason }
+    };
+}
+
+async function getOfficeLocations(db = pool) {
+    const result = await db.query(`
+        SELECT DISTINCT office_location FROM doctors
+        WHERE is_active = true AND office_location IS NOT NULL AND office_location != ''
+        ORDER BY office_location
+    `);
+    return result.rows.map(row => row.office_location);
+}
+
+async function getClosure(id, db = pool) {
+    const result = await db.query(`
+        SELECT id, office_location, start_date::text AS start_date, end_date::text AS end_date, start_time, end_time, reason
+        FROM clinic_closures WHERE id = $1
+    `, [id]);
+    return result.rows[0] || null;
+}
+
+// Active appointments from today on that a closure (saved, or proposed when it has no id yet) falls on.
+// notified says whether the patient was already sent this closure's notice.
+async function getClosureAppointments(closure, db = pool) {
+    const result = await db.query(`
+        SELECT a.id, a.doctor_id, a.appointment_type_id, a.appointment_date::text AS appointment_date,
+               a.appointment_time, a.status, u.name AS patient_name, t.name AS appointment_type, d.name AS doctor_name,
+               EXISTS (
+                   SELECT 1 FROM notification_outbox n
+                   WHERE n.appointment_id = a.id AND n.kind = 'closure' AND n.dedupe_key LIKE 'closure:' || $7::text || ':%'
+               ) AS notified
+        FROM appointments a
+        JOIN doctors d ON d.id = a.doctor_id
+        JOIN users u ON u.id = a.user_id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.status IN ('scheduled', 'confirmed')
+          AND a.appointment_date BETWEEN GREATEST($1::date, CURRENT_DATE) AND $2::date
+          AND ($3::text IS NULL OR LOWER(d.office_location) = LOWER($3))
+          AND a.appointment_time < $5::time
+          AND (a.appointment_time + make_interval(mins => COALESCE(t.duration_minutes, $6)))::time > $4::time
+        ORDER BY a.appointment_date, a.appointment_time
+    `, [closure.start_date, closure.end_date, closure.office_location, closure.start_time, closure.end_time,
+        DEFAULT_SLOT_DURATION_MINUTES, closure.id ? String(closure.id) : null]);
+    return result.rows;
+}
+
+// The patient's appointment can't go ahead; they pick a new time themselves or call
+function buildClosureMessage(appointment, closure) {
+    const when = `${formatLongDate(appointment.appointment_date)} at ${formatTime(appointment.appointment_time)}`;
+    const reference = appointment.confirmation_number || appointment.id;
+    const where = closure.office_location ? `Our ${closure.office_location} office` : 'HealthCare Medical Center';
+    return {
+        subject: `Please rebook: we're closed on ${formatLongDate(appointment.appointment_date)}`,
+        email: `Dear ${appointment.patient_name},\n\n${where} will be closed ${describeClosureDates(closure)} (${closure.reason}), so your appointment with Dr. ${appointment.doctor_name} on ${when} can't go ahead (confirmation #${reference}).\n\nTo choose a new time, visit ${APP_BASE_URL} and use Find My Appointments with your confirmation number, or call (540) 555-CARE. We're sorry for the inconvenience.\n\nHealthCare Medical Center`,
+        sms: `HealthCare Medical Center: we're closed ${describeClosureDates(closure)} (${closure.reason}). Your visit with Dr. ${appointment.doctor_name} on ${when} needs a new time: ${APP_BASE_URL} or (540) 555-CARE.`,
+        calendar: null
+    };
+}
+
+// Removing a closure reopens its days; offer them to waitlisted patients at the doctors it covered
+async function offerClosedSlots(closure) {
     try {
-        // Get appointment details from database
-        const appointmentQuery = `
-            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name
-            FROM appointments a
-            JOIN doctors d ON a.doctor_id = d.id  
-            JOIN users u ON a.user_id = u.id
-            WHERE a.id = $1
-        `;
-        
-        console.log('📅 Running calendar query for ID:', appointmentId);
-        const result = await pool.query(appointmentQuery, [appointmentId]);
-        console.log('📅 Query result rows:', result.rows.length);
-        
-        if (result.rows.length === 0) {
-            console.log('❌ Appointment not found in database');
-            return res.status(404).json({ error: 'Appointment not found' });
+        const today = toLocalDateString(new Date());
+        const from = closure.start_date > today ? closure.start_date : today;
+        const to = [closure.end_date, addDays(today, 13)].sort()[0];
+        if (from > to) return;
+
+        const doctors = await pool.query(`
+            SELECT id FROM doctors
+            WHERE is_active = true AND ($1::text IS NULL OR LOWER(office_location) = LOWER($1))
+        `, [closure.office_location]);
+        for (const doctor of doctors.rows) {
+            for (let date = from; date <= to; date = addDays(date, 1)) await offerFreedSlots(doctor.id, date);
         }
-        
-        const appt = result.rows[0];
-        console.log('📅 Found appointment:', appt);
-        
-        // Generate ICS file content
-        console.log('📅 Generating ICS content...');
-        const icsContent = generateICSFile(appt);
-        console.log('📅 ICS content generated, length:', icsContent.length);
-        
-        // Set headers for calendar file download
-        res.setHeader('Content-Type', 'text/calendar');
-        res.setHeader('Content-Disposition', `attachment; filename="appointment-${appointmentId}.ics"`);
-        res.send(icsContent);
-        
     } catch (error) {
-        console.error('❌ Calendar generation error:', error.message);
-        console.error('❌ Stack trace:', error.stack);
-        res.status(500).json({ error: 'Error generating calendar file' });
+        console.error('Error offering reopened time to the waitlist:', error.message);
+    }
+}
+
+// Upcoming closures (?include_past=true for all), each with how many booked appointments it falls on
+app.get('/api/admin/closures', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT c.id, c.office_location, c.start_date::text AS start_date, c.end_date::text AS end_date,
+                   c.start_time, c.end_time, c.reason, c.created_at, s.name AS created_by_name
+            FROM clinic_closures c
+            LEFT JOIN staff_users s ON s.id = c.created_by
+            WHERE $1 OR c.end_date >= CURRENT_DATE
+            ORDER BY c.start_date, c.start_time
+            LIMIT 500
+        `, [req.query.include_past === 'true']);
+
+        const closures = await Promise.all(result.rows.map(async closure => {
+            const affected = await getClosureAppointments(closure);
+            return {
+                ...closure,
+                affected_count: affected.length,
+                unnotified_count: affected.filter(appt => !appt.notified).length
+            };
+        }));
+        res.json({ success: true, data: closures, locations: await getOfficeLocations() });
+    } catch (error) {
+        console.error('Error fetching closures:', error);
+        res.status(500).json({ success: false, message: 'Error fetching closures' });
+    }
+});
+
+// Body: { start_date, end_date?, start_time?, end_time?, office_location?, reason, confirm }
+app.post('/api/admin/closures', requireRole('admin', 'front_desk'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const parsed = parseClosure(req.body, await getOfficeLocations(client));
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+        const { closure } = parsed;
+
+        await client.query('BEGIN');
+        // Same per-day locks as booking for every doctor covered, so nothing gets booked into the closure while it is added
+        await client.query(`
+            SELECT pg_advisory_xact_lock(d.id, (g.day::date - DATE '2000-01-01'))
+            FROM doctors d
+            CROSS JOIN generate_series($1::date, $2::date, interval '1 day') AS g(day)
+            WHERE $3::text IS NULL OR LOWER(d.office_location) = LOWER($3)
+            ORDER BY d.id, g.day
+        `, [closure.start_date, closure.end_date, closure.office_location]);
+
+        const affected = await getClosureAppointments(closure, client);
+        if (affected.length > 0 && req.body.confirm !== true) {
+            await client.query('ROLLBACK');
+            return affectedConflictResponse(res, affected, 'the clinic\'s open hours');
+        }
+
+        const result = await client.query(`
+            INSERT INTO clinic_closures (office_location, start_date, end_date, start_time, end_time, reason, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, office_location, start_date::text AS start_date, end_date::text AS end_date, start_time, end_time, reason
+        `, [closure.office_location, closure.start_date, closure.end_date, closure.start_time, closure.end_time, closure.reason, req.staff.id]);
+        await client.query('COMMIT');
+        const created = result.rows[0];
+
+        console.log(`🚫 Closure added: ${created.office_location || 'whole clinic'} ${created.start_date} - ${created.end_date} (${created.reason})`);
+        await recordAudit(req, {
+            action: 'closure.create', entityType: 'closure', entityId: created.id, after: created,
+            details: affected.length > 0 ? { affectedAppointmentIds: affected.map(appt => appt.id) } : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: affected.length > 0
+                ? `Closure added; ${affected.length} booked appointment(s) fall on it. Notify or reschedule those patients next.`
+                : 'Closure added',
+            data: created,
+            affected: affected.map(describeAffectedAppointment)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error adding closure:', error);
+        res.status(500).json({ success: false, message: 'Error adding closure' });
+    } finally {
+        client.release();
     }
 });
 
-// Generate ICS (iCalendar) file content
-function generateICSFile(appointment) {
-    console.log('📅 Generating ICS for appointment:', appointment);
-    
+app.delete('/api/admin/closures/:id', requireRole('admin', 'front_desk'), async (req, res) => {
     try {
-        // Fix the date parsing - appointment_date comes as a Date object from PostgreSQL
-        const appointmentDate = new Date(appointment.appointment_date);
-        const dateStr = appointmentDate.toISOString().split('T')[0]; // Get YYYY-MM-DD
-        
-        // Combine date and time properly
-        const startDateTime = new Date(`${dateStr}T${appointment.appointment_time}`);
-        console.log('📅 Start datetime:', startDateTime);
-        
-        const endDateTime = new Date(startDateTime.getTime() + 30 * 60000); // 30 minutes later
-        console.log('📅 End datetime:', endDateTime);
-        
-        // Format dates for ICS (YYYYMMDDTHHMMSSZ format)
-        const formatICSDate = (date) => {
-            return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
-        };
-        
-        const startICS = formatICSDate(startDateTime);
-        const endICS = formatICSDate(endDateTime);
-        const now = formatICSDate(new Date());
-        
-        console.log('📅 ICS formatted dates - Start:', startICS, 'End:', endICS);
-        
-        return `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//HealthCare Medical Center//Appointment Scheduler//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-BEGIN:VEVENT
-UID:appointment-${appointment.id}@healthcare.com
-DTSTART:${startICS}
-DTEND:${endICS}
-DTSTAMP:${now}
-SUMMARY:Medical Appointment - Dr. ${appointment.doctor_name}
-DESCRIPTION:Medical appointment with Dr. ${appointment.doctor_name} (${appointment.specialty})
-LOCATION:HealthCare Medical Center, 123 Medical Plaza Drive, Orange, VA 22960
-ORGANIZER:CN=HealthCare Medical Center:MAILTO:appointments@healthcare.com
-ATTENDEE:CN=${appointment.patient_name}:MAILTO:john.smith@email.com
-STATUS:CONFIRMED
-TRANSP:OPAQUE
-END:VEVENT
-END:VCALENDAR`;
-        
+        const result = await pool.query(`
+            DELETE FROM clinic_closures WHERE id = $1
+            RETURNING id, office_location, start_date::text AS start_date, end_date::text AS end_date, start_time, end_time, reason
+        `, [req.params.id]);
+        const closure = result.rows[0];
+        if (!closure) {
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+        }
+
+        await recordAudit(req, { action: 'closure.delete', entityType: 'closure', entityId: closure.id, before: closure });
+        offerClosedSlots(closure);
+        res.json({ success: true, message: 'Closure removed; the time is bookable again' });
     } catch (error) {
-        console.error('❌ ICS generation error:', error);
-        throw error;
+        console.error('Error removing closure:', error);
+        res.status(500).json({ success: false, message: 'Error removing closure' });
     }
-}
-// Add these admin routes to your existing server.js
-
-// =========================
-// ADMIN DASHBOARD ROUTES
-// =========================
-
-// Admin dashboard home page
-app.get('/admin', (req, res) => {
-    res.render('admin/dashboard', {
-        title: 'Admin Dashboard',
-        subtitle: 'Healthcare Management System'
-    });
 });
 
-// =========================
-// DOCTOR MANAGEMENT APIs
-// =========================
-
-// Get all doctors (with pagination)
-app.get('/api/admin/doctors', async (req, res) => {
-    const { page = 1, limit = 10, search = '' } = req.query;
-    const offset = (page - 1) * limit;
-    
+// Booked appointments the closure falls on, for the review screen
+app.get('/api/admin/closures/:id/appointments', requireRole('admin', 'front_desk'), auditAccess('closure.appointments', 'closure'), async (req, res) => {
     try {
-        let query = `
-            SELECT d.*, 
-                   COUNT(a.id) as total_appointments,
-                   COUNT(CASE WHEN a.appointment_date >= CURRENT_DATE THEN 1 END) as upcoming_appointments
-            FROM doctors d
-            LEFT JOIN appointments a ON d.id = a.doctor_id
-        `;
-        
-        let params = [];
-        if (search) {
-            query += ` WHERE d.name ILIKE $1 OR d.specialty ILIKE $1`;
-            params.push(`%${search}%`);
-        }
-        
-        query += ` GROUP BY d.id ORDER BY d.name LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-        params.push(limit, offset);
-        
-        const doctors = await pool.query(query, params);
-        
-        // Get total count for pagination
-        let countQuery = `SELECT COUNT(*) FROM doctors d`;
-        let countParams = [];
-        if (search) {
-            countQuery += ` WHERE d.name ILIKE $1 OR d.specialty ILIKE $1`;
-            countParams.push(`%${search}%`);
+        const closure = await getClosure(req.params.id);
+        if (!closure) {
+            return res.status(404).json({ success: false, message: 'Closure not found' });
         }
-        
-        const total = await pool.query(countQuery, countParams);
-        
+        const affected = await getClosureAppointments(closure);
         res.json({
             success: true,
-            data: doctors.rows,
-            pagination: {
-                total: parseInt(total.rows[0].count),
-                page: parseInt(page),
-                limit: parseInt(limit),
-                totalPages: Math.ceil(total.rows[0].count / limit)
-            }
+            data: affected.map(appt => ({ ...describeAffectedAppointment(appt), notified: appt.notified })),
+            closure
         });
     } catch (error) {
-        console.error('Error fetching doctors:', error);
-        res.status(500).json({ success: false, message: 'Error fetching doctors' });
+        console.error('Error fetching closure appointments:', error);
+        res.status(500).json({ success: false, message: 'Error fetching closure appointments' });
     }
 });
 
-// Create new doctor
-app.post('/api/admin/doctors', async (req, res) => {
-    const { name, specialty, office_location, email, phone } = req.body;
-    
-    // Input validation
-    if (!name || !specialty) {
-        return res.status(400).json({ 
-            success: false, 
-            message: 'Name and specialty are required' 
+// The closure's affected appointments, narrowed to body.appointment_ids when given
+async function selectClosureAppointments(req, res) {
+    const closure = await getClosure(req.params.id);
+    if (!closure) {
+        res.status(404).json({ success: false, message: 'Closure not found' });
+        return null;
+    }
+    const ids = Array.isArray(req.body?.appointment_ids) ? req.body.appointment_ids.map(Number) : null;
+    const affected = (await getClosureAppointments(closure)).filter(appt => !ids || ids.includes(appt.id));
+    if (affected.length === 0) {
+        res.status(400).json({ success: false, message: 'No booked appointments to act on' });
+        return null;
+    }
+    return { closure, affected };
+}
+
+// Tells patients their visit can't go ahead. Body: { appointment_ids? }.
+// Each patient gets one notice per closure, however often this is sent.
+app.post('/api/admin/closures/:id/notify', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const selected = await selectClosureAppointments(req, res);
+        if (!selected) return;
+        const { closure, affected } = selected;
+
+        const notified = [];
+        for (const { id } of affected) {
+            try {
+                const appointment = await getAppointmentForNotification(id);
+                if (!appointment) continue;
+                await queueAppointmentMessage(appointment, 'closure', buildClosureMessage(appointment, closure), `closure:${closure.id}:${id}`);
+                notified.push(id);
+            } catch (error) {
+                console.error(`Error queuing closure notice for appointment ${id}:`, error.message);
+            }
+        }
+
+        await recordAudit(req, {
+            action: 'closure.notify', entityType: 'closure', entityId: closure.id,
+            details: { appointmentIds: notified }
+        });
+        res.json({
+            success: true,
+            message: `Closure notice queued for ${notified.length} of ${affected.length} patient(s)`,
+            data: { notified }
         });
+    } catch (error) {
+        console.error('Error notifying closure patients:', error);
+        res.status(500).json({ success: false, message: 'Error notifying patients' });
     }
-    
+});
+
+// Moves each appointment to the earliest open time with the same doctor and lets the patient know.
+// Body: { appointment_ids? }. Appointments with nothing open in the search window are reported back.
+app.post('/api/admin/closures/:id/reschedule', requireRole('admin', 'front_desk'), async (req, res) => {
     try {
-        const query = `
-            INSERT INTO doctors (name, specialty, office_location, email, phone, is_active)
-            VALUES ($1, $2, $3, $4, $5, true)
-            RETURNING *
-        `;
-        
-        const result = await pool.query(query, [name, specialty, office_location, email, phone]);
-        
+        const selected = await selectClosureAppointments(req, res);
+        if (!selected) return;
+        const { closure, affected } = selected;
+
+        const moved = [];
+        const unmoved = [];
+        // One at a time, so each move sees the slots the previous ones took
+        for (const appt of affected) {
+            const slots = await findOpenSlots({
+                doctorId: appt.doctor_id,
+                appointmentTypeId: appt.appointment_type_id || DEFAULT_APPOINTMENT_TYPE_ID,
+                dateFrom: appt.appointment_date,
+                dateTo: addDays(appt.appointment_date, MAX_SLOT_SEARCH_DAYS),
+                limit: 5
+            });
+
+            let result = null;
+            for (const slot of slots) {
+                result = await rescheduleAppointment({
+                    appointmentId: appt.id, doctorId: appt.doctor_id, appointmentTypeId: appt.appointment_type_id || DEFAULT_APPOINTMENT_TYPE_ID,
+                    newDate: slot.available_date, newTime: slot.start_time
+                });
+                if (result.rescheduled) break;
+            }
+            if (!result?.rescheduled) {
+                unmoved.push(describeAffectedAppointment(appt));
+                continue;
+            }
+
+            const previous = { date: appt.appointment_date, time: appt.appointment_time };
+            const to = { date: toLocalDateString(result.appointment.appointment_date), time: result.appointment.appointment_time };
+            await recordAudit(req, {
+                action: 'appointment.reschedule', entityType: 'appointment', entityId: appt.id,
+                before: { appointment_date: previous.date, appointment_time: previous.time },
+                after: { appointment_date: to.date, appointment_time: to.time },
+                details: { closureId: closure.id }
+            });
+            queueAppointmentNotifications(appt.id, 'reschedule', previous);
+            moved.push({ ...describeAffectedAppointment(appt), new_date: to.date, new_time: to.time });
+        }
+
+        console.log(`🔁 Closure ${closure.id}: ${moved.length} appointment(s) moved, ${unmoved.length} left`);
         res.json({
             success: true,
-            message: 'Doctor created successfully',
-            data: result.rows[0]
+            message: unmoved.length > 0
+                ? `${moved.length} appointment(s) moved; ${unmoved.length} had no open time and still need attention`
+                : `${moved.length} appointment(s) moved and the patients notified`,
+            data: { moved, unmoved }
         });
     } catch (error) {
-        console.error('Error creating doctor:', error);
-        if (error.code === '23505') { // Unique constraint violation
-            res.status(400).json({ success: false, message: 'Doctor with this email already exists' });
-        } else {
-            res.status(500).json({ success: false, message: 'Error creating doctor' });
+        console.error('Error rescheduling closure appointments:', error);
+        res.status(500).json({ success: false, message: 'Error rescheduling appointments' });
+    }
+});
+
+// =========================
+// BULK CHANGES WHEN A DOCTOR IS OUT
+// =========================
+
+// Staff pick a doctor and dates, preview (dry_run) cancelling every booked visit or moving each to a
+// proposed time - the doctor's own after they are back, or another doctor of the same specialty -
+// then apply the reviewed list in one transaction. The doctor's days are blocked at the same time.
+// Patient messages are held until the undo window closes, so an undo within it is never seen by patients.
+const BULK_UNDO_MINUTES = parseInt(process.env.BULK_UNDO_MINUTES) || 15;
+const BULK_ACTIONS = ['cancel', 'reschedule'];
+// What each reviewed item may do under each operation: only what was previewed, or leave it as is
+const BULK_ITEM_ACTIONS = { cancel: ['cancel', 'skip'], reschedule: ['move', 'skip'] };
+
+// Validates { date_from, date_to, action, reason, include_other_doctors, block_time }; returns { request } or { error }
+function parseBulkRequest(body) {
+    const { date_from, date_to, action } = body;
+    if (!isISODate(date_from)) return { error: 'date_from must be YYYY-MM-DD' };
+    if (date_from < toLocalDateString(new Date())) return { error: 'date_from must be today or later' };
+    if (!isISODate(date_to) || date_to < date_from) return { error: 'date_to must be on or after date_from' };
+    if (date_to > addDays(date_from, MAX_BLOCK_DAYS - 1)) return { error: `At most ${MAX_BLOCK_DAYS} days at a time` };
+    if (!BULK_ACTIONS.includes(action)) return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` };
+
+    return {
+        request: {
+            dateFrom: date_from,
+            dateTo: date_to,
+            action,
+            reason: body.reason ? String(body.reason).trim().slice(0, 255) || null : null,
+            includeOtherDoctors: body.include_other_doctors === true,
+            blockTime: body.block_time !== false
         }
+    };
+}
+
+// The doctor's booked visits in the range; FOR UPDATE when applying
+async function getBulkAppointments(doctorId, dateFrom, dateTo, { db = pool, forUpdate = false } = {}) {
+    const result = await db.query(`
+        SELECT a.id, a.doctor_id, a.appointment_type_id, a.appointment_date::text AS appointment_date,
+               a.appointment_time, a.status, a.ics_sequence, u.name AS patient_name, t.name AS appointment_type,
+               d.name AS doctor_name
+        FROM appointments a
+        JOIN doctors d ON d.id = a.doctor_id
+        JOIN users u ON u.id = a.user_id
+        LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+        WHERE a.doctor_id = $1 AND a.appointment_date BETWEEN $2 AND $3
+          AND a.status IN ('scheduled', 'confirmed')
+        ORDER BY a.appointment_date, a.appointment_time
+        ${forUpdate ? 'FOR UPDATE OF a' : ''}
+    `, [doctorId, dateFrom, dateTo]);
+    return result.rows;
+}
+
+// A proposed time for each visit: the earliest opening with the doctor after dateTo, or with
+// includeOtherDoctors with any doctor of the same specialty from the visit's own date on, whichever comes
+// first (the same doctor wins a tie). Proposals never overlap each other. Visits with nothing open are skipped.
+async function proposeBulkMoves(doctor, appointments, { dateTo, includeOtherDoctors }) {
+    const claimed = [];
+    const items = [];
+
+    for (const appt of appointments) {
+        const appointmentTypeId = appt.appointment_type_id || DEFAULT_APPOINTMENT_TYPE_ID;
+        const timing = await getAppointmentTypeTiming(appointmentTypeId);
+        const length = timing.durationMinutes + timing.bufferMinutes;
+
+        const searches = [findOpenSlots({
+            doctorId: doctor.id, appointmentTypeId, dateFrom: addDays(dateTo, 1),
+            dateTo: addDays(dateTo, MAX_SLOT_SEARCH_DAYS), limit: 50
+        })];
+        if (includeOtherDoctors) {
+            searches.push(findOpenSlots({
+                specialty: doctor.specialty, appointmentTypeId, dateFrom: appt.appointment_date,
+                dateTo: addDays(appt.appointment_date, MAX_SLOT_SEARCH_DAYS), limit: 50
+            }).then(slots => slots.filter(slot => slot.doctor_id !== doctor.id)));
+        }
+        const candidates = (await Promise.all(searches)).flat().sort((a, b) =>
+            a.available_date.localeCompare(b.available_date)
+            || a.start_time.localeCompare(b.start_time)
+            || (a.doctor_id === doctor.id ? -1 : 0) - (b.doctor_id === doctor.id ? -1 : 0));
+
+        const slot = candidates.find(candidate => !claimed.some(taken =>
+            taken.doctorId === candidate.doctor_id && taken.date === candidate.available_date
+            && rangesOverlap(taken.start, taken.end, timeToMinutes(candidate.start_time), timeToMinutes(candidate.start_time) + length)));
+
+        if (!slot) {
+            items.push({ appointment: describeAffectedAppointment(appt), action: 'skip', note: 'Nothing open to move to' });
+            continue;
+        }
+        const start = timeToMinutes(slot.start_time);
+        claimed.push({ doctorId: slot.doctor_id, date: slot.available_date, start, end: start + length });
+        items.push({
+            appointment: describeAffectedAppointment(appt),
+            action: 'move',
+            doctor_id: slot.doctor_id,
+            doctor_name: slot.doctor_name,
+            date: slot.available_date,
+            time: slot.start_time
+        });
+    }
+    return items;
+}
+
+// Checks the reviewed items against the visits in range. Every visit needs an item; a move has to go to the
+// same doctor outside the dates they are out, or to another active doctor of the same specialty.
+// Returns { items } or { error }.
+async function parseBulkItems(value, { doctor, appointments, request, db = pool }) {
+    if (!Array.isArray(value)) return { error: 'items must be a list' };
+    const byId = new Map(value.map(item => [Number(item?.appointment_id), item]));
+    const colleagues = await db.query(
+        'SELECT id, name FROM doctors WHERE is_active = true AND LOWER(specialty) = LOWER($1)',
+        [doctor.specialty]
+    );
+
+    const items = [];
+    for (const appt of appointments) {
+        const item = byId.get(appt.id);
+        if (!item) return { error: 'The appointments have changed since the preview. Preview again.' };
+        const allowed = BULK_ITEM_ACTIONS[request.action];
+        if (!allowed.includes(item.action)) return { error: `Appointment #${appt.id}: action must be one of: ${allowed.join(', ')}` };
+        if (item.action !== 'move') {
+            items.push({ appt, action: item.action });
+            continue;
+        }
+
+        const target = colleagues.rows.find(row => row.id === Number(item.doctor_id));
+        if (!target) return { error: `Appointment #${appt.id} can only move to a doctor of the same specialty` };
+        if (!isISODate(item.date) || !isISOTime(item.time)) return { error: `Appointment #${appt.id}: date and time must be YYYY-MM-DD and HH:MM` };
+        if (target.id === doctor.id && item.date >= request.dateFrom && item.date <= request.dateTo) {
+            return { error: `Appointment #${appt.id} can't move to a day the doctor is out` };
+        }
+        items.push({ appt, action: 'move', doctor: target, date: item.date, time: minutesToTime(timeToMinutes(item.time)) });
+    }
+    return { items };
+}
+
+// Per-day booking locks for every doctor/day pair, always taken in the same order
+async function lockDoctorDays(client, pairs) {
+    const unique = [...new Map(pairs.map(([doctorId, date]) => [`${doctorId}|${date}`, [Number(doctorId), date]])).values()];
+    await client.query(`
+        SELECT pg_advisory_xact_lock(p.doctor_id, (p.day - DATE '2000-01-01'))
+        FROM unnest($1::int[], $2::date[]) AS p(doctor_id, day)
+        ORDER BY p.doctor_id, p.day
+    `, [unique.map(pair => pair[0]), unique.map(pair => pair[1])]);
+}
+
+function describeBulkOperation(row) {
+    const changes = row.changes || [];
+    return {
+        id: row.id,
+        doctor_id: row.doctor_id,
+        doctor_name: row.doctor_name,
+        date_from: row.date_from,
+        date_to: row.date_to,
+        action: row.action,
+        reason: row.reason,
+        moved: changes.filter(change => change.action === 'move').length,
+        cancelled: changes.filter(change => change.action === 'cancel').length,
+        created_by_name: row.created_by_name,
+        created_at: row.created_at,
+        undo_until: row.undo_until,
+        undone_at: row.undone_at,
+        can_undo: !row.undone_at && new Date(row.undo_until) > new Date()
+    };
+}
+
+// Recent bulk changes, newest first; ?doctor_id narrows them to one doctor
+app.get('/api/admin/bulk-operations', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT o.*, o.date_from::text AS date_from, o.date_to::text AS date_to,
+                   d.name AS doctor_name, s.name AS created_by_name
+            FROM bulk_operations o
+            JOIN doctors d ON d.id = o.doctor_id
+            LEFT JOIN staff_users s ON s.id = o.created_by
+            WHERE $1::int IS NULL OR o.doctor_id = $1
+            ORDER BY o.created_at DESC
+            LIMIT 20
+        `, [parseInt(req.query.doctor_id) || null]);
+        res.json({ success: true, data: result.rows.map(describeBulkOperation) });
+    } catch (error) {
+        console.error('Error fetching bulk changes:', error);
+        res.status(500).json({ success: false, message: 'Error fetching bulk changes' });
     }
 });
 
-// Update doctor
-app.put('/api/admin/doctors/:id', async (req, res) => {
-    const { id } = req.params;
-    const { name, specialty, office_location, email, phone, is_active } = req.body;
-    
+// Body: { date_from, date_to, action: 'cancel' | 'reschedule', reason, include_other_doctors, block_time, dry_run, items? }.
+// With dry_run nothing changes and the proposal comes back as items: [{ appointment, action, doctor_id, date, time }].
+// Applying takes the reviewed items (action move | cancel | skip each); without items the proposal is applied as is.
+app.post('/api/admin/doctors/:id/bulk-operations', requireRole('admin', 'front_desk'), async (req, res) => {
+    const parsed = parseBulkRequest(req.body || {});
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const { request } = parsed;
+
+    let client = null;
     try {
-        const query = `
-            UPDATE doctors 
-            SET name = $1, specialty = $2, office_location = $3, email = $4, phone = $5, is_active = $6
-            WHERE id = $7
-            RETURNING *
-        `;
-        
-        const result = await pool.query(query, [name, specialty, office_location, email, phone, is_active, id]);
-        
-        if (result.rows.length === 0) {
+        const doctorResult = await pool.query('SELECT id, name, specialty FROM doctors WHERE id = $1', [req.params.id]);
+        const doctor = doctorResult.rows[0];
+        if (!doctor) {
             return res.status(404).json({ success: false, message: 'Doctor not found' });
         }
-        
-        res.json({
+
+        const upcoming = await getBulkAppointments(doctor.id, request.dateFrom, request.dateTo);
+        const proposal = request.action === 'cancel'
+            ? upcoming.map(appt => ({ appointment: describeAffectedAppointment(appt), action: 'cancel' }))
+            : await proposeBulkMoves(doctor, upcoming, request);
+
+        if (req.body.dry_run === true) {
+            await recordAudit(req, {
+                action: 'bulk_operation.preview', entityType: 'doctor', entityId: doctor.id,
+                details: { dateFrom: request.dateFrom, dateTo: request.dateTo, action: request.action, appointmentIds: upcoming.map(appt => appt.id) }
+            });
+            return res.json({ success: true, dryRun: true, data: { doctor, ...request, items: proposal } });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const appointments = await getBulkAppointments(doctor.id, request.dateFrom, request.dateTo, { db: client, forUpdate: true });
+        const reviewed = await parseBulkItems(
+            req.body.items || proposal.map(item => ({ ...item, appointment_id: item.appointment.id })),
+            { doctor, appointments, request, db: client }
+        );
+        if (reviewed.error) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: reviewed.error });
+        }
+
+        const days = [];
+        for (let date = request.dateFrom; date <= request.dateTo; date = addDays(date, 1)) days.push(date);
+        await lockDoctorDays(client, [
+            ...days.map(date => [doctor.id, date]),
+            ...reviewed.items.filter(item => item.action === 'move').map(item => [item.doctor.id, item.date])
+        ]);
+
+        // One at a time, so each move is checked against the ones before it
+        const changes = [];
+        const taken = [];
+        for (const item of reviewed.items) {
+            if (item.action === 'skip') continue;
+            const { appt } = item;
+            const before = { doctor_id: appt.doctor_id, appointment_date: appt.appointment_date, appointment_time: appt.appointment_time, status: appt.status };
+
+            if (item.action === 'move') {
+                const availability = await checkTimeSlotAvailability(item.doctor.id, item.date, item.time, {
+                    excludeAppointmentId: appt.id, appointmentTypeId: appt.appointment_type_id || DEFAULT_APPOINTMENT_TYPE_ID, db: client
+                });
+                if (!availability.available) {
+                    taken.push(appt.id);
+                    continue;
+                }
+            }
+            const result = item.action === 'move'
+                ? await client.query(`
+                    UPDATE appointments
+                    SET doctor_id = $2, appointment_date = $3, appointment_time = $4, ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING id, doctor_id, appointment_date::text AS appointment_date, appointment_time, status, ics_sequence
+                `, [appt.id, item.doctor.id, item.date, item.time])
+                : await client.query(`
+                    UPDATE appointments
+                    SET status = 'cancelled', ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING id, doctor_id, appointment_date::text AS appointment_date, appointment_time, status, ics_sequence
+                `, [appt.id]);
+            const after = result.rows[0];
+            const kind = item.action === 'move' ? 'reschedule' : 'cancellation';
+            changes.push({
+                appointment_id: appt.id, action: item.action, before, after,
+                previous_doctor_name: appt.doctor_name,
+                notification_key: appointmentNotificationKey(kind, after)
+            });
+        }
+        if (taken.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: `${taken.length} proposed time(s) are no longer open (appointment #${taken.join(', #')}). Preview again.`
+            });
+        }
+
+        const blockedIds = [];
+        if (request.blockTime) {
+            for (const date of days) {
+                const block = await client.query(`
+                    INSERT INTO blocked_slots (doctor_id, blocked_date, start_time, end_time, reason, created_by)
+                    VALUES ($1, $2, '00:00:00', $3, $4, $5)
+                    RETURNING id
+                `, [doctor.id, date, ALL_DAY_END, request.reason || 'Doctor out', req.staff.id]);
+                blockedIds.push(block.rows[0].id);
+            }
+        }
+
+        const operationResult = await client.query(`
+            INSERT INTO bulk_operations (doctor_id, date_from, date_to, action, reason, changes, blocked_slot_ids, created_by, undo_until)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP + make_interval(mins => $9))
+            RETURNING *, date_from::text AS date_from, date_to::text AS date_to
+        `, [doctor.id, request.dateFrom, request.dateTo, request.action, request.reason, JSON.stringify(changes), blockedIds, req.staff.id, BULK_UNDO_MINUTES]);
+        await client.query('COMMIT');
+        const operation = operationResult.rows[0];
+
+        console.log(`📦 Bulk ${request.action} for Dr. ${doctor.name} ${request.dateFrom} - ${request.dateTo}: ${changes.length} appointment(s) by ${req.staff.email}`);
+        await recordAudit(req, {
+            action: 'bulk_operation.apply', entityType: 'bulk_operation', entityId: operation.id,
+            after: { doctor_id: doctor.id, date_from: request.dateFrom, date_to: request.dateTo, action: request.action, reason: request.reason, blocked_slot_ids: blockedIds },
+            details: { appointmentIds: changes.map(change => change.appointment_id) }
+        });
+        for (const change of changes) {
+            await recordAudit(req, {
+                action: change.action === 'move' ? 'appointment.reschedule' : 'appointment.cancel',
+                entityType: 'appointment', entityId: change.appointment_id,
+                before: change.before, after: change.after,
+                details: { bulkOperationId: operation.id }
+            });
+            if (change.action === 'move') {
+                const previous = { date: change.before.appointment_date, time: change.before.appointment_time, doctorName: change.previous_doctor_name };
+                queueAppointmentNotifications(change.appointment_id, 'reschedule', previous, { sendAfter: operation.undo_until });
+            } else {
+                queueAppointmentNotifications(change.appointment_id, 'cancellation', null, { sendAfter: operation.undo_until });
+            }
+        }
+
+        // Without a block the doctor's freed time is bookable, so the waitlist gets first go at it
+        if (!request.blockTime) {
+            for (const date of new Set(changes.map(change => change.before.appointment_date))) offerFreedSlots(doctor.id, date);
+        }
+
+        const skipped = reviewed.items.filter(item => item.action === 'skip').length;
+        res.status(201).json({
             success: true,
-            message: 'Doctor updated successfully',
-            data: result.rows[0]
+            message: `${changes.length} appointment(s) ${request.action === 'cancel' ? 'cancelled' : 'changed'}`
+                + (skipped > 0 ? `, ${skipped} left as they were` : '')
+                + `. Patients are notified in ${BULK_UNDO_MINUTES} minutes unless you undo.`,
+            data: describeBulkOperation({ ...operation, doctor_name: doctor.name, created_by_name: req.staff.name })
         });
     } catch (error) {
-        console.error('Error updating doctor:', error);
-        res.status(500).json({ success: false, message: 'Error updating doctor' });
+        await client?.query('ROLLBACK').catch(() => {});
+        console.error('Error applying bulk change:', error);
+        if (error.code === '23P01') { // Exclusion constraint: a proposed time overlaps another appointment
+            res.status(409).json({ success: false, message: 'A proposed time overlaps another appointment. Preview again.' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error applying bulk change' });
+        }
+    } finally {
+        client?.release();
     }
 });
-// Delete doctor (soft delete)
-app.delete('/api/admin/doctors/:id', async (req, res) => {
-    const { id } = req.params;
-    
+
+// Puts every appointment back as it was, removes the blocked days and withdraws the patient messages
+// that haven't gone out. Appointments changed again since are left alone and reported.
+app.post('/api/admin/bulk-operations/:id/undo', requireRole('admin', 'front_desk'), async (req, res) => {
+    const client = await pool.connect();
     try {
-        // Check if doctor has future appointments
-        const appointmentCheck = await pool.query(
-            `SELECT COUNT(*) FROM appointments WHERE doctor_id = $1 AND appointment_date >= CURRENT_DATE AND status IN ('scheduled', 'confirmed')`,
-            [id]
-        );
-        
-        if (parseInt(appointmentCheck.rows[0].count) > 0) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Cannot delete doctor with upcoming appointments' 
+        await client.query('BEGIN');
+        const operationResult = await client.query(`
+            SELECT *, date_from::text AS date_from, date_to::text AS date_to, undo_until > CURRENT_TIMESTAMP AS undoable
+            FROM bulk_operations WHERE id = $1 FOR UPDATE
+        `, [req.params.id]);
+        const operation = operationResult.rows[0];
+        if (!operation) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Bulk change not found' });
+        }
+        if (operation.undone_at || !operation.undoable) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: operation.undone_at ? 'This change was already undone' : 'The undo window has closed; change the appointments individually'
             });
         }
-        
-        // Soft delete (remove updated_at reference)
-        const result = await pool.query(
-            `UPDATE doctors SET is_active = false WHERE id = $1 RETURNING *`,
-            [id]
-        );
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'Doctor not found' });
+
+        const changes = operation.changes || [];
+        await lockDoctorDays(client, changes.flatMap(change => [
+            [change.before.doctor_id, change.before.appointment_date],
+            [change.after.doctor_id, change.after.appointment_date]
+        ]));
+        await client.query('DELETE FROM blocked_slots WHERE id = ANY($1::int[])', [operation.blocked_slot_ids]);
+
+        const restored = [];
+        const changedSince = [];
+        for (const change of changes) {
+            // Only if nobody has touched the appointment since the bulk change
+            const result = await client.query(`
+                UPDATE appointments
+                SET doctor_id = $2, appointment_date = $3, appointment_time = $4, status = $5,
+                    ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND ics_sequence = $6
+                RETURNING id
+            `, [change.appointment_id, change.before.doctor_id, change.before.appointment_date, change.before.appointment_time,
+                change.before.status, change.after.ics_sequence]);
+            (result.rows.length > 0 ? restored : changedSince).push(change);
         }
-        
+
+        const withdrawn = await client.query(`
+            UPDATE notification_outbox SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'pending' AND dedupe_key = ANY($1::text[])
+            RETURNING id
+        `, [restored.flatMap(change => [`${change.notification_key}:email`, `${change.notification_key}:sms`])]);
+        const alreadySent = await client.query(`
+            SELECT COUNT(*)::int AS count FROM notification_outbox
+            WHERE status IN ('sending', 'sent') AND dedupe_key = ANY($1::text[])
+        `, [restored.flatMap(change => [`${change.notification_key}:email`, `${change.notification_key}:sms`])]);
+
+        await client.query(`
+            UPDATE bulk_operations SET undone_at = CURRENT_TIMESTAMP, undone_by = $2 WHERE id = $1
+        `, [operation.id, req.staff.id]);
+        await client.query('COMMIT');
+
+        console.log(`↩️ Bulk change ${operation.id} undone by ${req.staff.email}: ${restored.length} restored`);
+        await recordAudit(req, {
+            action: 'bulk_operation.undo', entityType: 'bulk_operation', entityId: operation.id,
+            details: {
+                restoredAppointmentIds: restored.map(change => change.appointment_id),
+                changedSinceAppointmentIds: changedSince.map(change => change.appointment_id),
+                withdrawnNotifications: withdrawn.rows.length
+            }
+        });
+
+        const notes = [];
+        if (changedSince.length > 0) notes.push(`${changedSince.length} appointment(s) changed since and were left as they are`);
+        if (alreadySent.rows[0].count > 0) notes.push(`${alreadySent.rows[0].count} patient message(s) had already gone out`);
         res.json({
             success: true,
-            message: 'Doctor deactivated successfully'
+            message: `${restored.length} appointment(s) restored` + (notes.length > 0 ? `; ${notes.join('; ')}` : ''),
+            data: {
+                restored: restored.map(change => change.appointment_id),
+                changed_since: changedSince.map(change => change.appointment_id)
+            }
         });
     } catch (error) {
-        console.error('Error deleting doctor:', error);
-        res.status(500).json({ success: false, message: 'Error deleting doctor' });
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Error undoing bulk change:', error);
+        if (error.code === '23P01') { // Exclusion constraint: an original time has been booked by someone else
+            res.status(409).json({ success: false, message: 'An original time has been booked since, so the change can\'t be undone as a whole' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error undoing bulk change' });
+        }
+    } finally {
+        client.release();
     }
 });
 
@@ -985,25 +7169,31 @@ app.delete('/api/admin/doctors/:id', async (req, res) => {
 // =========================
 
 // Get all appointments with filters
-app.get('/api/admin/appointments', async (req, res) => {
+app.get('/api/admin/appointments', requireRole('admin', 'front_desk', 'physician'), auditAccess('appointment.list', 'appointment'), async (req, res) => {
     const { 
         page = 1, 
         limit = 20, 
         status = '', 
-        doctor_id = '', 
         date_from = '', 
         date_to = '',
         search = ''
     } = req.query;
+    const doctor_id = scopedDoctorId(req, req.query.doctor_id);
     
     const offset = (page - 1) * limit;
     
     try {
         let query = `
-            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email, u.phone
+            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email, u.phone,
+                   t.name as appointment_type, COALESCE(t.is_virtual, false) as is_virtual,
+                   COALESCE((
+                       SELECT json_agg(json_build_object('id', n.id, 'channel', n.channel, 'kind', n.kind, 'status', n.status) ORDER BY n.id)
+                       FROM notification_outbox n WHERE n.appointment_id = a.id
+                   ), '[]') AS notifications
             FROM appointments a
             JOIN doctors d ON a.doctor_id = d.id
             JOIN users u ON a.user_id = u.id
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
             WHERE 1=1
         `;
         
@@ -1091,7 +7281,7 @@ app.get('/api/admin/appointments', async (req, res) => {
 });
 
 // Update appointment status
-app.put('/api/admin/appointments/:id/status', async (req, res) => {
+app.put('/api/admin/appointments/:id/status', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
     const { id } = req.params;
     const { status, notes } = req.body;
     
@@ -1101,19 +7291,30 @@ app.put('/api/admin/appointments/:id/status', async (req, res) => {
     }
     
     try {
+        const before = await auditSnapshot('appointments', id);
         const query = `
             UPDATE appointments 
-            SET status = $1, notes = $2, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $3
+            SET status = $1::text, notes = $2, updated_at = CURRENT_TIMESTAMP,
+                ics_sequence = ics_sequence + CASE WHEN status::text <> $1::text THEN 1 ELSE 0 END
+            WHERE id = $3 AND ($4::int IS NULL OR doctor_id = $4)
             RETURNING *
         `;
         
-        const result = await pool.query(query, [status, notes, id]);
+        const result = await pool.query(query, [status, notes, id, scopedDoctorId(req)]);
         
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Appointment not found' });
         }
         
+        if (status === 'cancelled') {
+            offerFreedSlots(result.rows[0].doctor_id, result.rows[0].appointment_date);
+            queueAppointmentNotifications(result.rows[0].id, 'cancellation');
+        }
+        await recordAudit(req, {
+            action: 'appointment.status', entityType: 'appointment', entityId: id,
+            before, after: { status: result.rows[0].status, notes: result.rows[0].notes }
+        });
+        
         res.json({
             success: true,
             message: 'Appointment status updated successfully',
@@ -1121,7 +7322,354 @@ app.put('/api/admin/appointments/:id/status', async (req, res) => {
         });
     } catch (error) {
         console.error('Error updating appointment:', error);
-        res.status(500).json({ success: false, message: 'Error updating appointment' });
+        if (error.code === '23P01') { // Exclusion constraint: reactivating would overlap another appointment
+            res.status(400).json({ success: false, message: 'That time slot is not available: it overlaps another appointment' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error updating appointment' });
+        }
+    }
+});
+
+// =========================
+// ADMIN NOTIFICATION APIs
+// =========================
+
+// Delivery history for one appointment
+app.get('/api/admin/appointments/:id/notifications', requireRole('admin', 'front_desk'), auditAccess('notification.list', 'appointment'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, channel, kind, recipient, subject, status, attempts, last_error, transport,
+                   next_attempt_at, sent_at, created_at
+            FROM notification_outbox
+            WHERE appointment_id = $1
+            ORDER BY created_at, id
+        `, [req.params.id]);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ success: false, message: 'Error fetching notifications' });
+    }
+});
+
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post('/api/admin/notifications/:id/retry', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE notification_outbox
+            SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'failed'
+            RETURNING id, appointment_id, channel, kind
+        `, [req.params.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Failed notification not found' });
+        }
+        await recordAudit(req, { action: 'notification.retry', entityType: 'notification', entityId: req.params.id, details: result.rows[0] });
+        setImmediate(dispatchNotifications);
+        res.json({ success: true, message: 'Notification queued for retry' });
+    } catch (error) {
+        console.error('Error retrying notification:', error);
+        res.status(500).json({ success: false, message: 'Error retrying notification' });
+    }
+});
+
+// =========================
+// ADMIN APPOINTMENT TYPE APIs
+// =========================
+
+// Writes a validated type and the doctors it lists inside the caller's transaction; returns the id,
+// or null when there is no type with that id
+async function saveAppointmentType(client, id, type) {
+    const values = [
+        type.name, type.description, type.duration_minutes, type.buffer_minutes, type.color, type.specialties,
+        type.new_patients_allowed, type.preparation_instructions, type.is_active, type.is_virtual
+    ];
+    const result = id
+        ? await client.query(`
+            UPDATE appointment_types
+            SET name = $1, description = $2, duration_minutes = $3, buffer_minutes = $4, color = $5, specialties = $6,
+                new_patients_allowed = $7, preparation_instructions = $8, is_active = $9, is_virtual = $10
+            WHERE id = $11
+            RETURNING id
+        `, [...values, id])
+        : await client.query(`
+            INSERT INTO appointment_types (name, description, duration_minutes, buffer_minutes, color, specialties,
+                                           new_patients_allowed, preparation_instructions, is_active, is_virtual)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, values);
+    if (result.rows.length === 0) return null;
+
+    const typeId = result.rows[0].id;
+    await client.query('DELETE FROM appointment_type_doctors WHERE appointment_type_id = $1', [typeId]);
+    await client.query(`
+        INSERT INTO appointment_type_doctors (appointment_type_id, doctor_id)
+        SELECT $1, unnest($2::int[])
+    `, [typeId, type.doctor_ids]);
+    return typeId;
+}
+
+// Every type (?include_inactive=true for retired ones too) with how many upcoming visits are booked as it
+app.get('/api/admin/appointment-types', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
+    try {
+        const types = await getAppointmentTypes({ includeInactive: req.query.include_inactive === 'true' });
+        const counts = await pool.query(`
+            SELECT appointment_type_id, COUNT(*)::int AS upcoming_count
+            FROM appointments
+            WHERE status IN ('scheduled', 'confirmed') AND appointment_date >= CURRENT_DATE
+            GROUP BY appointment_type_id
+        `);
+        const upcoming = new Map(counts.rows.map(row => [row.appointment_type_id, row.upcoming_count]));
+        res.json({
+            success: true,
+            data: types.map(type => ({ ...type, upcoming_count: upcoming.get(type.id) || 0 })),
+            defaultTypeId: DEFAULT_APPOINTMENT_TYPE_ID
+        });
+    } catch (error) {
+        console.error('Error fetching appointment types:', error);
+        res.status(500).json({ success: false, message: 'Error fetching appointment types' });
+    }
+});
+
+// Body: { name, description, duration_minutes, buffer_minutes, color, specialties, doctor_ids,
+//         new_patients_allowed, preparation_instructions, is_virtual, is_active }
+app.post('/api/admin/appointment-types', requireRole('admin'), async (req, res) => {
+    const { type, error } = parseAppointmentType(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const id = await saveAppointmentType(client, null, type);
+        await client.query('COMMIT');
+
+        const after = await getAppointmentType(id);
+        console.log('🩺 Appointment type created:', after.name);
+        await recordAudit(req, { action: 'appointment_type.create', entityType: 'appointment_type', entityId: id, after });
+        res.status(201).json({ success: true, message: 'Visit type created', data: after });
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (err.code === '23503') {
+            return res.status(400).json({ success: false, message: 'One of the chosen doctors does not exist' });
+        }
+        console.error('Error creating appointment type:', err);
+        res.status(500).json({ success: false, message: 'Error creating visit type' });
+    } finally {
+        client.release();
+    }
+});
+
+// Same body as create. A new length applies to visits already booked from today on, so it is refused
+// when that would make them run into the next appointment. Switching between video and in person
+// updates those visits too, and their patients are sent new confirmations.
+app.put('/api/admin/appointment-types/:typeId', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.typeId);
+    const { type, error } = parseAppointmentType(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (id === DEFAULT_APPOINTMENT_TYPE_ID && !type.is_active) {
+        return res.status(400).json({ success: false, message: "The default visit type can't be deactivated" });
+    }
+
+    const client = await pool.connect();
+    try {
+        const before = await getAppointmentType(id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Appointment type not found' });
+        }
+
+        await client.query('BEGIN');
+        await saveAppointmentType(client, id, type);
+        if (type.duration_minutes !== before.duration_minutes || type.buffer_minutes !== before.buffer_minutes) {
+            // Re-runs the slot_range trigger, so the overlap constraint sees the new length
+            await client.query(`
+                UPDATE appointments SET appointment_time = appointment_time
+                WHERE appointment_type_id = $1 AND status IN ('scheduled', 'confirmed') AND appointment_date >= CURRENT_DATE
+            `, [id]);
+        }
+        await client.query('COMMIT');
+
+        const after = await getAppointmentType(id);
+        await recordAudit(req, { action: 'appointment_type.update', entityType: 'appointment_type', entityId: id, before, after });
+        const modeChanged = after.is_virtual !== before.is_virtual;
+        if (modeChanged) {
+            // Meeting links can take a while to create; patients hear as each visit is updated
+            applyVisitModeChange(id).catch(err => console.error('Error applying visit mode change:', err.message));
+        }
+        res.json({
+            success: true,
+            message: modeChanged ? 'Visit type saved. Patients with upcoming visits of this type are being sent updated confirmations.' : 'Visit type saved',
+            data: after
+        });
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (err.code === '23P01') {
+            return res.status(409).json({
+                success: false,
+                message: 'At the new length some booked visits of this type would run into the next appointment. Move those visits first or keep the current length.'
+            });
+        }
+        if (err.code === '23503') {
+            return res.status(400).json({ success: false, message: 'One of the chosen doctors does not exist' });
+        }
+        console.error('Error saving appointment type:', err);
+        res.status(500).json({ success: false, message: 'Error saving visit type' });
+    } finally {
+        client.release();
+    }
+});
+
+// Types are retired rather than deleted: booked visits keep theirs, but nobody can book it any more
+app.delete('/api/admin/appointment-types/:typeId', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.typeId);
+    if (id === DEFAULT_APPOINTMENT_TYPE_ID) {
+        return res.status(400).json({ success: false, message: "The default visit type can't be deactivated" });
+    }
+
+    try {
+        const before = await getAppointmentType(id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Appointment type not found' });
+        }
+        await pool.query('UPDATE appointment_types SET is_active = false WHERE id = $1', [id]);
+        await recordAudit(req, {
+            action: 'appointment_type.deactivate', entityType: 'appointment_type', entityId: id,
+            before, after: { ...before, is_active: false }
+        });
+        res.json({ success: true, message: 'Visit type deactivated' });
+    } catch (error) {
+        console.error('Error deactivating appointment type:', error);
+        res.status(500).json({ success: false, message: 'Error deactivating visit type' });
+    }
+});
+
+// =========================
+// ADMIN REMINDER APIs
+// =========================
+
+// Reminder rules per appointment type; types without their own rule use the clinic default
+app.get('/api/admin/reminder-rules', requireRole('admin', 'front_desk'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, name, duration_minutes, reminder_offsets_hours
+            FROM appointment_types
+            ORDER BY id
+        `);
+        res.json({ success: true, data: result.rows, defaultOffsetsHours: DEFAULT_REMINDER_OFFSETS_HOURS });
+    } catch (error) {
+        console.error('Error fetching reminder rules:', error);
+        res.status(500).json({ success: false, message: 'Error fetching reminder rules' });
+    }
+});
+
+// Body: { offsets_hours: [72, 24] }; [] turns reminders off for the type, null goes back to the default
+app.put('/api/admin/reminder-rules/:typeId', requireRole('admin'), async (req, res) => {
+    const { offsets_hours } = req.body;
+    const offsets = offsets_hours === null ? null : parseReminderOffsets(offsets_hours ?? '');
+
+    if (offsets_hours !== null && (!Array.isArray(offsets_hours) || !offsets)) {
+        return res.status(400).json({
+            success: false,
+            message: `offsets_hours must be a list of up to ${MAX_REMINDER_OFFSETS} whole hours between 1 and ${MAX_REMINDER_OFFSET_HOURS}, or null`
+        });
+    }
+
+    try {
+        const before = await auditSnapshot('appointment_types', req.params.typeId);
+        const result = await pool.query(
+            'UPDATE appointment_types SET reminder_offsets_hours = $2 WHERE id = $1 RETURNING id, name, reminder_offsets_hours',
+            [req.params.typeId, offsets]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Appointment type not found' });
+        }
+        await recordAudit(req, {
+            action: 'reminder_rule.update', entityType: 'appointment_type', entityId: req.params.typeId,
+            before, after: { reminder_offsets_hours: result.rows[0].reminder_offsets_hours }
+        });
+        res.json({ success: true, data: result.rows[0], message: 'Reminder rule saved' });
+    } catch (error) {
+        console.error('Error saving reminder rule:', error);
+        res.status(500).json({ success: false, message: 'Error saving reminder rule' });
+    }
+});
+
+// =========================
+// ADMIN WAITLIST APIs
+// =========================
+
+app.get('/api/admin/waitlist', requireRole('admin', 'front_desk'), auditAccess('waitlist.list', 'waitlist_entry'), async (req, res) => {
+    const { status } = req.query;
+
+    try {
+        let query = `
+            SELECT e.*, e.date_from::text AS date_from, e.date_to::text AS date_to,
+                   u.name AS patient_name, u.email AS patient_email, u.phone AS patient_phone,
+                   d.name AS doctor_name,
+                   q.queue_position,
+                   COALESCE((
+                       SELECT json_agg(json_build_object(
+                           'id', o.id, 'date', o.offer_date::text, 'time', o.start_time, 'status', o.status,
+                           'created_at', o.created_at, 'expires_at', o.expires_at, 'responded_at', o.responded_at,
+                           'appointment_id', o.appointment_id
+                       ) ORDER BY o.created_at)
+                       FROM waitlist_offers o WHERE o.entry_id = e.id
+                   ), '[]') AS offers
+            FROM waitlist_entries e
+            JOIN users u ON e.user_id = u.id
+            LEFT JOIN doctors d ON e.doctor_id = d.id
+            LEFT JOIN (
+                SELECT id, ROW_NUMBER() OVER (
+                    PARTITION BY COALESCE(doctor_id::text, LOWER(specialty)) ORDER BY created_at
+                ) AS queue_position
+                FROM waitlist_entries
+                WHERE status IN ('waiting', 'offered')
+            ) q ON q.id = e.id
+        `;
+        const params = [];
+        if (status) {
+            query += ' WHERE e.status = $1';
+            params.push(status);
+        }
+        query += ' ORDER BY e.created_at';
+
+        const result = await pool.query(query, params);
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({ success: false, message: 'Error fetching waitlist' });
+    }
+});
+
+// Takes a patient off the waitlist; a pending offer is withdrawn and its slot passed on
+app.delete('/api/admin/waitlist/:id', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(`
+            UPDATE waitlist_entries SET status = 'removed', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status IN ('waiting', 'offered')
+            RETURNING *
+        `, [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Active waitlist entry not found' });
+        }
+
+        const pending = await pool.query(`SELECT * FROM waitlist_offers WHERE entry_id = $1 AND status = 'pending'`, [id]);
+        for (const offer of pending.rows) {
+            await closeWaitlistOffer(offer, 'withdrawn');
+        }
+        await recordAudit(req, {
+            action: 'waitlist.remove', entityType: 'waitlist_entry', entityId: id,
+            details: { patientId: result.rows[0].user_id, offersWithdrawn: pending.rows.length }
+        });
+
+        res.json({ success: true, message: 'Removed from waitlist' });
+    } catch (error) {
+        console.error('Error removing waitlist entry:', error);
+        res.status(500).json({ success: false, message: 'Error removing waitlist entry' });
     }
 });
 
@@ -1129,32 +7677,36 @@ app.put('/api/admin/appointments/:id/status', async (req, res) => {
 // DASHBOARD ANALYTICS APIs
 // =========================
 
-// Get dashboard statistics
-app.get('/api/admin/stats', async (req, res) => {
+// Get dashboard statistics; physicians see figures for their own appointments only
+app.get('/api/admin/stats', requireRole('admin', 'front_desk', 'physician'), async (req, res) => {
     try {
+        const doctorId = scopedDoctorId(req);
         const stats = await Promise.all([
             // Total doctors
-            pool.query('SELECT COUNT(*) as total FROM doctors WHERE is_active = true'),
+            pool.query('SELECT COUNT(*) as total FROM doctors WHERE is_active = true AND ($1::int IS NULL OR id = $1)', [doctorId]),
             
             // Total appointments today
             pool.query(`
                 SELECT COUNT(*) as total FROM appointments 
                 WHERE appointment_date = CURRENT_DATE
-            `),
+                AND ($1::int IS NULL OR doctor_id = $1)
+            `, [doctorId]),
             
             // Upcoming appointments (next 7 days)
             pool.query(`
                 SELECT COUNT(*) as total FROM appointments 
                 WHERE appointment_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '7 days'
                 AND status IN ('scheduled', 'confirmed')
-            `),
+                AND ($1::int IS NULL OR doctor_id = $1)
+            `, [doctorId]),
             
             // Appointments by status
             pool.query(`
                 SELECT status, COUNT(*) as count FROM appointments 
                 WHERE appointment_date >= CURRENT_DATE - INTERVAL '30 days'
+                AND ($1::int IS NULL OR doctor_id = $1)
                 GROUP BY status
-            `),
+            `, [doctorId]),
             
             // Appointments by doctor (top 5)
             pool.query(`
@@ -1162,10 +7714,11 @@ app.get('/api/admin/stats', async (req, res) => {
                 FROM doctors d
                 LEFT JOIN appointments a ON d.id = a.doctor_id 
                 WHERE a.appointment_date >= CURRENT_DATE - INTERVAL '30 days'
+                AND ($1::int IS NULL OR d.id = $1)
                 GROUP BY d.id, d.name
                 ORDER BY appointment_count DESC
                 LIMIT 5
-            `)
+            `, [doctorId])
         ]);
         
         res.json({
@@ -1175,7 +7728,8 @@ app.get('/api/admin/stats', async (req, res) => {
                 todayAppointments: parseInt(stats[1].rows[0].total),
                 upcomingAppointments: parseInt(stats[2].rows[0].total),
                 appointmentsByStatus: stats[3].rows,
-                topDoctors: stats[4].rows
+                topDoctors: stats[4].rows,
+                aiResponseValidation: responseValidationStats
             }
         });
     } catch (error) {
@@ -1189,7 +7743,7 @@ app.get('/api/admin/stats', async (req, res) => {
 // =========================
 
 // Update patient
-app.put('/api/admin/patients/:id', async (req, res) => {
+app.put('/api/admin/patients/:id', requireRole('admin', 'front_desk'), async (req, res) => {
     const { id } = req.params;
     const { name, email, phone } = req.body;
     
@@ -1201,6 +7755,7 @@ app.put('/api/admin/patients/:id', async (req, res) => {
     }
     
     try {
+        const before = await auditSnapshot('users', id);
         const query = `
             UPDATE users 
             SET name = $1, email = $2, phone = $3
@@ -1213,6 +7768,7 @@ app.put('/api/admin/patients/:id', async (req, res) => {
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Patient not found' });
         }
+        await recordAudit(req, { action: 'patient.update', entityType: 'patient', entityId: id, before, after: { name, email, phone } });
         
         res.json({
             success: true,
@@ -1230,7 +7786,7 @@ app.put('/api/admin/patients/:id', async (req, res) => {
 });
 
 // Create new patient
-app.post('/api/admin/patients', async (req, res) => {
+app.post('/api/admin/patients', requireRole('admin', 'front_desk'), async (req, res) => {
     const { name, email, phone } = req.body;
     
     if (!name || !email) {
@@ -1248,6 +7804,7 @@ app.post('/api/admin/patients', async (req, res) => {
         `;
         
         const result = await pool.query(query, [name, email, phone]);
+        await recordAudit(req, { action: 'patient.create', entityType: 'patient', entityId: result.rows[0].id, after: result.rows[0] });
         
         res.json({
             success: true,
@@ -1291,15 +7848,17 @@ function decryptNote(encryptedText) {
 // =========================
 
 // Create new appointment
-app.post('/api/admin/appointments', async (req, res) => {
+app.post('/api/admin/appointments', requireRole('admin', 'front_desk'), async (req, res) => {
     const { 
         patient_id, 
         doctor_id, 
         appointment_date, 
         appointment_time, 
-        appointment_type_id = 1,
+        appointment_type_id = DEFAULT_APPOINTMENT_TYPE_ID,
         reason_for_visit,
-        notes 
+        notes,
+        recurrence,
+        skip_conflicts = false
     } = req.body;
     
     if (!patient_id || !doctor_id || !appointment_date || !appointment_time) {
@@ -1310,37 +7869,98 @@ app.post('/api/admin/appointments', async (req, res) => {
     }
     
     try {
-        // Check if time slot is available
-        const availability = await checkTimeSlotAvailability(doctor_id, appointment_date, appointment_time);
-        if (!availability.available) {
-            return res.status(400).json({
-                success: false,
-                message: 'That time slot is not available'
-            });
+        const type = await getAppointmentType(Number(appointment_type_id));
+        if (type && !type.is_active) {
+            return res.status(400).json({ success: false, message: `${type.name} appointments are no longer offered` });
         }
         
         // Encrypt notes if provided
         const encryptedNotes = notes ? encryptNote(notes) : null;
         
-        const query = `
-            INSERT INTO appointments (
-                user_id, doctor_id, appointment_type_id, 
-                appointment_date, appointment_time, reason_for_visit, 
-                notes, status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'scheduled') 
-            RETURNING *
-        `;
+        // Recurring: { interval_weeks, count | end_date } books the whole series or reports every conflicting date
+        if (recurrence) {
+            const plan = { intervalWeeks: recurrence.interval_weeks, count: recurrence.count, endDate: recurrence.end_date };
+            const expanded = expandRecurrence(appointment_date, plan);
+            if (expanded.error) {
+                return res.status(400).json({ success: false, message: expanded.error });
+            }
+            
+            const series = await bookAppointmentSeries({
+                userId: patient_id,
+                doctorId: doctor_id,
+                appointmentTypeId: appointment_type_id,
+                appointmentTime: appointment_time,
+                dates: expanded.dates,
+                recurrence: plan,
+                reasonForVisit: reason_for_visit,
+                notes: encryptedNotes,
+                idempotencyKey: getIdempotencyKey(req),
+                skipConflicts: skip_conflicts
+            });
+            
+            if (series.idempotencyMismatch) {
+                return res.status(409).json({ success: false, message: IDEMPOTENCY_MISMATCH_MESSAGE });
+            }
+            if (!series.booked) {
+                const conflicting = series.occurrences.filter(o => !o.available);
+                return res.status(400).json({
+                    success: false,
+                    message: conflicting.length > 0
+                        ? `${conflicting.length} of ${expanded.dates.length} dates are not available`
+                        : 'That series is not available: it overlaps another appointment',
+                    occurrences: series.occurrences
+                });
+            }
+            
+            if (!series.replayed) {
+                queueAppointmentNotifications(series.appointment.id, 'confirmation');
+                await recordAudit(req, {
+                    action: 'appointment.create_series', entityType: 'appointment_series', entityId: series.series.id,
+                    details: { patientId: patient_id, appointmentIds: series.appointments.map(a => a.id), skipped: series.skipped }
+                });
+            }
+            
+            return res.json({
+                success: true,
+                message: series.replayed
+                    ? 'Appointment series already created'
+                    : `Booked ${series.appointments.length} appointments${series.skipped.length ? `, skipped ${series.skipped.length} unavailable date(s)` : ''}`,
+                data: { series: series.series, appointments: series.appointments, skipped: series.skipped }
+            });
+        }
         
-        const result = await pool.query(query, [
-            patient_id, doctor_id, appointment_type_id, 
-            appointment_date, appointment_time, reason_for_visit,
-            encryptedNotes
-        ]);
+        // Availability is checked inside the booking transaction
+        const booking = await bookAppointment({
+            userId: patient_id,
+            doctorId: doctor_id,
+            appointmentTypeId: appointment_type_id,
+            appointmentDate: appointment_date,
+            appointmentTime: appointment_time,
+            reasonForVisit: reason_for_visit,
+            notes: encryptedNotes,
+            idempotencyKey: getIdempotencyKey(req)
+        });
+        
+        if (booking.idempotencyMismatch) {
+            return res.status(409).json({ success: false, message: IDEMPOTENCY_MISMATCH_MESSAGE });
+        }
+        if (!booking.booked) {
+            return res.status(400).json({
+                success: false,
+                message: describeSlotConflicts(booking.conflicts),
+                conflicts: booking.conflicts
+            });
+        }
+        
+        if (!booking.replayed) {
+            queueAppointmentNotifications(booking.appointment.id, 'confirmation');
+            await recordAudit(req, { action: 'appointment.create', entityType: 'appointment', entityId: booking.appointment.id, after: booking.appointment });
+        }
         
         res.json({
             success: true,
-            message: 'Appointment created successfully',
-            data: result.rows[0]
+            message: booking.replayed ? 'Appointment already created' : 'Appointment created successfully',
+            data: booking.appointment
         });
     } catch (error) {
         console.error('Error creating appointment:', error);
@@ -1348,8 +7968,90 @@ app.post('/api/admin/appointments', async (req, res) => {
     }
 });
 
+// "This and all following" for appointments in a series
+app.post('/api/admin/appointments/:id/series/cancel', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+    const scope = req.body.scope === 'this' ? 'this' : 'following';
+    
+    try {
+        const rows = await getSeriesAppointments(id, scope);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'No active appointments to cancel' });
+        }
+        
+        const result = await pool.query(`
+            UPDATE appointments
+            SET status = 'cancelled', ics_sequence = ics_sequence + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1::int[])
+            RETURNING *
+        `, [rows.map(row => row.id)]);
+        
+        for (const row of rows) {
+            offerFreedSlots(row.doctor_id, row.appointment_date);
+            queueAppointmentNotifications(row.id, 'cancellation');
+        }
+        await recordAudit(req, {
+            action: 'appointment.cancel_series', entityType: 'appointment', entityId: id,
+            details: { scope, appointmentIds: result.rows.map(row => row.id) }
+        });
+        
+        res.json({
+            success: true,
+            message: `Cancelled ${result.rows.length} appointment(s)`,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error cancelling series:', error);
+        res.status(500).json({ success: false, message: 'Error cancelling appointments' });
+    }
+});
+
+// Moves this and all following appointments by { days } and/or to a new { time }
+app.post('/api/admin/appointments/:id/series/shift', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+    const days = parseInt(req.body.days) || 0;
+    const time = req.body.time ? String(req.body.time) : null;
+    const scope = req.body.scope === 'this' ? 'this' : 'following';
+    
+    if (time && !isISOTime(time)) {
+        return res.status(400).json({ success: false, message: 'Time must be HH:MM' });
+    }
+    if (!days && !time) {
+        return res.status(400).json({ success: false, message: 'Give a number of days and/or a new time' });
+    }
+    
+    try {
+        const result = await shiftSeriesAppointments({ appointmentId: id, scope, days, time: time && time.length === 5 ? `${time}:00` : time });
+        
+        if (!result.shifted) {
+            const conflicting = result.occurrences.filter(o => !o.available);
+            return res.status(400).json({
+                success: false,
+                message: conflicting.length > 0
+                    ? `Not moved: ${conflicting.map(o => o.date).join(', ')} ${conflicting.length === 1 ? 'is' : 'are'} not available`
+                    : 'No active appointments to move',
+                occurrences: result.occurrences
+            });
+        }
+        
+        await recordAudit(req, {
+            action: 'appointment.shift_series', entityType: 'appointment', entityId: id,
+            details: { scope, days, time, appointmentIds: result.appointments.map(a => a.id) }
+        });
+        
+        res.json({
+            success: true,
+            message: `Moved ${result.appointments.length} appointment(s)`,
+            data: result.appointments
+        });
+    } catch (error) {
+        console.error('Error shifting series:', error);
+        res.status(500).json({ success: false, message: 'Error moving appointments' });
+    }
+});
+
 // Update appointment
-app.put('/api/admin/appointments/:id', async (req, res) => {
+app.put('/api/admin/appointments/:id', requireRole('admin', 'front_desk'), async (req, res) => {
     const { id } = req.params;
     const { 
         patient_id, 
@@ -1363,13 +8065,26 @@ app.put('/api/admin/appointments/:id', async (req, res) => {
     } = req.body;
     
     try {
-        // If changing time/doctor, check availability
+        // Remember where it was, so the old time can go to the waitlist
+        const previous = await pool.query(
+            'SELECT doctor_id, appointment_type_id, appointment_date::text AS appointment_date, appointment_time, status FROM appointments WHERE id = $1',
+            [id]
+        );
+        if (previous.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+        
+        // If changing time/doctor, check availability for the visit's own type unless it is changing too
         if (doctor_id && appointment_date && appointment_time) {
-            const availability = await checkTimeSlotAvailability(doctor_id, appointment_date, appointment_time, id);
+            const availability = await checkTimeSlotAvailability(doctor_id, appointment_date, appointment_time, {
+                excludeAppointmentId: id,
+                appointmentTypeId: appointment_type_id || previous.rows[0].appointment_type_id
+            });
             if (!availability.available) {
                 return res.status(400).json({
                     success: false,
-                    message: 'That time slot is not available'
+                    message: describeSlotConflicts(availability.conflicts),
+                    conflicts: availability.conflicts
                 });
             }
         }
@@ -1377,11 +8092,16 @@ app.put('/api/admin/appointments/:id', async (req, res) => {
         // Encrypt notes if provided
         const encryptedNotes = notes ? encryptNote(notes) : null;
         
+        const snapshot = await auditSnapshot('appointments', id);
+        
         const query = `
             UPDATE appointments 
-            SET user_id = $1, doctor_id = $2, appointment_type_id = $3,
+            SET user_id = $1, doctor_id = $2, appointment_type_id = COALESCE($3, appointment_type_id),
                 appointment_date = $4, appointment_time = $5, reason_for_visit = $6,
-                notes = $7, status = $8
+                notes = $7, status = $8::text, updated_at = CURRENT_TIMESTAMP,
+                ics_sequence = ics_sequence + CASE
+                    WHEN appointment_date IS DISTINCT FROM $4::date OR appointment_time IS DISTINCT FROM $5::time
+                      OR doctor_id IS DISTINCT FROM $2::int OR status::text IS DISTINCT FROM $8::text THEN 1 ELSE 0 END
             WHERE id = $9
             RETURNING *
         `;
@@ -1396,31 +8116,53 @@ app.put('/api/admin/appointments/:id', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Appointment not found' });
         }
         
+        const before = previous.rows[0];
+        // Changing to a video visit type needs a meeting link before the patient hears about it
+        const active = ['scheduled', 'confirmed'].includes(result.rows[0].status);
+        const after = active ? await ensureMeetingLink(result.rows[0]) : result.rows[0];
+        offerFreedSlots(before.doctor_id, before.appointment_date);
+        
+        // Tell the patient when the visit was cancelled, moved or became a different kind of visit
+        if (after.status === 'cancelled' && before.status !== 'cancelled') {
+            queueAppointmentNotifications(after.id, 'cancellation');
+        } else if (toLocalDateString(after.appointment_date) !== before.appointment_date || after.appointment_time !== before.appointment_time) {
+            queueAppointmentNotifications(after.id, 'reschedule', { date: before.appointment_date, time: before.appointment_time });
+        } else if (after.appointment_type_id !== before.appointment_type_id && active) {
+            await sendUpdatedConfirmation(after.id);
+        }
+        await recordAudit(req, { action: 'appointment.update', entityType: 'appointment', entityId: id, before: snapshot, after });
+        
         res.json({
             success: true,
             message: 'Appointment updated successfully',
-            data: result.rows[0]
+            data: after
         });
     } catch (error) {
         console.error('Error updating appointment:', error);
-        res.status(500).json({ success: false, message: 'Error updating appointment' });
+        if (error.code === '23P01') { // Exclusion constraint: overlaps another appointment
+            res.status(400).json({ success: false, message: 'That time slot is not available: it overlaps another appointment' });
+        } else {
+            res.status(500).json({ success: false, message: 'Error updating appointment' });
+        }
     }
 });
 
 // Get appointment details with decrypted notes
-app.get('/api/admin/appointments/:id', async (req, res) => {
+app.get('/api/admin/appointments/:id', requireRole('admin', 'front_desk', 'physician'), auditAccess('appointment.read', 'appointment'), async (req, res) => {
     const { id } = req.params;
     
     try {
         const query = `
-            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email, u.phone
+            SELECT a.*, d.name as doctor_name, d.specialty, u.name as patient_name, u.email, u.phone,
+                   t.name as appointment_type, COALESCE(t.is_virtual, false) as is_virtual
             FROM appointments a
             JOIN doctors d ON a.doctor_id = d.id
             JOIN users u ON a.user_id = u.id
-            WHERE a.id = $1
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE a.id = $1 AND ($2::int IS NULL OR a.doctor_id = $2)
         `;
         
-        const result = await pool.query(query, [id]);
+        const result = await pool.query(query, [id, scopedDoctorId(req)]);
         
         if (result.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Appointment not found' });
@@ -1443,8 +8185,56 @@ app.get('/api/admin/appointments/:id', async (req, res) => {
     }
 });
 
-// Update checkTimeSlotAvailability to exclude current appointment when editing
-async function checkTimeSlotAvailability(doctorId, date, time, excludeAppointmentId = null) {
+// Creates the meeting link a video visit is missing, or replaces one that leaked or stopped working,
+// and sends the patient an updated confirmation with it
+app.post('/api/admin/appointments/:id/meeting-link', requireRole('admin', 'front_desk'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await pool.query(`
+            SELECT a.*, COALESCE(t.is_virtual, false) AS is_virtual
+            FROM appointments a
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+            WHERE a.id = $1
+        `, [id]);
+        const appointment = result.rows[0];
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+        if (!appointment.is_virtual) {
+            return res.status(400).json({ success: false, message: 'This appointment is not a video visit' });
+        }
+        if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+            return res.status(400).json({ success: false, message: `A ${appointment.status} appointment doesn't need a meeting link` });
+        }
+
+        const updated = await ensureMeetingLink(appointment, { replace: true });
+        if (updated.meeting_url === appointment.meeting_url) {
+            return res.status(502).json({ success: false, message: 'The video service could not create a meeting link. Please try again.' });
+        }
+        await sendUpdatedConfirmation(updated.id);
+        await recordAudit(req, {
+            action: 'appointment.meeting_link', entityType: 'appointment', entityId: id,
+            before: { meeting_url: appointment.meeting_url, meeting_provider: appointment.meeting_provider },
+            after: { meeting_url: updated.meeting_url, meeting_provider: updated.meeting_provider }
+        });
+
+        res.json({
+            success: true,
+            message: appointment.meeting_url ? 'New meeting link sent to the patient' : 'Meeting link created and sent to the patient',
+            data: { meeting_url: updated.meeting_url, meeting_provider: updated.meeting_provider }
+        });
+    } catch (error) {
+        console.error('Error creating meeting link:', error);
+        res.status(500).json({ success: false, message: 'Error creating meeting link' });
+    }
+});
+
+// Checks a proposed appointment against existing bookings, blocked time, clinic closures, the doctor's working hours
+// and whether the doctor offers the appointment type.
+// Every range is [start, start + duration + buffer) for the relevant appointment type.
+// excludeAppointmentId takes one id or a list (a series being moved shouldn't conflict with itself).
+async function checkTimeSlotAvailability(doctorId, date, time, { excludeAppointmentId = null, appointmentTypeId = DEFAULT_APPOINTMENT_TYPE_ID, holdSessionId = null, db = pool } = {}) {
     try {
         let dateStr = date;
         if (date instanceof Date) {
@@ -1453,47 +8243,106 @@ async function checkTimeSlotAvailability(doctorId, date, time, excludeAppointmen
             dateStr = new Date(date).toISOString().split('T')[0];
         }
         
-        let query = `
-          SELECT CASE WHEN COUNT(*) = 0 THEN true ELSE false END as available
-          FROM (
-            SELECT 1 FROM appointments
-             WHERE doctor_id = $1 AND appointment_date = $2 AND appointment_time = $3 
-             AND status IN ('scheduled', 'confirmed')
+        console.log('🗓️ Checking availability for:', doctorId, dateStr, time);
+        
+        const timing = await getAppointmentTypeTiming(appointmentTypeId, db);
+        const start = timeToMinutes(time);
+        const startTime = minutesToTime(start);
+        const visitEnd = minutesToTime(Math.min(start + timing.durationMinutes, 24 * 60 - 1));
+        const occupiedEnd = minutesToTime(Math.min(start + timing.durationMinutes + timing.bufferMinutes, 24 * 60 - 1));
+        
+        const conflictQuery = `
+          SELECT 'appointment' AS kind, a.id, a.appointment_time AS start_time,
+                 (a.appointment_time + make_interval(mins => COALESCE(t.duration_minutes, $6) + COALESCE(t.buffer_minutes, 0)))::time AS end_time
+            FROM appointments a
+            LEFT JOIN appointment_types t ON t.id = a.appointment_type_id
+           WHERE a.doctor_id = $1 AND a.appointment_date = $2
+             AND a.status IN ('scheduled', 'confirmed')
+             AND ($5::int[] IS NULL OR a.id != ALL($5::int[]))
+             AND a.appointment_time < $4::time
+             AND (a.appointment_time + make_interval(mins => COALESCE(t.duration_minutes, $6) + COALESCE(t.buffer_minutes, 0)))::time > $3::time
+          UNION ALL
+          SELECT 'blocked' AS kind, NULL AS id, b.start_time, b.end_time
+            FROM blocked_slots b
+           WHERE b.doctor_id = $1 AND b.blocked_date = $2
+             AND b.start_time < $4::time AND b.end_time > $3::time
+          UNION ALL
+          SELECT 'closure' AS kind, NULL AS id, c.start_time, c.end_time
+            FROM doctor_closures($2::date, $2::date, $1::int) c
+           WHERE c.start_time < $4::time AND c.end_time > $3::time
+          UNION ALL
+          SELECT 'hold' AS kind, NULL AS id, h.start_time, h.end_time
+            FROM slot_holds h
+           WHERE h.doctor_id = $1 AND h.hold_date = $2
+             AND h.released_at IS NULL AND h.expires_at > CURRENT_TIMESTAMP
+             AND ($7::text IS NULL OR h.session_id != $7)
+             AND h.start_time < $4::time AND h.end_time > $3::time
+          ORDER BY start_time;
         `;
+        const conflictResult = await db.query(conflictQuery, [
+            doctorId, dateStr, startTime, occupiedEnd,
+            excludeAppointmentId == null ? null : [].concat(excludeAppointmentId).map(Number),
+            DEFAULT_SLOT_DURATION_MINUTES, holdSessionId
+        ]);
+        
+        const conflicts = conflictResult.rows.map(row => ({
+            type: row.kind,
+            appointmentId: row.id,
+            startTime: row.start_time,
+            endTime: row.end_time
+        }));
         
-        let params = [doctorId, dateStr, time];
+        // The visit itself has to fit inside one of the doctor's working windows for that day
+        const hoursResult = await db.query(`
+          SELECT 1 FROM doctor_working_windows($2::date, $2::date, $1::int)
+           WHERE start_time <= $3::time AND end_time >= $4::time
+           LIMIT 1;
+        `, [doctorId, dateStr, startTime, visitEnd]);
         
-        if (excludeAppointmentId) {
-            query += ` AND id != $4`;
-            params.push(excludeAppointmentId);
+        if (hoursResult.rows.length === 0) {
+            conflicts.push({ type: 'outside_hours', appointmentId: null, startTime, endTime: visitEnd });
         }
         
-        query += `
-            UNION ALL
-            SELECT 1 FROM blocked_slots
-             WHERE doctor_id = $1 AND blocked_date = $2 AND $3::time BETWEEN start_time AND end_time
-          ) conflicts;
-        `;
+        const offeredResult = await db.query('SELECT doctor_offers_type($1::int, $2::int) AS offered', [
+            doctorId, appointmentTypeId || DEFAULT_APPOINTMENT_TYPE_ID
+        ]);
+        if (!offeredResult.rows[0].offered) {
+            conflicts.push({ type: 'not_offered', appointmentId: null, startTime, endTime: visitEnd, appointmentType: timing.name });
+        }
         
-        const result = await pool.query(query, params);
-        return { available: !!result.rows[0].available };
+        return { available: conflicts.length === 0, conflicts };
     } catch (err) {
         console.error('checkTimeSlotAvailability error:', err);
-        return { available: false };
+        return { available: false, conflicts: [] };
     }
 }
 
+// Human-readable explanation of why a slot was rejected, for admin screens
+function describeSlotConflicts(conflicts) {
+    if (!conflicts || conflicts.length === 0) return 'That time slot is not available';
+    
+    const reasons = conflicts.map(conflict => {
+        const range = `${formatTime(conflict.startTime)} - ${formatTime(conflict.endTime)}`;
+        if (conflict.type === 'appointment') return `overlaps appointment #${conflict.appointmentId} (${range})`;
+        if (conflict.type === 'blocked') return `overlaps blocked time (${range})`;
+        if (conflict.type === 'closure') return `falls during a clinic closure (${range})`;
+        if (conflict.type === 'hold') return `is being held by a patient who is completing a booking (${range})`;
+        if (conflict.type === 'not_offered') return `is with a doctor who doesn't offer ${conflict.appointmentType || 'this appointment type'}`;
+        return `falls outside the doctor's working hours (${range})`;
+    });
+    return `That time slot is not available: it ${reasons.join('; ')}`;
+}
+
 // =========================
 // REAL-WORLD CONSIDERATIONS
 // =========================
 
 /*
 SECURITY CONSIDERATIONS:
-1. Authentication middleware (JWT tokens)
-2. Role-based access control
-3. Input sanitization and validation
-4. Rate limiting for admin endpoints
-5. Audit logging for all admin actions
+1. Authentication and role-based access (implemented - see STAFF AUTHENTICATION)
+2. Input sanitization and validation
+3. Rate limiting for admin endpoints (sign-in is throttled)
+4. Audit logging for admin writes and PHI reads (implemented - see AUDIT LOG)
 
 SCALABILITY CONSIDERATIONS:
 1. Database connection pooling (already implemented)
@@ -1509,16 +8358,22 @@ PRODUCTION DEPLOYMENT:
 5. Backup and disaster recovery
 
 NEXT STEPS:
-1. Add authentication middleware
-2. Create admin frontend interface
-3. Implement audit logging
-4. Add data validation schemas
-5. Set up monitoring and health checks
+1. Add data validation schemas
+2. Set up monitoring and health checks
+3. Ship audit log exports to write-once storage
 */
 // --- Start server ---
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🏥 Medical Scheduler running at http://0.0.0.0:${PORT}`);
-    console.log('📅 Ready to schedule appointments with AI!');
-    console.log('🤖 AWS Bedrock Bearer Token integration enabled');
-    console.log(`🌐 Access externally at: http://YOUR-EC2-PUBLIC-IP:${PORT}`);
-});
\ No newline at end of file
+// Tests require this file and listen on their own port once schemaReady settles; they run the reminder
+// scheduler at a chosen time through queueDueReminders
+module.exports = { app, pool, schemaReady, queueDueReminders };
+
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🏥 Medical Scheduler running at http://0.0.0.0:${PORT}`);
+        console.log('📅 Ready to schedule appointments with AI!');
+        console.log(llmProvider
+            ? `🤖 LLM provider: ${llmProvider.name} (${llmProvider.model})`
+            : '🤖 No LLM provider configured - running in fallback-only mode');
+        console.log(`🌐 Access externally at: http://YOUR-EC2-PUBLIC-IP:${PORT}`);
+    });
+}
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/server');
+
+describe('audit log', () => {
+    let server;
+    let adminCookie;
+
+    before(async () => {
+        server = await startTestServer();
+        adminCookie = await server.signIn();
+    });
+
+    after(() => server.stop());
+
+    it('records who changed what, field by field', async () => {
+        const created = await server.request('POST', '/api/admin/patients', {
+            cookie: adminCookie,
+            body: { name: 'Casey Lin', email: 'casey@example.com', phone: '555-0100' }
+        });
+        const patientId = created.body.data.id;
+        await server.request('PUT', `/api/admin/patients/${patientId}`, {
+            cookie: adminCookie,
+            body: { name: 'Casey Morgan', email: 'casey@example.com', phone: '555-0100' }
+        });
+
+        const log = await server.request('GET', `/api/admin/audit?action=patient.&entity_id=${patientId}`, { cookie: adminCookie });
+        assert.equal(log.status, 200);
+        assert.deepEqual(log.body.data.map(entry => entry.action), ['patient.update', 'patient.create']);
+        const update = log.body.data[0];
+        assert.equal(update.actor_email, 'admin@clinic.test');
+        assert.equal(update.actor_role, 'admin');
+        assert.deepEqual(update.changes, { name: { from: 'Casey Lin', to: 'Casey Morgan' } });
+    });
+
+    it('keeps an unbroken chain that cannot be edited or deleted', async () => {
+        const response = await server.request('GET', '/api/admin/audit/verify', { cookie: adminCookie });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.valid, true);
+        assert.ok(response.body.data.checked > 0);
+        await assert.rejects(server.pool.query('DELETE FROM audit_log'), /append-only/);
+        await assert.rejects(server.pool.query(`UPDATE audit_log SET actor_email = 'someone@clinic.test'`), /append-only/);
+        await assert.rejects(server.pool.query('TRUNCATE audit_log'), /append-only/);
+    });
+
+    it('reports the entry that was changed behind its back', async () => {
+        // Only a database owner can get past the triggers; the hashes still give them away
+        const { rows } = await server.pool.query(`SELECT id FROM audit_log WHERE action = 'patient.update'`);
+        await server.pool.query('ALTER TABLE audit_log DISABLE TRIGGER audit_log_append_only');
+        await server.pool.query(`UPDATE audit_log SET actor_email = 'someone@clinic.test' WHERE id = $1`, [rows[0].id]);
+        await server.pool.query('ALTER TABLE audit_log ENABLE TRIGGER audit_log_append_only');
+
+        const response = await server.request('GET', '/api/admin/audit/verify', { cookie: adminCookie });
+        assert.equal(response.body.data.valid, false);
+        assert.equal(response.body.data.brokenAt, rows[0].id);
+    });
+});
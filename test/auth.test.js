@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow, ADMIN_EMAIL, ADMIN_PASSWORD } = require('./helpers/server');
+
+describe('staff authentication', () => {
+    let server;
+    let adminCookie;
+    let ownDoctor;
+    let otherDoctor;
+    let physicianCookie;
+    const appointmentIds = {};
+
+    before(async () => {
+        server = await startTestServer();
+        ownDoctor = await createDoctor(server.pool, { name: 'Dr. Own' });
+        otherDoctor = await createDoctor(server.pool, { name: 'Dr. Other' });
+        for (const doctor of [ownDoctor, otherDoctor]) {
+            const response = await server.request('POST', '/api/book-appointment', {
+                body: {
+                    patientName: `Patient of ${doctor.name}`,
+                    email: `patient${doctor.id}@example.com`,
+                    doctorId: doctor.id,
+                    appointmentDate: daysFromNow(3),
+                    appointmentTime: '09:00',
+                    reasonForVisit: 'Check-up'
+                }
+            });
+            appointmentIds[doctor.id] = response.body.appointment.id;
+        }
+    });
+
+    after(() => server.stop());
+
+    async function createStaff(fields) {
+        const response = await server.request('POST', '/api/admin/staff', {
+            cookie: adminCookie,
+            body: { password: 'long-enough-password', ...fields }
+        });
+        assert.equal(response.status, 201);
+        return server.signIn(fields.email, 'long-enough-password');
+    }
+
+    it('refuses admin routes without a valid session', async () => {
+        assert.equal((await server.request('GET', '/api/admin/appointments')).status, 401);
+        assert.equal((await server.request('GET', '/api/admin/appointments', { cookie: 'staff_session=not-a-real-token' })).status, 401);
+        assert.equal((await server.request('GET', '/api/auth/me')).status, 401);
+    });
+
+    it('signs the bootstrap administrator in with an HttpOnly session cookie', async () => {
+        const response = await server.request('POST', '/api/auth/login', { body: { email: ADMIN_EMAIL.toUpperCase(), password: ADMIN_PASSWORD } });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.role, 'admin');
+        const cookie = response.headers.get('set-cookie');
+        assert.match(cookie, /^staff_session=[0-9a-f]{64};/);
+        assert.match(cookie, /HttpOnly/);
+        assert.match(cookie, /SameSite=Strict/);
+
+        adminCookie = cookie.split(';')[0];
+        const me = await server.request('GET', '/api/auth/me', { cookie: adminCookie });
+        assert.equal(me.body.data.email, ADMIN_EMAIL);
+        assert.equal(me.body.data.token_hash, undefined);
+    });
+
+    it('only stores a hash of the session token', async () => {
+        const token = adminCookie.split('=')[1];
+        const stored = await server.pool.query('SELECT COUNT(*)::int AS count FROM staff_sessions WHERE token_hash = $1', [token]);
+        assert.equal(stored.rows[0].count, 0);
+    });
+
+    it('keeps front desk staff out of admin-only routes', async () => {
+        const cookie = await createStaff({ email: 'desk@clinic.test', name: 'Front Desk', role: 'front_desk' });
+
+        assert.equal((await server.request('GET', '/api/admin/appointments', { cookie })).status, 200);
+        assert.equal((await server.request('GET', '/api/admin/staff', { cookie })).status, 403);
+        assert.equal((await server.request('POST', '/api/admin/doctors', { cookie, body: { name: 'Dr. New', specialty: 'Cardiology' } })).status, 403);
+    });
+
+    it("shows physicians only their own doctor's appointments", async () => {
+        physicianCookie = await createStaff({ email: 'own@clinic.test', name: 'Dr. Own', role: 'physician', doctor_id: ownDoctor.id });
+
+        const asPhysician = await server.request('GET', `/api/admin/appointments?doctor_id=${otherDoctor.id}`, { cookie: physicianCookie });
+        assert.equal(asPhysician.status, 200);
+        assert.equal(asPhysician.body.data.length, 1);
+        assert.equal(asPhysician.body.data[0].doctor_id, ownDoctor.id);
+
+        const asAdmin = await server.request('GET', '/api/admin/appointments', { cookie: adminCookie });
+        assert.equal(asAdmin.body.data.length, 2);
+    });
+
+    it("lets physicians change the status of their own appointments but not another doctor's", async () => {
+        const own = await server.request('PUT', `/api/admin/appointments/${appointmentIds[ownDoctor.id]}/status`, {
+            cookie: physicianCookie,
+            body: { status: 'completed' }
+        });
+        assert.equal(own.status, 200);
+        assert.equal(own.body.data.status, 'completed');
+
+        const other = await server.request('PUT', `/api/admin/appointments/${appointmentIds[otherDoctor.id]}/status`, {
+            cookie: physicianCookie,
+            body: { status: 'cancelled' }
+        });
+        assert.equal(other.status, 404);
+        const stored = await server.pool.query('SELECT status FROM appointments WHERE id = $1', [appointmentIds[otherDoctor.id]]);
+        assert.equal(stored.rows[0].status, 'scheduled');
+    });
+
+    it("limits a physician's dashboard figures to their own appointments", async () => {
+        const asPhysician = await server.request('GET', '/api/admin/stats', { cookie: physicianCookie });
+        assert.equal(asPhysician.status, 200);
+        assert.equal(asPhysician.body.data.totalDoctors, 1);
+        assert.equal(asPhysician.body.data.upcomingAppointments, 0);
+        assert.deepEqual(asPhysician.body.data.appointmentsByStatus.map(row => row.status), ['completed']);
+        assert.deepEqual(asPhysician.body.data.topDoctors.map(row => row.name), ['Dr. Own']);
+
+        const asAdmin = await server.request('GET', '/api/admin/stats', { cookie: adminCookie });
+        assert.equal(asAdmin.body.data.totalDoctors, 2);
+        assert.equal(asAdmin.body.data.upcomingAppointments, 1);
+        assert.equal(asAdmin.body.data.topDoctors.length, 2);
+    });
+
+    it('ends the session on sign-out', async () => {
+        const cookie = await server.signIn();
+        assert.equal((await server.request('POST', '/api/auth/logout', { cookie })).status, 200);
+        assert.equal((await server.request('GET', '/api/admin/appointments', { cookie })).status, 401);
+    });
+
+    it('throttles sign-in after repeated wrong passwords, even once the password is right', async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const response = await server.request('POST', '/api/auth/login', { body: { email: ADMIN_EMAIL, password: 'wrong-password' } });
+            assert.equal(response.status, 401);
+        }
+
+        const response = await server.request('POST', '/api/auth/login', { body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
+        assert.equal(response.status, 429);
+    });
+});
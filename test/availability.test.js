@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('working hours versions', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let patientCount = 0;
+    // Days from today to the next Sunday, where the rotation starts
+    const rotationStart = 7 - new Date().getDay();
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool, { name: 'Dr. Priya Patel' });
+        adminCookie = await server.signIn();
+
+        // Weekdays 09:00 - 17:00, but Fridays only every other week
+        const weekdays = week => [1, 2, 3, 4, 5]
+            .filter(day => day !== 5 || week === 0)
+            .map(day => ({ rotation_week: week, day_of_week: day, start_time: '09:00', end_time: '17:00' }));
+        const response = await server.request('POST', `/api/admin/doctors/${doctor.id}/availability-templates`, {
+            cookie: adminCookie,
+            body: { name: 'Alternate Fridays', effective_from: daysFromNow(rotationStart), rotation_weeks: 2, windows: [...weekdays(0), ...weekdays(1)] }
+        });
+        assert.equal(response.status, 201);
+    });
+
+    after(() => server.stop());
+
+    async function canBook(date, time = '10:00') {
+        patientCount++;
+        const response = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: `Patient ${patientCount}`, email: `patient${patientCount}@example.com`, doctorId: doctor.id,
+                appointmentTypeId: 1, appointmentDate: date, appointmentTime: time, reasonForVisit: 'Check-up'
+            }
+        });
+        return response.body.success;
+    }
+
+    it('works alternate Fridays once the rotation starts', async () => {
+        assert.equal(await canBook(daysFromNow(rotationStart + 5)), true);
+        assert.equal(await canBook(daysFromNow(rotationStart + 12)), false);
+        assert.equal(await canBook(daysFromNow(rotationStart + 19)), true);
+        assert.equal(await canBook(daysFromNow(rotationStart + 8)), true);
+    });
+
+    it('keeps the old hours until the new version takes effect', async () => {
+        // The standard hours run 08:00 - 17:00 every day; the new version starts at 09:00 and skips weekends
+        assert.equal(await canBook(daysFromNow(rotationStart - 1), '08:00'), rotationStart > 1);
+        assert.equal(await canBook(daysFromNow(rotationStart + 1), '08:00'), false);
+        assert.equal(await canBook(daysFromNow(rotationStart + 6)), false);
+    });
+
+    it('lists the current and future versions for the admin', async () => {
+        const response = await server.request('GET', `/api/admin/doctors/${doctor.id}/availability`, { cookie: adminCookie });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(template => [template.name, template.status]), [
+            ['Alternate Fridays', 'future'],
+            ['Standard hours', 'current']
+        ]);
+        const rotation = response.body.data[0];
+        assert.equal(rotation.rotation_weeks, 2);
+        assert.deepEqual(rotation.windows.filter(window => window.day_of_week === 5).map(window => window.rotation_week), [0]);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('booking', () => {
+    let server;
+    let doctor;
+    let patientCount = 0;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool, { name: 'Dr. Ada Grey' });
+    });
+
+    after(() => server.stop());
+
+    function book(fields, headers = {}) {
+        patientCount++;
+        return server.request('POST', '/api/book-appointment', {
+            headers,
+            body: {
+                patientName: `Patient ${patientCount}`,
+                email: `patient${patientCount}@example.com`,
+                phone: '555-0100',
+                doctorId: doctor.id,
+                appointmentTypeId: 1,
+                reasonForVisit: 'Check-up',
+                ...fields
+            }
+        });
+    }
+
+    it('books an open slot and stores the time range it occupies', async () => {
+        const date = daysFromNow(7);
+        const response = await book({ appointmentDate: date, appointmentTime: '09:00' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.ok(response.body.appointment.confirmation_number);
+
+        const stored = await server.pool.query('SELECT status, slot_range::text AS slot_range FROM appointments WHERE id = $1', [response.body.appointment.id]);
+        assert.equal(stored.rows[0].status, 'scheduled');
+        assert.equal(stored.rows[0].slot_range, `["${date} 09:00:00","${date} 09:30:00")`);
+    });
+
+    it('rejects missing fields', async () => {
+        const response = await book({ appointmentDate: daysFromNow(7), appointmentTime: null });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.success, false);
+    });
+
+    it('frees the slot when an appointment is cancelled', async () => {
+        const date = daysFromNow(13);
+        const first = await book({ appointmentDate: date, appointmentTime: '09:00' });
+        await server.pool.query(`UPDATE appointments SET status = 'cancelled' WHERE id = $1`, [first.body.appointment.id]);
+
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '09:00' })).body.success, true);
+    });
+
+    it('returns the original appointment when a request is retried with the same idempotency key', async () => {
+        const date = daysFromNow(14);
+        const headers = { 'Idempotency-Key': 'retry-test-1' };
+        const body = { patientName: 'Robin Retry', email: 'robin@example.com', appointmentDate: date, appointmentTime: '10:00' };
+        const first = await book(body, headers);
+        const retry = await book(body, headers);
+
+        assert.equal(first.body.success, true);
+        assert.equal(first.body.replayed, false);
+        assert.equal(retry.body.success, true);
+        assert.equal(retry.body.replayed, true);
+        assert.equal(retry.body.appointment.id, first.body.appointment.id);
+
+        const count = await server.pool.query('SELECT COUNT(*)::int AS count FROM appointments WHERE idempotency_key = $1', ['retry-test-1']);
+        assert.equal(count.rows[0].count, 1);
+    });
+
+    it("refuses a reused idempotency key from another patient without revealing the first booking", async () => {
+        const headers = { 'Idempotency-Key': 'shared-key' };
+        const first = await book({ patientName: 'Alex Owner', email: 'alex@example.com', appointmentDate: daysFromNow(15), appointmentTime: '11:00' }, headers);
+        const other = await book({ patientName: 'Sam Other', email: 'sam@example.com', appointmentDate: daysFromNow(15), appointmentTime: '11:00' }, headers);
+
+        assert.equal(first.body.success, true);
+        assert.equal(other.status, 409);
+        assert.equal(other.body.success, false);
+        assert.equal(other.body.appointment, undefined);
+        assert.ok(!other.text.includes(first.body.appointment.confirmation_number));
+    });
+
+    it('refuses a reused idempotency key with a different time', async () => {
+        const headers = { 'Idempotency-Key': 'moved-key' };
+        const body = { patientName: 'Jo Mover', email: 'jo@example.com', appointmentDate: daysFromNow(16), appointmentTime: '09:00' };
+        assert.equal((await book(body, headers)).body.success, true);
+
+        const changed = await book({ ...body, appointmentTime: '10:00' }, headers);
+        assert.equal(changed.status, 409);
+        const count = await server.pool.query('SELECT COUNT(*)::int AS count FROM appointments WHERE idempotency_key = $1', ['moved-key']);
+        assert.equal(count.rows[0].count, 1);
+    });
+
+    it('books exactly one of several simultaneous requests for the same slot', async () => {
+        const date = daysFromNow(17);
+        const responses = await Promise.all([1, 2, 3, 4, 5].map(() => book({ appointmentDate: date, appointmentTime: '15:30' })));
+
+        assert.equal(responses.filter(response => response.body.success).length, 1);
+        for (const response of responses.filter(response => !response.body.success)) {
+            assert.equal(response.status, 200);
+            assert.equal(response.body.message, 'Sorry, that time slot is no longer available.');
+        }
+        const count = await server.pool.query(
+            `SELECT COUNT(*)::int AS count FROM appointments WHERE doctor_id = $1 AND appointment_date = $2 AND status = 'scheduled'`,
+            [doctor.id, date]
+        );
+        assert.equal(count.rows[0].count, 1);
+    });
+
+    it('refuses overlapping rows at the database level', async () => {
+        const date = daysFromNow(18);
+        const booked = await book({ appointmentDate: date, appointmentTime: '12:00' });
+        const { rows } = await server.pool.query('SELECT user_id FROM appointments WHERE id = $1', [booked.body.appointment.id]);
+
+        await assert.rejects(
+            server.pool.query(
+                `INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, status)
+                 VALUES ($1, $2, 1, $3, '12:10', 'confirmed')`,
+                [rows[0].user_id, doctor.id, date]
+            ),
+            { code: '23P01' }
+        );
+    });
+});
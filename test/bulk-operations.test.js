@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('bulk changes', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let appointmentIds;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool, { name: 'Dr. Priya Patel' });
+        adminCookie = await server.signIn();
+
+        const patient = await server.pool.query(`INSERT INTO users (name, email, phone) VALUES ('Casey Lin', 'casey@example.com', '555-0100') RETURNING id`);
+        const { rows } = await server.pool.query(`
+            INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, status)
+            VALUES ($1, $2, 1, $3, '09:00', 'Follow-up', 'scheduled'), ($1, $2, 1, $4, '14:00', 'Follow-up', 'confirmed')
+            RETURNING id
+        `, [patient.rows[0].id, doctor.id, daysFromNow(3), daysFromNow(4)]);
+        appointmentIds = rows.map(row => row.id);
+    });
+
+    after(() => server.stop());
+
+    async function appointments() {
+        const { rows } = await server.pool.query(
+            'SELECT id, appointment_date::text AS appointment_date, appointment_time, status FROM appointments WHERE id = ANY($1) ORDER BY id',
+            [appointmentIds]
+        );
+        return rows;
+    }
+
+    // Messages are queued in the background; waits until every one of them is there
+    async function cancellationMessages(count) {
+        let rows = [];
+        for (let attempt = 0; attempt < 100 && rows.length < count; attempt++) {
+            await sleep(50);
+            ({ rows } = await server.pool.query(
+                `SELECT status FROM notification_outbox WHERE kind = 'cancellation' AND appointment_id = ANY($1)`,
+                [appointmentIds]
+            ));
+        }
+        return rows.map(row => row.status);
+    }
+
+    it('puts the appointments back and withdraws the messages on undo', async () => {
+        const original = await appointments();
+        const applied = await server.request('POST', `/api/admin/doctors/${doctor.id}/bulk-operations`, {
+            cookie: adminCookie,
+            body: { date_from: daysFromNow(3), date_to: daysFromNow(4), action: 'cancel', reason: 'Conference' }
+        });
+        assert.equal(applied.status, 201);
+        assert.equal(applied.body.data.cancelled, 2);
+        assert.equal(applied.body.data.can_undo, true);
+        assert.deepEqual((await appointments()).map(appt => appt.status), ['cancelled', 'cancelled']);
+
+        // Held back until the undo window closes
+        assert.deepEqual(await cancellationMessages(4), ['pending', 'pending', 'pending', 'pending']);
+
+        const undone = await server.request('POST', `/api/admin/bulk-operations/${applied.body.data.id}/undo`, { cookie: adminCookie });
+        assert.equal(undone.status, 200);
+        assert.deepEqual(undone.body.data.restored.sort(), [...appointmentIds].sort());
+        assert.deepEqual(await appointments(), original);
+        assert.deepEqual(await cancellationMessages(4), ['cancelled', 'cancelled', 'cancelled', 'cancelled']);
+        const blocks = await server.pool.query('SELECT id FROM blocked_slots WHERE doctor_id = $1', [doctor.id]);
+        assert.equal(blocks.rows.length, 0);
+    });
+
+    it('undoes a change only once', async () => {
+        const list = await server.request('GET', `/api/admin/bulk-operations?doctor_id=${doctor.id}`, { cookie: adminCookie });
+        const operation = list.body.data[0];
+        assert.equal(operation.can_undo, false);
+
+        const again = await server.request('POST', `/api/admin/bulk-operations/${operation.id}/undo`, { cookie: adminCookie });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.message, 'This change was already undone');
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('doctor calendar feeds', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let otherDoctor;
+    let blockId;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool, { name: 'Ada Grey' });
+        otherDoctor = await createDoctor(server.pool, { name: 'Ben Hart' });
+        adminCookie = await server.signIn();
+
+        const patient = await server.pool.query(`INSERT INTO users (name, email) VALUES ('Casey Morgan Lin', 'casey@example.com') RETURNING id`);
+        await server.pool.query(`
+            INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, status)
+            VALUES ($1, $2, 1, $4, '09:00', 'Chest pain', 'scheduled'), ($1, $3, 1, $4, '11:00', 'Rash', 'scheduled')
+        `, [patient.rows[0].id, doctor.id, otherDoctor.id, daysFromNow(3)]);
+        const block = await server.pool.query(
+            `INSERT INTO blocked_slots (doctor_id, blocked_date, start_time, end_time, reason) VALUES ($1, $2, '13:00', '14:00', 'Staff meeting') RETURNING id`,
+            [doctor.id, daysFromNow(4)]
+        );
+        blockId = block.rows[0].id;
+    });
+
+    after(() => server.stop());
+
+    function issueFeed(doctorId, body = {}) {
+        return server.request('POST', `/api/admin/doctors/${doctorId}/calendar-feeds`, { cookie: adminCookie, body });
+    }
+
+    it("lists the doctor's appointments and blocked time with initials only", async () => {
+        const issued = await issueFeed(doctor.id, { label: 'Phone' });
+        assert.equal(issued.status, 201);
+        assert.match(issued.body.data.url, /\/api\/calendar\/feeds\/[0-9a-f]{48}\.ics$/);
+
+        const feed = await server.request('GET', new URL(issued.body.data.url).pathname);
+        assert.equal(feed.status, 200);
+        assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+        assert.match(feed.text, /^SUMMARY:C\.L\. - Standard Visit\r$/m);
+        assert.match(feed.text, new RegExp(`^UID:blocked-${blockId}@healthcare.com\\r$`, 'm'));
+        assert.ok(!feed.text.includes('Casey'));
+        assert.ok(!feed.text.includes('casey@example.com'));
+        assert.ok(!feed.text.includes('Chest pain'));
+        // Only this doctor's own appointments
+        assert.equal(feed.text.match(/^BEGIN:VEVENT/gm).length, 2);
+    });
+
+    it('needs an admin to issue a feed', async () => {
+        const response = await server.request('POST', `/api/admin/doctors/${doctor.id}/calendar-feeds`, { body: {} });
+        assert.equal(response.status, 401);
+    });
+
+    it('does not serve a token that was never issued', async () => {
+        const response = await server.request('GET', `/api/calendar/feeds/${'0'.repeat(48)}.ics`);
+        assert.equal(response.status, 404);
+    });
+
+    it('stops serving a feed once its token is revoked', async () => {
+        const issued = await issueFeed(doctor.id);
+        const path = new URL(issued.body.data.url).pathname;
+        assert.equal((await server.request('GET', path)).status, 200);
+
+        const revoked = await server.request('DELETE', `/api/admin/calendar-feeds/${issued.body.data.id}`, { cookie: adminCookie });
+        assert.equal(revoked.status, 200);
+
+        assert.equal((await server.request('GET', path)).status, 404);
+        const feeds = await server.request('GET', `/api/admin/doctors/${doctor.id}/calendar-feeds`, { cookie: adminCookie });
+        assert.ok(!feeds.body.data.some(feed => feed.id === issued.body.data.id));
+        assert.equal((await server.request('DELETE', `/api/admin/calendar-feeds/${issued.body.data.id}`, { cookie: adminCookie })).status, 404);
+    });
+
+    it('covers every doctor at the office in a location feed', async () => {
+        const issued = await issueFeed(doctor.id, { scope: 'location' });
+        const feed = await server.request('GET', new URL(issued.body.data.url).pathname);
+
+        assert.match(feed.text, /^SUMMARY:C\.L\. - Standard Visit \(Dr\. Ada Grey\)\r$/m);
+        assert.match(feed.text, /^SUMMARY:C\.L\. - Standard Visit \(Dr\. Ben Hart\)\r$/m);
+    });
+});
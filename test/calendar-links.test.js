@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+const TOKEN = '0123456789abcdef0123456789abcdef';
+
+// The chat model offers calendar buttons, some of them pointing at calendar files by id
+const STUB_SCRIPT = [
+    {
+        match: 'calendar',
+        reply: {
+            content: 'Here are your calendar files.',
+            actions: [
+                { type: 'download_calendar', text: 'Add to Calendar', data: `/api/calendar/${TOKEN}` },
+                { type: 'download_calendar', text: 'Add the series', data: `/api/calendar/series/${TOKEN}` },
+                { type: 'download_calendar', text: 'By id', data: '/api/calendar/12' },
+                { type: 'download_calendar', text: 'Series by id', data: '/api/calendar/series/12' },
+                { type: 'download_calendar', text: 'Elsewhere', data: `https://example.com/api/calendar/${TOKEN}` }
+            ]
+        }
+    }
+];
+
+describe('calendar links', () => {
+    let server;
+    let stubScript;
+
+    before(async () => {
+        stubScript = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-links-test-')), 'stub.json');
+        fs.writeFileSync(stubScript, JSON.stringify(STUB_SCRIPT));
+        server = await startTestServer({ LLM_STUB_SCRIPT: stubScript });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(path.dirname(stubScript), { recursive: true, force: true });
+    });
+
+    it('keeps only calendar buttons that point at a calendar token', async () => {
+        const chat = await server.request('POST', '/api/chat', { body: { message: 'Add it to my calendar' } });
+
+        assert.equal(chat.status, 200);
+        assert.deepEqual(
+            chat.body.response.actions.map(action => action.data),
+            [`/api/calendar/${TOKEN}`, `/api/calendar/series/${TOKEN}`]
+        );
+    });
+
+    it('does not serve calendar files by appointment id', async () => {
+        const doctor = await createDoctor(server.pool);
+        const booked = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: 'Casey Lin',
+                email: 'casey@example.com',
+                doctorId: doctor.id,
+                appointmentDate: daysFromNow(5),
+                appointmentTime: '10:00',
+                reasonForVisit: 'Follow-up'
+            }
+        });
+        const { rows } = await server.pool.query('SELECT calendar_token FROM appointments WHERE id = $1', [booked.body.appointment.id]);
+
+        assert.equal((await server.request('GET', `/api/calendar/${booked.body.appointment.id}`)).status, 404);
+        assert.equal((await server.request('GET', `/api/calendar/${rows[0].calendar_token}`)).status, 200);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor } = require('./helpers/server');
+
+// Undoes line folding: a CRLF followed by a space continues the previous line
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '');
+}
+
+describe('calendar files', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+
+    before(async () => {
+        server = await startTestServer({ CLINIC_TIMEZONE: 'America/New_York' });
+        await server.pool.query(`
+            INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes, preparation_instructions)
+            VALUES (1, 'Extended Visit', 45, 15, $1)
+        `, ['Bring your medication list; arrive 15 minutes early, and fast for 8 hours — no café au lait. '.repeat(3)]);
+        doctor = await createDoctor(server.pool, { name: 'Ada Grey' });
+        adminCookie = await server.signIn();
+    });
+
+    after(() => server.stop());
+
+    // A summer visit, while New York is on daylight time
+    async function createAppointment(time) {
+        const patient = await server.pool.query(`INSERT INTO users (name, email) VALUES ('Lin, Casey', 'casey@example.com') RETURNING id`);
+        const { rows } = await server.pool.query(`
+            INSERT INTO appointments (user_id, doctor_id, appointment_type_id, appointment_date, appointment_time, reason_for_visit, status)
+            VALUES ($1, $2, 1, '2040-07-10', $3, 'Follow-up', 'scheduled') RETURNING id, calendar_token
+        `, [patient.rows[0].id, doctor.id, time]);
+        return rows[0];
+    }
+
+    it('gives the visit in clinic time with its timezone and real length', async () => {
+        const appointment = await createAppointment('10:00');
+        const response = await server.request('GET', `/api/calendar/${appointment.calendar_token}`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/calendar/);
+
+        const ics = unfold(response.text);
+        assert.match(ics, /^METHOD:PUBLISH\r$/m);
+        assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:America\/New_York\r\n/);
+        assert.match(ics, /BEGIN:DAYLIGHT\r\nDTSTART:20400311T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\n/);
+        assert.match(ics, /BEGIN:STANDARD\r\nDTSTART:20401104T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\n/);
+        assert.match(ics, /^DTSTART;TZID=America\/New_York:20400710T100000\r$/m);
+        assert.match(ics, /^DTEND;TZID=America\/New_York:20400710T104500\r$/m);
+        assert.match(ics, /^SEQUENCE:0\r$/m);
+        assert.match(ics, /^ATTENDEE;CN="Lin, Casey";ROLE=REQ-PARTICIPANT:mailto:casey@example.com\r$/m);
+        assert.match(ics, /fast for 8 hours — no café au lait\. Bring your medication list\\; arrive 15 minutes early\\, and/);
+    });
+
+    it('folds long lines to at most 75 octets without splitting characters', async () => {
+        const appointment = await createAppointment('12:00');
+        const response = await server.request('GET', `/api/calendar/${appointment.calendar_token}`);
+
+        assert.ok(response.text.endsWith('\r\n'));
+        const lines = response.text.slice(0, -2).split('\r\n');
+        assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+        assert.ok(lines.some(line => line.startsWith(' ')), 'expected the description to be folded');
+        assert.ok(!response.text.includes('�'));
+        assert.ok(lines.filter(line => !line.startsWith(' ')).every(line => /^[A-Z-]+[;:]/.test(line)));
+    });
+
+    it("cancels the event in the patient's calendar when the appointment is cancelled", async () => {
+        const appointment = await createAppointment('14:00');
+        const cancelled = await server.request('PUT', `/api/admin/appointments/${appointment.id}/status`, {
+            cookie: adminCookie,
+            body: { status: 'cancelled' }
+        });
+        assert.equal(cancelled.status, 200);
+
+        const ics = unfold((await server.request('GET', `/api/calendar/${appointment.calendar_token}`)).text);
+        assert.match(ics, /^METHOD:CANCEL\r$/m);
+        assert.match(ics, /^STATUS:CANCELLED\r$/m);
+        assert.match(ics, new RegExp(`^UID:appointment-${appointment.id}@healthcare.com\\r$`, 'm'));
+        assert.match(ics, /^SEQUENCE:1\r$/m);
+    });
+});
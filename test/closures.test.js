@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('clinic closures', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let patientCount = 0;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool, { name: 'Dr. Priya Patel' });
+        adminCookie = await server.signIn();
+
+        // Closed all of today, and tomorrow from 09:00 for a staff training afternoon
+        for (const closure of [
+            { start_date: daysFromNow(0), reason: 'Inventory' },
+            { start_date: daysFromNow(1), start_time: '09:00', end_time: '17:00', reason: 'Staff training' }
+        ]) {
+            const response = await server.request('POST', '/api/admin/closures', { cookie: adminCookie, body: closure });
+            assert.equal(response.status, 201);
+        }
+    });
+
+    after(() => server.stop());
+
+    function book(date, time) {
+        patientCount++;
+        return server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: `Patient ${patientCount}`, email: `patient${patientCount}@example.com`, doctorId: doctor.id,
+                appointmentTypeId: 1, appointmentDate: date, appointmentTime: time, reasonForVisit: 'Check-up'
+            }
+        });
+    }
+
+    it('offers only the open part of a partly closed day', async () => {
+        const response = await server.request('POST', '/api/select-doctor', { body: { doctorId: doctor.id } });
+
+        assert.equal(response.status, 200);
+        const offered = response.body.response.actions.map(action => action.data.split(',').slice(1).join(' '));
+        assert.deepEqual(offered.slice(0, 3), [
+            `${daysFromNow(1)} 08:00:00`,
+            `${daysFromNow(1)} 08:30:00`,
+            `${daysFromNow(2)} 08:00:00`
+        ]);
+    });
+
+    it('refuses a booking inside the closed hours but takes one before them', async () => {
+        const closed = await book(daysFromNow(1), '12:00');
+        assert.equal(closed.body.success, false);
+
+        const open = await book(daysFromNow(1), '08:30');
+        assert.equal(open.body.success, true);
+    });
+
+    it('asks before closing over booked appointments', async () => {
+        const booked = await book(daysFromNow(3), '13:00');
+        assert.equal(booked.body.success, true);
+        const closure = { start_date: daysFromNow(3), start_time: '13:00', end_time: '14:00', reason: 'Fire drill' };
+
+        const unconfirmed = await server.request('POST', '/api/admin/closures', { cookie: adminCookie, body: closure });
+        assert.equal(unconfirmed.status, 409);
+        assert.equal(unconfirmed.body.requiresConfirmation, true);
+        assert.equal(unconfirmed.body.affected.length, 1);
+
+        const confirmed = await server.request('POST', '/api/admin/closures', { cookie: adminCookie, body: { ...closure, confirm: true } });
+        assert.equal(confirmed.status, 201);
+        const affected = await server.request('GET', `/api/admin/closures/${confirmed.body.data.id}/appointments`, { cookie: adminCookie });
+        assert.equal(affected.body.data.length, 1);
+    });
+});
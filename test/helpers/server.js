@@ -0,0 +1,234 @@
+// Runs the app against an in-memory Postgres (PGlite, served over the wire protocol), so tests go through
+// the real SQL: the migrations, the overlap exclusion constraint, advisory locks and the pg driver.
+// Each test file runs in its own process and gets a fresh database.
+const { PGlite } = require('@electric-sql/pglite');
+const { btree_gist } = require('@electric-sql/pglite/contrib/btree_gist');
+const net = require('net');
+
+const ADMIN_EMAIL = 'admin@clinic.test';
+const ADMIN_PASSWORD = 'correct-horse-battery';
+
+// server.js migrates these tables but expects them to exist already; this is the shape it relies on
+const BASE_TABLES = `
+    CREATE TABLE users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        phone VARCHAR(50),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE doctors (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        specialty VARCHAR(100) NOT NULL,
+        office_location VARCHAR(255),
+        email VARCHAR(255) UNIQUE,
+        phone VARCHAR(50),
+        is_active BOOLEAN NOT NULL DEFAULT true
+    );
+    CREATE TABLE appointments (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        doctor_id INTEGER NOT NULL REFERENCES doctors(id),
+        appointment_type_id INTEGER,
+        appointment_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        reason_for_visit TEXT,
+        notes TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        confirmation_number VARCHAR(20) NOT NULL UNIQUE DEFAULT upper(substr(md5(random()::text), 1, 8)),
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+`;
+
+const SSL_REQUEST_CODE = 80877103;
+// Messages after which the client waits for an answer
+const BATCH_END_TYPES = new Set(['S', 'Q', 'H']);
+
+// PGlite is a single session. Each client connection's messages run together up to a Sync (or simple
+// Query), and a connection that leaves a transaction open keeps the database until it commits, so the
+// pool's connections behave like separate sessions that wait on each other's locks.
+function servePGlite(db) {
+    let holder = null;
+    const waiting = [];
+    const acquire = connection => {
+        if (holder === connection) return Promise.resolve();
+        if (holder === null) {
+            holder = connection;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push({ connection, resolve }));
+    };
+    const release = connection => {
+        if (holder !== connection) return;
+        const next = waiting.shift();
+        holder = next ? next.connection : null;
+        next?.resolve();
+    };
+
+    return net.createServer(socket => {
+        const connection = {};
+        let buffer = Buffer.alloc(0);
+        let started = false;
+        let batch = [];
+        let work = Promise.resolve();
+
+        async function run(messages) {
+            await acquire(connection);
+            try {
+                const reply = await db.execProtocolRaw(Buffer.concat(messages));
+                if (!socket.destroyed) socket.write(reply);
+            } finally {
+                if (!db.isInTransaction()) release(connection);
+            }
+        }
+
+        async function drain() {
+            for (;;) {
+                if (!started) {
+                    if (buffer.length < 8) return;
+                    const length = buffer.readInt32BE(0);
+                    if (buffer.length < length) return;
+                    const message = buffer.subarray(0, length);
+                    buffer = buffer.subarray(length);
+                    if (message.readInt32BE(4) === SSL_REQUEST_CODE) {
+                        socket.write('N');
+                        continue;
+                    }
+                    started = true;
+                    await run([message]);
+                    continue;
+                }
+                if (buffer.length < 5) return;
+                const length = 1 + buffer.readInt32BE(1);
+                if (buffer.length < length) return;
+                const type = String.fromCharCode(buffer[0]);
+                if (type === 'X') {
+                    socket.end();
+                    return;
+                }
+                batch.push(buffer.subarray(0, length));
+                buffer = buffer.subarray(length);
+                if (BATCH_END_TYPES.has(type)) {
+                    const messages = batch;
+                    batch = [];
+                    await run(messages);
+                }
+            }
+        }
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            work = work.then(drain).catch(error => socket.destroy(error));
+        });
+        socket.on('close', () => {
+            // A dropped connection gives up its transaction, as a real backend would
+            work = work.then(async () => {
+                if (holder !== connection) return;
+                await db.exec('ROLLBACK').catch(() => {});
+                release(connection);
+            });
+        });
+        socket.on('error', () => {});
+    });
+}
+
+// Starts the database and the app; env adds to or overrides the test settings.
+// Returns { baseUrl, pool, request, signIn, stop }.
+async function startTestServer(env = {}) {
+    const db = await PGlite.create({ extensions: { btree_gist } });
+    await db.exec(BASE_TABLES);
+    const dbServer = servePGlite(db);
+    await new Promise(resolve => dbServer.listen(0, '127.0.0.1', resolve));
+    const dbPort = dbServer.address().port;
+
+    Object.assign(process.env, {
+        DB_HOST: '127.0.0.1',
+        DB_PORT: String(dbPort),
+        DB_USER: 'postgres',
+        DB_PASSWORD: 'postgres',
+        DB_NAME: 'postgres',
+        DB_SSL: 'false',
+        LLM_PROVIDER: 'stub',
+        EMAIL_TRANSPORT: 'console',
+        SMS_TRANSPORT: 'console',
+        ADMIN_EMAIL,
+        ADMIN_PASSWORD,
+        ...env
+    });
+    // The app logs every request it handles; on Node 20 that much stdout can garble the test runner's
+    // own messages, so only errors are kept
+    console.log = () => {};
+    console.warn = () => {};
+    const { app, pool, schemaReady } = require('../../server');
+    await schemaReady;
+
+    const httpServer = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    // JSON in, { status, body, headers } out
+    async function request(method, path, { body, cookie, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                ...(cookie ? { Cookie: cookie } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            json = null;
+        }
+        return { status: response.status, body: json, text, headers: response.headers };
+    }
+
+    // Signs in and returns the session cookie to send with later requests
+    async function signIn(email = ADMIN_EMAIL, password = ADMIN_PASSWORD) {
+        const response = await request('POST', '/api/auth/login', { body: { email, password } });
+        if (response.status !== 200) throw new Error(`Sign-in failed for ${email}: ${response.status}`);
+        return response.headers.get('set-cookie').split(';')[0];
+    }
+
+    async function stop() {
+        httpServer.closeAllConnections();
+        await new Promise(resolve => httpServer.close(resolve));
+        await pool.end();
+        await new Promise(resolve => dbServer.close(resolve));
+        await db.close();
+    }
+
+    return { baseUrl, pool, request, signIn, stop };
+}
+
+// A doctor who works every day 08:00 - 17:00, so tests can book any date
+async function createDoctor(pool, { name = 'Dr. Test', specialty = 'General Practice', email = null } = {}) {
+    const doctor = await pool.query(
+        'INSERT INTO doctors (name, specialty, office_location, email, is_active) VALUES ($1, $2, $3, $4, true) RETURNING *',
+        [name, specialty, 'Main Office', email]
+    );
+    const template = await pool.query(
+        `INSERT INTO availability_templates (doctor_id, name, effective_from) VALUES ($1, 'Standard hours', DATE '2000-01-01') RETURNING id`,
+        [doctor.rows[0].id]
+    );
+    await pool.query(`
+        INSERT INTO doctor_availability (doctor_id, day_of_week, start_time, end_time, template_id)
+        SELECT $1, day, '08:00', '17:00', $2 FROM generate_series(0, 6) AS day
+    `, [doctor.rows[0].id, template.rows[0].id]);
+    return doctor.rows[0];
+}
+
+// An ISO date the given number of days from today
+function daysFromNow(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = { startTestServer, createDoctor, daysFromNow, ADMIN_EMAIL, ADMIN_PASSWORD };
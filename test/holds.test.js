@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('slot holds', () => {
+    let server;
+    let doctor;
+    let patientCount = 0;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool);
+    });
+
+    after(() => server.stop());
+
+    async function book(fields) {
+        patientCount++;
+        const response = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: `Patient ${patientCount}`,
+                email: `patient${patientCount}@example.com`,
+                doctorId: doctor.id,
+                appointmentTypeId: 1,
+                reasonForVisit: 'Check-up',
+                ...fields
+            }
+        });
+        return response.body;
+    }
+
+    it("keeps a slot held by one chat session away from everyone else until it's released", async () => {
+        const date = daysFromNow(8);
+        const sessionId = crypto.randomUUID();
+        await server.pool.query(`
+            INSERT INTO slot_holds (id, doctor_id, hold_date, start_time, end_time, appointment_type_id, session_id, expires_at)
+            VALUES ($1, $2, $3, '09:00', '09:30', 1, $4, CURRENT_TIMESTAMP + INTERVAL '10 minutes')
+        `, [crypto.randomUUID(), doctor.id, date, sessionId]);
+
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '09:00' })).success, false);
+        assert.equal((await server.request('POST', '/api/release-hold', { body: { sessionId } })).status, 200);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '09:00' })).success, true);
+    });
+
+    it('lets the holding session book its own held slot and uses the hold up', async () => {
+        const date = daysFromNow(9);
+        const sessionId = crypto.randomUUID();
+        await server.pool.query(`
+            INSERT INTO slot_holds (id, doctor_id, hold_date, start_time, end_time, appointment_type_id, session_id, expires_at)
+            VALUES ($1, $2, $3, '09:00', '09:30', 1, $4, CURRENT_TIMESTAMP + INTERVAL '10 minutes')
+        `, [crypto.randomUUID(), doctor.id, date, sessionId]);
+
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '09:00', sessionId })).success, true);
+        const hold = await server.pool.query('SELECT release_reason FROM slot_holds WHERE session_id = $1', [sessionId]);
+        assert.equal(hold.rows[0].release_reason, 'booked');
+    });
+
+    it('ignores holds that have expired', async () => {
+        const date = daysFromNow(10);
+        await server.pool.query(`
+            INSERT INTO slot_holds (id, doctor_id, hold_date, start_time, end_time, appointment_type_id, session_id, expires_at)
+            VALUES ($1, $2, $3, '09:00', '09:30', 1, $4, CURRENT_TIMESTAMP - INTERVAL '1 minute')
+        `, [crypto.randomUUID(), doctor.id, date, crypto.randomUUID()]);
+
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '09:00' })).success, true);
+    });
+});
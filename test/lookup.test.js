@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+// The chat model asks for a lookup with details that never match
+const STUB_SCRIPT = [
+    {
+        match: 'my appointments',
+        reply: [
+            { toolUse: { name: 'lookup_my_appointments', input: { confirmation_number: 'NOPE0000', email: 'wrong@example.com' } } },
+            "Those details didn't match."
+        ]
+    }
+];
+
+describe('patient appointment lookup', () => {
+    let server;
+    let stubScript;
+    let booked;
+
+    before(async () => {
+        stubScript = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lookup-test-')), 'stub.json');
+        fs.writeFileSync(stubScript, JSON.stringify(STUB_SCRIPT));
+        server = await startTestServer({ LLM_STUB_SCRIPT: stubScript });
+
+        const doctor = await createDoctor(server.pool);
+        const response = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: 'Casey Lin',
+                email: 'casey@example.com',
+                doctorId: doctor.id,
+                appointmentDate: daysFromNow(5),
+                appointmentTime: '10:00',
+                reasonForVisit: 'Follow-up'
+            }
+        });
+        booked = response.body.appointment;
+        await server.pool.query(`UPDATE users SET date_of_birth = '1990-04-12' WHERE LOWER(email) = 'casey@example.com'`);
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(path.dirname(stubScript), { recursive: true, force: true });
+    });
+
+    function lookup(details) {
+        return server.request('POST', '/api/appointments/lookup', { body: details });
+    }
+
+    it('lists appointments once the confirmation number and email match', async () => {
+        const response = await lookup({ confirmationNumber: booked.confirmation_number, email: 'Casey@Example.com' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.response.appointments.length, 1);
+        const card = response.body.response.appointments[0];
+        assert.equal(card.confirmationNumber, booked.confirmation_number);
+        const calendar = card.actions.find(action => action.type === 'download_calendar');
+        assert.match(calendar.data, /^\/api\/calendar\/[0-9a-f]{32}$/);
+
+        const file = await server.request('GET', calendar.data);
+        assert.equal(file.status, 200);
+        assert.match(file.text, /BEGIN:VCALENDAR/);
+    });
+
+    it('accepts the date of birth instead of the email', async () => {
+        const response = await lookup({ confirmationNumber: booked.confirmation_number, dateOfBirth: '1990-04-12' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.response.appointments.length, 1);
+    });
+
+    it('gives the same answer for a wrong email and a wrong confirmation number', async () => {
+        const wrongEmail = await lookup({ confirmationNumber: booked.confirmation_number, email: 'someone@example.com' });
+        const wrongNumber = await lookup({ confirmationNumber: 'ZZZZ9999', email: 'casey@example.com' });
+
+        assert.equal(wrongEmail.status, 404);
+        assert.equal(wrongNumber.status, 404);
+        assert.equal(wrongEmail.body.message, wrongNumber.body.message);
+    });
+
+    it('locks an address out after ten failed lookups, counting ones made through the chat', async () => {
+        // Two failures so far; eight more through the chat assistant's lookup tool
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const chat = await server.request('POST', '/api/chat', { body: { message: 'Show my appointments' } });
+            assert.equal(chat.status, 200);
+        }
+
+        const response = await lookup({ confirmationNumber: booked.confirmation_number, email: 'casey@example.com' });
+        assert.equal(response.status, 429);
+        assert.equal(response.body.success, false);
+    });
+});
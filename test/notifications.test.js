@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('notification outbox', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let tempDir;
+    let outboxDir;
+
+    before(async () => {
+        // Email goes to a file in a directory that doesn't exist yet, so delivery fails until it does
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-'));
+        outboxDir = path.join(tempDir, 'outbox');
+        server = await startTestServer({
+            EMAIL_TRANSPORT: 'file',
+            NOTIFICATION_FILE: path.join(outboxDir, 'notifications.log'),
+            NOTIFICATION_MAX_ATTEMPTS: '2',
+            NOTIFICATION_POLL_SECONDS: '1'
+        });
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool);
+        adminCookie = await server.signIn();
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function book(email, date) {
+        const patient = await server.pool.query(`INSERT INTO users (name, email) VALUES ('Casey Lin', $1) RETURNING id`, [email]);
+        const response = await server.request('POST', '/api/admin/appointments', {
+            cookie: adminCookie,
+            body: {
+                patient_id: patient.rows[0].id, doctor_id: doctor.id, appointment_type_id: 1,
+                appointment_date: date, appointment_time: '10:00', reason_for_visit: 'Follow-up'
+            }
+        });
+        return response.body.data;
+    }
+
+    // Delivery happens in the background; waits until the appointment's message of this kind matches
+    async function waitForEmail(appointmentId, kind, matches) {
+        let message;
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const { rows } = await server.pool.query(`
+                SELECT id, status, attempts, last_error, transport,
+                       EXTRACT(EPOCH FROM next_attempt_at - updated_at)::int AS backoff_seconds
+                FROM notification_outbox WHERE appointment_id = $1 AND kind = $2 AND channel = 'email'
+            `, [appointmentId, kind]);
+            message = rows[0];
+            if (message && matches(message)) return message;
+            await sleep(100);
+        }
+        assert.fail(`Notification never reached the expected state: ${JSON.stringify(message)}`);
+    }
+
+    it('retries a failed delivery with backoff and marks it failed after the last attempt', async () => {
+        const appointment = await book('casey@example.com', daysFromNow(7));
+
+        const first = await waitForEmail(appointment.id, 'confirmation', message => message.attempts === 1 && message.status === 'pending');
+        assert.equal(first.transport, 'file');
+        assert.match(first.last_error, /ENOENT/);
+        assert.equal(first.backoff_seconds, 60);
+
+        // Skip the wait instead of sitting through the minute
+        await server.pool.query('UPDATE notification_outbox SET next_attempt_at = CURRENT_TIMESTAMP WHERE id = $1', [first.id]);
+        const second = await waitForEmail(appointment.id, 'confirmation', message => message.attempts === 2 && message.status !== 'sending');
+        assert.equal(second.status, 'failed');
+    });
+
+    it('delivers a failed message once an admin retries it', async () => {
+        const appointment = await book('robin@example.com', daysFromNow(8));
+        const failed = await waitForEmail(appointment.id, 'confirmation', message => message.attempts === 1 && message.status === 'pending');
+        await server.pool.query(`UPDATE notification_outbox SET status = 'failed' WHERE id = $1`, [failed.id]);
+
+        fs.mkdirSync(outboxDir, { recursive: true });
+        const retry = await server.request('POST', `/api/admin/notifications/${failed.id}/retry`, { cookie: adminCookie });
+        assert.equal(retry.status, 200);
+
+        const sent = await waitForEmail(appointment.id, 'confirmation', message => message.status === 'sent');
+        assert.equal(sent.attempts, 1);
+        assert.equal(sent.last_error, null);
+        assert.match(fs.readFileSync(path.join(outboxDir, 'notifications.log'), 'utf8'), /robin@example\.com/);
+
+        const history = await server.request('GET', `/api/admin/appointments/${appointment.id}/notifications`, { cookie: adminCookie });
+        assert.equal(history.body.data.find(message => message.id === failed.id).status, 'sent');
+    });
+
+    it('queues a cancellation when staff cancel an appointment', async () => {
+        const appointment = await book('jo@example.com', daysFromNow(9));
+
+        const response = await server.request('PUT', `/api/admin/appointments/${appointment.id}/status`, {
+            cookie: adminCookie,
+            body: { status: 'cancelled' }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.ics_sequence, 1);
+
+        await waitForEmail(appointment.id, 'cancellation', message => message.status === 'sent');
+    });
+});
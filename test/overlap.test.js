@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('overlap detection', () => {
+    let server;
+    let adminCookie;
+    let doctor;
+    let otherDoctor;
+    let patientCount = 0;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`
+            INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes)
+            VALUES (1, 'Standard Visit', 30, 0), (2, 'Procedure', 30, 15), (3, 'Long Visit', 60, 0), (4, 'Consultation', 30, 0)
+        `);
+        doctor = await createDoctor(server.pool, { name: 'Dr. Ada Grey' });
+        otherDoctor = await createDoctor(server.pool, { name: 'Dr. Ben Hart' });
+        adminCookie = await server.signIn();
+    });
+
+    after(() => server.stop());
+
+    function book(fields) {
+        patientCount++;
+        return server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: `Patient ${patientCount}`,
+                email: `patient${patientCount}@example.com`,
+                doctorId: doctor.id,
+                appointmentTypeId: 1,
+                reasonForVisit: 'Check-up',
+                ...fields
+            }
+        });
+    }
+
+    it('rejects a booking that overlaps an existing appointment and suggests alternatives', async () => {
+        const date = daysFromNow(8);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '10:00' })).body.success, true);
+
+        const response = await book({ appointmentDate: date, appointmentTime: '10:15' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, false);
+        assert.ok(response.body.alternatives.length > 0);
+
+        const count = await server.pool.query('SELECT COUNT(*)::int AS count FROM appointments WHERE doctor_id = $1 AND appointment_date = $2', [doctor.id, date]);
+        assert.equal(count.rows[0].count, 1);
+    });
+
+    it('allows back-to-back visits and the same time with another doctor', async () => {
+        const date = daysFromNow(9);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '11:00' })).body.success, true);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '11:30' })).body.success, true);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '11:00', doctorId: otherDoctor.id })).body.success, true);
+    });
+
+    it('counts the appointment type buffer as occupied time', async () => {
+        const date = daysFromNow(10);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '13:00', appointmentTypeId: 2 })).body.success, true);
+
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '13:30' })).body.success, false);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '13:45' })).body.success, true);
+    });
+
+    it("rejects times outside the doctor's working hours", async () => {
+        const response = await book({ appointmentDate: daysFromNow(11), appointmentTime: '17:00' });
+        assert.equal(response.body.success, false);
+    });
+
+    it('rejects blocked time', async () => {
+        const date = daysFromNow(12);
+        await server.pool.query(
+            `INSERT INTO blocked_slots (doctor_id, blocked_date, start_time, end_time, reason) VALUES ($1, $2, '14:00', '15:00', 'Meeting')`,
+            [doctor.id, date]
+        );
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '14:30' })).body.success, false);
+        assert.equal((await book({ appointmentDate: date, appointmentTime: '15:00' })).body.success, true);
+    });
+
+    it('refuses to move an appointment onto another one', async () => {
+        const date = daysFromNow(6);
+        await book({ appointmentDate: date, appointmentTime: '09:00' });
+        const second = await book({ appointmentDate: date, appointmentTime: '11:00' });
+        const { rows } = await server.pool.query('SELECT user_id FROM appointments WHERE id = $1', [second.body.appointment.id]);
+
+        const response = await server.request('PUT', `/api/admin/appointments/${second.body.appointment.id}`, {
+            cookie: adminCookie,
+            body: {
+                patient_id: rows[0].user_id, doctor_id: doctor.id, reason_for_visit: 'Check-up', status: 'scheduled',
+                appointment_date: date, appointment_time: '09:15'
+            }
+        });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.conflicts[0].type, 'appointment');
+    });
+
+    // Moves an appointment through the admin form without sending its type
+    async function move(appointmentId, fields) {
+        const { rows } = await server.pool.query('SELECT user_id, status FROM appointments WHERE id = $1', [appointmentId]);
+        return server.request('PUT', `/api/admin/appointments/${appointmentId}`, {
+            cookie: adminCookie,
+            body: { patient_id: rows[0].user_id, doctor_id: doctor.id, reason_for_visit: 'Check-up', status: rows[0].status, ...fields }
+        });
+    }
+
+    it("checks a move against the visit's own length when the type isn't sent", async () => {
+        const date = daysFromNow(13);
+        await book({ appointmentDate: date, appointmentTime: '10:30' });
+        const long = await book({ appointmentDate: date, appointmentTime: '14:00', appointmentTypeId: 3 });
+
+        // 10:00 - 11:00 runs into the 10:30 visit, though a standard 30 minute visit at 10:00 would fit
+        const response = await move(long.body.appointment.id, { appointment_date: date, appointment_time: '10:00' });
+        assert.equal(response.status, 400);
+
+        const moved = await move(long.body.appointment.id, { appointment_date: date, appointment_time: '11:00' });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.success, true);
+    });
+
+    it('returns 404 when moving an appointment that does not exist', async () => {
+        const response = await server.request('PUT', '/api/admin/appointments/999999', {
+            cookie: adminCookie,
+            body: { doctor_id: doctor.id, appointment_date: daysFromNow(13), appointment_time: '12:00', status: 'scheduled' }
+        });
+        assert.equal(response.status, 404);
+    });
+
+    it('refuses a longer visit type when booked visits would run into the next one', async () => {
+        const date = daysFromNow(14);
+        const consultation = await book({ appointmentDate: date, appointmentTime: '09:00', appointmentTypeId: 4 });
+        await book({ appointmentDate: date, appointmentTime: '09:30' });
+        const update = duration => server.request('PUT', '/api/admin/appointment-types/4', {
+            cookie: adminCookie,
+            body: { name: 'Consultation', duration_minutes: duration }
+        });
+
+        const longer = await update(45);
+        assert.equal(longer.status, 409);
+        assert.equal(longer.body.success, false);
+        const type = await server.pool.query('SELECT duration_minutes FROM appointment_types WHERE id = 4');
+        assert.equal(type.rows[0].duration_minutes, 30);
+
+        const shorter = await update(20);
+        assert.equal(shorter.status, 200);
+        // The booked visit now takes the shorter length too
+        const { rows } = await server.pool.query(
+            'SELECT EXTRACT(EPOCH FROM upper(slot_range) - lower(slot_range))::int / 60 AS minutes FROM appointments WHERE id = $1',
+            [consultation.body.appointment.id]
+        );
+        assert.equal(rows[0].minutes, 20);
+    });
+});
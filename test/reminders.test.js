@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+const APP_BASE_URL = 'http://clinic.test';
+const TWILIO_AUTH_TOKEN = 'test-auth-token';
+
+describe('appointment reminders', () => {
+    let server;
+    let doctor;
+    let queueDueReminders;
+
+    before(async () => {
+        server = await startTestServer({
+            CLINIC_TIMEZONE: 'America/New_York',
+            REMINDER_OFFSETS_HOURS: '48',
+            APP_BASE_URL,
+            TWILIO_AUTH_TOKEN
+        });
+        ({ queueDueReminders } = require('../server'));
+        doctor = await createDoctor(server.pool);
+    });
+
+    after(() => server.stop());
+
+    async function createAppointment({ date, time, email, phone }) {
+        const patient = await server.pool.query(`INSERT INTO users (name, email, phone) VALUES ('Casey Lin', $1, $2) RETURNING id`, [email, phone]);
+        const appointment = await server.pool.query(`
+            INSERT INTO appointments (user_id, doctor_id, appointment_date, appointment_time, reason_for_visit, status)
+            VALUES ($1, $2, $3, $4, 'Follow-up', 'scheduled') RETURNING id
+        `, [patient.rows[0].id, doctor.id, date, time]);
+        return appointment.rows[0].id;
+    }
+
+    async function reminders(appointmentId) {
+        const { rows } = await server.pool.query(
+            `SELECT channel FROM notification_outbox WHERE appointment_id = $1 AND kind = 'reminder' ORDER BY channel`,
+            [appointmentId]
+        );
+        return rows.map(row => row.channel);
+    }
+
+    it('reminds at the same clock time when the clocks change in between', async () => {
+        // New York falls back on Sunday 4 November 2040. The 48h reminder for Monday 09:00 is due on
+        // Saturday at 09:00 local time (13:00 UTC), not 48 elapsed hours earlier (Saturday 14:00 UTC).
+        const appointmentId = await createAppointment({ date: '2040-11-05', time: '09:00', email: 'casey@example.com', phone: '555-0100' });
+
+        await queueDueReminders(new Date('2040-11-03T12:30:00Z'));
+        assert.deepEqual(await reminders(appointmentId), []);
+
+        await queueDueReminders(new Date('2040-11-03T13:30:00Z'));
+        assert.deepEqual(await reminders(appointmentId), ['email', 'sms']);
+
+        // Running again queues nothing twice
+        await queueDueReminders(new Date('2040-11-03T13:45:00Z'));
+        assert.deepEqual(await reminders(appointmentId), ['email', 'sms']);
+    });
+
+    describe('text replies', () => {
+        let appointmentId;
+
+        before(async () => {
+            appointmentId = await createAppointment({ date: daysFromNow(3), time: '10:00', email: 'robin@example.com', phone: '(555) 010-0123' });
+            await server.pool.query(`
+                INSERT INTO notification_outbox (appointment_id, channel, kind, recipient, body, status, sent_at)
+                VALUES ($1, 'sms', 'reminder', '(555) 010-0123', 'Reminder', 'sent', CURRENT_TIMESTAMP)
+            `, [appointmentId]);
+        });
+
+        // Posts the way Twilio does: form fields, signed over the public URL and the sorted fields
+        function reply(fields, signature = null) {
+            const payload = Object.keys(fields).sort().reduce((text, key) => text + key + fields[key], `${APP_BASE_URL}/api/sms/inbound`);
+            return fetch(`${server.baseUrl}/api/sms/inbound`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Twilio-Signature': signature || crypto.createHmac('sha1', TWILIO_AUTH_TOKEN).update(payload).digest('base64')
+                },
+                body: new URLSearchParams(fields).toString()
+            });
+        }
+
+        async function status() {
+            const { rows } = await server.pool.query('SELECT status FROM appointments WHERE id = $1', [appointmentId]);
+            return rows[0].status;
+        }
+
+        it('ignores replies without a valid signature', async () => {
+            const response = await reply({ Body: 'C', From: '+15550100123' }, 'bm90IGEgc2lnbmF0dXJl');
+            assert.equal(response.status, 403);
+            assert.equal(await status(), 'scheduled');
+        });
+
+        it('confirms the reminded appointment when the patient texts C', async () => {
+            const response = await reply({ Body: ' c ', From: '+15550100123' });
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /xml/);
+            assert.match(await response.text(), /<Message>.*confirmed.*<\/Message>/);
+            assert.equal(await status(), 'confirmed');
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('patient rescheduling', () => {
+    let server;
+    let doctor;
+    let patientCount = 0;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes) VALUES (1, 'Standard Visit', 30, 0)`);
+        doctor = await createDoctor(server.pool);
+    });
+
+    after(() => server.stop());
+
+    async function book(date, time) {
+        patientCount++;
+        const email = `patient${patientCount}@example.com`;
+        const response = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: `Patient ${patientCount}`,
+                email,
+                doctorId: doctor.id,
+                appointmentTypeId: 1,
+                appointmentDate: date,
+                appointmentTime: time,
+                reasonForVisit: 'Check-up'
+            }
+        });
+        return { ...response.body.appointment, email };
+    }
+
+    function reschedule(appointment, date, time) {
+        return server.request('POST', '/api/appointments/reschedule', {
+            body: { confirmationNumber: appointment.confirmation_number, email: appointment.email, date, time }
+        });
+    }
+
+    async function storedTime(appointment) {
+        const { rows } = await server.pool.query(
+            `SELECT to_char(appointment_date, 'YYYY-MM-DD') AS date, to_char(appointment_time, 'HH24:MI') AS time FROM appointments WHERE id = $1`,
+            [appointment.id]
+        );
+        return rows[0];
+    }
+
+    it('moves an appointment to an open time', async () => {
+        const appointment = await book(daysFromNow(6), '09:00');
+        const response = await reschedule(appointment, daysFromNow(7), '14:00');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.deepEqual(await storedTime(appointment), { date: daysFromNow(7), time: '14:00' });
+    });
+
+    it('reports a taken time as a failure and offers other times', async () => {
+        const date = daysFromNow(8);
+        await book(date, '10:00');
+        const appointment = await book(date, '11:00');
+        const response = await reschedule(appointment, date, '10:00');
+
+        assert.equal(response.status, 409);
+        assert.equal(response.body.success, false);
+        assert.ok(response.body.response.actions.length > 0);
+        assert.ok(response.body.response.actions.every(action => action.type === 'reschedule_to'));
+        assert.deepEqual(await storedTime(appointment), { date, time: '11:00' });
+    });
+
+    it('refuses to move an appointment into the past', async () => {
+        const appointment = await book(daysFromNow(9), '09:00');
+
+        const response = await reschedule(appointment, daysFromNow(-2), '14:00');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.success, false);
+
+        assert.deepEqual(await storedTime(appointment), { date: daysFromNow(9), time: '09:00' });
+    });
+});
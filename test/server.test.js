@@ -0,0 +1,35 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/server');
+
+describe('server startup', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(() => server.stop());
+
+    it('applies every migration to a fresh database', async () => {
+        const constraint = await server.pool.query(`SELECT 1 FROM pg_constraint WHERE conname = 'appointments_no_overlap'`);
+        assert.equal(constraint.rows.length, 1);
+
+        const tables = await server.pool.query(`
+            SELECT COUNT(*)::int AS count FROM information_schema.tables
+            WHERE table_name IN ('slot_holds', 'waitlist_entries', 'appointment_series', 'notification_outbox', 'staff_users',
+                                 'audit_log', 'availability_templates', 'clinic_closures', 'bulk_operations')
+        `);
+        assert.equal(tables.rows[0].count, 9);
+    });
+
+    it('creates the first administrator from the environment', async () => {
+        const staff = await server.pool.query(`SELECT role FROM staff_users`);
+        assert.deepEqual(staff.rows, [{ role: 'admin' }]);
+    });
+
+    it('serves the patient chat page and the staff sign-in page', async () => {
+        assert.equal((await server.request('GET', '/')).status, 200);
+        assert.equal((await server.request('GET', '/admin/login')).status, 200);
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { startTestServer, createDoctor, daysFromNow } = require('./helpers/server');
+
+describe('waitlist offers', () => {
+    let server;
+    let doctor;
+
+    before(async () => {
+        server = await startTestServer();
+        await server.pool.query(`
+            INSERT INTO appointment_types (id, name, duration_minutes, buffer_minutes)
+            VALUES (1, 'Standard Visit', 30, 0), (2, 'Extended Visit', 45, 0)
+        `);
+        doctor = await createDoctor(server.pool);
+    });
+
+    after(() => server.stop());
+
+    // Offers are made in the background after the request that freed the time returns
+    async function waitForOffers(entryId) {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const { rows } = await server.pool.query(`SELECT to_char(start_time, 'HH24:MI') AS start_time FROM waitlist_offers WHERE entry_id = $1`, [entryId]);
+            if (rows.length > 0) return rows;
+            await sleep(100);
+        }
+        return [];
+    }
+
+    it("offers freed time on the waiting patient's own visit length", async () => {
+        // Only 08:45 - 09:30 is left on the day: a 45-minute visit fits at 08:45, which no 30-minute slot starts at
+        const date = daysFromNow(10);
+        await server.pool.query(`
+            INSERT INTO blocked_slots (doctor_id, blocked_date, start_time, end_time, reason)
+            VALUES ($1, $2, '08:00', '08:45', 'Rounds'), ($1, $2, '09:30', '17:00', 'Surgery')
+        `, [doctor.id, date]);
+        const booked = await server.request('POST', '/api/book-appointment', {
+            body: {
+                patientName: 'Casey Lin', email: 'casey@example.com', doctorId: doctor.id, appointmentTypeId: 2,
+                appointmentDate: date, appointmentTime: '08:45', reasonForVisit: 'Follow-up'
+            }
+        });
+        assert.equal(booked.body.success, true);
+
+        const waiting = await server.pool.query(`INSERT INTO users (name, email) VALUES ('Robin Wait', 'robin@example.com') RETURNING id`);
+        const entry = await server.pool.query(`
+            INSERT INTO waitlist_entries (user_id, doctor_id, appointment_type_id, date_from, date_to)
+            VALUES ($1, $2, 2, $3, $3) RETURNING id
+        `, [waiting.rows[0].id, doctor.id, date]);
+
+        const cancelled = await server.request('POST', '/api/appointments/cancel', {
+            body: { confirmationNumber: booked.body.appointment.confirmation_number, email: 'casey@example.com' }
+        });
+        assert.equal(cancelled.status, 200);
+
+        assert.deepEqual(await waitForOffers(entry.rows[0].id), [{ start_time: '08:45' }]);
+    });
+});